@@ -0,0 +1,161 @@
+/**
+ * Analyzer Simulator
+ * Sends results for a specimen the way a lab analyzer would, to try out the analyzer
+ * interface without an instrument. HL7 goes over MLLP to ANALYZER_MLLP_PORT and the
+ * ACK is printed; with --file (always for --astm) the message is dropped into
+ * ANALYZER_DROP_DIR instead.
+ *
+ *   npm run simulate:analyzer -- ACC261000001
+ *   npm run simulate:analyzer -- ACC261000001 HGB=6.1 WBC=12.4
+ *   npm run simulate:analyzer -- LBO000012 GLU=92 --sender C311 --astm
+ *
+ * The specimen is the accession number on the sample label, or the lab order ID.
+ * Analyzer codes must be mapped on the analyzer with the given sender ID.
+ */
+
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const { MLLP_END, frameMLLP } = require('./utils/hl7');
+
+// Load env vars
+dotenv.config();
+
+const ACK_TIMEOUT = 10 * 1000;
+
+// Normal results sent when none are given on the command line
+const DEFAULT_RESULTS = {
+  XN350: { HGB: '14.2', WBC: '7.4', PLT: '265' },
+  C311: { GLU: '92' }
+};
+
+const UNITS = {
+  HGB: 'g/dL',
+  WBC: '10^3/uL',
+  PLT: '10^3/uL',
+  GLU: 'mg/dL',
+  CHOL: 'mg/dL',
+  TRIG: 'mg/dL',
+  HDLC: 'mg/dL',
+  LDLC: 'mg/dL',
+  UREA: 'mg/dL',
+  CREA: 'mg/dL',
+  K: 'mmol/L'
+};
+
+const readArguments = (args) => {
+  const options = { sender: 'XN350', results: {}, astm: false, file: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--sender') options.sender = String(args[++i] || '').toUpperCase();
+    else if (arg === '--astm') options.astm = true;
+    else if (arg === '--file') options.file = true;
+    else if (arg.includes('=')) {
+      const [code, value] = arg.split('=');
+      options.results[code.toUpperCase()] = value;
+    } else options.specimen = arg.toUpperCase();
+  }
+
+  if (Object.keys(options.results).length === 0) {
+    options.results = DEFAULT_RESULTS[options.sender] || {};
+  }
+  return options;
+};
+
+const timestamp = () => new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+
+const buildHL7 = ({ sender, specimen, results }) => {
+  const controlId = `SIM${Date.now()}`;
+  const segments = [
+    `MSH|^~\\&|${sender}|LAB|HMS|HOSPITAL|${timestamp()}||ORU^R01|${controlId}|P|2.5`,
+    `OBR|1||${specimen}|||||${timestamp()}`,
+    ...Object.entries(results).map(([code, value], index) => {
+      const unit = (UNITS[code] || '').replace(/\^/g, '\\S\\');
+      return `OBX|${index + 1}|NM|${code}||${value}|${unit}||N|||F`;
+    })
+  ];
+  return segments.join('\r');
+};
+
+const buildASTM = ({ sender, specimen, results }) => {
+  const records = [
+    `H|\\^&|SIM${Date.now()}||${sender}^1.0|||||||P|1|${timestamp()}`,
+    'P|1',
+    `O|1|${specimen}||^^^ALL|R`,
+    ...Object.entries(results).map(([code, value], index) => (
+      `R|${index + 1}|^^^${code}|${value}|${(UNITS[code] || '').replace(/\^/g, '&S&')}||N||F`
+    )),
+    'L|1|N'
+  ];
+  return `${records.join('\r')}\r`;
+};
+
+// Write under a .tmp name and rename, so the watcher never reads a half-written file
+const dropFile = async (message, extension, specimen) => {
+  const folder = process.env.ANALYZER_DROP_DIR;
+  if (!folder) throw new Error('ANALYZER_DROP_DIR is not set');
+
+  const file = path.resolve(folder, `${specimen}-${Date.now()}.${extension}`);
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(`${file}.tmp`, message);
+  await fs.promises.rename(`${file}.tmp`, file);
+  return file;
+};
+
+const sendMLLP = (message) => new Promise((resolve, reject) => {
+  const port = Number(process.env.ANALYZER_MLLP_PORT);
+  if (!port) {
+    reject(new Error('ANALYZER_MLLP_PORT is not set'));
+    return;
+  }
+
+  let reply = '';
+  const socket = net.connect({ host: 'localhost', port }, () => {
+    socket.write(frameMLLP(message));
+  });
+
+  socket.setEncoding('utf8');
+  socket.setTimeout(ACK_TIMEOUT, () => {
+    socket.destroy();
+    reject(new Error('No ACK received'));
+  });
+  socket.on('data', chunk => {
+    reply += chunk;
+    if (reply.includes(MLLP_END)) {
+      socket.end();
+      resolve(reply.replace(/[\x0b\x1c]/g, '').trim());
+    }
+  });
+  socket.on('error', reject);
+});
+
+const simulate = async () => {
+  const options = readArguments(process.argv.slice(2));
+
+  try {
+    if (!options.specimen) {
+      throw new Error('Please give the accession number or order ID of the specimen');
+    }
+    if (Object.keys(options.results).length === 0) {
+      throw new Error(`No default results for ${options.sender} - give them as CODE=value`);
+    }
+
+    if (options.astm || options.file) {
+      const file = options.astm
+        ? await dropFile(buildASTM(options), 'astm', options.specimen)
+        : await dropFile(buildHL7(options), 'hl7', options.specimen);
+      console.log(`Dropped ${file}`);
+    } else {
+      const ack = await sendMLLP(buildHL7(options));
+      console.log(ack.split('\r').join('\n'));
+    }
+    process.exit();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+};
+
+simulate();
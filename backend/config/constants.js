@@ -15,6 +15,102 @@ module.exports = {
     PHARMACY: 'PHARMACY'
   },
 
+  // Named permissions checked by authorizePermission - roles grant them through the role documents
+  PERMISSIONS: {
+    PATIENTS_VIEW: 'patients:view',
+    PATIENTS_CREATE: 'patients:create',
+    PATIENTS_DELETE: 'patients:delete',
+    PATIENTS_HISTORY: 'patients:history',
+    PATIENTS_DOCUMENTS: 'patients:documents',
+    DOCTORS_VIEW: 'doctors:view',
+    DOCTORS_MANAGE: 'doctors:manage',
+    DOCTORS_UPDATE: 'doctors:update',
+    APPOINTMENTS_VIEW: 'appointments:view',
+    APPOINTMENTS_STATS: 'appointments:stats',
+    APPOINTMENTS_COMPLETE: 'appointments:complete',
+    OPD_VIEW: 'opd:view',
+    OPD_WRITE: 'opd:write',
+    OPD_DELETE: 'opd:delete',
+    OPD_PRESCRIBE: 'opd:prescribe',
+    IPD_VIEW: 'ipd:view',
+    IPD_STATS: 'ipd:stats',
+    IPD_ADMIT: 'ipd:admit',
+    IPD_DISCHARGE: 'ipd:discharge',
+    IPD_CHART: 'ipd:chart',
+    IPD_MEDICATE: 'ipd:medicate',
+    IPD_TRANSFER: 'ipd:transfer',
+    BEDS_VIEW: 'beds:view',
+    BEDS_STATS: 'beds:stats',
+    BEDS_MANAGE: 'beds:manage',
+    PHARMACY_INVENTORY: 'pharmacy:inventory',
+    PHARMACY_MANAGE: 'pharmacy:manage',
+    PHARMACY_DELETE: 'pharmacy:delete',
+    PHARMACY_DISPENSE: 'pharmacy:dispense',
+    PROCUREMENT_MANAGE: 'procurement:manage',
+    PROCUREMENT_DELETE: 'procurement:delete',
+    LAB_VIEW: 'lab:view',
+    LAB_STATS: 'lab:stats',
+    LAB_CATALOG: 'lab:catalog',
+    LAB_DELETE: 'lab:delete',
+    LAB_INTERFACE: 'lab:interface',
+    LAB_ANALYZERS: 'lab:analyzers',
+    LAB_ORDER: 'lab:order',
+    LAB_COLLECT: 'lab:collect',
+    LAB_RECEIVE: 'lab:receive',
+    LAB_LABELS: 'lab:labels',
+    LAB_RESULT: 'lab:result',
+    LAB_VERIFY: 'lab:verify',
+    LAB_AMEND: 'lab:amend',
+    LAB_ATTACH: 'lab:attach',
+    BILLING_VIEW: 'billing:view',
+    BILLING_STATS: 'billing:stats',
+    BILLING_CREATE: 'billing:create',
+    BILLING_FINALIZE: 'billing:finalize',
+    BILLING_UPDATE: 'billing:update',
+    BILLING_DELETE: 'billing:delete',
+    BILLING_COLLECT: 'billing:collect',
+    BILLING_REFUND: 'billing:refund',
+    BILLING_VOID: 'billing:void',
+    INSURANCE_MANAGE: 'insurance:manage',
+    DASHBOARD_ADMIN: 'dashboard:admin',
+    DASHBOARD_DOCTOR: 'dashboard:doctor',
+    DASHBOARD_PATIENT: 'dashboard:patient',
+    USERS_MANAGE: 'users:manage',
+    ROLES_MANAGE: 'roles:manage'
+  },
+
+  // Why a login session ended before it expired
+  SESSION_REVOKED_REASON: {
+    LOGOUT: 'LOGOUT',
+    REVOKED: 'REVOKED',
+    PASSWORD_CHANGED: 'PASSWORD_CHANGED',
+    TOKEN_REUSE: 'TOKEN_REUSE',
+    DEACTIVATED: 'DEACTIVATED'
+  },
+
+  // Why a login attempt was refused, recorded in the login audit
+  LOGIN_FAILURE_REASON: {
+    UNKNOWN_EMAIL: 'UNKNOWN_EMAIL',
+    WRONG_PASSWORD: 'WRONG_PASSWORD',
+    ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+    DEACTIVATED: 'DEACTIVATED',
+    INVALID_TWO_FACTOR: 'INVALID_TWO_FACTOR'
+  },
+
+  // Second factor used to complete a login
+  LOGIN_METHOD: {
+    PASSWORD: 'PASSWORD',
+    TWO_FACTOR: 'TWO_FACTOR',
+    RECOVERY_CODE: 'RECOVERY_CODE'
+  },
+
+  // How outgoing email is delivered - file and console are for development
+  MAIL_TRANSPORT: {
+    SMTP: 'smtp',
+    FILE: 'file',
+    CONSOLE: 'console'
+  },
+
   // Appointment Status
   APPOINTMENT_STATUS: {
     SCHEDULED: 'SCHEDULED',
@@ -32,6 +128,84 @@ module.exports = {
     REFUNDED: 'REFUNDED'
   },
 
+  // Payment ledger entry types - refunds and voids are recorded as negative amounts
+  PAYMENT_ENTRY_TYPE: {
+    PAYMENT: 'PAYMENT',
+    REFUND: 'REFUND',
+    VOID: 'VOID'
+  },
+
+  // Bill Status - drafts are generated automatically and reviewed before finalizing
+  BILL_STATUS: {
+    DRAFT: 'DRAFT',
+    FINALIZED: 'FINALIZED'
+  },
+
+  // Bill Source
+  BILL_SOURCE: {
+    MANUAL: 'MANUAL',
+    IPD: 'IPD',
+    APPOINTMENT: 'APPOINTMENT',
+    PHARMACY: 'PHARMACY'
+  },
+
+  // Insurance Claim Status (also used for IPD pre-authorization)
+  CLAIM_STATUS: {
+    NOT_APPLIED: 'Not Applied',
+    PENDING: 'Pending',
+    APPROVED: 'Approved',
+    PARTIALLY_APPROVED: 'Partially Approved',
+    REJECTED: 'Rejected'
+  },
+
+  // Pharmacy stock movement types - quantities are positive into stock, negative out of it
+  STOCK_MOVEMENT_TYPE: {
+    OPENING_BALANCE: 'OPENING_BALANCE',
+    RECEIPT: 'RECEIPT',
+    DISPENSE: 'DISPENSE',
+    RETURN: 'RETURN',
+    ADJUSTMENT: 'ADJUSTMENT',
+    WASTAGE: 'WASTAGE',
+    EXPIRY: 'EXPIRY'
+  },
+
+  // Dispensing state of a prescription line
+  DISPENSE_STATUS: {
+    PENDING: 'PENDING',
+    PARTIAL: 'PARTIAL',
+    DISPENSED: 'DISPENSED'
+  },
+
+  // Drug safety alerts raised when prescribing
+  DRUG_ALERT_TYPE: {
+    ALLERGY: 'ALLERGY',
+    INTERACTION: 'INTERACTION',
+    DUPLICATE: 'DUPLICATE'
+  },
+
+  DRUG_ALERT_SEVERITY: {
+    MINOR: 'MINOR',
+    MODERATE: 'MODERATE',
+    MAJOR: 'MAJOR'
+  },
+
+  // Purchase Order Status
+  PURCHASE_ORDER_STATUS: {
+    DRAFT: 'DRAFT',
+    ORDERED: 'ORDERED',
+    PARTIALLY_RECEIVED: 'PARTIALLY_RECEIVED',
+    RECEIVED: 'RECEIVED',
+    CANCELLED: 'CANCELLED'
+  },
+
+  // Documents a stock movement can point back to
+  STOCK_REFERENCE_TYPE: {
+    PRESCRIPTION: 'Prescription',
+    SUPPLIER_INVOICE: 'Supplier Invoice',
+    BILL: 'Bill',
+    OTHER: 'Other'
+  },
+
   // Bed Status
   BED_STATUS: {
     AVAILABLE: 'AVAILABLE',
@@ -53,10 +227,121 @@ module.exports = {
   // Gender Options
   GENDERS: ['Male', 'Female', 'Other'],
 
+  // Human-readable ID sequences (see models/Counter.js)
+  // period: 'month' keeps a separate sequence per yyMM, e.g. INV2410 00001
+  ID_SEQUENCES: {
+    PATIENT: { prefix: 'PAT', padLength: 6 },
+    DOCTOR: { prefix: 'DOC', padLength: 6 },
+    APPOINTMENT: { prefix: 'APT', padLength: 6 },
+    OPD_RECORD: { prefix: 'OPD', padLength: 6 },
+    IPD_RECORD: { prefix: 'IPD', padLength: 6 },
+    INVOICE: { prefix: 'INV', padLength: 5, period: 'month' },
+    LAB_TEST: { prefix: 'TST', padLength: 6 },
+    LAB_ORDER: { prefix: 'LBO', padLength: 6 },
+    LAB_REQUISITION: { prefix: 'LRQ', padLength: 6 },
+    LAB_PACKAGE: { prefix: 'PKG', padLength: 4 },
+    SAMPLE_ACCESSION: { prefix: 'ACC', padLength: 5, period: 'month' },
+    MEDICINE: { prefix: 'MED', padLength: 6 },
+    SUPPLIER: { prefix: 'SUP', padLength: 4 },
+    PURCHASE_ORDER: { prefix: 'PO', padLength: 5, period: 'month' },
+    GOODS_RECEIPT: { prefix: 'GRN', padLength: 5, period: 'month' }
+  },
+
   // Lab Test Status
+  // COMPLETED results wait for pathologist sign-off; only VERIFIED results are released
   LAB_STATUS: {
     PENDING: 'PENDING',
     IN_PROGRESS: 'IN_PROGRESS',
-    COMPLETED: 'COMPLETED'
+    COMPLETED: 'COMPLETED',
+    VERIFIED: 'VERIFIED'
+  },
+
+  // Specimen lifecycle - each collection attempt is a separate specimen with its own accession number
+  SAMPLE_STATUS: {
+    COLLECTED: 'COLLECTED',
+    RECEIVED: 'RECEIVED',
+    REJECTED: 'REJECTED'
+  },
+
+  SPECIMEN_TYPES: ['Whole Blood', 'Serum', 'Plasma', 'Urine', 'Stool', 'Sputum', 'CSF', 'Swab', 'Tissue', 'Other'],
+
+  SPECIMEN_CONTAINERS: [
+    'EDTA (Lavender)',
+    'Plain (Red)',
+    'SST (Gold)',
+    'Fluoride (Grey)',
+    'Citrate (Blue)',
+    'Heparin (Green)',
+    'Urine Container',
+    'Sterile Container',
+    'Other'
+  ],
+
+  SAMPLE_REJECTION_REASONS: [
+    'Haemolysed',
+    'Insufficient Quantity',
+    'Clotted',
+    'Wrong Container',
+    'Unlabelled / Mislabelled',
+    'Delayed in Transit',
+    'Other'
+  ],
+
+  // Lab analyzer interface - how messages arrive and what became of them
+  ANALYZER_MESSAGE_FORMAT: {
+    HL7: 'HL7',
+    ASTM: 'ASTM'
+  },
+
+  ANALYZER_TRANSPORT: {
+    MLLP: 'MLLP',
+    FILE: 'FILE',
+    API: 'API'
+  },
+
+  ANALYZER_MESSAGE_STATUS: {
+    PROCESSED: 'PROCESSED',
+    PARTIAL: 'PARTIAL',
+    FAILED: 'FAILED'
+  },
+
+  // Per-result outcome; only STAGED results reach the order
+  ANALYZER_RESULT_OUTCOME: {
+    STAGED: 'STAGED',
+    NO_ORDER: 'NO_ORDER',
+    UNMAPPED: 'UNMAPPED',
+    NOT_READY: 'NOT_READY',
+    INVALID: 'INVALID',
+    SKIPPED: 'SKIPPED'
+  },
+
+  // Doctors in this department verify lab results
+  PATHOLOGY_DEPARTMENT: 'Pathology',
+
+  // Lab result parameter flags, computed from the reference range and critical limits
+  LAB_RESULT_FLAG: {
+    NORMAL: 'NORMAL',
+    LOW: 'LOW',
+    HIGH: 'HIGH',
+    CRITICAL_LOW: 'CRITICAL_LOW',
+    CRITICAL_HIGH: 'CRITICAL_HIGH',
+    ABNORMAL: 'ABNORMAL'
+  },
+
+  // In-app notification types
+  NOTIFICATION_TYPE: {
+    CRITICAL_LAB_RESULT: 'CRITICAL_LAB_RESULT',
+    CRITICAL_LAB_ESCALATION: 'CRITICAL_LAB_ESCALATION'
+  },
+
+  // Documents a notification can point back to
+  NOTIFICATION_REFERENCE_TYPE: {
+    LAB_ORDER: 'LabTestOrder'
+  },
+
+  // Lab parameter result types
+  LAB_PARAMETER_TYPE: {
+    NUMERIC: 'Numeric',
+    TEXT: 'Text'
   }
 };
@@ -0,0 +1,12 @@
+/**
+ * Hospital Configuration
+ * Letterhead details printed on invoices and receipts
+ */
+
+module.exports = {
+  name: process.env.HOSPITAL_NAME || 'Chikitsalya Prabandhan Hospital',
+  address: process.env.HOSPITAL_ADDRESS || '',
+  phone: process.env.HOSPITAL_PHONE || '',
+  email: process.env.HOSPITAL_EMAIL || '',
+  gstin: process.env.HOSPITAL_GSTIN || ''
+};
@@ -0,0 +1,187 @@
+/**
+ * Permission Configuration
+ * What each permission allows, and the permissions the built-in roles start with
+ */
+
+const { ROLES, PERMISSIONS: P } = require('./constants');
+
+// Shown grouped by module in the role editor
+const PERMISSION_GROUPS = [
+  {
+    label: 'Patients',
+    permissions: [
+      { name: P.PATIENTS_VIEW, description: 'View and search patients' },
+      { name: P.PATIENTS_CREATE, description: 'Register patients' },
+      { name: P.PATIENTS_DELETE, description: 'Delete patients' },
+      { name: P.PATIENTS_HISTORY, description: 'Add medical history and allergies' },
+      { name: P.PATIENTS_DOCUMENTS, description: 'Upload patient documents' }
+    ]
+  },
+  {
+    label: 'Doctors',
+    permissions: [
+      { name: P.DOCTORS_VIEW, description: 'Open the doctors page' },
+      { name: P.DOCTORS_MANAGE, description: 'Add and remove doctors' },
+      { name: P.DOCTORS_UPDATE, description: 'Edit doctor profiles and availability (doctors only their own)' }
+    ]
+  },
+  {
+    label: 'Appointments',
+    permissions: [
+      { name: P.APPOINTMENTS_VIEW, description: 'Open appointments (patients see their own)' },
+      { name: P.APPOINTMENTS_STATS, description: 'View appointment statistics' },
+      { name: P.APPOINTMENTS_COMPLETE, description: 'Mark appointments completed' }
+    ]
+  },
+  {
+    label: 'OPD',
+    permissions: [
+      { name: P.OPD_VIEW, description: 'Open OPD records' },
+      { name: P.OPD_WRITE, description: 'Create and edit OPD records' },
+      { name: P.OPD_DELETE, description: 'Delete OPD records' },
+      { name: P.OPD_PRESCRIBE, description: 'Write prescriptions' }
+    ]
+  },
+  {
+    label: 'IPD',
+    permissions: [
+      { name: P.IPD_VIEW, description: 'Open IPD records' },
+      { name: P.IPD_STATS, description: 'View IPD statistics' },
+      { name: P.IPD_ADMIT, description: 'Admit patients' },
+      { name: P.IPD_DISCHARGE, description: 'Discharge patients' },
+      { name: P.IPD_CHART, description: 'Record treatment notes and vitals' },
+      { name: P.IPD_MEDICATE, description: 'Add medication orders' },
+      { name: P.IPD_TRANSFER, description: 'Transfer patients between beds' }
+    ]
+  },
+  {
+    label: 'Beds & Wards',
+    permissions: [
+      { name: P.BEDS_VIEW, description: 'Open beds and wards' },
+      { name: P.BEDS_STATS, description: 'View occupancy statistics' },
+      { name: P.BEDS_MANAGE, description: 'Add, edit and remove beds, and mark maintenance' }
+    ]
+  },
+  {
+    label: 'Pharmacy',
+    permissions: [
+      { name: P.PHARMACY_INVENTORY, description: 'View stock, expiry and reconciliation reports' },
+      { name: P.PHARMACY_MANAGE, description: 'Add and edit medicines and adjust stock' },
+      { name: P.PHARMACY_DELETE, description: 'Delete medicines' },
+      { name: P.PHARMACY_DISPENSE, description: 'Dispense prescriptions' },
+      { name: P.PROCUREMENT_MANAGE, description: 'Manage suppliers, purchase orders and goods receipts' },
+      { name: P.PROCUREMENT_DELETE, description: 'Delete suppliers' }
+    ]
+  },
+  {
+    label: 'Laboratory',
+    permissions: [
+      { name: P.LAB_VIEW, description: 'Open the lab' },
+      { name: P.LAB_STATS, description: 'View lab statistics' },
+      { name: P.LAB_CATALOG, description: 'Add and edit lab tests and packages' },
+      { name: P.LAB_DELETE, description: 'Delete lab tests and packages' },
+      { name: P.LAB_INTERFACE, description: 'Configure analyzers and import analyzer results' },
+      { name: P.LAB_ANALYZERS, description: 'Add and remove analyzers' },
+      { name: P.LAB_ORDER, description: 'Order lab tests' },
+      { name: P.LAB_COLLECT, description: 'Collect samples' },
+      { name: P.LAB_RECEIVE, description: 'Receive and reject samples' },
+      { name: P.LAB_LABELS, description: 'Print sample labels' },
+      { name: P.LAB_RESULT, description: 'Enter results' },
+      { name: P.LAB_VERIFY, description: 'Verify results (pathologists only)' },
+      { name: P.LAB_AMEND, description: 'Amend verified results' },
+      { name: P.LAB_ATTACH, description: 'Attach files to lab orders' }
+    ]
+  },
+  {
+    label: 'Billing',
+    permissions: [
+      { name: P.BILLING_VIEW, description: 'Open billing' },
+      { name: P.BILLING_STATS, description: 'View billing statistics' },
+      { name: P.BILLING_CREATE, description: 'Create bills and interim IPD bills' },
+      { name: P.BILLING_FINALIZE, description: 'Finalize bills' },
+      { name: P.BILLING_UPDATE, description: 'Edit bills' },
+      { name: P.BILLING_DELETE, description: 'Delete bills' },
+      { name: P.BILLING_COLLECT, description: 'Record payments' },
+      { name: P.BILLING_REFUND, description: 'Refund payments' },
+      { name: P.BILLING_VOID, description: 'Void payments' },
+      { name: P.INSURANCE_MANAGE, description: 'Handle insurance claims and pre-authorizations' }
+    ]
+  },
+  {
+    label: 'Dashboards',
+    permissions: [
+      { name: P.DASHBOARD_ADMIN, description: 'Hospital dashboard' },
+      { name: P.DASHBOARD_DOCTOR, description: 'Doctor dashboard' },
+      { name: P.DASHBOARD_PATIENT, description: 'Patient dashboard' }
+    ]
+  },
+  {
+    label: 'Administration',
+    permissions: [
+      { name: P.USERS_MANAGE, description: 'Manage users, login security and the audit trail' },
+      { name: P.ROLES_MANAGE, description: 'Manage roles and their permissions' }
+    ]
+  }
+];
+
+// Permissions the built-in roles are created with. Once created, admins edit them in the database.
+const DEFAULT_ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: [
+    P.PATIENTS_VIEW, P.PATIENTS_CREATE, P.PATIENTS_DELETE, P.PATIENTS_HISTORY, P.PATIENTS_DOCUMENTS,
+    P.DOCTORS_VIEW, P.DOCTORS_MANAGE, P.DOCTORS_UPDATE,
+    P.APPOINTMENTS_VIEW, P.APPOINTMENTS_STATS, P.APPOINTMENTS_COMPLETE,
+    P.OPD_VIEW, P.OPD_WRITE, P.OPD_DELETE,
+    P.IPD_VIEW, P.IPD_STATS, P.IPD_ADMIT, P.IPD_DISCHARGE, P.IPD_CHART, P.IPD_MEDICATE, P.IPD_TRANSFER,
+    P.BEDS_VIEW, P.BEDS_STATS, P.BEDS_MANAGE,
+    P.PHARMACY_INVENTORY, P.PHARMACY_MANAGE, P.PHARMACY_DELETE, P.PHARMACY_DISPENSE,
+    P.PROCUREMENT_MANAGE, P.PROCUREMENT_DELETE,
+    P.LAB_VIEW, P.LAB_STATS, P.LAB_CATALOG, P.LAB_DELETE, P.LAB_INTERFACE, P.LAB_ANALYZERS,
+    P.LAB_ORDER, P.LAB_LABELS, P.LAB_ATTACH,
+    P.BILLING_VIEW, P.BILLING_STATS, P.BILLING_CREATE, P.BILLING_FINALIZE, P.BILLING_UPDATE,
+    P.BILLING_DELETE, P.BILLING_COLLECT, P.BILLING_REFUND, P.BILLING_VOID, P.INSURANCE_MANAGE,
+    P.DASHBOARD_ADMIN,
+    P.USERS_MANAGE, P.ROLES_MANAGE
+  ],
+  [ROLES.DOCTOR]: [
+    P.PATIENTS_VIEW, P.PATIENTS_HISTORY, P.PATIENTS_DOCUMENTS,
+    P.DOCTORS_UPDATE,
+    P.APPOINTMENTS_VIEW, P.APPOINTMENTS_COMPLETE,
+    P.OPD_VIEW, P.OPD_WRITE, P.OPD_PRESCRIBE,
+    P.IPD_VIEW, P.IPD_ADMIT, P.IPD_DISCHARGE, P.IPD_CHART, P.IPD_MEDICATE,
+    P.LAB_VIEW, P.LAB_ORDER, P.LAB_VERIFY, P.LAB_AMEND,
+    P.DASHBOARD_DOCTOR
+  ],
+  [ROLES.NURSE]: [
+    P.PATIENTS_VIEW, P.PATIENTS_DOCUMENTS,
+    P.OPD_VIEW,
+    P.IPD_VIEW, P.IPD_ADMIT, P.IPD_CHART, P.IPD_TRANSFER,
+    P.BEDS_VIEW,
+    P.LAB_COLLECT, P.LAB_LABELS
+  ],
+  [ROLES.RECEPTIONIST]: [
+    P.PATIENTS_VIEW, P.PATIENTS_CREATE, P.PATIENTS_DOCUMENTS,
+    P.APPOINTMENTS_VIEW,
+    P.BEDS_VIEW,
+    P.BILLING_VIEW, P.BILLING_CREATE, P.BILLING_FINALIZE, P.BILLING_COLLECT, P.INSURANCE_MANAGE
+  ],
+  [ROLES.LAB]: [
+    P.LAB_VIEW, P.LAB_STATS, P.LAB_CATALOG, P.LAB_INTERFACE, P.LAB_ORDER, P.LAB_COLLECT,
+    P.LAB_RECEIVE, P.LAB_LABELS, P.LAB_RESULT, P.LAB_AMEND, P.LAB_ATTACH
+  ],
+  [ROLES.PHARMACY]: [
+    P.PHARMACY_INVENTORY, P.PHARMACY_MANAGE, P.PHARMACY_DISPENSE, P.PROCUREMENT_MANAGE
+  ],
+  [ROLES.PATIENT]: [
+    P.APPOINTMENTS_VIEW,
+    P.DASHBOARD_PATIENT
+  ]
+};
+
+// The admin role always keeps these, so role and user management cannot be locked out
+const ADMIN_LOCKED_PERMISSIONS = [P.USERS_MANAGE, P.ROLES_MANAGE];
+
+module.exports = {
+  PERMISSION_GROUPS,
+  DEFAULT_ROLE_PERMISSIONS,
+  ADMIN_LOCKED_PERMISSIONS
+};
@@ -0,0 +1,228 @@
+/**
+ * Analyzer Controller
+ * Handles lab analyzers, their code mappings and the messages received from them
+ */
+
+const Analyzer = require('../models/Analyzer');
+const AnalyzerMessage = require('../models/AnalyzerMessage');
+const { LabTest } = require('../models/LabTest');
+const asyncHandler = require('../middleware/asyncHandler');
+const { splitMessages, receiveAnalyzerMessage } = require('../utils/analyzerInterface');
+const { ANALYZER_TRANSPORT } = require('../config/constants');
+
+// Every mapping must point at an offered test, and at one of its parameters for panels;
+// returns an error message or null
+const checkCodeMappings = async (mappings) => {
+  if (!Array.isArray(mappings)) return 'Code mappings must be a list';
+
+  const testCodes = [...new Set(mappings.map(mapping => mapping.testCode))];
+  const tests = await LabTest.find({ testCode: { $in: testCodes }, isActive: true }, 'testCode parameters');
+
+  for (const mapping of mappings) {
+    const test = tests.find(entry => entry.testCode === mapping.testCode);
+    if (!test) {
+      return `Test ${mapping.testCode} was not found`;
+    }
+
+    const parameterCode = String(mapping.parameterCode || '').trim().toUpperCase();
+    if (test.parameters.length > 0 && !test.parameters.some(parameter => parameter.code === parameterCode)) {
+      return `Please choose the ${test.testCode} parameter that ${mapping.analyzerCode} reports`;
+    }
+    if (test.parameters.length === 0 && parameterCode) {
+      return `${test.testCode} is reported as a single value and has no parameters`;
+    }
+  }
+  return null;
+};
+
+/**
+ * @desc    Get all analyzers
+ * @route   GET /api/lab/analyzers
+ * @access  Private (Admin, Lab)
+ */
+exports.getAnalyzers = asyncHandler(async (req, res, next) => {
+  const analyzers = await Analyzer.find({ isActive: true }).sort({ name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: analyzers.length,
+    data: analyzers
+  });
+});
+
+/**
+ * @desc    Create analyzer
+ * @route   POST /api/lab/analyzers
+ * @access  Private (Admin)
+ */
+exports.createAnalyzer = asyncHandler(async (req, res, next) => {
+  const { name, senderId, manufacturer, model, codeMappings = [] } = req.body;
+
+  const message = await checkCodeMappings(codeMappings);
+  if (message) {
+    return res.status(400).json({
+      success: false,
+      message
+    });
+  }
+
+  const analyzer = await Analyzer.create({ name, senderId, manufacturer, model, codeMappings });
+
+  res.status(201).json({
+    success: true,
+    data: analyzer
+  });
+});
+
+/**
+ * @desc    Update analyzer
+ * @route   PUT /api/lab/analyzers/:id
+ * @access  Private (Admin, Lab)
+ */
+exports.updateAnalyzer = asyncHandler(async (req, res, next) => {
+  const analyzer = await Analyzer.findById(req.params.id);
+
+  if (!analyzer) {
+    return res.status(404).json({
+      success: false,
+      message: 'Analyzer not found'
+    });
+  }
+
+  const { name, senderId, manufacturer, model, codeMappings } = req.body;
+
+  if (codeMappings !== undefined) {
+    const message = await checkCodeMappings(codeMappings);
+    if (message) {
+      return res.status(400).json({
+        success: false,
+        message
+      });
+    }
+    analyzer.codeMappings = codeMappings;
+  }
+
+  if (name !== undefined) analyzer.name = name;
+  if (senderId !== undefined) analyzer.senderId = senderId;
+  if (manufacturer !== undefined) analyzer.manufacturer = manufacturer;
+  if (model !== undefined) analyzer.model = model;
+  await analyzer.save();
+
+  res.status(200).json({
+    success: true,
+    data: analyzer
+  });
+});
+
+/**
+ * @desc    Delete analyzer
+ * @route   DELETE /api/lab/analyzers/:id
+ * @access  Private (Admin)
+ */
+exports.deleteAnalyzer = asyncHandler(async (req, res, next) => {
+  const analyzer = await Analyzer.findById(req.params.id);
+
+  if (!analyzer) {
+    return res.status(404).json({
+      success: false,
+      message: 'Analyzer not found'
+    });
+  }
+
+  // Soft delete - its messages stay in the log, and further messages from it are rejected
+  analyzer.isActive = false;
+  await analyzer.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Analyzer deleted successfully'
+  });
+});
+
+/**
+ * @desc    Get messages received from analyzers
+ * @route   GET /api/lab/interface/messages
+ * @access  Private (Admin, Lab)
+ */
+exports.getAnalyzerMessages = asyncHandler(async (req, res, next) => {
+  const { status, analyzer, page = 1, limit = 20 } = req.query;
+
+  let query = {};
+
+  if (status) query.status = status;
+  if (analyzer) query.analyzer = analyzer;
+
+  const messages = await AnalyzerMessage.find(query)
+    .select('-raw')
+    .populate('analyzer', 'name')
+    .populate('results.order', 'orderId')
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit))
+    .sort({ createdAt: -1 });
+
+  const total = await AnalyzerMessage.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: messages.length,
+    total,
+    pages: Math.ceil(total / limit),
+    currentPage: parseInt(page),
+    data: messages
+  });
+});
+
+/**
+ * @desc    Get single analyzer message, with the raw text received
+ * @route   GET /api/lab/interface/messages/:id
+ * @access  Private (Admin, Lab)
+ */
+exports.getAnalyzerMessage = asyncHandler(async (req, res, next) => {
+  const message = await AnalyzerMessage.findById(req.params.id)
+    .populate('analyzer', 'name senderId')
+    .populate('results.order', 'orderId status')
+    .populate('importedBy', 'name');
+
+  if (!message) {
+    return res.status(404).json({
+      success: false,
+      message: 'Analyzer message not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: message
+  });
+});
+
+/**
+ * @desc    Import analyzer messages pasted or uploaded as text (HL7 or ASTM)
+ * @route   POST /api/lab/interface/messages
+ * @access  Private (Admin, Lab)
+ */
+exports.importAnalyzerMessages = asyncHandler(async (req, res, next) => {
+  const raw = String(req.body.message || '').trim();
+
+  if (!raw) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide the message text'
+    });
+  }
+
+  const received = [];
+  for (const text of splitMessages(raw)) {
+    received.push(await receiveAnalyzerMessage(text, {
+      transport: ANALYZER_TRANSPORT.API,
+      source: 'Manual import',
+      importedBy: req.user.id
+    }));
+  }
+
+  res.status(201).json({
+    success: true,
+    count: received.length,
+    data: received.map(({ message, ack }) => ({ ...message.toObject(), ack }))
+  });
+});
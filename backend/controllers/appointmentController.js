@@ -7,6 +7,7 @@ const Appointment = require('../models/Appointment');
 const Patient = require('../models/Patient');
 const Doctor = require('../models/Doctor');
 const asyncHandler = require('../middleware/asyncHandler');
+const { billAppointment } = require('../utils/appointmentBilling');
 const { ROLES, APPOINTMENT_STATUS } = require('../config/constants');
 
 /**
@@ -297,7 +298,7 @@ exports.cancelAppointment = asyncHandler(async (req, res, next) => {
  * @access  Private (Doctor only)
  */
 exports.completeAppointment = asyncHandler(async (req, res, next) => {
-  let appointment = await Appointment.findById(req.params.id);
+  const appointment = await Appointment.findById(req.params.id);
 
   if (!appointment) {
     return res.status(404).json({
@@ -306,12 +307,39 @@ exports.completeAppointment = asyncHandler(async (req, res, next) => {
     });
   }
 
-  appointment.status = APPOINTMENT_STATUS.COMPLETED;
-  await appointment.save();
+  if (appointment.status === APPOINTMENT_STATUS.CANCELLED) {
+    return res.status(400).json({
+      success: false,
+      message: 'Cannot complete a cancelled appointment'
+    });
+  }
+
+  // Only the request that moves the appointment to completed bills it, so a double submit charges once
+  const completed = await Appointment.findOneAndUpdate(
+    { _id: appointment._id, status: { $nin: [APPOINTMENT_STATUS.COMPLETED, APPOINTMENT_STATUS.CANCELLED] } },
+    { status: APPOINTMENT_STATUS.COMPLETED },
+    { new: true }
+  );
+
+  if (!completed) {
+    return res.status(409).json({
+      success: false,
+      message: 'Appointment was already completed or cancelled'
+    });
+  }
+
+  // Charge the consultation fee - a billing failure must not undo the completion
+  let bill = null;
+  try {
+    bill = await billAppointment(completed, req.user.id);
+  } catch (error) {
+    console.error(`Bill generation failed for ${completed.appointmentId}: ${error.message}`);
+  }
 
   res.status(200).json({
     success: true,
-    data: appointment
+    data: completed,
+    bill
   });
 });
 
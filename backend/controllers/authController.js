@@ -3,11 +3,85 @@
  * Handles user registration, login, and profile management
  */
 
+const crypto = require('crypto');
 const User = require('../models/User');
 const Patient = require('../models/Patient');
 const Doctor = require('../models/Doctor');
+const Session = require('../models/Session');
 const asyncHandler = require('../middleware/asyncHandler');
-const { ROLES } = require('../config/constants');
+const {
+  setRefreshCookie,
+  clearRefreshCookie,
+  readRefreshCookie,
+  createSession,
+  issueRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  findSessionByRefreshToken
+} = require('../utils/sessions');
+const { sendMail } = require('../utils/mailer');
+const {
+  isTwoFactorRequired,
+  signChallengeToken,
+  issueRecoveryCodes,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  clearTwoFactor
+} = require('../utils/twoFactor');
+const { createRateLimiter } = require('../utils/rateLimit');
+const {
+  recordLoginAttempt,
+  registerFailedLogin,
+  clearFailedLogins,
+  lockedMessage
+} = require('../utils/loginSecurity');
+const { getUserPermissions } = require('../utils/permissions');
+const {
+  ROLES,
+  SESSION_REVOKED_REASON,
+  LOGIN_FAILURE_REASON,
+  LOGIN_METHOD
+} = require('../config/constants');
+
+// Reset emails per address, so nobody can flood an inbox
+const resetRequestLimiter = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 3 });
+// Two-factor code attempts per user, so six digits cannot be guessed
+const twoFactorAttemptLimiter = createRateLimiter({ windowMs: 5 * 60 * 1000, max: 5 });
+
+const TWO_FACTOR_SELECT = '+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep';
+
+// Refuse a login for a locked account
+const sendLockedResponse = (res, lockUntil) => res.status(423).json({
+  success: false,
+  message: lockedMessage(lockUntil)
+});
+
+// Count a failed password or code, which may lock the account, and refuse the login
+const rejectLoginAttempt = async (req, res, user, reason, message) => {
+  const lockedUntil = await registerFailedLogin(user);
+  await recordLoginAttempt(req, { user, success: false, reason, lockedUntil });
+
+  if (lockedUntil) {
+    return sendLockedResponse(res, lockedUntil);
+  }
+  return res.status(401).json({
+    success: false,
+    message
+  });
+};
+
+// Count a two-factor attempt; returns the 429 response when there have been too many
+const limitTwoFactorAttempts = (user, res) => {
+  const { allowed, retryAfter } = twoFactorAttemptLimiter.hit(user._id.toString());
+  if (allowed) return null;
+
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: `Too many authentication code attempts. Please try again in ${Math.ceil(retryAfter / 60)} minute(s).`
+  });
+};
 
 /**
  * @desc    Register a new user
@@ -51,7 +125,7 @@ exports.register = asyncHandler(async (req, res, next) => {
     });
   }
 
-  sendTokenResponse(user, 201, res);
+  await sendTokenResponse(user, 201, req, res);
 });
 
 /**
@@ -74,35 +148,128 @@ exports.login = asyncHandler(async (req, res, next) => {
   const user = await User.findOne({ email }).select('+password');
 
   if (!user) {
+    await recordLoginAttempt(req, { email, success: false, reason: LOGIN_FAILURE_REASON.UNKNOWN_EMAIL });
     return res.status(401).json({
       success: false,
       message: 'Invalid credentials'
     });
   }
 
+  // A locked account is refused without checking the password
+  if (user.isLocked()) {
+    await recordLoginAttempt(req, { user, success: false, reason: LOGIN_FAILURE_REASON.ACCOUNT_LOCKED });
+    return sendLockedResponse(res, user.lockUntil);
+  }
+
   // Check if password matches
   const isMatch = await user.matchPassword(password);
 
   if (!isMatch) {
-    return res.status(401).json({
-      success: false,
-      message: 'Invalid credentials'
-    });
+    return rejectLoginAttempt(req, res, user, LOGIN_FAILURE_REASON.WRONG_PASSWORD, 'Invalid credentials');
   }
 
   // Check if user is active
   if (!user.isActive) {
+    await recordLoginAttempt(req, { user, success: false, reason: LOGIN_FAILURE_REASON.DEACTIVATED });
     return res.status(401).json({
       success: false,
       message: 'Your account has been deactivated. Please contact admin.'
     });
   }
 
+  // With two-factor authentication the password only earns a challenge for the code
+  const enrollmentRequired = !user.twoFactorEnabled && await isTwoFactorRequired(user);
+  if (user.twoFactorEnabled || enrollmentRequired) {
+    return res.status(200).json({
+      success: true,
+      twoFactorRequired: true,
+      enrollmentRequired,
+      challengeToken: signChallengeToken(user)
+    });
+  }
+
+  // Update last login
+  user.lastLogin = Date.now();
+  clearFailedLogins(user);
+  await user.save({ validateBeforeSave: false });
+  await recordLoginAttempt(req, { user, success: true, method: LOGIN_METHOD.PASSWORD });
+
+  await sendTokenResponse(user, 200, req, res);
+});
+
+/**
+ * @desc    Complete a login with an authentication or recovery code; a user who must
+ *          enroll confirms their new authenticator here and gets recovery codes
+ * @route   POST /api/auth/2fa/challenge
+ * @access  Public (challenge token)
+ */
+exports.verifyTwoFactorLogin = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select(TWO_FACTOR_SELECT);
+
+  if (user.isLocked()) {
+    await recordLoginAttempt(req, { user, success: false, reason: LOGIN_FAILURE_REASON.ACCOUNT_LOCKED });
+    return sendLockedResponse(res, user.lockUntil);
+  }
+
+  const limited = limitTwoFactorAttempts(user, res);
+  if (limited) return limited;
+
+  const { code, recoveryCode } = req.body;
+  let recoveryCodes;
+  let method = LOGIN_METHOD.TWO_FACTOR;
+
+  if (user.twoFactorEnabled) {
+    const verified = await verifySecondFactor(user, { code, recoveryCode });
+    if (verified.message) {
+      return rejectLoginAttempt(req, res, user, LOGIN_FAILURE_REASON.INVALID_TWO_FACTOR, verified.message);
+    }
+    method = verified.method;
+  } else {
+    const enrollment = await confirmEnrollment(user, code);
+    if (enrollment.message) {
+      return rejectLoginAttempt(req, res, user, LOGIN_FAILURE_REASON.INVALID_TWO_FACTOR, enrollment.message);
+    }
+    recoveryCodes = enrollment.recoveryCodes;
+  }
+
   // Update last login
   user.lastLogin = Date.now();
+  clearFailedLogins(user);
   await user.save({ validateBeforeSave: false });
+  await recordLoginAttempt(req, { user, success: true, method });
+
+  await sendTokenResponse(user, 200, req, res, { data: { recoveryCodes } });
+});
+
+/**
+ * @desc    Exchange the refresh token cookie for a new access token
+ * @route   POST /api/auth/refresh
+ * @access  Public (refresh token cookie)
+ */
+exports.refreshToken = asyncHandler(async (req, res, next) => {
+  const { session, superseded, message } = await findSessionByRefreshToken(readRefreshCookie(req));
+
+  if (message) {
+    clearRefreshCookie(res);
+    return res.status(401).json({
+      success: false,
+      message
+    });
+  }
+
+  const user = await User.findById(session.user);
+
+  if (!user || !user.isActive) {
+    await revokeSession(session, SESSION_REVOKED_REASON.DEACTIVATED);
+    clearRefreshCookie(res);
+    return res.status(401).json({
+      success: false,
+      message: 'Your account has been deactivated. Please contact admin.'
+    });
+  }
 
-  sendTokenResponse(user, 200, res);
+  // A parallel refresh already rotated the token and set its cookie; only a new access token is needed
+  await sendTokenResponse(user, 200, req, res, { session, rotate: !superseded });
 });
 
 /**
@@ -126,7 +293,8 @@ exports.getMe = asyncHandler(async (req, res, next) => {
     success: true,
     data: {
       user,
-      profile
+      profile,
+      permissions: await getUserPermissions(user)
     }
   });
 });
@@ -178,33 +346,351 @@ exports.updatePassword = asyncHandler(async (req, res, next) => {
   user.password = req.body.newPassword;
   await user.save();
 
-  sendTokenResponse(user, 200, res);
+  // Anyone signed in with the old password is signed out; this device stays signed in
+  await revokeUserSessions(user._id, SESSION_REVOKED_REASON.PASSWORD_CHANGED, req.sessionId);
+  const session = await Session.findById(req.sessionId);
+
+  await sendTokenResponse(user, 200, req, res, { session });
 });
 
 /**
- * @desc    Logout user / clear cookie
- * @route   GET /api/auth/logout
- * @access  Private
+ * @desc    Logout user - ends the session and clears the refresh token cookie
+ * @route   POST /api/auth/logout
+ * @access  Public (refresh token cookie)
  */
 exports.logout = asyncHandler(async (req, res, next) => {
+  // Works with an expired access token; a cookie that no longer matches has nothing to end
+  const { session } = await findSessionByRefreshToken(readRefreshCookie(req));
+  if (session) {
+    await revokeSession(session, SESSION_REVOKED_REASON.LOGOUT);
+  }
+  clearRefreshCookie(res);
+
   res.status(200).json({
     success: true,
     message: 'Logged out successfully'
   });
 });
 
-// Helper function to get token and send response
-const sendTokenResponse = (user, statusCode, res) => {
-  const token = user.getSignedJwtToken();
+/**
+ * @desc    Email a password reset link
+ * @route   POST /api/auth/forgotpassword
+ * @access  Public
+ */
+exports.forgotPassword = asyncHandler(async (req, res, next) => {
+  const email = req.body.email.toLowerCase();
+
+  const { allowed, retryAfter } = resetRequestLimiter.hit(email);
+  if (!allowed) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      success: false,
+      message: `Too many reset requests for this email. Please try again in ${Math.ceil(retryAfter / 60)} minute(s).`
+    });
+  }
+
+  // The same reply whether or not the account exists, so emails cannot be probed
+  const reply = {
+    success: true,
+    message: 'If an account exists for this email, a password reset link has been sent'
+  };
+
+  const user = await User.findOne({ email, isActive: true });
+  if (!user) {
+    return res.status(200).json(reply);
+  }
+
+  const resetToken = user.getResetPasswordToken();
+  await user.save({ validateBeforeSave: false });
+
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+  const resetUrl = `${clientUrl}/resetpassword/${resetToken}`;
+  const minutes = Math.round((user.resetPasswordExpire - Date.now()) / 60000);
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your password',
+      text: `Hello ${user.name},\n\nA password reset was requested for your account. Open this link to choose a new password:\n\n${resetUrl}\n\nThe link works once and expires in ${minutes} minutes. If you did not ask for this, you can ignore this email.`
+    });
+  } catch (error) {
+    // Still the generic reply - an error here would reveal that the account exists
+    console.error('Password reset email failed:', error.message);
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+  }
+
+  res.status(200).json(reply);
+});
+
+/**
+ * @desc    Set a new password with an emailed reset token
+ * @route   PUT /api/auth/resetpassword/:token
+ * @access  Public
+ */
+exports.resetPassword = asyncHandler(async (req, res, next) => {
+  const resetPasswordToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
+
+  const user = await User.findOne({
+    resetPasswordToken,
+    resetPasswordExpire: { $gt: Date.now() },
+    isActive: true
+  });
+
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      message: 'This reset link is invalid or has expired'
+    });
+  }
+
+  // Single use - the token is cleared along with the password change. Proving
+  // ownership of the email also lifts any lockout.
+  user.password = req.body.password;
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpire = undefined;
+  clearFailedLogins(user);
+  await user.save();
+
+  await revokeUserSessions(user._id, SESSION_REVOKED_REASON.PASSWORD_CHANGED);
+
+  res.status(200).json({
+    success: true,
+    message: 'Password reset successfully. Please log in with your new password.'
+  });
+});
+
+/**
+ * @desc    Get two-factor authentication status
+ * @route   GET /api/auth/2fa
+ * @access  Private
+ */
+exports.getTwoFactorStatus = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('+twoFactorRecoveryCodes');
+
+  res.status(200).json({
+    success: true,
+    data: {
+      enabled: user.twoFactorEnabled,
+      enabledAt: user.twoFactorEnabledAt,
+      required: await isTwoFactorRequired(user),
+      recoveryCodesLeft: user.twoFactorEnabled ? user.twoFactorRecoveryCodes.length : 0
+    }
+  });
+});
+
+/**
+ * @desc    Start two-factor setup - returns the secret and QR code for the authenticator app
+ * @route   POST /api/auth/2fa/setup
+ * @route   POST /api/auth/2fa/challenge/setup
+ * @access  Private, or the login challenge token when enrollment is required
+ */
+exports.setupTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+
+  if (user.twoFactorEnabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is already enabled'
+    });
+  }
+
+  const enrollment = await startEnrollment(user);
+
+  res.status(200).json({
+    success: true,
+    data: enrollment
+  });
+});
+
+/**
+ * @desc    Turn on two-factor authentication with the first code from the app
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private
+ */
+exports.enableTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(TWO_FACTOR_SELECT);
+
+  if (user.twoFactorEnabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is already enabled'
+    });
+  }
+
+  const limited = limitTwoFactorAttempts(user, res);
+  if (limited) return limited;
+
+  const { recoveryCodes, message } = await confirmEnrollment(user, req.body.code);
+  if (message) {
+    return res.status(400).json({
+      success: false,
+      message
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication enabled',
+    data: { recoveryCodes }
+  });
+});
+
+/**
+ * @desc    Turn off two-factor authentication
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+exports.disableTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(`+password ${TWO_FACTOR_SELECT}`);
+
+  if (await isTwoFactorRequired(user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Two-factor authentication is required for your role'
+    });
+  }
+
+  if (!(await user.matchPassword(req.body.password || ''))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Password is incorrect'
+    });
+  }
+
+  const limited = limitTwoFactorAttempts(user, res);
+  if (limited) return limited;
+
+  const { message } = await verifySecondFactor(user, req.body);
+  if (message) {
+    return res.status(400).json({
+      success: false,
+      message
+    });
+  }
+
+  clearTwoFactor(user);
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+/**
+ * @desc    Replace the recovery codes - the old ones stop working
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @access  Private
+ */
+exports.regenerateRecoveryCodes = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(TWO_FACTOR_SELECT);
+
+  const limited = limitTwoFactorAttempts(user, res);
+  if (limited) return limited;
+
+  const { message } = await verifySecondFactor(user, { code: req.body.code });
+  if (message) {
+    return res.status(400).json({
+      success: false,
+      message
+    });
+  }
+
+  const recoveryCodes = issueRecoveryCodes(user);
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: { recoveryCodes }
+  });
+});
+
+/**
+ * @desc    Get the current user's active sessions
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+exports.getSessions = asyncHandler(async (req, res, next) => {
+  const sessions = await Session.find({
+    user: req.user.id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map(session => ({
+      ...session.toObject(),
+      current: session._id.equals(req.sessionId)
+    }))
+  });
+});
+
+/**
+ * @desc    Sign out one of the current user's sessions
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+exports.revokeSession = asyncHandler(async (req, res, next) => {
+  const session = await Session.findOne({ _id: req.params.id, user: req.user.id, revokedAt: null });
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found'
+    });
+  }
+
+  await revokeSession(session, SESSION_REVOKED_REASON.REVOKED);
+  if (session._id.equals(req.sessionId)) {
+    clearRefreshCookie(res);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Session signed out'
+  });
+});
+
+/**
+ * @desc    Sign out every session of the current user except this one
+ * @route   DELETE /api/auth/sessions
+ * @access  Private
+ */
+exports.revokeOtherSessions = asyncHandler(async (req, res, next) => {
+  const result = await revokeUserSessions(req.user.id, SESSION_REVOKED_REASON.REVOKED, req.sessionId);
+
+  res.status(200).json({
+    success: true,
+    count: result.modifiedCount,
+    message: 'Other sessions signed out'
+  });
+});
+
+// Helper function to send a new access token, and a new refresh token cookie for the
+// session - a new session unless one is being continued. `rotate: false` keeps the refresh
+// token the browser already has. `data` adds to the response.
+const sendTokenResponse = async (user, statusCode, req, res, { session = null, rotate = true, data = {} } = {}) => {
+  const currentSession = session || createSession(user, req);
+  if (rotate) {
+    setRefreshCookie(res, await issueRefreshToken(currentSession, req));
+  }
+  const token = user.getSignedJwtToken(currentSession._id);
 
   res.status(statusCode).json({
     success: true,
+    ...data,
     token,
     user: {
       id: user._id,
       name: user.name,
       email: user.email,
-      role: user.role
+      role: user.role,
+      roles: user.roles,
+      permissions: await getUserPermissions(user)
     }
   });
 };
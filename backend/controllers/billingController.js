@@ -5,8 +5,34 @@
 
 const Billing = require('../models/Billing');
 const Patient = require('../models/Patient');
+const IPDRecord = require('../models/IPDRecord');
 const asyncHandler = require('../middleware/asyncHandler');
-const { ROLES, PAYMENT_STATUS } = require('../config/constants');
+const { draftIPDBill } = require('../utils/ipdBilling');
+const { syncAppointmentPayment } = require('../utils/appointmentBilling');
+const { renderInvoicePdf, renderReceiptPdf } = require('../utils/billingPdf');
+const { ROLES, PAYMENT_STATUS, PAYMENT_ENTRY_TYPE, BILL_STATUS, BILL_SOURCE, IPD_STATUS } = require('../config/constants');
+
+// Patients may only see their own bills, and only once they are finalized
+const canViewBill = async (user, bill) => {
+  if (user.role !== ROLES.PATIENT) return true;
+  const patient = await Patient.findOne({ userId: user.id });
+  return Boolean(patient) &&
+    bill.patientId._id.toString() === patient._id.toString() &&
+    bill.status !== BILL_STATUS.DRAFT;
+};
+
+// What can be edited on a bill; payments and the claim have their own endpoints
+const EDITABLE_BILL_FIELDS = ['services', 'discount', 'tax', 'notes'];
+
+// Bill with everything printed on invoices and receipts
+const findPrintableBill = (id) => Billing.findById(id)
+  .populate({
+    path: 'patientId',
+    populate: { path: 'userId', select: 'name email phone address' }
+  })
+  .populate('createdBy', 'name')
+  .populate('payments.receivedBy', 'name')
+  .populate('payments.approvedBy', 'name');
 
 /**
  * @desc    Get all bills
@@ -17,6 +43,7 @@ exports.getBills = asyncHandler(async (req, res, next) => {
   const { 
     patientId, 
     paymentStatus, 
+    status,
     startDate, 
     endDate,
     page = 1, 
@@ -27,6 +54,7 @@ exports.getBills = asyncHandler(async (req, res, next) => {
 
   if (patientId) query.patientId = patientId;
   if (paymentStatus) query.paymentStatus = paymentStatus;
+  if (status) query.status = status;
   if (startDate && endDate) {
     query.invoiceDate = { $gte: new Date(startDate), $lte: new Date(endDate) };
   }
@@ -35,6 +63,8 @@ exports.getBills = asyncHandler(async (req, res, next) => {
   if (req.user.role === ROLES.PATIENT) {
     const patient = await Patient.findOne({ userId: req.user.id });
     if (patient) query.patientId = patient._id;
+    // Drafts are still under review at the billing desk
+    query.status = { $ne: BILL_STATUS.DRAFT };
   }
 
   const bills = await Billing.find(query)
@@ -81,19 +111,97 @@ exports.getBill = asyncHandler(async (req, res, next) => {
   }
 
   // Check authorization for patients
-  if (req.user.role === ROLES.PATIENT) {
-    const patient = await Patient.findOne({ userId: req.user.id });
-    if (!patient || bill.patientId._id.toString() !== patient._id.toString()) {
-      return res.status(403).json({
+  if (!(await canViewBill(req.user, bill))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this bill'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: bill
+  });
+});
+
+/**
+ * @desc    Generate or refresh the draft bill of an IPD stay
+ * @route   POST /api/billing/ipd/:ipdRecordId/interim
+ * @access  Private (Admin, Receptionist)
+ */
+exports.generateIPDBill = asyncHandler(async (req, res, next) => {
+  const record = await IPDRecord.findById(req.params.ipdRecordId);
+
+  if (!record) {
+    return res.status(404).json({
+      success: false,
+      message: 'IPD record not found'
+    });
+  }
+
+  // Admitted patients are charged up to now, discharged ones up to their discharge
+  const bill = await draftIPDBill(record, req.user.id, record.dischargeDate || new Date());
+
+  const populatedBill = await Billing.findById(bill._id)
+    .populate({
+      path: 'patientId',
+      populate: { path: 'userId', select: 'name email phone' }
+    })
+    .populate('createdBy', 'name');
+
+  res.status(200).json({
+    success: true,
+    data: populatedBill
+  });
+});
+
+/**
+ * @desc    Finalize a draft bill
+ * @route   PUT /api/billing/:id/finalize
+ * @access  Private (Admin, Receptionist)
+ */
+exports.finalizeBill = asyncHandler(async (req, res, next) => {
+  const bill = await Billing.findById(req.params.id);
+
+  if (!bill) {
+    return res.status(404).json({
+      success: false,
+      message: 'Bill not found'
+    });
+  }
+
+  if (bill.status !== BILL_STATUS.DRAFT) {
+    return res.status(400).json({
+      success: false,
+      message: 'Bill is already finalized'
+    });
+  }
+
+  if (bill.source === BILL_SOURCE.IPD) {
+    const record = await IPDRecord.findById(bill.ipdRecordId);
+    if (record && record.status !== IPD_STATUS.DISCHARGED) {
+      return res.status(400).json({
         success: false,
-        message: 'Not authorized to view this bill'
+        message: 'An interim bill can only be finalized after the patient is discharged'
       });
     }
   }
 
+  bill.status = BILL_STATUS.FINALIZED;
+  bill.finalizedAt = new Date();
+  bill.finalizedBy = req.user.id;
+  await bill.save();
+
+  const populatedBill = await Billing.findById(bill._id)
+    .populate({
+      path: 'patientId',
+      populate: { path: 'userId', select: 'name email phone' }
+    })
+    .populate('createdBy', 'name');
+
   res.status(200).json({
     success: true,
-    data: bill
+    data: populatedBill
   });
 });
 
@@ -166,7 +274,7 @@ exports.createBill = asyncHandler(async (req, res, next) => {
  * @access  Private (Admin)
  */
 exports.updateBill = asyncHandler(async (req, res, next) => {
-  let bill = await Billing.findById(req.params.id);
+  const bill = await Billing.findById(req.params.id);
 
   if (!bill) {
     return res.status(404).json({
@@ -183,17 +291,27 @@ exports.updateBill = asyncHandler(async (req, res, next) => {
     });
   }
 
-  bill = await Billing.findByIdAndUpdate(req.params.id, req.body, {
-    new: true,
-    runValidators: true
-  }).populate({
+  if (bill.isUnderClaim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Cannot update a bill while its insurance claim is open'
+    });
+  }
+
+  // Saving recomputes the totals and payment status from the services and the payment ledger
+  EDITABLE_BILL_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) bill.set(field, req.body[field]);
+  });
+  await bill.save();
+
+  const updatedBill = await Billing.findById(bill._id).populate({
     path: 'patientId',
     populate: { path: 'userId', select: 'name email phone' }
   });
 
   res.status(200).json({
     success: true,
-    data: bill
+    data: updatedBill
   });
 });
 
@@ -212,7 +330,8 @@ exports.deleteBill = asyncHandler(async (req, res, next) => {
     });
   }
 
-  if (bill.paidAmount > 0) {
+  // The payment ledger must be kept even when it nets to zero
+  if (bill.payments.length > 0) {
     return res.status(400).json({
       success: false,
       message: 'Cannot delete a bill with payments'
@@ -251,6 +370,13 @@ exports.addPayment = asyncHandler(async (req, res, next) => {
     });
   }
 
+  if (!amount || amount <= 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Payment amount must be greater than zero'
+    });
+  }
+
   if (amount > bill.balanceAmount) {
     return res.status(400).json({
       success: false,
@@ -258,8 +384,9 @@ exports.addPayment = asyncHandler(async (req, res, next) => {
     });
   }
 
-  // Add payment
+  // Add payment - paid amount, balance and status are recomputed on save
   bill.payments.push({
+    type: PAYMENT_ENTRY_TYPE.PAYMENT,
     amount,
     method,
     transactionId,
@@ -267,18 +394,133 @@ exports.addPayment = asyncHandler(async (req, res, next) => {
     receivedBy: req.user.id
   });
 
-  // Update paid amount and balance
-  bill.paidAmount += amount;
-  bill.balanceAmount = bill.totalAmount - bill.paidAmount;
+  await bill.save();
+
+  // Settling a consultation bill settles the appointment
+  await syncAppointmentPayment(bill);
+
+  res.status(200).json({
+    success: true,
+    data: bill
+  });
+});
+
+/**
+ * @desc    Refund money paid against a bill
+ * @route   POST /api/billing/:id/refund
+ * @access  Private (Admin)
+ */
+exports.refundPayment = asyncHandler(async (req, res, next) => {
+  const { amount, method, transactionId, reason } = req.body;
+
+  const bill = await Billing.findById(req.params.id);
+
+  if (!bill) {
+    return res.status(404).json({
+      success: false,
+      message: 'Bill not found'
+    });
+  }
+
+  if (!reason) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide a reason for the refund'
+    });
+  }
+
+  if (!amount || amount <= 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Refund amount must be greater than zero'
+    });
+  }
+
+  if (amount > bill.paidAmount) {
+    return res.status(400).json({
+      success: false,
+      message: `Amount exceeds payments received. Maximum refundable: ${bill.paidAmount}`
+    });
+  }
+
+  bill.payments.push({
+    type: PAYMENT_ENTRY_TYPE.REFUND,
+    amount: -amount,
+    method,
+    transactionId,
+    reason,
+    approvedBy: req.user.id,
+    receivedBy: req.user.id
+  });
+
+  await bill.save();
+  await syncAppointmentPayment(bill);
+
+  res.status(200).json({
+    success: true,
+    data: bill
+  });
+});
+
+/**
+ * @desc    Void a payment recorded in error
+ * @route   POST /api/billing/:id/payments/:paymentId/void
+ * @access  Private (Admin)
+ */
+exports.voidPayment = asyncHandler(async (req, res, next) => {
+  const bill = await Billing.findById(req.params.id);
+
+  if (!bill) {
+    return res.status(404).json({
+      success: false,
+      message: 'Bill not found'
+    });
+  }
+
+  const payment = bill.payments.id(req.params.paymentId);
+  if (!payment || payment.type !== PAYMENT_ENTRY_TYPE.PAYMENT) {
+    return res.status(404).json({
+      success: false,
+      message: 'Payment not found'
+    });
+  }
 
-  // Update payment status
-  if (bill.balanceAmount <= 0) {
-    bill.paymentStatus = PAYMENT_STATUS.PAID;
-  } else {
-    bill.paymentStatus = PAYMENT_STATUS.PARTIAL;
+  if (!req.body.reason) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide a reason for voiding the payment'
+    });
   }
 
+  if (bill.payments.some(entry => entry.reversalOf?.equals(payment._id))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Payment has already been voided'
+    });
+  }
+
+  // Money already refunded cannot be taken back out by a void as well
+  if (payment.amount > bill.paidAmount) {
+    return res.status(400).json({
+      success: false,
+      message: 'Payment has been partly refunded and can no longer be voided'
+    });
+  }
+
+  // The original entry stays in the ledger; a matching negative entry cancels it
+  bill.payments.push({
+    type: PAYMENT_ENTRY_TYPE.VOID,
+    amount: -payment.amount,
+    method: payment.method,
+    transactionId: payment.transactionId,
+    reason: req.body.reason,
+    approvedBy: req.user.id,
+    receivedBy: req.user.id,
+    reversalOf: payment._id
+  });
+
   await bill.save();
+  await syncAppointmentPayment(bill);
 
   res.status(200).json({
     success: true,
@@ -292,7 +534,12 @@ exports.addPayment = asyncHandler(async (req, res, next) => {
  * @access  Private
  */
 exports.getPatientBillingHistory = asyncHandler(async (req, res, next) => {
-  const bills = await Billing.find({ patientId: req.params.patientId })
+  const query = { patientId: req.params.patientId };
+  if (req.user.role === ROLES.PATIENT) {
+    query.status = { $ne: BILL_STATUS.DRAFT };
+  }
+
+  const bills = await Billing.find(query)
     .sort({ invoiceDate: -1 });
 
   const totalBilled = bills.reduce((sum, bill) => sum + bill.totalAmount, 0);
@@ -323,7 +570,11 @@ exports.getBillingStats = asyncHandler(async (req, res, next) => {
   tomorrow.setDate(tomorrow.getDate() + 1);
 
   // Today's stats
+  // Drafts are not billed yet
+  const finalized = { status: { $ne: BILL_STATUS.DRAFT } };
+
   const todayBills = await Billing.find({
+    ...finalized,
     invoiceDate: { $gte: today, $lt: tomorrow }
   });
 
@@ -332,12 +583,14 @@ exports.getBillingStats = asyncHandler(async (req, res, next) => {
 
   // Overall stats
   const pendingBills = await Billing.countDocuments({ 
+    ...finalized,
     paymentStatus: { $in: [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.PARTIAL] }
   });
 
   const totalOutstanding = await Billing.aggregate([
     { 
       $match: { 
+        ...finalized,
         paymentStatus: { $in: [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.PARTIAL] }
       }
     },
@@ -354,6 +607,7 @@ exports.getBillingStats = asyncHandler(async (req, res, next) => {
   const monthlyRevenue = await Billing.aggregate([
     {
       $match: {
+        ...finalized,
         invoiceDate: { $gte: startOfMonth }
       }
     },
@@ -385,18 +639,12 @@ exports.getBillingStats = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Generate invoice PDF data
+ * @desc    Get invoice data
  * @route   GET /api/billing/:id/invoice
  * @access  Private
  */
 exports.getInvoice = asyncHandler(async (req, res, next) => {
-  const bill = await Billing.findById(req.params.id)
-    .populate({
-      path: 'patientId',
-      populate: { path: 'userId', select: 'name email phone address' }
-    })
-    .populate('createdBy', 'name')
-    .populate('payments.receivedBy', 'name');
+  const bill = await findPrintableBill(req.params.id);
 
   if (!bill) {
     return res.status(404).json({
@@ -405,7 +653,14 @@ exports.getInvoice = asyncHandler(async (req, res, next) => {
     });
   }
 
-  // Return invoice data for frontend to generate PDF
+  if (!(await canViewBill(req.user, bill))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this bill'
+    });
+  }
+
+  // Printable copies come from getInvoicePdf
   res.status(200).json({
     success: true,
     data: {
@@ -431,3 +686,61 @@ exports.getInvoice = asyncHandler(async (req, res, next) => {
     }
   });
 });
+
+/**
+ * @desc    Download invoice PDF
+ * @route   GET /api/billing/:id/invoice.pdf
+ * @access  Private
+ */
+exports.getInvoicePdf = asyncHandler(async (req, res, next) => {
+  const bill = await findPrintableBill(req.params.id);
+
+  if (!bill) {
+    return res.status(404).json({
+      success: false,
+      message: 'Bill not found'
+    });
+  }
+
+  if (!(await canViewBill(req.user, bill))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this bill'
+    });
+  }
+
+  renderInvoicePdf(res, bill);
+});
+
+/**
+ * @desc    Download payment receipt PDF
+ * @route   GET /api/billing/:id/payments/:paymentId/receipt.pdf
+ * @access  Private
+ */
+exports.getReceiptPdf = asyncHandler(async (req, res, next) => {
+  const bill = await findPrintableBill(req.params.id);
+
+  if (!bill) {
+    return res.status(404).json({
+      success: false,
+      message: 'Bill not found'
+    });
+  }
+
+  if (!(await canViewBill(req.user, bill))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this bill'
+    });
+  }
+
+  const payment = bill.payments.id(req.params.paymentId);
+  if (!payment || payment.type !== PAYMENT_ENTRY_TYPE.PAYMENT) {
+    return res.status(404).json({
+      success: false,
+      message: 'Payment not found'
+    });
+  }
+
+  renderReceiptPdf(res, bill, payment);
+});
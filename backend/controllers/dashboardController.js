@@ -10,8 +10,16 @@ const Appointment = require('../models/Appointment');
 const IPDRecord = require('../models/IPDRecord');
 const Bed = require('../models/Bed');
 const Billing = require('../models/Billing');
+const { LabTestOrder } = require('../models/LabTest');
 const asyncHandler = require('../middleware/asyncHandler');
-const { ROLES, APPOINTMENT_STATUS, IPD_STATUS, BED_STATUS, PAYMENT_STATUS } = require('../config/constants');
+const {
+  ROLES,
+  APPOINTMENT_STATUS,
+  IPD_STATUS,
+  BED_STATUS,
+  PAYMENT_STATUS,
+  LAB_STATUS
+} = require('../config/constants');
 
 /**
  * @desc    Get admin dashboard stats
@@ -232,6 +240,15 @@ exports.getPatientDashboard = asyncHandler(async (req, res, next) => {
 
   const totalDue = pendingBills.reduce((sum, bill) => sum + bill.balanceAmount, 0);
 
+  // Lab results released by the pathologist
+  const labResults = await LabTestOrder.find({
+    patientId: patient._id,
+    status: LAB_STATUS.VERIFIED
+  })
+    .populate('testId', 'testName category')
+    .sort({ 'verification.verifiedAt': -1 })
+    .limit(5);
+
   // Medical records count
   const OPDRecord = require('../models/OPDRecord');
   const recordsCount = await OPDRecord.countDocuments({ patientId: patient._id });
@@ -252,7 +269,8 @@ exports.getPatientDashboard = asyncHandler(async (req, res, next) => {
       },
       upcomingAppointments,
       recentVisits,
-      pendingBills
+      pendingBills,
+      labResults
     }
   });
 });
@@ -0,0 +1,276 @@
+/**
+ * Dispensing Controller
+ * Pharmacy queue of prescribed medicines and dispensing them from stock
+ */
+
+const OPDRecord = require('../models/OPDRecord');
+const IPDRecord = require('../models/IPDRecord');
+const Pharmacy = require('../models/Pharmacy');
+const asyncHandler = require('../middleware/asyncHandler');
+const withTransaction = require('../utils/transaction');
+const { recordStockMovements } = require('../utils/stockLedger');
+const { billDispensedMedicines } = require('../utils/pharmacyBilling');
+const {
+  DISPENSE_STATUS,
+  IPD_STATUS,
+  STOCK_MOVEMENT_TYPE,
+  STOCK_REFERENCE_TYPE
+} = require('../config/constants');
+
+// Where the prescribed lines of each source live
+const SOURCES = {
+  OPD: { model: OPDRecord, lines: 'prescription', dateField: 'visitDate' },
+  IPD: { model: IPDRecord, lines: 'medications', dateField: 'admissionDate', filter: { status: IPD_STATUS.ADMITTED } }
+};
+
+const OPEN_STATUSES = [DISPENSE_STATUS.PENDING, DISPENSE_STATUS.PARTIAL];
+
+// Most recent records listed per source
+const QUEUE_LIMIT = 100;
+
+const MEDICINE_FIELDS = 'medicineId name genericName unit stock sellingPrice prescriptionRequired';
+
+// Whether the line prescribes this medicine - by catalogue link, or by name for unlinked lines
+const isPrescribed = (line, medicine) => {
+  if (line.medicineId) return line.medicineId.equals(medicine._id);
+  const prescribed = (line.medicine || '').trim().toLowerCase();
+  return [medicine.name, medicine.genericName].some(name => name && name.toLowerCase() === prescribed);
+};
+
+/**
+ * @desc    Get prescriptions waiting to be dispensed
+ * @route   GET /api/pharmacy/dispensing/queue
+ * @access  Private (Admin, Pharmacy)
+ */
+exports.getDispensingQueue = asyncHandler(async (req, res, next) => {
+  const sources = req.query.source ? [req.query.source] : Object.keys(SOURCES);
+
+  if (sources.some(source => !SOURCES[source])) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid prescription source'
+    });
+  }
+
+  const queue = [];
+
+  for (const source of sources) {
+    const { model, lines, dateField, filter } = SOURCES[source];
+
+    const records = await model.find({ ...filter, [`${lines}.dispenseStatus`]: { $in: OPEN_STATUSES } })
+      .populate({
+        path: 'patientId',
+        select: 'patientId userId',
+        populate: { path: 'userId', select: 'name phone' }
+      })
+      .populate({
+        path: 'doctorId',
+        populate: { path: 'userId', select: 'name' }
+      })
+      .populate(`${lines}.medicineId`, MEDICINE_FIELDS)
+      .sort({ [dateField]: -1 })
+      .limit(QUEUE_LIMIT);
+
+    records.forEach(record => queue.push({
+      source,
+      _id: record._id,
+      recordId: record.recordId,
+      date: record[dateField],
+      patient: record.patientId,
+      doctor: record.doctorId,
+      items: record[lines].filter(line => OPEN_STATUSES.includes(line.dispenseStatus))
+    }));
+  }
+
+  queue.sort((a, b) => b.date - a.date);
+
+  res.status(200).json({
+    success: true,
+    count: queue.length,
+    data: queue
+  });
+});
+
+/**
+ * @desc    Dispense prescribed medicines from stock and bill them
+ * @route   POST /api/pharmacy/dispensing/:source/:recordId
+ * @access  Private (Admin, Pharmacy)
+ */
+exports.dispensePrescription = asyncHandler(async (req, res, next) => {
+  const { source, recordId } = req.params;
+  const { items } = req.body;
+  const config = SOURCES[source];
+
+  if (!config) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid prescription source'
+    });
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please select the medicines to dispense'
+    });
+  }
+
+  if (new Set(items.map(item => String(item.lineId))).size !== items.length) {
+    return res.status(400).json({
+      success: false,
+      message: 'Each prescription line can only be dispensed once per request'
+    });
+  }
+
+  const record = await config.model.findById(recordId);
+
+  if (!record) {
+    return res.status(404).json({
+      success: false,
+      message: 'Prescription record not found'
+    });
+  }
+
+  if (source === 'IPD' && record.status !== IPD_STATUS.ADMITTED) {
+    return res.status(400).json({
+      success: false,
+      message: 'Medicines can only be dispensed to admitted patients'
+    });
+  }
+
+  const lines = record[config.lines];
+  const medicineIds = items
+    .map(item => item.medicineId || lines.id(item.lineId)?.medicineId)
+    .filter(Boolean);
+  const medicines = await Pharmacy.find({ _id: { $in: medicineIds }, isActive: true });
+  const medicinesById = new Map(medicines.map(medicine => [medicine._id.toString(), medicine]));
+
+  // Check every item and draw its stock in memory before anything is saved
+  const dispenses = [];
+  for (const item of items) {
+    const line = lines.id(item.lineId);
+
+    if (!line) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prescription line not found'
+      });
+    }
+
+    if (line.dispenseStatus === DISPENSE_STATUS.DISPENSED) {
+      return res.status(400).json({
+        success: false,
+        message: `${line.medicine || 'This medicine'} has already been dispensed`
+      });
+    }
+
+    const medicine = medicinesById.get(String(item.medicineId || line.medicineId || ''));
+
+    if (!medicine) {
+      return res.status(400).json({
+        success: false,
+        message: `Please select a stocked medicine for ${line.medicine || 'this line'}`
+      });
+    }
+
+    if (medicine.prescriptionRequired && !isPrescribed(line, medicine)) {
+      return res.status(400).json({
+        success: false,
+        message: `${medicine.name} requires a prescription and was not prescribed on this line`
+      });
+    }
+
+    const quantity = Number(item.quantity);
+
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Please provide a valid quantity for ${medicine.name}`
+      });
+    }
+
+    const remaining = line.quantity ? line.quantity - line.dispensedQuantity : null;
+
+    if (remaining !== null && quantity > remaining) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${remaining} of ${medicine.name} remain to be dispensed`
+      });
+    }
+
+    const allocations = medicine.consumeStock(quantity);
+
+    if (!allocations) {
+      return res.status(400).json({
+        success: false,
+        message: `Insufficient unexpired stock of ${medicine.name}`
+      });
+    }
+
+    dispenses.push({ line, medicine, quantity, allocations });
+  }
+
+  const dispensedAt = new Date();
+  dispenses.forEach(({ line, medicine, quantity }) => {
+    line.medicineId = medicine._id;
+    line.dispensedQuantity += quantity;
+    line.dispenseStatus = !line.quantity || line.dispensedQuantity >= line.quantity
+      ? DISPENSE_STATUS.DISPENSED
+      : DISPENSE_STATUS.PARTIAL;
+    line.dispensedAt = dispensedAt;
+    line.dispensedBy = req.user.id;
+  });
+
+  const reference = {
+    type: STOCK_REFERENCE_TYPE.PRESCRIPTION,
+    number: record.recordId,
+    documentId: record._id
+  };
+
+  // Stock, ledger and prescription progress are written together
+  await withTransaction(async (session) => {
+    for (const medicine of new Set(dispenses.map(dispense => dispense.medicine))) {
+      const changes = dispenses
+        .filter(dispense => dispense.medicine === medicine)
+        .flatMap(dispense => dispense.allocations.map(allocation => ({
+          batchId: allocation.batchId,
+          quantity: -allocation.quantity
+        })));
+
+      await medicine.save({ session });
+      await recordStockMovements(medicine, changes, {
+        type: STOCK_MOVEMENT_TYPE.DISPENSE,
+        reference,
+        userId: req.user.id
+      }, session);
+    }
+
+    await record.save({ session });
+  });
+
+  let bill = null;
+  try {
+    bill = await billDispensedMedicines(record, source, dispenses.map(({ line, medicine, quantity, allocations }) => ({
+      description: `Medicine - ${medicine.name}${line.dosage ? ` ${line.dosage}` : ''} (Batch ${allocations.map(allocation => allocation.batchNumber).join(', ')})`,
+      category: 'Medicine',
+      quantity,
+      unitPrice: medicine.sellingPrice
+    })), req.user.id);
+  } catch (error) {
+    console.error(`Billing dispensed medicines failed for ${record.recordId}: ${error.message}`);
+  }
+
+  await record.populate(`${config.lines}.medicineId`, MEDICINE_FIELDS);
+
+  res.status(200).json({
+    success: true,
+    data: record,
+    dispensed: dispenses.map(({ line, medicine, quantity, allocations }) => ({
+      lineId: line._id,
+      medicine: medicine.name,
+      quantity,
+      allocations
+    })),
+    bill
+  });
+});
@@ -0,0 +1,509 @@
+/**
+ * Insurance Controller
+ * Handles insurance claims on bills and pre-authorization of IPD admissions
+ */
+
+const Billing = require('../models/Billing');
+const IPDRecord = require('../models/IPDRecord');
+const Patient = require('../models/Patient');
+const asyncHandler = require('../middleware/asyncHandler');
+const withTransaction = require('../utils/transaction');
+const { syncAppointmentPayment } = require('../utils/appointmentBilling');
+const {
+  CLAIM_STATUS,
+  BILL_STATUS,
+  IPD_STATUS,
+  PAYMENT_ENTRY_TYPE
+} = require('../config/constants');
+
+const APPROVED_STATUSES = [CLAIM_STATUS.APPROVED, CLAIM_STATUS.PARTIALLY_APPROVED];
+
+// Claims can be (re)submitted until the insurer has approved them
+const SUBMITTABLE_STATUSES = [CLAIM_STATUS.NOT_APPLIED, CLAIM_STATUS.REJECTED];
+
+// Documents created before claims were tracked have no status stored at all
+const statusFilter = (status) => (
+  status === CLAIM_STATUS.NOT_APPLIED ? { $in: [null, status] } : status
+);
+
+// Reason the patient's policy cannot cover services on `serviceDate`, or null if it can
+const checkPolicy = (patient, serviceDate) => {
+  const insurance = patient?.insuranceInfo;
+  if (!insurance?.provider || !insurance?.policyNumber) {
+    return 'Patient has no insurance policy on file';
+  }
+  if (!insurance.validTill) {
+    return 'Insurance policy on file has no validity date';
+  }
+  if (insurance.validTill < serviceDate) {
+    return `Insurance policy expired on ${insurance.validTill.toISOString().split('T')[0]}`;
+  }
+  return null;
+};
+
+/**
+ * @desc    Get claims worklist
+ * @route   GET /api/insurance/claims
+ * @access  Private (Admin, Receptionist)
+ */
+exports.getClaims = asyncHandler(async (req, res, next) => {
+  const { status, page = 1, limit = 20 } = req.query;
+
+  const query = {
+    'insuranceClaim.status': status || { $nin: [null, CLAIM_STATUS.NOT_APPLIED] }
+  };
+
+  const bills = await Billing.find(query)
+    .populate({
+      path: 'patientId',
+      populate: { path: 'userId', select: 'name email phone' }
+    })
+    .populate('insuranceClaim.submittedBy', 'name')
+    .populate('insuranceClaim.decidedBy', 'name')
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit))
+    .sort({ 'insuranceClaim.submittedAt': 1 });
+
+  const total = await Billing.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: bills.length,
+    total,
+    pages: Math.ceil(total / limit),
+    currentPage: parseInt(page),
+    data: bills
+  });
+});
+
+/**
+ * @desc    Submit insurance claim for a bill
+ * @route   POST /api/insurance/claims/:billId
+ * @access  Private (Admin, Receptionist)
+ */
+exports.submitClaim = asyncHandler(async (req, res, next) => {
+  const bill = await Billing.findById(req.params.billId);
+
+  if (!bill) {
+    return res.status(404).json({
+      success: false,
+      message: 'Bill not found'
+    });
+  }
+
+  if (bill.status === BILL_STATUS.DRAFT) {
+    return res.status(400).json({
+      success: false,
+      message: 'Finalize the bill before submitting a claim'
+    });
+  }
+
+  if (!SUBMITTABLE_STATUSES.includes(bill.insuranceClaim.status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Claim is already ${bill.insuranceClaim.status.toLowerCase()}`
+    });
+  }
+
+  const patient = await Patient.findById(bill.patientId);
+  const policyError = checkPolicy(patient, bill.invoiceDate);
+  if (policyError) {
+    return res.status(400).json({
+      success: false,
+      message: policyError
+    });
+  }
+
+  // Inpatient stays are only claimable once the insurer pre-authorized the admission
+  if (bill.ipdRecordId) {
+    const record = await IPDRecord.findById(bill.ipdRecordId);
+    if (record && !APPROVED_STATUSES.includes(record.preAuthorization?.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The admission has no approved pre-authorization'
+      });
+    }
+  }
+
+  const claimAmount = req.body.claimAmount ?? bill.balanceAmount;
+  if (!claimAmount || claimAmount <= 0 || claimAmount > bill.balanceAmount) {
+    return res.status(400).json({
+      success: false,
+      message: `Claim amount must be between 0 and the balance due (${bill.balanceAmount})`
+    });
+  }
+
+  const updatedBill = await Billing.findOneAndUpdate(
+    { _id: bill._id, 'insuranceClaim.status': statusFilter(bill.insuranceClaim.status) },
+    {
+      'insuranceClaim.provider': patient.insuranceInfo.provider,
+      'insuranceClaim.policyNumber': patient.insuranceInfo.policyNumber,
+      'insuranceClaim.claimAmount': claimAmount,
+      'insuranceClaim.status': CLAIM_STATUS.PENDING,
+      'insuranceClaim.approvedAmount': 0,
+      'insuranceClaim.submittedAt': new Date(),
+      'insuranceClaim.submittedBy': req.user.id,
+      'insuranceClaim.decidedAt': null,
+      'insuranceClaim.decidedBy': null,
+      'insuranceClaim.remarks': req.body.remarks
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!updatedBill) {
+    return res.status(409).json({
+      success: false,
+      message: 'Claim was updated by someone else, please reload'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: updatedBill
+  });
+});
+
+/**
+ * @desc    Approve claim (fully or partially) and post the insurer's payment
+ * @route   PUT /api/insurance/claims/:billId/approve
+ * @access  Private (Admin, Receptionist)
+ */
+exports.approveClaim = asyncHandler(async (req, res, next) => {
+  const { approvedAmount, remarks } = req.body;
+
+  const bill = await Billing.findById(req.params.billId);
+
+  if (!bill) {
+    return res.status(404).json({
+      success: false,
+      message: 'Bill not found'
+    });
+  }
+
+  if (bill.insuranceClaim.status !== CLAIM_STATUS.PENDING) {
+    return res.status(400).json({
+      success: false,
+      message: 'Only pending claims can be approved'
+    });
+  }
+
+  if (!approvedAmount || approvedAmount <= 0 || approvedAmount > bill.insuranceClaim.claimAmount) {
+    return res.status(400).json({
+      success: false,
+      message: `Approved amount must be between 0 and the claimed amount (${bill.insuranceClaim.claimAmount})`
+    });
+  }
+
+  const status = approvedAmount < bill.insuranceClaim.claimAmount
+    ? CLAIM_STATUS.PARTIALLY_APPROVED
+    : CLAIM_STATUS.APPROVED;
+
+  // Decide the claim first so a second approval cannot post the payment twice, and post
+  // the insurer's payment in the same transaction so an approval never lacks its payment
+  const decidedBill = await withTransaction(async (session) => {
+    const decided = await Billing.findOneAndUpdate(
+      { _id: bill._id, 'insuranceClaim.status': CLAIM_STATUS.PENDING },
+      {
+        'insuranceClaim.status': status,
+        'insuranceClaim.approvedAmount': approvedAmount,
+        'insuranceClaim.decidedAt': new Date(),
+        'insuranceClaim.decidedBy': req.user.id,
+        'insuranceClaim.remarks': remarks
+      },
+      { new: true, session }
+    );
+
+    if (!decided) return null;
+
+    // Payments made in the meantime may have reduced what is left to settle
+    const settlement = Math.min(approvedAmount, decided.balanceAmount);
+    if (settlement > 0) {
+      decided.payments.push({
+        type: PAYMENT_ENTRY_TYPE.PAYMENT,
+        amount: settlement,
+        method: 'Insurance',
+        transactionId: decided.insuranceClaim.policyNumber,
+        notes: `Claim settlement by ${decided.insuranceClaim.provider}`,
+        receivedBy: req.user.id
+      });
+
+      try {
+        await decided.save({ session });
+      } catch (error) {
+        // Without a transaction, put the claim back to pending ourselves so it can be approved again
+        if (!session) {
+          await Billing.updateOne(
+            { _id: bill._id, 'insuranceClaim.status': status },
+            {
+              'insuranceClaim.status': CLAIM_STATUS.PENDING,
+              'insuranceClaim.approvedAmount': bill.insuranceClaim.approvedAmount,
+              'insuranceClaim.decidedAt': bill.insuranceClaim.decidedAt,
+              'insuranceClaim.decidedBy': bill.insuranceClaim.decidedBy,
+              'insuranceClaim.remarks': bill.insuranceClaim.remarks
+            }
+          );
+        }
+        throw error;
+      }
+    }
+
+    return decided;
+  });
+
+  if (!decidedBill) {
+    return res.status(409).json({
+      success: false,
+      message: 'Claim has already been decided'
+    });
+  }
+
+  // A settlement was posted
+  if (decidedBill.payments.length > bill.payments.length) {
+    await syncAppointmentPayment(decidedBill);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: decidedBill
+  });
+});
+
+/**
+ * @desc    Reject claim
+ * @route   PUT /api/insurance/claims/:billId/reject
+ * @access  Private (Admin, Receptionist)
+ */
+exports.rejectClaim = asyncHandler(async (req, res, next) => {
+  if (!req.body.remarks) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide the reason given by the insurer'
+    });
+  }
+
+  const bill = await Billing.findOneAndUpdate(
+    { _id: req.params.billId, 'insuranceClaim.status': CLAIM_STATUS.PENDING },
+    {
+      'insuranceClaim.status': CLAIM_STATUS.REJECTED,
+      'insuranceClaim.approvedAmount': 0,
+      'insuranceClaim.decidedAt': new Date(),
+      'insuranceClaim.decidedBy': req.user.id,
+      'insuranceClaim.remarks': req.body.remarks
+    },
+    { new: true }
+  );
+
+  if (!bill) {
+    return res.status(400).json({
+      success: false,
+      message: 'No pending claim found for this bill'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: bill
+  });
+});
+
+/**
+ * @desc    Get pre-authorization worklist
+ * @route   GET /api/insurance/pre-auth
+ * @access  Private (Admin, Receptionist)
+ */
+exports.getPreAuthorizations = asyncHandler(async (req, res, next) => {
+  const { status, page = 1, limit = 20 } = req.query;
+
+  const query = {
+    'preAuthorization.status': status || { $nin: [null, CLAIM_STATUS.NOT_APPLIED] }
+  };
+
+  const records = await IPDRecord.find(query)
+    .populate({
+      path: 'patientId',
+      populate: { path: 'userId', select: 'name email phone' }
+    })
+    .populate('bedId', 'bedNumber ward')
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit))
+    .sort({ 'preAuthorization.requestedAt': 1 });
+
+  const total = await IPDRecord.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: records.length,
+    total,
+    pages: Math.ceil(total / limit),
+    currentPage: parseInt(page),
+    data: records
+  });
+});
+
+/**
+ * @desc    Request pre-authorization for an admission
+ * @route   POST /api/insurance/pre-auth/:ipdRecordId
+ * @access  Private (Admin, Receptionist)
+ */
+exports.requestPreAuthorization = asyncHandler(async (req, res, next) => {
+  const { requestedAmount, remarks } = req.body;
+
+  const record = await IPDRecord.findById(req.params.ipdRecordId);
+
+  if (!record) {
+    return res.status(404).json({
+      success: false,
+      message: 'IPD record not found'
+    });
+  }
+
+  if (record.status !== IPD_STATUS.ADMITTED) {
+    return res.status(400).json({
+      success: false,
+      message: 'Pre-authorization can only be requested for admitted patients'
+    });
+  }
+
+  const currentStatus = record.preAuthorization?.status || CLAIM_STATUS.NOT_APPLIED;
+  if (!SUBMITTABLE_STATUSES.includes(currentStatus)) {
+    return res.status(400).json({
+      success: false,
+      message: `Pre-authorization is already ${currentStatus.toLowerCase()}`
+    });
+  }
+
+  const patient = await Patient.findById(record.patientId);
+  const policyError = checkPolicy(patient, record.admissionDate);
+  if (policyError) {
+    return res.status(400).json({
+      success: false,
+      message: policyError
+    });
+  }
+
+  if (!requestedAmount || requestedAmount <= 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide the estimated amount to pre-authorize'
+    });
+  }
+
+  const updatedRecord = await IPDRecord.findOneAndUpdate(
+    { _id: record._id, 'preAuthorization.status': statusFilter(currentStatus) },
+    {
+      preAuthorization: {
+        provider: patient.insuranceInfo.provider,
+        policyNumber: patient.insuranceInfo.policyNumber,
+        requestedAmount,
+        status: CLAIM_STATUS.PENDING,
+        requestedAt: new Date(),
+        requestedBy: req.user.id,
+        remarks
+      }
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!updatedRecord) {
+    return res.status(409).json({
+      success: false,
+      message: 'Pre-authorization was updated by someone else, please reload'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: updatedRecord
+  });
+});
+
+/**
+ * @desc    Record the insurer's pre-authorization approval
+ * @route   PUT /api/insurance/pre-auth/:ipdRecordId/approve
+ * @access  Private (Admin, Receptionist)
+ */
+exports.approvePreAuthorization = asyncHandler(async (req, res, next) => {
+  const { approvedAmount, referenceNumber, remarks } = req.body;
+
+  const record = await IPDRecord.findById(req.params.ipdRecordId);
+
+  if (!record) {
+    return res.status(404).json({
+      success: false,
+      message: 'IPD record not found'
+    });
+  }
+
+  const requestedAmount = record.preAuthorization?.requestedAmount;
+  if (!approvedAmount || approvedAmount <= 0 || approvedAmount > requestedAmount) {
+    return res.status(400).json({
+      success: false,
+      message: `Approved amount must be between 0 and the requested amount (${requestedAmount})`
+    });
+  }
+
+  const updatedRecord = await IPDRecord.findOneAndUpdate(
+    { _id: record._id, 'preAuthorization.status': CLAIM_STATUS.PENDING },
+    {
+      'preAuthorization.status': approvedAmount < requestedAmount
+        ? CLAIM_STATUS.PARTIALLY_APPROVED
+        : CLAIM_STATUS.APPROVED,
+      'preAuthorization.approvedAmount': approvedAmount,
+      'preAuthorization.referenceNumber': referenceNumber,
+      'preAuthorization.decidedAt': new Date(),
+      'preAuthorization.decidedBy': req.user.id,
+      'preAuthorization.remarks': remarks
+    },
+    { new: true }
+  );
+
+  if (!updatedRecord) {
+    return res.status(400).json({
+      success: false,
+      message: 'No pending pre-authorization found for this admission'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: updatedRecord
+  });
+});
+
+/**
+ * @desc    Record the insurer's pre-authorization rejection
+ * @route   PUT /api/insurance/pre-auth/:ipdRecordId/reject
+ * @access  Private (Admin, Receptionist)
+ */
+exports.rejectPreAuthorization = asyncHandler(async (req, res, next) => {
+  if (!req.body.remarks) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide the reason given by the insurer'
+    });
+  }
+
+  const record = await IPDRecord.findOneAndUpdate(
+    { _id: req.params.ipdRecordId, 'preAuthorization.status': CLAIM_STATUS.PENDING },
+    {
+      'preAuthorization.status': CLAIM_STATUS.REJECTED,
+      'preAuthorization.approvedAmount': 0,
+      'preAuthorization.decidedAt': new Date(),
+      'preAuthorization.decidedBy': req.user.id,
+      'preAuthorization.remarks': req.body.remarks
+    },
+    { new: true }
+  );
+
+  if (!record) {
+    return res.status(400).json({
+      success: false,
+      message: 'No pending pre-authorization found for this admission'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: record
+  });
+});
@@ -8,8 +8,45 @@ const Patient = require('../models/Patient');
 const Doctor = require('../models/Doctor');
 const Bed = require('../models/Bed');
 const asyncHandler = require('../middleware/asyncHandler');
+const withTransaction = require('../utils/transaction');
+const ErrorResponse = require('../utils/errorResponse');
+const { draftIPDBill } = require('../utils/ipdBilling');
+const { screenPrescription } = require('../utils/drugSafety');
+const { keepDispensingState } = require('../utils/dispensing');
 const { ROLES, IPD_STATUS, BED_STATUS } = require('../config/constants');
 
+// Claim a bed only if it is still available (null if another admission got there first)
+const claimBed = (bedId, patientId, session) => Bed.findOneAndUpdate(
+  { _id: bedId, status: BED_STATUS.AVAILABLE },
+  { status: BED_STATUS.OCCUPIED, currentPatient: patientId },
+  { new: true, session }
+);
+
+// Bed history entry snapshotting where the patient is from `from` onwards
+const buildBedHistoryEntry = (bed, from, reason, userId) => ({
+  bedId: bed._id,
+  bedNumber: bed.bedNumber,
+  ward: bed.ward,
+  wardType: bed.wardType,
+  from,
+  reason,
+  transferredBy: userId
+});
+
+// Records admitted before bedHistory existed have no such field, and `$[open]` updates fail on them
+const ensureBedHistory = (recordId, session) => IPDRecord.updateOne(
+  { _id: recordId, bedHistory: { $exists: false } },
+  { $set: { bedHistory: [] } },
+  { session }
+);
+
+// Free a bed, but only while it is still held by this patient
+const releaseBed = (bedId, patientId, session) => Bed.updateOne(
+  { _id: bedId, currentPatient: patientId },
+  { status: BED_STATUS.AVAILABLE, currentPatient: null },
+  { session }
+);
+
 /**
  * @desc    Get all IPD records
  * @route   GET /api/ipd
@@ -138,20 +175,35 @@ exports.admitPatient = asyncHandler(async (req, res, next) => {
     });
   }
 
-  // Create IPD record
-  const record = await IPDRecord.create({
-    patientId,
-    doctorId,
-    bedId,
-    admissionReason,
-    diagnosis,
-    status: IPD_STATUS.ADMITTED
-  });
+  // Claim the bed and create the admission together
+  const record = await withTransaction(async (session) => {
+    const claimedBed = await claimBed(bedId, patientId, session);
+    if (!claimedBed) {
+      throw new ErrorResponse('Bed was just taken by another admission', 409);
+    }
 
-  // Update bed status
-  bed.status = BED_STATUS.OCCUPIED;
-  bed.currentPatient = patientId;
-  await bed.save();
+    try {
+      const admissionDate = new Date();
+      const [created] = await IPDRecord.create([{
+        patientId,
+        doctorId,
+        bedId,
+        admissionDate,
+        admissionReason,
+        diagnosis,
+        status: IPD_STATUS.ADMITTED,
+        bedHistory: [buildBedHistoryEntry(claimedBed, admissionDate, 'Admission', req.user.id)]
+      }], { session });
+      return created;
+    } catch (error) {
+      // Without a transaction, give the bed back ourselves
+      if (!session) await releaseBed(bedId, patientId, null);
+      if (error.code === 11000 && error.keyPattern?.patientId) {
+        throw new ErrorResponse('Patient is already admitted', 409);
+      }
+      throw error;
+    }
+  });
 
   const populatedRecord = await IPDRecord.findById(record._id)
     .populate({
@@ -192,21 +244,40 @@ exports.dischargePatient = asyncHandler(async (req, res, next) => {
     });
   }
 
-  // Update record
-  record.status = IPD_STATUS.DISCHARGED;
-  record.dischargeDate = new Date();
-  record.dischargeSummary = req.body.dischargeSummary;
-  await record.save();
+  // Close the admission and free the bed together
+  const dischargedRecord = await withTransaction(async (session) => {
+    const dischargeDate = new Date();
+    await ensureBedHistory(record._id, session);
+    const updated = await IPDRecord.findOneAndUpdate(
+      { _id: record._id, status: IPD_STATUS.ADMITTED },
+      {
+        status: IPD_STATUS.DISCHARGED,
+        dischargeDate,
+        dischargeSummary: req.body.dischargeSummary,
+        'bedHistory.$[open].to': dischargeDate
+      },
+      { new: true, runValidators: true, arrayFilters: [{ 'open.to': null }], session }
+    );
+    if (!updated) {
+      throw new ErrorResponse('Patient was already discharged', 409);
+    }
 
-  // Free up the bed
-  await Bed.findByIdAndUpdate(record.bedId, {
-    status: BED_STATUS.AVAILABLE,
-    currentPatient: null
+    await releaseBed(updated.bedId, updated.patientId, session);
+    return updated;
   });
 
+  // Draft the final bill for the billing desk - a billing failure must not undo the discharge
+  let bill = null;
+  try {
+    bill = await draftIPDBill(dischargedRecord, req.user.id, dischargedRecord.dischargeDate);
+  } catch (error) {
+    console.error(`Bill generation failed for ${dischargedRecord.recordId}: ${error.message}`);
+  }
+
   res.status(200).json({
     success: true,
-    data: record
+    data: dischargedRecord,
+    bill
   });
 });
 
@@ -279,10 +350,21 @@ exports.addMedication = asyncHandler(async (req, res, next) => {
     });
   }
 
-  record.medications.push({
-    ...req.body,
-    administeredBy: req.user.id
-  });
+  const [medication] = keepDispensingState([{ ...req.body, administeredBy: req.user.id }]);
+  const now = new Date();
+  const activeMedications = record.medications.filter(current => !current.endDate || current.endDate >= now);
+  const patient = await Patient.findById(record.patientId);
+  const warnings = await screenPrescription(patient, [medication], activeMedications, req.user.id);
+
+  if (warnings.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Drug safety warnings need review - give an override reason to prescribe anyway',
+      warnings
+    });
+  }
+
+  record.medications.push(medication);
   await record.save();
 
   res.status(200).json({
@@ -297,7 +379,7 @@ exports.addMedication = asyncHandler(async (req, res, next) => {
  * @access  Private (Admin, Nurse)
  */
 exports.transferPatient = asyncHandler(async (req, res, next) => {
-  const { newBedId } = req.body;
+  const { newBedId, reason } = req.body;
 
   const record = await IPDRecord.findById(req.params.id);
 
@@ -308,6 +390,20 @@ exports.transferPatient = asyncHandler(async (req, res, next) => {
     });
   }
 
+  if (record.status !== IPD_STATUS.ADMITTED) {
+    return res.status(400).json({
+      success: false,
+      message: 'Patient is not currently admitted'
+    });
+  }
+
+  if (record.bedId.toString() === String(newBedId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Patient is already in this bed'
+    });
+  }
+
   // Verify new bed is available
   const newBed = await Bed.findById(newBedId);
   if (!newBed || newBed.status !== BED_STATUS.AVAILABLE) {
@@ -317,28 +413,93 @@ exports.transferPatient = asyncHandler(async (req, res, next) => {
     });
   }
 
-  // Free old bed
-  await Bed.findByIdAndUpdate(record.bedId, {
-    status: BED_STATUS.AVAILABLE,
-    currentPatient: null
-  });
+  const oldBedId = record.bedId;
+  const transferredAt = new Date();
 
-  // Assign new bed
-  newBed.status = BED_STATUS.OCCUPIED;
-  newBed.currentPatient = record.patientId;
-  await newBed.save();
+  // Records admitted before bedHistory existed get their first interval backfilled
+  const newEntries = [];
+  if (record.bedHistory.length === 0) {
+    const oldBed = await Bed.findById(oldBedId);
+    newEntries.push({
+      ...buildBedHistoryEntry(oldBed || { _id: oldBedId }, record.admissionDate, 'Admission'),
+      to: transferredAt
+    });
+  }
+  newEntries.push(buildBedHistoryEntry(newBed, transferredAt, reason, req.user.id));
 
-  // Update record
-  record.bedId = newBedId;
-  record.treatmentNotes.push({
-    note: `Patient transferred from bed ${record.bedId} to bed ${newBedId}`,
-    addedBy: req.user.id
+  // Move the patient: claim the new bed, repoint the record, free the old bed
+  const transferredRecord = await withTransaction(async (session) => {
+    const claimedBed = await claimBed(newBedId, record.patientId, session);
+    if (!claimedBed) {
+      throw new ErrorResponse('New bed was just taken by another admission', 409);
+    }
+
+    // Close the open interval while checking nobody moved the patient meanwhile
+    try {
+      await ensureBedHistory(record._id, session);
+      const moved = await IPDRecord.findOneAndUpdate(
+        { _id: record._id, status: IPD_STATUS.ADMITTED, bedId: oldBedId },
+        { bedId: newBedId, 'bedHistory.$[open].to': transferredAt },
+        { new: true, arrayFilters: [{ 'open.to': null }], session }
+      );
+      if (!moved) {
+        throw new ErrorResponse('IPD record was changed by another request, please retry', 409);
+      }
+    } catch (error) {
+      // Without a transaction, give the new bed back ourselves
+      if (!session) await releaseBed(newBedId, record.patientId, null);
+      throw error;
+    }
+
+    const updated = await IPDRecord.findByIdAndUpdate(
+      record._id,
+      { $push: { bedHistory: { $each: newEntries } } },
+      { new: true, session }
+    );
+
+    await releaseBed(oldBedId, record.patientId, session);
+    return updated;
   });
-  await record.save();
 
   res.status(200).json({
     success: true,
-    data: record
+    data: transferredRecord
+  });
+});
+
+/**
+ * @desc    Get bed occupancy history of an IPD record
+ * @route   GET /api/ipd/:id/bed-history
+ * @access  Private
+ */
+exports.getBedHistory = asyncHandler(async (req, res, next) => {
+  const record = await IPDRecord.findById(req.params.id)
+    .populate('bedHistory.transferredBy', 'name');
+
+  if (!record) {
+    return res.status(404).json({
+      success: false,
+      message: 'IPD record not found'
+    });
+  }
+
+  // Patients can only see their own stays
+  if (req.user.role === ROLES.PATIENT) {
+    const patient = await Patient.findOne({ userId: req.user.id });
+    if (!patient || record.patientId.toString() !== patient._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this record'
+      });
+    }
+  }
+
+  const bedHistory = record.getBedIntervals();
+
+  res.status(200).json({
+    success: true,
+    count: bedHistory.length,
+    data: bedHistory
   });
 });
 
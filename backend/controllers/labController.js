@@ -4,10 +4,61 @@
  */
 
 const { LabTest, LabTestOrder } = require('../models/LabTest');
+const LabPackage = require('../models/LabPackage');
+const LabRequisition = require('../models/LabRequisition');
+const OPDRecord = require('../models/OPDRecord');
 const Patient = require('../models/Patient');
 const Doctor = require('../models/Doctor');
+const Counter = require('../models/Counter');
 const asyncHandler = require('../middleware/asyncHandler');
-const { ROLES, LAB_STATUS } = require('../config/constants');
+const withTransaction = require('../utils/transaction');
+const { removeUploadedFile, sendStoredFile, buildFileMetadata } = require('../utils/fileStorage');
+const { buildResult, signResult } = require('../utils/labResults');
+const { renderLabReportPdf } = require('../utils/labReportPdf');
+const { currentSample, parseTurnaroundMinutes, buildSampleLabel } = require('../utils/labSamples');
+const { renderSampleLabelPdf } = require('../utils/sampleLabelPdf');
+const { criticalFindings, sendCriticalLabAlert } = require('../utils/criticalLabAlerts');
+const { getUserPermissions } = require('../utils/permissions');
+const {
+  findOverlappingTest,
+  expandRequisition,
+  linkOrdersToOPDRecord,
+  syncOPDLabTest
+} = require('../utils/labOrders');
+const {
+  ROLES,
+  LAB_STATUS,
+  PATHOLOGY_DEPARTMENT,
+  SAMPLE_STATUS,
+  SAMPLE_REJECTION_REASONS,
+  ID_SEQUENCES,
+  PERMISSIONS
+} = require('../config/constants');
+
+// Pathologists are doctors in the pathology department
+const findPathologist = (userId) => Doctor.findOne({ userId, department: PATHOLOGY_DEPARTMENT });
+
+// Whoever enters or imports results works on them as lab staff
+const handlesResults = (permissions) => permissions.includes(PERMISSIONS.LAB_RESULT)
+  || permissions.includes(PERMISSIONS.LAB_INTERFACE);
+
+// Verifying takes the permission and a place in the pathology department
+const isPathologist = async (user, permissions) => permissions.includes(PERMISSIONS.LAB_VERIFY)
+  && Boolean(await findPathologist(user.id));
+
+// Lab staff and pathologists work with results before they are verified; everyone else sees released results only
+const canSeeUnreleasedResults = async (user) => {
+  const permissions = await getUserPermissions(user);
+  return handlesResults(permissions) || isPathologist(user, permissions);
+};
+
+const withholdUnreleased = (order) => {
+  if (order.status === LAB_STATUS.VERIFIED) return order;
+  const withheld = order.toObject();
+  delete withheld.result;
+  delete withheld.amendments;
+  return withheld;
+};
 
 // ==================== LAB TEST CRUD ====================
 
@@ -140,13 +191,15 @@ exports.deleteLabTest = asyncHandler(async (req, res, next) => {
  * @access  Private
  */
 exports.getLabOrders = asyncHandler(async (req, res, next) => {
-  const { status, patientId, priority, page = 1, limit = 20 } = req.query;
+  const { status, patientId, priority, accessionNumber, page = 1, limit = 20 } = req.query;
 
   let query = {};
 
   if (status) query.status = status;
   if (patientId) query.patientId = patientId;
   if (priority) query.priority = priority;
+  // Scanned specimen barcodes
+  if (accessionNumber) query['samples.accessionNumber'] = accessionNumber.trim().toUpperCase();
 
   // Role-based filtering
   if (req.user.role === ROLES.PATIENT) {
@@ -164,13 +217,21 @@ exports.getLabOrders = asyncHandler(async (req, res, next) => {
       populate: { path: 'userId', select: 'name' }
     })
     .populate('testId')
+    .populate('requisitionId', 'requisitionId')
+    .populate('packageId', 'name')
     .populate('sampleCollectedBy', 'name')
+    .populate('samples.collectedBy samples.receivedBy samples.rejectedBy', 'name')
     .populate('completedBy', 'name')
+    .populate('analyzerRun.analyzer', 'name')
+    .populate('criticalAlert.acknowledgements.user', 'name role')
+    .populate('verification.verifiedBy', 'name')
+    .populate('amendments.amendedBy', 'name')
     .skip((page - 1) * limit)
     .limit(parseInt(limit))
     .sort({ orderDate: -1 });
 
   const total = await LabTestOrder.countDocuments(query);
+  const showUnreleased = await canSeeUnreleasedResults(req.user);
 
   res.status(200).json({
     success: true,
@@ -178,7 +239,8 @@ exports.getLabOrders = asyncHandler(async (req, res, next) => {
     total,
     pages: Math.ceil(total / limit),
     currentPage: parseInt(page),
-    data: orders
+    canVerify: await isPathologist(req.user, await getUserPermissions(req.user)),
+    data: showUnreleased ? orders : orders.map(withholdUnreleased)
   });
 });
 
@@ -198,8 +260,15 @@ exports.getLabOrder = asyncHandler(async (req, res, next) => {
       populate: { path: 'userId', select: 'name' }
     })
     .populate('testId')
+    .populate('requisitionId', 'requisitionId')
+    .populate('packageId', 'name')
     .populate('sampleCollectedBy', 'name')
-    .populate('completedBy', 'name');
+    .populate('samples.collectedBy samples.receivedBy samples.rejectedBy', 'name')
+    .populate('completedBy', 'name')
+    .populate('analyzerRun.analyzer', 'name')
+    .populate('criticalAlert.acknowledgements.user', 'name role')
+    .populate('verification.verifiedBy', 'name')
+    .populate('amendments.amendedBy', 'name');
 
   if (!order) {
     return res.status(404).json({
@@ -210,17 +279,69 @@ exports.getLabOrder = asyncHandler(async (req, res, next) => {
 
   res.status(200).json({
     success: true,
-    data: order
+    data: (await canSeeUnreleasedResults(req.user)) ? order : withholdUnreleased(order)
   });
 });
 
 /**
- * @desc    Create lab test order
+ * @desc    Get a lab requisition with its tests
+ * @route   GET /api/lab/requisitions/:id
+ * @access  Private
+ */
+exports.getLabRequisition = asyncHandler(async (req, res, next) => {
+  const requisition = await LabRequisition.findById(req.params.id)
+    .populate({
+      path: 'patientId',
+      populate: { path: 'userId', select: 'name email phone' }
+    })
+    .populate({
+      path: 'doctorId',
+      populate: { path: 'userId', select: 'name' }
+    })
+    .populate({
+      path: 'orders',
+      populate: { path: 'testId', select: 'testName testCode category price' }
+    });
+
+  if (!requisition) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lab requisition not found'
+    });
+  }
+
+  // Check authorization - patient can only view their own requisitions
+  if (req.user.role === ROLES.PATIENT) {
+    const patient = await Patient.findOne({ userId: req.user.id });
+    if (!patient || requisition.patientId._id.toString() !== patient._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this requisition'
+      });
+    }
+  }
+
+  const data = requisition.toObject();
+  if (!(await canSeeUnreleasedResults(req.user))) {
+    data.orders = requisition.orders.map(withholdUnreleased);
+  }
+
+  res.status(200).json({
+    success: true,
+    data
+  });
+});
+
+/**
+ * @desc    Create lab order for one or more tests and packages
  * @route   POST /api/lab/orders
  * @access  Private (Doctor, Admin, Lab)
  */
 exports.createLabOrder = asyncHandler(async (req, res, next) => {
-  const { patientId, testId, priority, notes, opdRecordId } = req.body;
+  const { patientId, priority, notes, opdRecordId, ipdRecordId } = req.body;
+  // A single testId is still accepted from older clients
+  const testIds = [...new Set([...(req.body.testIds || []), req.body.testId].filter(Boolean).map(String))];
+  const packageIds = [...new Set((req.body.packageIds || []).map(String))];
 
   // Verify patient exists
   const patient = await Patient.findById(patientId);
@@ -231,15 +352,57 @@ exports.createLabOrder = asyncHandler(async (req, res, next) => {
     });
   }
 
-  // Verify test exists
-  const test = await LabTest.findById(testId);
-  if (!test) {
+  if (testIds.length === 0 && packageIds.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please select at least one test or package'
+    });
+  }
+
+  // Verify tests and packages exist
+  const tests = await LabTest.find({ _id: { $in: testIds }, isActive: true });
+  if (tests.length !== testIds.length) {
     return res.status(404).json({
       success: false,
       message: 'Lab test not found'
     });
   }
 
+  const packages = await LabPackage.find({ _id: { $in: packageIds }, isActive: true }).populate('tests');
+  if (packages.length !== packageIds.length) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lab package not found'
+    });
+  }
+
+  const withdrawn = packages.find(labPackage => labPackage.tests.length === 0 ||
+    labPackage.tests.some(test => !test.isActive));
+  if (withdrawn) {
+    return res.status(400).json({
+      success: false,
+      message: `${withdrawn.name} includes a test that is no longer offered`
+    });
+  }
+
+  const overlapping = findOverlappingTest(packages);
+  if (overlapping) {
+    return res.status(400).json({
+      success: false,
+      message: `${overlapping.testName} is in more than one of the selected packages`
+    });
+  }
+
+  if (opdRecordId) {
+    const opdRecord = await OPDRecord.findById(opdRecordId, 'patientId');
+    if (!opdRecord || opdRecord.patientId.toString() !== patient._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'OPD record not found for this patient'
+      });
+    }
+  }
+
   // Get doctor ID if doctor is creating
   let doctorId = req.body.doctorId;
   if (req.user.role === ROLES.DOCTOR) {
@@ -247,25 +410,68 @@ exports.createLabOrder = asyncHandler(async (req, res, next) => {
     if (doctor) doctorId = doctor._id;
   }
 
-  const order = await LabTestOrder.create({
+  const lines = expandRequisition(packages, tests);
+  const orderDetails = {
     patientId,
-    testId,
     doctorId,
     priority: priority || 'Normal',
     notes,
-    opdRecordId
+    opdRecordId,
+    ipdRecordId
+  };
+
+  // The requisition, its test orders and the OPD back-links are written together
+  const requisition = await withTransaction(async (session) => {
+    const [created] = await LabRequisition.create([{
+      ...orderDetails,
+      packages: packages.map(labPackage => ({
+        packageId: labPackage._id,
+        name: labPackage.name,
+        price: labPackage.price
+      })),
+      totalAmount: Math.round(lines.reduce((sum, line) => sum + line.price, 0) * 100) / 100,
+      orderedBy: req.user.id
+    }], { session });
+
+    try {
+      const orders = await LabTestOrder.create(lines.map(line => ({
+        ...orderDetails,
+        requisitionId: created._id,
+        testId: line.test._id,
+        packageId: line.packageId,
+        price: line.price
+      })), { session, ordered: true });
+
+      created.orders = orders.map(order => order._id);
+      await created.save({ session });
+
+      if (opdRecordId) {
+        await linkOrdersToOPDRecord(opdRecordId, orders, session);
+      }
+      return created;
+    } catch (error) {
+      // Without a transaction, remove what was written ourselves
+      if (!session) {
+        await LabTestOrder.deleteMany({ requisitionId: created._id });
+        await LabRequisition.deleteOne({ _id: created._id });
+      }
+      throw error;
+    }
   });
 
-  const populatedOrder = await LabTestOrder.findById(order._id)
+  const populatedRequisition = await LabRequisition.findById(requisition._id)
     .populate({
       path: 'patientId',
       populate: { path: 'userId', select: 'name email phone' }
     })
-    .populate('testId');
+    .populate({
+      path: 'orders',
+      populate: { path: 'testId', select: 'testName testCode category price' }
+    });
 
   res.status(201).json({
     success: true,
-    data: populatedOrder
+    data: populatedRequisition
   });
 });
 
@@ -275,7 +481,7 @@ exports.createLabOrder = asyncHandler(async (req, res, next) => {
  * @access  Private (Lab, Nurse)
  */
 exports.collectSample = asyncHandler(async (req, res, next) => {
-  let order = await LabTestOrder.findById(req.params.id);
+  let order = await LabTestOrder.findById(req.params.id).populate('testId', 'specimenType container');
 
   if (!order) {
     return res.status(404).json({
@@ -284,7 +490,22 @@ exports.collectSample = asyncHandler(async (req, res, next) => {
     });
   }
 
-  order.sampleCollectedAt = new Date();
+  if (order.status !== LAB_STATUS.PENDING) {
+    return res.status(400).json({
+      success: false,
+      message: 'A sample has already been collected for this order'
+    });
+  }
+
+  const collectedAt = new Date();
+  order.samples.push({
+    accessionNumber: await Counter.nextId(ID_SEQUENCES.SAMPLE_ACCESSION, collectedAt),
+    specimenType: order.testId?.specimenType,
+    container: order.testId?.container,
+    collectedAt,
+    collectedBy: req.user.id
+  });
+  order.sampleCollectedAt = collectedAt;
   order.sampleCollectedBy = req.user.id;
   order.status = LAB_STATUS.IN_PROGRESS;
   await order.save();
@@ -295,13 +516,193 @@ exports.collectSample = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * @desc    Receive the collected sample at the lab
+ * @route   PUT /api/lab/orders/:id/receive
+ * @access  Private (Lab)
+ */
+exports.receiveSample = asyncHandler(async (req, res, next) => {
+  const order = await LabTestOrder.findById(req.params.id).populate('testId', 'turnaroundTime');
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lab order not found'
+    });
+  }
+
+  const sample = currentSample(order);
+
+  if (order.status !== LAB_STATUS.IN_PROGRESS || sample?.status !== SAMPLE_STATUS.COLLECTED) {
+    return res.status(400).json({
+      success: false,
+      message: 'There is no collected sample waiting to be received for this order'
+    });
+  }
+
+  // A scanned label must belong to the specimen being received
+  if (req.body.accessionNumber && req.body.accessionNumber.trim().toUpperCase() !== sample.accessionNumber) {
+    return res.status(400).json({
+      success: false,
+      message: `Scanned label does not match sample ${sample.accessionNumber}`
+    });
+  }
+
+  const receivedAt = new Date();
+  sample.status = SAMPLE_STATUS.RECEIVED;
+  sample.receivedAt = receivedAt;
+  sample.receivedBy = req.user.id;
+  order.sampleReceivedAt = receivedAt;
+  order.sampleReceivedBy = req.user.id;
+
+  const targetMinutes = parseTurnaroundMinutes(order.testId?.turnaroundTime);
+  order.turnaround = targetMinutes
+    ? { targetMinutes, dueAt: new Date(receivedAt.getTime() + targetMinutes * 60 * 1000) }
+    : undefined;
+  await order.save();
+
+  res.status(200).json({
+    success: true,
+    data: order
+  });
+});
+
+/**
+ * @desc    Reject the current sample and send the order back for recollection
+ * @route   PUT /api/lab/orders/:id/reject-sample
+ * @access  Private (Lab)
+ */
+exports.rejectSample = asyncHandler(async (req, res, next) => {
+  const { reason, note } = req.body;
+
+  if (!SAMPLE_REJECTION_REASONS.includes(reason)) {
+    return res.status(400).json({
+      success: false,
+      message: `Please provide a rejection reason: ${SAMPLE_REJECTION_REASONS.join(', ')}`
+    });
+  }
+
+  if (reason === 'Other' && !note?.trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please describe why the sample was rejected'
+    });
+  }
+
+  const order = await LabTestOrder.findById(req.params.id);
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lab order not found'
+    });
+  }
+
+  const sample = currentSample(order);
+
+  if (order.status !== LAB_STATUS.IN_PROGRESS || !sample || sample.status === SAMPLE_STATUS.REJECTED) {
+    return res.status(400).json({
+      success: false,
+      message: 'Only samples not yet reported on can be rejected'
+    });
+  }
+
+  sample.status = SAMPLE_STATUS.REJECTED;
+  sample.rejectedAt = new Date();
+  sample.rejectedBy = req.user.id;
+  sample.rejectionReason = reason;
+  sample.rejectionNote = note?.trim();
+
+  // Back to the collection queue; the rejected specimen stays in the sample history
+  order.status = LAB_STATUS.PENDING;
+  order.sampleCollectedAt = undefined;
+  order.sampleCollectedBy = undefined;
+  order.sampleReceivedAt = undefined;
+  order.sampleReceivedBy = undefined;
+  order.turnaround = undefined;
+  await order.save();
+
+  res.status(200).json({
+    success: true,
+    data: order
+  });
+});
+
+// Label of the order's current sample; returns { label } or { status, message }
+const findSampleLabel = async (orderId) => {
+  const order = await LabTestOrder.findById(orderId)
+    .populate({
+      path: 'patientId',
+      populate: { path: 'userId', select: 'name' }
+    })
+    .populate('testId', 'testName testCode');
+
+  if (!order) return { status: 404, message: 'Lab order not found' };
+
+  const sample = currentSample(order);
+  if (!sample || sample.status === SAMPLE_STATUS.REJECTED) {
+    return { status: 400, message: 'Collect a sample before printing its label' };
+  }
+
+  return { label: buildSampleLabel(order, sample) };
+};
+
+/**
+ * @desc    Get label data (barcode payload) of the current sample
+ * @route   GET /api/lab/orders/:id/label
+ * @access  Private (Admin, Lab, Nurse)
+ */
+exports.getSampleLabel = asyncHandler(async (req, res, next) => {
+  const { label, status, message } = await findSampleLabel(req.params.id);
+
+  if (message) {
+    return res.status(status).json({
+      success: false,
+      message
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: label
+  });
+});
+
+/**
+ * @desc    Print the label of the current sample
+ * @route   GET /api/lab/orders/:id/label.pdf
+ * @access  Private (Admin, Lab, Nurse)
+ */
+exports.getSampleLabelPdf = asyncHandler(async (req, res, next) => {
+  const { label, status, message } = await findSampleLabel(req.params.id);
+
+  if (message) {
+    return res.status(status).json({
+      success: false,
+      message
+    });
+  }
+
+  renderSampleLabelPdf(res, label);
+});
+
+// Alert doctors to a critical result; the result stands even if the alert fails
+const alertIfCritical = async (order) => {
+  try {
+    return await sendCriticalLabAlert(order._id);
+  } catch (error) {
+    console.error(`Critical alert failed for ${order.orderId}: ${error.message}`);
+    return [];
+  }
+};
+
 /**
  * @desc    Add test result
  * @route   PUT /api/lab/orders/:id/result
  * @access  Private (Lab)
  */
 exports.addResult = asyncHandler(async (req, res, next) => {
-  let order = await LabTestOrder.findById(req.params.id);
+  let order = await LabTestOrder.findById(req.params.id).populate('testId').populate('patientId');
 
   if (!order) {
     return res.status(404).json({
@@ -310,18 +711,41 @@ exports.addResult = asyncHandler(async (req, res, next) => {
     });
   }
 
-  order.result = {
-    value: req.body.value,
-    unit: req.body.unit,
-    isAbnormal: req.body.isAbnormal,
-    notes: req.body.notes,
-    attachments: req.body.attachments || []
-  };
+  if (order.status === LAB_STATUS.VERIFIED) {
+    return res.status(400).json({
+      success: false,
+      message: 'This result has been verified - please amend it instead'
+    });
+  }
+
+  // Orders from before sample tracking have no samples on record
+  const sample = currentSample(order);
+  if (order.status === LAB_STATUS.PENDING || (sample && sample.status !== SAMPLE_STATUS.RECEIVED)) {
+    return res.status(400).json({
+      success: false,
+      message: 'The sample must be received at the lab before results are entered'
+    });
+  }
+
+  const { result, message } = buildResult(order, req.body);
+
+  if (message) {
+    return res.status(400).json({
+      success: false,
+      message
+    });
+  }
+
+  // Results wait for pathologist verification before release
+  order.result = result;
   order.status = LAB_STATUS.COMPLETED;
   order.completedAt = new Date();
   order.completedBy = req.user.id;
+  order.analyzerRun = undefined;
   await order.save();
 
+  const alertedUsers = await alertIfCritical(order);
+
   const populatedOrder = await LabTestOrder.findById(order._id)
     .populate({
       path: 'patientId',
@@ -329,12 +753,326 @@ exports.addResult = asyncHandler(async (req, res, next) => {
     })
     .populate('testId');
 
+  res.status(200).json({
+    success: true,
+    data: populatedOrder,
+    alerted: alertedUsers.length
+  });
+});
+
+/**
+ * @desc    Verify and sign a result, releasing it
+ * @route   PUT /api/lab/orders/:id/verify
+ * @access  Private (Pathologist)
+ */
+exports.verifyResult = asyncHandler(async (req, res, next) => {
+  const pathologist = await findPathologist(req.user.id);
+
+  if (!pathologist) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only pathologists can verify lab results'
+    });
+  }
+
+  const order = await LabTestOrder.findById(req.params.id);
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lab order not found'
+    });
+  }
+
+  if (order.status !== LAB_STATUS.COMPLETED) {
+    return res.status(400).json({
+      success: false,
+      message: 'Only results awaiting verification can be verified'
+    });
+  }
+
+  if (order.completedBy?.toString() === req.user.id) {
+    return res.status(400).json({
+      success: false,
+      message: 'Results must be verified by someone other than the person who entered them'
+    });
+  }
+
+  const verifiedAt = new Date();
+  order.verification = {
+    verifiedBy: req.user.id,
+    verifiedAt,
+    comments: req.body.comments,
+    signatureHash: signResult(order, req.user.id, verifiedAt)
+  };
+  order.status = LAB_STATUS.VERIFIED;
+
+  // Turnaround runs to the first release; re-verifying an amendment does not change it
+  if (order.turnaround?.dueAt && order.turnaround.minutes == null) {
+    order.turnaround.minutes = Math.round((verifiedAt - order.sampleReceivedAt) / (60 * 1000));
+    order.turnaround.exceeded = verifiedAt > order.turnaround.dueAt;
+  }
+  await order.save();
+  await syncOPDLabTest(order);
+
+  const populatedOrder = await LabTestOrder.findById(order._id)
+    .populate({
+      path: 'patientId',
+      populate: { path: 'userId', select: 'name email phone' }
+    })
+    .populate('testId')
+    .populate('verification.verifiedBy', 'name');
+
   res.status(200).json({
     success: true,
     data: populatedOrder
   });
 });
 
+/**
+ * @desc    Amend a verified result, keeping the original
+ * @route   PUT /api/lab/orders/:id/amend
+ * @access  Private (Lab, Pathologist)
+ */
+exports.amendResult = asyncHandler(async (req, res, next) => {
+  const permissions = await getUserPermissions(req.user);
+
+  if (!handlesResults(permissions) && !(await isPathologist(req.user, permissions))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only lab staff and pathologists can amend lab results'
+    });
+  }
+
+  const reason = req.body.reason?.trim();
+
+  if (!reason) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide the reason for the amendment'
+    });
+  }
+
+  const order = await LabTestOrder.findById(req.params.id).populate('testId').populate('patientId');
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lab order not found'
+    });
+  }
+
+  if (order.status !== LAB_STATUS.VERIFIED) {
+    return res.status(400).json({
+      success: false,
+      message: 'Only verified results can be amended'
+    });
+  }
+
+  const { result, message } = buildResult(order, req.body);
+
+  if (message) {
+    return res.status(400).json({
+      success: false,
+      message
+    });
+  }
+
+  const previous = order.result;
+  const previousFindings = criticalFindings(order);
+  order.amendments.push({
+    previousResult: {
+      value: previous.value,
+      unit: previous.unit,
+      parameters: previous.parameters,
+      isAbnormal: previous.isAbnormal,
+      isCritical: previous.isCritical,
+      notes: previous.notes
+    },
+    previousVerification: {
+      verifiedBy: order.verification.verifiedBy,
+      verifiedAt: order.verification.verifiedAt,
+      signatureHash: order.verification.signatureHash
+    },
+    reason,
+    amendedBy: req.user.id
+  });
+
+  // The amended result is withdrawn from release until it is verified again
+  order.result = result;
+  order.verification = undefined;
+  order.status = LAB_STATUS.COMPLETED;
+
+  // A critical finding the amendment introduced or changed is alerted afresh
+  const findings = criticalFindings(order);
+  if (findings && findings !== previousFindings) {
+    order.criticalAlert = undefined;
+  }
+  order.completedAt = new Date();
+  order.completedBy = req.user.id;
+  order.analyzerRun = undefined;
+  await order.save();
+  await syncOPDLabTest(order);
+
+  const alertedUsers = await alertIfCritical(order);
+
+  const populatedOrder = await LabTestOrder.findById(order._id)
+    .populate({
+      path: 'patientId',
+      populate: { path: 'userId', select: 'name email phone' }
+    })
+    .populate('testId')
+    .populate('amendments.amendedBy', 'name');
+
+  res.status(200).json({
+    success: true,
+    data: populatedOrder,
+    alerted: alertedUsers.length
+  });
+});
+
+/**
+ * @desc    Download the printed report of a lab order
+ * @route   GET /api/lab/orders/:id/report.pdf
+ * @access  Private
+ */
+exports.getLabReportPdf = asyncHandler(async (req, res, next) => {
+  const order = await LabTestOrder.findById(req.params.id)
+    .populate({
+      path: 'patientId',
+      populate: { path: 'userId', select: 'name phone' }
+    })
+    .populate({
+      path: 'doctorId',
+      populate: { path: 'userId', select: 'name' }
+    })
+    .populate('testId')
+    .populate('completedBy', 'name')
+    .populate('verification.verifiedBy', 'name')
+    .populate('amendments.amendedBy', 'name');
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lab order not found'
+    });
+  }
+
+  // Check authorization - patient can only download their own reports
+  if (req.user.role === ROLES.PATIENT) {
+    const patient = await Patient.findOne({ userId: req.user.id });
+    if (!patient || order.patientId._id.toString() !== patient._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this report'
+      });
+    }
+  }
+
+  // Lab staff and pathologists can print a provisional report before verification
+  const released = order.status === LAB_STATUS.VERIFIED;
+  if (!released && (order.status !== LAB_STATUS.COMPLETED || !(await canSeeUnreleasedResults(req.user)))) {
+    return res.status(400).json({
+      success: false,
+      message: 'The report is available once results are verified'
+    });
+  }
+
+  const pathologist = released
+    ? await Doctor.findOne({ userId: order.verification.verifiedBy?._id }, 'licenseNumber department')
+    : null;
+
+  renderLabReportPdf(res, order, pathologist);
+});
+
+/**
+ * @desc    Upload result attachment
+ * @route   POST /api/lab/orders/:id/attachments
+ * @access  Private (Admin, Lab)
+ */
+exports.uploadAttachment = asyncHandler(async (req, res, next) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please upload a file'
+    });
+  }
+
+  const order = await LabTestOrder.findById(req.params.id);
+
+  if (!order) {
+    await removeUploadedFile(req.file);
+    return res.status(404).json({
+      success: false,
+      message: 'Lab order not found'
+    });
+  }
+
+  // A released result only changes through an amendment, which sends it back for verification
+  if (order.status === LAB_STATUS.VERIFIED) {
+    await removeUploadedFile(req.file);
+    return res.status(400).json({
+      success: false,
+      message: 'This result has been verified - amend it before adding attachments'
+    });
+  }
+
+  order.result.attachments.push(buildFileMetadata(req.file, req.user.id, req.body.name));
+  const attachment = order.result.attachments[order.result.attachments.length - 1];
+  attachment.url = `/api/lab/orders/${order._id}/attachments/${attachment._id}`;
+  await order.save();
+
+  res.status(201).json({
+    success: true,
+    data: attachment
+  });
+});
+
+/**
+ * @desc    Download result attachment
+ * @route   GET /api/lab/orders/:id/attachments/:attachmentId
+ * @access  Private
+ */
+exports.downloadAttachment = asyncHandler(async (req, res, next) => {
+  const order = await LabTestOrder.findById(req.params.id);
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lab order not found'
+    });
+  }
+
+  // Check authorization - patient can only download their own results
+  if (req.user.role === ROLES.PATIENT) {
+    const patient = await Patient.findOne({ userId: req.user.id });
+    if (!patient || order.patientId.toString() !== patient._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this attachment'
+      });
+    }
+  }
+
+  if (order.status !== LAB_STATUS.VERIFIED && !(await canSeeUnreleasedResults(req.user))) {
+    return res.status(403).json({
+      success: false,
+      message: 'This result has not been released yet'
+    });
+  }
+
+  const attachment = order.result?.attachments.id(req.params.attachmentId);
+
+  if (!attachment || !attachment.fileName) {
+    return res.status(404).json({
+      success: false,
+      message: 'Attachment not found'
+    });
+  }
+
+  sendStoredFile(res, attachment);
+});
+
 /**
  * @desc    Get patient's lab history
  * @route   GET /api/lab/patient/:patientId
@@ -347,12 +1085,15 @@ exports.getPatientLabHistory = asyncHandler(async (req, res, next) => {
       path: 'doctorId',
       populate: { path: 'userId', select: 'name' }
     })
+    .populate('verification.verifiedBy', 'name')
     .sort({ orderDate: -1 });
 
+  const showUnreleased = await canSeeUnreleasedResults(req.user);
+
   res.status(200).json({
     success: true,
     count: orders.length,
-    data: orders
+    data: showUnreleased ? orders : orders.map(withholdUnreleased)
   });
 });
 
@@ -371,6 +1112,17 @@ exports.getLabStats = asyncHandler(async (req, res, next) => {
   
   const pendingOrders = await LabTestOrder.countDocuments({ status: LAB_STATUS.PENDING });
   const inProgressOrders = await LabTestOrder.countDocuments({ status: LAB_STATUS.IN_PROGRESS });
+  const awaitingVerification = await LabTestOrder.countDocuments({ status: LAB_STATUS.COMPLETED });
+  const awaitingReceipt = await LabTestOrder.countDocuments({
+    status: LAB_STATUS.IN_PROGRESS,
+    sampleReceivedAt: null
+  });
+
+  // Received but not yet released past their turnaround time
+  const overdueOrders = await LabTestOrder.countDocuments({
+    status: { $in: [LAB_STATUS.IN_PROGRESS, LAB_STATUS.COMPLETED] },
+    'turnaround.dueAt': { $lt: new Date() }
+  });
   
   const todayOrders = await LabTestOrder.countDocuments({
     orderDate: { $gte: today, $lt: tomorrow }
@@ -380,14 +1132,39 @@ exports.getLabStats = asyncHandler(async (req, res, next) => {
     completedAt: { $gte: today, $lt: tomorrow }
   });
 
+  const todayRejectedSamples = await LabTestOrder.countDocuments({
+    samples: { $elemMatch: { rejectedAt: { $gte: today, $lt: tomorrow } } }
+  });
+
+  const [todayTurnaround] = await LabTestOrder.aggregate([
+    { $match: { 'verification.verifiedAt': { $gte: today, $lt: tomorrow }, 'turnaround.minutes': { $ne: null } } },
+    {
+      $group: {
+        _id: null,
+        averageMinutes: { $avg: '$turnaround.minutes' },
+        released: { $sum: 1 },
+        exceeded: { $sum: { $cond: ['$turnaround.exceeded', 1, 0] } }
+      }
+    }
+  ]);
+
   res.status(200).json({
     success: true,
     data: {
       totalTests,
       pendingOrders,
       inProgressOrders,
+      awaitingVerification,
+      awaitingReceipt,
+      overdueOrders,
       todayOrders,
-      todayCompleted
+      todayCompleted,
+      todayRejectedSamples,
+      turnaround: {
+        averageMinutes: todayTurnaround ? Math.round(todayTurnaround.averageMinutes) : 0,
+        released: todayTurnaround?.released || 0,
+        exceeded: todayTurnaround?.exceeded || 0
+      }
     }
   });
 });
@@ -0,0 +1,168 @@
+/**
+ * Lab Package Controller
+ * Handles lab test packages and their pricing
+ */
+
+const LabPackage = require('../models/LabPackage');
+const { LabTest } = require('../models/LabTest');
+const asyncHandler = require('../middleware/asyncHandler');
+
+// Sum of the tests' own prices, shown against the package price
+const withListPrice = (labPackage) => ({
+  ...labPackage.toObject(),
+  listPrice: labPackage.tests.reduce((sum, test) => sum + (test.price || 0), 0)
+});
+
+// The package's tests must all be offered; returns an error message or null
+const checkPackageTests = async (testIds) => {
+  if (!Array.isArray(testIds) || testIds.length === 0) {
+    return 'Please add at least one test to the package';
+  }
+
+  const uniqueIds = [...new Set(testIds.map(String))];
+  const activeCount = await LabTest.countDocuments({ _id: { $in: uniqueIds }, isActive: true });
+  return activeCount === uniqueIds.length ? null : 'One or more tests in the package were not found';
+};
+
+/**
+ * @desc    Get all lab packages
+ * @route   GET /api/lab/packages
+ * @access  Private
+ */
+exports.getLabPackages = asyncHandler(async (req, res, next) => {
+  const { search, page = 1, limit = 20 } = req.query;
+
+  let query = { isActive: true };
+
+  if (search) {
+    query.name = { $regex: search, $options: 'i' };
+  }
+
+  const packages = await LabPackage.find(query)
+    .populate('tests', 'testName testCode category price')
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit))
+    .sort({ name: 1 });
+
+  const total = await LabPackage.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: packages.length,
+    total,
+    pages: Math.ceil(total / limit),
+    currentPage: parseInt(page),
+    data: packages.map(withListPrice)
+  });
+});
+
+/**
+ * @desc    Get single lab package
+ * @route   GET /api/lab/packages/:id
+ * @access  Private
+ */
+exports.getLabPackage = asyncHandler(async (req, res, next) => {
+  const labPackage = await LabPackage.findById(req.params.id)
+    .populate('tests', 'testName testCode category price');
+
+  if (!labPackage) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lab package not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: withListPrice(labPackage)
+  });
+});
+
+/**
+ * @desc    Create lab package
+ * @route   POST /api/lab/packages
+ * @access  Private (Admin, Lab)
+ */
+exports.createLabPackage = asyncHandler(async (req, res, next) => {
+  const { name, description, tests, price } = req.body;
+
+  const message = await checkPackageTests(tests);
+  if (message) {
+    return res.status(400).json({
+      success: false,
+      message
+    });
+  }
+
+  const labPackage = await LabPackage.create({ name, description, tests, price });
+
+  res.status(201).json({
+    success: true,
+    data: labPackage
+  });
+});
+
+/**
+ * @desc    Update lab package
+ * @route   PUT /api/lab/packages/:id
+ * @access  Private (Admin, Lab)
+ */
+exports.updateLabPackage = asyncHandler(async (req, res, next) => {
+  const labPackage = await LabPackage.findById(req.params.id);
+
+  if (!labPackage) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lab package not found'
+    });
+  }
+
+  const { name, description, tests, price } = req.body;
+
+  if (tests !== undefined) {
+    const message = await checkPackageTests(tests);
+    if (message) {
+      return res.status(400).json({
+        success: false,
+        message
+      });
+    }
+    labPackage.tests = tests;
+  }
+
+  // Orders already placed keep the price they were charged
+  if (name !== undefined) labPackage.name = name;
+  if (description !== undefined) labPackage.description = description;
+  if (price !== undefined) labPackage.price = price;
+  await labPackage.save();
+
+  res.status(200).json({
+    success: true,
+    data: labPackage
+  });
+});
+
+/**
+ * @desc    Delete lab package
+ * @route   DELETE /api/lab/packages/:id
+ * @access  Private (Admin)
+ */
+exports.deleteLabPackage = asyncHandler(async (req, res, next) => {
+  const labPackage = await LabPackage.findById(req.params.id);
+
+  if (!labPackage) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lab package not found'
+    });
+  }
+
+  // Soft delete
+  labPackage.isActive = false;
+  await labPackage.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Lab package deleted successfully'
+  });
+});
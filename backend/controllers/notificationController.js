@@ -0,0 +1,136 @@
+/**
+ * Notification Controller
+ * The signed-in user's notifications, read state and acknowledgements
+ */
+
+const Notification = require('../models/Notification');
+const { LabTestOrder } = require('../models/LabTest');
+const asyncHandler = require('../middleware/asyncHandler');
+const withTransaction = require('../utils/transaction');
+const { NOTIFICATION_REFERENCE_TYPE } = require('../config/constants');
+
+/**
+ * @desc    Get my notifications
+ * @route   GET /api/notifications
+ * @access  Private
+ */
+exports.getNotifications = asyncHandler(async (req, res, next) => {
+  const { unread, page = 1, limit = 20 } = req.query;
+
+  const query = { recipient: req.user.id };
+  if (unread === 'true') query.readAt = null;
+
+  const notifications = await Notification.find(query)
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit))
+    .sort({ createdAt: -1 });
+
+  const total = await Notification.countDocuments(query);
+  const unreadCount = await Notification.countDocuments({ recipient: req.user.id, readAt: null });
+
+  res.status(200).json({
+    success: true,
+    count: notifications.length,
+    total,
+    pages: Math.ceil(total / limit),
+    currentPage: parseInt(page),
+    unreadCount,
+    data: notifications
+  });
+});
+
+/**
+ * @desc    Mark a notification as read
+ * @route   PUT /api/notifications/:id/read
+ * @access  Private
+ */
+exports.markAsRead = asyncHandler(async (req, res, next) => {
+  const notification = await Notification.findOne({ _id: req.params.id, recipient: req.user.id });
+
+  if (!notification) {
+    return res.status(404).json({
+      success: false,
+      message: 'Notification not found'
+    });
+  }
+
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+
+  res.status(200).json({
+    success: true,
+    data: notification
+  });
+});
+
+/**
+ * @desc    Mark all my notifications as read
+ * @route   PUT /api/notifications/read-all
+ * @access  Private
+ */
+exports.markAllAsRead = asyncHandler(async (req, res, next) => {
+  const result = await Notification.updateMany(
+    { recipient: req.user.id, readAt: null },
+    { readAt: new Date() }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: `${result.modifiedCount} notification(s) marked as read`
+  });
+});
+
+/**
+ * @desc    Acknowledge a critical notification
+ * @route   PUT /api/notifications/:id/acknowledge
+ * @access  Private
+ */
+exports.acknowledgeNotification = asyncHandler(async (req, res, next) => {
+  const notification = await Notification.findOne({ _id: req.params.id, recipient: req.user.id });
+
+  if (!notification) {
+    return res.status(404).json({
+      success: false,
+      message: 'Notification not found'
+    });
+  }
+
+  if (!notification.requiresAcknowledgement) {
+    return res.status(400).json({
+      success: false,
+      message: 'This notification does not need acknowledgement'
+    });
+  }
+
+  if (notification.acknowledgedAt) {
+    return res.status(400).json({
+      success: false,
+      message: 'Notification already acknowledged'
+    });
+  }
+
+  const acknowledgedAt = new Date();
+  notification.acknowledgedAt = acknowledgedAt;
+  notification.acknowledgementNote = req.body.note;
+  notification.readAt = notification.readAt || acknowledgedAt;
+
+  // The order keeps its own log, which also stops escalation
+  await withTransaction(async (session) => {
+    await notification.save({ session });
+
+    if (notification.reference?.type === NOTIFICATION_REFERENCE_TYPE.LAB_ORDER) {
+      await LabTestOrder.updateOne(
+        { _id: notification.reference.documentId },
+        { $push: { 'criticalAlert.acknowledgements': { user: req.user.id, note: req.body.note, acknowledgedAt } } },
+        { session }
+      );
+    }
+  });
+
+  res.status(200).json({
+    success: true,
+    data: notification
+  });
+});
@@ -8,8 +8,41 @@ const Patient = require('../models/Patient');
 const Doctor = require('../models/Doctor');
 const Appointment = require('../models/Appointment');
 const asyncHandler = require('../middleware/asyncHandler');
+const { screenPrescription } = require('../utils/drugSafety');
+const { keepDispensingState } = require('../utils/dispensing');
 const { ROLES, APPOINTMENT_STATUS } = require('../config/constants');
 
+// Safety screening results belong to the drug that was screened
+const SAFETY_FIELDS = ['safetyAlerts', 'overrideReason', 'overriddenBy', 'overriddenAt'];
+
+const isSameDrug = (line, existing) => (line.medicine || '') === (existing.medicine || '') &&
+  String(line.medicineId || '') === String(existing.medicineId || '');
+
+// New lines and lines whose drug was changed need screening; the rest keep their recorded alerts
+const splitForScreening = (lines, existingLines = []) => {
+  const toScreen = [];
+  const screened = [];
+  lines.forEach(line => {
+    const existing = line._id && existingLines.find(current => current._id.equals(line._id));
+    if (existing && isSameDrug(line, existing)) {
+      const recorded = existing.toObject();
+      SAFETY_FIELDS.forEach(field => { line[field] = recorded[field]; });
+      screened.push(line);
+    } else {
+      // An override given for the previous drug does not carry over
+      if (existing && line.overrideReason === existing.overrideReason) delete line.overrideReason;
+      toScreen.push(line);
+    }
+  });
+  return { toScreen, screened };
+};
+
+const sendSafetyWarnings = (res, warnings) => res.status(400).json({
+  success: false,
+  message: 'Drug safety warnings need review - give an override reason to prescribe anyway',
+  warnings
+});
+
 /**
  * @desc    Get all OPD records
  * @route   GET /api/opd
@@ -44,6 +77,8 @@ exports.getOPDRecords = asyncHandler(async (req, res, next) => {
       path: 'doctorId',
       populate: { path: 'userId', select: 'name' }
     })
+    .populate('labTests.test', 'testName')
+    .populate('labTests.order', 'orderId status')
     .skip((page - 1) * limit)
     .limit(parseInt(limit))
     .sort({ visitDate: -1 });
@@ -75,7 +110,8 @@ exports.getOPDRecord = asyncHandler(async (req, res, next) => {
       path: 'doctorId',
       populate: { path: 'userId', select: 'name' }
     })
-    .populate('labTests.test');
+    .populate('labTests.test')
+    .populate('labTests.order', 'orderId status');
 
   if (!record) {
     return res.status(404).json({
@@ -134,6 +170,13 @@ exports.createOPDRecord = asyncHandler(async (req, res, next) => {
     });
   }
 
+  const lines = prescription ? keepDispensingState(prescription) : [];
+  const warnings = await screenPrescription(patient, lines, [], req.user.id);
+
+  if (warnings.length > 0) {
+    return sendSafetyWarnings(res, warnings);
+  }
+
   // Create OPD record
   const record = await OPDRecord.create({
     patientId,
@@ -142,7 +185,7 @@ exports.createOPDRecord = asyncHandler(async (req, res, next) => {
     symptoms,
     vitalSigns,
     diagnosis,
-    prescription,
+    prescription: lines,
     followUpDate,
     treatmentNotes
   });
@@ -186,7 +229,23 @@ exports.updateOPDRecord = asyncHandler(async (req, res, next) => {
     });
   }
 
-  record = await OPDRecord.findByIdAndUpdate(req.params.id, req.body, {
+  const updates = { ...req.body };
+  if (Array.isArray(updates.prescription)) {
+    updates.prescription = keepDispensingState(updates.prescription, record.prescription);
+
+    const { toScreen, screened } = splitForScreening(updates.prescription, record.prescription);
+    const patient = await Patient.findById(updates.patientId || record.patientId);
+    const warnings = await screenPrescription(patient, toScreen, screened, req.user.id);
+
+    if (warnings.length > 0) {
+      return sendSafetyWarnings(res, warnings.map(warning => ({
+        ...warning,
+        index: updates.prescription.indexOf(toScreen[warning.index])
+      })));
+    }
+  }
+
+  record = await OPDRecord.findByIdAndUpdate(req.params.id, updates, {
     new: true,
     runValidators: true
   })
@@ -263,7 +322,15 @@ exports.addPrescription = asyncHandler(async (req, res, next) => {
     });
   }
 
-  record.prescription.push(req.body);
+  const patient = await Patient.findById(record.patientId);
+  const lines = keepDispensingState([req.body]);
+  const warnings = await screenPrescription(patient, lines, record.prescription, req.user.id);
+
+  if (warnings.length > 0) {
+    return sendSafetyWarnings(res, warnings);
+  }
+
+  record.prescription.push(...lines);
   await record.save();
 
   res.status(200).json({
@@ -6,6 +6,7 @@
 const Patient = require('../models/Patient');
 const User = require('../models/User');
 const asyncHandler = require('../middleware/asyncHandler');
+const { removeUploadedFile, sendStoredFile, buildFileMetadata } = require('../utils/fileStorage');
 const { ROLES } = require('../config/constants');
 
 /**
@@ -263,3 +264,74 @@ exports.addAllergy = asyncHandler(async (req, res, next) => {
     data: patient
   });
 });
+
+/**
+ * @desc    Upload patient document
+ * @route   POST /api/patients/:id/documents
+ * @access  Private (Admin, Doctor, Nurse, Receptionist)
+ */
+exports.uploadDocument = asyncHandler(async (req, res, next) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please upload a file'
+    });
+  }
+
+  const patient = await Patient.findById(req.params.id);
+
+  if (!patient) {
+    await removeUploadedFile(req.file);
+    return res.status(404).json({
+      success: false,
+      message: 'Patient not found'
+    });
+  }
+
+  patient.documents.push(buildFileMetadata(req.file, req.user.id, req.body.name));
+  const document = patient.documents[patient.documents.length - 1];
+  document.url = `/api/patients/${patient._id}/documents/${document._id}`;
+  await patient.save();
+
+  res.status(201).json({
+    success: true,
+    data: document
+  });
+});
+
+/**
+ * @desc    Download patient document
+ * @route   GET /api/patients/:id/documents/:documentId
+ * @access  Private
+ */
+exports.downloadDocument = asyncHandler(async (req, res, next) => {
+  const patient = await Patient.findById(req.params.id);
+
+  if (!patient) {
+    return res.status(404).json({
+      success: false,
+      message: 'Patient not found'
+    });
+  }
+
+  // Check authorization - patient can only download their own documents
+  if (req.user.role === ROLES.PATIENT) {
+    if (patient.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this document'
+      });
+    }
+  }
+
+  const document = patient.documents.id(req.params.documentId);
+
+  if (!document || !document.fileName) {
+    return res.status(404).json({
+      success: false,
+      message: 'Document not found'
+    });
+  }
+
+  sendStoredFile(res, document);
+});
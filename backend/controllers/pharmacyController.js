@@ -4,7 +4,99 @@
  */
 
 const Pharmacy = require('../models/Pharmacy');
+const StockMovement = require('../models/StockMovement');
 const asyncHandler = require('../middleware/asyncHandler');
+const withTransaction = require('../utils/transaction');
+const { recordStockMovements, saveStockMovements } = require('../utils/stockLedger');
+const { findLowStockMedicines } = require('../utils/reorder');
+const { STOCK_MOVEMENT_TYPE, STOCK_REFERENCE_TYPE } = require('../config/constants');
+
+// Days ahead that count as "expiring soon"
+const EXPIRY_WINDOW_DAYS = 30;
+
+// Movement types each stock operation may record; the first is the default
+const OPERATION_TYPES = {
+  add: [STOCK_MOVEMENT_TYPE.RECEIPT, STOCK_MOVEMENT_TYPE.RETURN],
+  subtract: [STOCK_MOVEMENT_TYPE.DISPENSE, STOCK_MOVEMENT_TYPE.WASTAGE, STOCK_MOVEMENT_TYPE.EXPIRY],
+  set: [STOCK_MOVEMENT_TYPE.ADJUSTMENT]
+};
+
+// Movements that must say why they happened
+const REASON_REQUIRED = [
+  STOCK_MOVEMENT_TYPE.RETURN,
+  STOCK_MOVEMENT_TYPE.ADJUSTMENT,
+  STOCK_MOVEMENT_TYPE.WASTAGE,
+  STOCK_MOVEMENT_TYPE.EXPIRY
+];
+
+const parseDateRange = (from, to) => {
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) {
+    const end = new Date(to);
+    end.setHours(23, 59, 59, 999);
+    range.$lte = end;
+  }
+  return range;
+};
+
+// Paginated movement listing shared by the per-medicine and pharmacy-wide histories
+const sendMovements = async (res, { medicine, type, batchNumber, from, to, page = 1, limit = 20 }) => {
+  const query = {};
+  if (medicine) query.medicineId = medicine;
+  if (type) query.type = type;
+  if (batchNumber) query.batchNumber = batchNumber;
+  if (from || to) query.createdAt = parseDateRange(from, to);
+
+  const movements = await StockMovement.find(query)
+    .populate('medicineId', 'medicineId name unit')
+    .populate('performedBy', 'name role')
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit))
+    .sort({ createdAt: -1, _id: -1 });
+
+  const total = await StockMovement.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: movements.length,
+    total,
+    pages: Math.ceil(total / limit),
+    currentPage: parseInt(page),
+    data: movements
+  });
+};
+
+const expiringSoonRange = () => {
+  const windowEnd = new Date();
+  windowEnd.setDate(windowEnd.getDate() + EXPIRY_WINDOW_DAYS);
+  return { $gte: new Date(), $lte: windowEnd };
+};
+
+// One row per batch still holding stock whose expiry falls in the range
+const findBatchesByExpiry = (expiryRange) => Pharmacy.aggregate([
+  { $match: { isActive: true, 'batches.expiryDate': expiryRange } },
+  { $unwind: '$batches' },
+  { $match: { 'batches.quantity': { $gt: 0 }, 'batches.expiryDate': expiryRange } },
+  { $sort: { 'batches.expiryDate': 1, name: 1 } },
+  {
+    $project: {
+      _id: '$batches._id',
+      medicine: '$_id',
+      medicineId: 1,
+      name: 1,
+      genericName: 1,
+      category: 1,
+      unit: 1,
+      batchNumber: '$batches.batchNumber',
+      manufacturingDate: '$batches.manufacturingDate',
+      expiryDate: '$batches.expiryDate',
+      quantity: '$batches.quantity',
+      purchasePrice: '$batches.purchasePrice',
+      stockValue: { $multiply: ['$batches.quantity', { $ifNull: ['$batches.purchasePrice', 0] }] }
+    }
+  }
+]);
 
 /**
  * @desc    Get all medicines
@@ -38,7 +130,7 @@ exports.getMedicines = asyncHandler(async (req, res, next) => {
   }
 
   if (expired === 'true') {
-    query.expiryDate = { $lt: new Date() };
+    query.batches = { $elemMatch: { quantity: { $gt: 0 }, expiryDate: { $lt: new Date() } } };
   }
 
   const medicines = await Pharmacy.find(query)
@@ -64,7 +156,7 @@ exports.getMedicines = asyncHandler(async (req, res, next) => {
  * @access  Private
  */
 exports.getMedicine = asyncHandler(async (req, res, next) => {
-  const medicine = await Pharmacy.findById(req.params.id);
+  const medicine = await Pharmacy.findById(req.params.id).populate('supplierId', 'supplierId name');
 
   if (!medicine) {
     return res.status(404).json({
@@ -85,7 +177,37 @@ exports.getMedicine = asyncHandler(async (req, res, next) => {
  * @access  Private (Admin, Pharmacy)
  */
 exports.createMedicine = asyncHandler(async (req, res, next) => {
-  const medicine = await Pharmacy.create(req.body);
+  const { batchNumber, manufacturingDate, expiryDate, stock, ...fields } = req.body;
+
+  // Stock is the sum of the batches, so opening stock needs a batch to go into
+  if (!fields.batches && !batchNumber && Number(stock) > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide the batch number and expiry date for the opening stock'
+    });
+  }
+
+  // Older clients send a single batch as flat fields
+  if (!fields.batches && batchNumber) {
+    fields.batches = [{
+      batchNumber,
+      manufacturingDate,
+      expiryDate,
+      quantity: stock,
+      purchasePrice: fields.purchasePrice
+    }];
+  }
+
+  const medicine = await withTransaction(async (session) => {
+    const [created] = await Pharmacy.create([fields], { session });
+    await recordStockMovements(
+      created,
+      created.batches.map(batch => ({ batchId: batch._id, quantity: batch.quantity })),
+      { type: STOCK_MOVEMENT_TYPE.RECEIPT, reason: 'Opening stock', userId: req.user.id },
+      session
+    );
+    return created;
+  });
 
   res.status(201).json({
     success: true,
@@ -108,7 +230,12 @@ exports.updateMedicine = asyncHandler(async (req, res, next) => {
     });
   }
 
-  medicine = await Pharmacy.findByIdAndUpdate(req.params.id, req.body, {
+  // Batches and stock only change through stock movements
+  const updates = { ...req.body };
+  delete updates.batches;
+  delete updates.stock;
+
+  medicine = await Pharmacy.findByIdAndUpdate(req.params.id, updates, {
     new: true,
     runValidators: true
   });
@@ -150,9 +277,40 @@ exports.deleteMedicine = asyncHandler(async (req, res, next) => {
  * @access  Private (Admin, Pharmacy)
  */
 exports.updateStock = asyncHandler(async (req, res, next) => {
-  const { quantity, operation } = req.body;
+  const { batchNumber, manufacturingDate, expiryDate, purchasePrice, reason, reference } = req.body;
+  const operation = OPERATION_TYPES[req.body.operation] ? req.body.operation : 'set';
+  const type = req.body.type || OPERATION_TYPES[operation][0];
+  const quantity = Number(req.body.quantity);
 
-  let medicine = await Pharmacy.findById(req.params.id);
+  if (!OPERATION_TYPES[operation].includes(type)) {
+    return res.status(400).json({
+      success: false,
+      message: `A ${operation} operation cannot record a ${type} movement`
+    });
+  }
+
+  if (!Number.isFinite(quantity) || quantity < 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide a valid quantity'
+    });
+  }
+
+  if (REASON_REQUIRED.includes(type) && !reason?.trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide a reason for this stock movement'
+    });
+  }
+
+  if (reference?.type && !Object.values(STOCK_REFERENCE_TYPE).includes(reference.type)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid reference type'
+    });
+  }
+
+  const medicine = await Pharmacy.findById(req.params.id);
 
   if (!medicine) {
     return res.status(404).json({
@@ -161,25 +319,215 @@ exports.updateStock = asyncHandler(async (req, res, next) => {
     });
   }
 
-  if (operation === 'add') {
-    medicine.stock += quantity;
-  } else if (operation === 'subtract') {
-    if (medicine.stock < quantity) {
+  // Prescription-only medicines leave the counter against a prescription (see the dispensing queue)
+  if (type === STOCK_MOVEMENT_TYPE.DISPENSE && medicine.prescriptionRequired &&
+    !(reference?.type === STOCK_REFERENCE_TYPE.PRESCRIPTION && reference.number)) {
+    return res.status(400).json({
+      success: false,
+      message: `${medicine.name} requires a prescription - please provide the prescription number`
+    });
+  }
+
+  const batch = batchNumber && medicine.batches.find(existing => existing.batchNumber === batchNumber);
+
+  // Everything except FEFO dispensing and wastage works on a named batch
+  if (!batchNumber && !(operation === 'subtract' && type !== STOCK_MOVEMENT_TYPE.EXPIRY)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide batch number'
+    });
+  }
+
+  if (batchNumber && !batch && !(operation === 'add' && type === STOCK_MOVEMENT_TYPE.RECEIPT)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Batch not found'
+    });
+  }
+
+  let changes;
+  let allocations;
+
+  if (operation === 'subtract') {
+    if (type === STOCK_MOVEMENT_TYPE.EXPIRY && batch.expiryDate > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: `Batch ${batchNumber} has not expired yet`
+      });
+    }
+
+    if (type === STOCK_MOVEMENT_TYPE.DISPENSE && batch && batch.expiryDate <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: `Batch ${batchNumber} has expired and cannot be dispensed`
+      });
+    }
+
+    // Without a batch, draw first-expiring batches first; expired batches are never drawn from
+    if (batch) {
+      const allocation = medicine.takeFromBatch(batch, quantity);
+      allocations = allocation && [allocation];
+    } else {
+      allocations = medicine.consumeStock(quantity);
+    }
+
+    if (!allocations) {
+      return res.status(400).json({
+        success: false,
+        message: batch ? `Batch ${batchNumber} holds only ${batch.quantity}` : 'Insufficient unexpired stock'
+      });
+    }
+
+    changes = allocations.map(allocation => ({ batchId: allocation.batchId, quantity: -allocation.quantity }));
+  } else if (operation === 'add') {
+    if (!batch && !expiryDate) {
       return res.status(400).json({
         success: false,
-        message: 'Insufficient stock'
+        message: 'Please provide expiry date for the new batch'
       });
     }
-    medicine.stock -= quantity;
+
+    if (batch && expiryDate && new Date(expiryDate).getTime() !== batch.expiryDate.getTime()) {
+      return res.status(400).json({
+        success: false,
+        message: `Batch ${batchNumber} is already recorded with a different expiry date`
+      });
+    }
+
+    const received = medicine.receiveBatch({ batchNumber, manufacturingDate, expiryDate, quantity, purchasePrice });
+    changes = [{ batchId: received._id, quantity }];
   } else {
-    medicine.stock = quantity;
+    // Physical count correction of a single batch
+    changes = [{ batchId: batch._id, quantity: quantity - batch.quantity }];
+    batch.quantity = quantity;
   }
 
-  await medicine.save();
+  const movements = await saveStockMovements(medicine, changes, {
+    type,
+    reason,
+    reference,
+    userId: req.user.id
+  });
 
   res.status(200).json({
     success: true,
-    data: medicine
+    data: medicine,
+    movements,
+    ...(allocations && { allocations })
+  });
+});
+
+/**
+ * @desc    Get stock movement history of a medicine
+ * @route   GET /api/pharmacy/:id/movements
+ * @access  Private (Admin, Pharmacy)
+ */
+exports.getMedicineMovements = asyncHandler(async (req, res, next) => {
+  const medicine = await Pharmacy.findById(req.params.id).select('_id');
+
+  if (!medicine) {
+    return res.status(404).json({
+      success: false,
+      message: 'Medicine not found'
+    });
+  }
+
+  await sendMovements(res, { ...req.query, medicine: medicine._id });
+});
+
+/**
+ * @desc    Get stock movements across the pharmacy
+ * @route   GET /api/pharmacy/movements
+ * @access  Private (Admin, Pharmacy)
+ */
+exports.getMovements = asyncHandler(async (req, res, next) => {
+  await sendMovements(res, req.query);
+});
+
+/**
+ * @desc    Reconcile stock against the movement ledger
+ * @route   GET /api/pharmacy/reports/reconciliation
+ * @access  Private (Admin, Pharmacy)
+ */
+exports.getReconciliationReport = asyncHandler(async (req, res, next) => {
+  const { from, to, discrepanciesOnly } = req.query;
+  const period = parseDateRange(from, to);
+
+  const sumWhere = (condition) => ({ $sum: { $cond: [condition, '$quantity', 0] } });
+  const inPeriod = [
+    ...(period.$gte ? [{ $gte: ['$createdAt', period.$gte] }] : []),
+    ...(period.$lte ? [{ $lte: ['$createdAt', period.$lte] }] : [])
+  ];
+  const typeTotals = Object.fromEntries(Object.values(STOCK_MOVEMENT_TYPE).map(type => [
+    type,
+    sumWhere({ $and: [{ $eq: ['$type', type] }, ...inPeriod] })
+  ]));
+
+  // Ledger totals per batch: all time (to compare with what is on the shelf) and for the period
+  const batchTotals = await StockMovement.aggregate([
+    {
+      $group: {
+        _id: { medicineId: '$medicineId', batchId: '$batchId' },
+        ledgerQuantity: { $sum: '$quantity' },
+        opening: period.$gte ? sumWhere({ $lt: ['$createdAt', period.$gte] }) : { $sum: 0 },
+        closing: period.$lte ? sumWhere({ $lte: ['$createdAt', period.$lte] }) : { $sum: '$quantity' },
+        ...typeTotals
+      }
+    }
+  ]);
+
+  const medicines = await Pharmacy.find({ isActive: true }).sort({ name: 1 });
+  const totalsByBatch = new Map(batchTotals.map(total => [total._id.batchId.toString(), total]));
+
+  const rows = medicines.map(medicine => {
+    const movementTotals = Object.fromEntries(Object.values(STOCK_MOVEMENT_TYPE).map(type => [type, 0]));
+    let opening = 0;
+    let closing = 0;
+    let ledgerStock = 0;
+
+    const batches = medicine.batches.map(batch => {
+      const totals = totalsByBatch.get(batch._id.toString());
+      const ledgerQuantity = totals?.ledgerQuantity || 0;
+
+      if (totals) {
+        opening += totals.opening;
+        closing += totals.closing;
+        Object.keys(movementTotals).forEach(type => { movementTotals[type] += totals[type]; });
+      }
+      ledgerStock += ledgerQuantity;
+
+      return {
+        batchNumber: batch.batchNumber,
+        expiryDate: batch.expiryDate,
+        quantity: batch.quantity,
+        ledgerQuantity,
+        variance: batch.quantity - ledgerQuantity
+      };
+    });
+
+    return {
+      medicine: medicine._id,
+      medicineId: medicine.medicineId,
+      name: medicine.name,
+      unit: medicine.unit,
+      opening,
+      movements: movementTotals,
+      closing,
+      stock: medicine.stock,
+      ledgerStock,
+      // Units on the shelf that the ledger cannot account for (negative: units missing)
+      variance: medicine.stock - ledgerStock,
+      discrepancies: batches.filter(batch => batch.variance !== 0)
+    };
+  });
+
+  const data = discrepanciesOnly === 'true' ? rows.filter(row => row.discrepancies.length > 0) : rows;
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    period: { from: period.$gte || null, to: period.$lte || null },
+    data
   });
 });
 
@@ -189,10 +537,7 @@ exports.updateStock = asyncHandler(async (req, res, next) => {
  * @access  Private (Admin, Pharmacy)
  */
 exports.getLowStockMedicines = asyncHandler(async (req, res, next) => {
-  const medicines = await Pharmacy.find({
-    isActive: true,
-    $expr: { $lte: ['$stock', '$minStockLevel'] }
-  }).sort({ stock: 1 });
+  const medicines = await findLowStockMedicines();
 
   res.status(200).json({
     success: true,
@@ -202,44 +547,32 @@ exports.getLowStockMedicines = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Get expired medicines
+ * @desc    Get expired batches still in stock
  * @route   GET /api/pharmacy/expired
  * @access  Private (Admin, Pharmacy)
  */
 exports.getExpiredMedicines = asyncHandler(async (req, res, next) => {
-  const medicines = await Pharmacy.find({
-    isActive: true,
-    expiryDate: { $lt: new Date() }
-  }).sort({ expiryDate: 1 });
+  const batches = await findBatchesByExpiry({ $lt: new Date() });
 
   res.status(200).json({
     success: true,
-    count: medicines.length,
-    data: medicines
+    count: batches.length,
+    data: batches
   });
 });
 
 /**
- * @desc    Get medicines expiring soon (within 30 days)
+ * @desc    Get batches expiring soon (within 30 days)
  * @route   GET /api/pharmacy/expiring-soon
  * @access  Private (Admin, Pharmacy)
  */
 exports.getExpiringSoon = asyncHandler(async (req, res, next) => {
-  const thirtyDaysFromNow = new Date();
-  thirtyDaysFromNow.setDate(thirtyDaysFromNow.getDate() + 30);
-
-  const medicines = await Pharmacy.find({
-    isActive: true,
-    expiryDate: {
-      $gte: new Date(),
-      $lte: thirtyDaysFromNow
-    }
-  }).sort({ expiryDate: 1 });
+  const batches = await findBatchesByExpiry(expiringSoonRange());
 
   res.status(200).json({
     success: true,
-    count: medicines.length,
-    data: medicines
+    count: batches.length,
+    data: batches
   });
 });
 
@@ -256,21 +589,9 @@ exports.getPharmacyStats = asyncHandler(async (req, res, next) => {
     $expr: { $lte: ['$stock', '$minStockLevel'] }
   });
   
-  const expired = await Pharmacy.countDocuments({
-    isActive: true,
-    expiryDate: { $lt: new Date() }
-  });
-
-  const thirtyDaysFromNow = new Date();
-  thirtyDaysFromNow.setDate(thirtyDaysFromNow.getDate() + 30);
-  
-  const expiringSoon = await Pharmacy.countDocuments({
-    isActive: true,
-    expiryDate: {
-      $gte: new Date(),
-      $lte: thirtyDaysFromNow
-    }
-  });
+  // Expiry counts are per batch
+  const expired = (await findBatchesByExpiry({ $lt: new Date() })).length;
+  const expiringSoon = (await findBatchesByExpiry(expiringSoonRange())).length;
 
   const totalValue = await Pharmacy.aggregate([
     { $match: { isActive: true } },
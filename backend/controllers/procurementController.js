@@ -0,0 +1,743 @@
+/**
+ * Procurement Controller
+ * Handles suppliers, purchase orders and goods receipt for the pharmacy
+ */
+
+const Supplier = require('../models/Supplier');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const GoodsReceipt = require('../models/GoodsReceipt');
+const Pharmacy = require('../models/Pharmacy');
+const asyncHandler = require('../middleware/asyncHandler');
+const withTransaction = require('../utils/transaction');
+const { recordStockMovements } = require('../utils/stockLedger');
+const { buildReorderSuggestions, OPEN_ORDER_STATUSES } = require('../utils/reorder');
+const {
+  PURCHASE_ORDER_STATUS,
+  STOCK_MOVEMENT_TYPE,
+  STOCK_REFERENCE_TYPE
+} = require('../config/constants');
+
+// Goods can only be received against orders sent to the supplier
+const RECEIVABLE_STATUSES = [PURCHASE_ORDER_STATUS.ORDERED, PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED];
+
+const populateOrder = (query) => query
+  .populate('supplierId', 'supplierId name contactPerson phone email')
+  .populate('items.medicineId', 'medicineId name unit stock minStockLevel')
+  .populate('createdBy', 'name')
+  .populate('orderedBy', 'name');
+
+// Validate order lines against the catalogue; returns { items } or { message }
+const buildOrderItems = async (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { message: 'Please add at least one medicine to the order' };
+  }
+
+  const medicines = await Pharmacy.find({ _id: { $in: items.map(item => item.medicineId) }, isActive: true });
+  const medicinesById = new Map(medicines.map(medicine => [medicine._id.toString(), medicine]));
+  const built = [];
+
+  for (const item of items) {
+    const medicine = medicinesById.get(String(item.medicineId));
+    if (!medicine) {
+      return { message: 'Medicine not found' };
+    }
+
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return { message: `Please provide a valid quantity for ${medicine.name}` };
+    }
+
+    built.push({
+      medicineId: medicine._id,
+      name: medicine.name,
+      quantity,
+      unitPrice: item.unitPrice !== undefined && item.unitPrice !== '' ? Number(item.unitPrice) : medicine.purchasePrice || 0
+    });
+  }
+
+  return { items: built };
+};
+
+/**
+ * @desc    Get suppliers
+ * @route   GET /api/procurement/suppliers
+ * @access  Private (Admin, Pharmacy)
+ */
+exports.getSuppliers = asyncHandler(async (req, res, next) => {
+  const { search, includeInactive, page = 1, limit = 50 } = req.query;
+
+  const query = {};
+  if (includeInactive !== 'true') query.isActive = true;
+
+  if (search) {
+    query.$or = [
+      { name: { $regex: search, $options: 'i' } },
+      { supplierId: { $regex: search, $options: 'i' } },
+      { contactPerson: { $regex: search, $options: 'i' } }
+    ];
+  }
+
+  const suppliers = await Supplier.find(query)
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit))
+    .sort({ name: 1 });
+
+  const total = await Supplier.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: suppliers.length,
+    total,
+    pages: Math.ceil(total / limit),
+    currentPage: parseInt(page),
+    data: suppliers
+  });
+});
+
+/**
+ * @desc    Create supplier
+ * @route   POST /api/procurement/suppliers
+ * @access  Private (Admin, Pharmacy)
+ */
+exports.createSupplier = asyncHandler(async (req, res, next) => {
+  const { supplierId, ...fields } = req.body;
+
+  const supplier = await Supplier.create(fields);
+
+  res.status(201).json({
+    success: true,
+    data: supplier
+  });
+});
+
+/**
+ * @desc    Update supplier
+ * @route   PUT /api/procurement/suppliers/:id
+ * @access  Private (Admin, Pharmacy)
+ */
+exports.updateSupplier = asyncHandler(async (req, res, next) => {
+  const { supplierId, ...updates } = req.body;
+
+  const supplier = await Supplier.findByIdAndUpdate(req.params.id, updates, {
+    new: true,
+    runValidators: true
+  });
+
+  if (!supplier) {
+    return res.status(404).json({
+      success: false,
+      message: 'Supplier not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: supplier
+  });
+});
+
+/**
+ * @desc    Deactivate supplier
+ * @route   DELETE /api/procurement/suppliers/:id
+ * @access  Private (Admin)
+ */
+exports.deleteSupplier = asyncHandler(async (req, res, next) => {
+  const supplier = await Supplier.findById(req.params.id);
+
+  if (!supplier) {
+    return res.status(404).json({
+      success: false,
+      message: 'Supplier not found'
+    });
+  }
+
+  // Soft delete - past orders and receipts keep pointing at the supplier
+  supplier.isActive = false;
+  await supplier.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Supplier deactivated successfully'
+  });
+});
+
+/**
+ * @desc    Get reorder suggestions for low-stock medicines
+ * @route   GET /api/procurement/purchase-orders/suggestions
+ * @access  Private (Admin, Pharmacy)
+ */
+exports.getReorderSuggestions = asyncHandler(async (req, res, next) => {
+  const suggestions = await buildReorderSuggestions();
+
+  res.status(200).json({
+    success: true,
+    count: suggestions.length,
+    data: suggestions
+  });
+});
+
+/**
+ * @desc    Generate draft purchase orders from low stock, one per preferred supplier
+ * @route   POST /api/procurement/purchase-orders/generate
+ * @access  Private (Admin, Pharmacy)
+ */
+exports.generatePurchaseOrders = asyncHandler(async (req, res, next) => {
+  const { supplierId, medicineIds } = req.body;
+
+  if (supplierId && !(await Supplier.exists({ _id: supplierId, isActive: true }))) {
+    return res.status(404).json({
+      success: false,
+      message: 'Supplier not found'
+    });
+  }
+
+  const filter = Array.isArray(medicineIds) && medicineIds.length > 0 ? { _id: { $in: medicineIds } } : {};
+  const suggestions = (await buildReorderSuggestions(filter))
+    .filter(suggestion => suggestion.suggestedQuantity > 0);
+
+  // Medicines without an active preferred supplier go to the supplier given in the request
+  const bySupplier = new Map();
+  const unassigned = [];
+  suggestions.forEach(suggestion => {
+    const preferred = suggestion.medicine.supplierId;
+    const target = (preferred?.isActive && preferred._id.toString()) || supplierId;
+    if (!target) {
+      unassigned.push(suggestion.medicine.name);
+      return;
+    }
+    if (!bySupplier.has(target)) bySupplier.set(target, []);
+    bySupplier.get(target).push(suggestion);
+  });
+
+  const orders = [];
+
+  for (const [target, group] of bySupplier) {
+    const order = await PurchaseOrder.create({
+      supplierId: target,
+      items: group.map(({ medicine, suggestedQuantity }) => ({
+        medicineId: medicine._id,
+        name: medicine.name,
+        quantity: suggestedQuantity,
+        unitPrice: medicine.purchasePrice || 0
+      })),
+      notes: 'Generated from low stock',
+      createdBy: req.user.id
+    });
+    orders.push(order);
+  }
+
+  res.status(201).json({
+    success: true,
+    count: orders.length,
+    data: orders,
+    unassigned
+  });
+});
+
+/**
+ * @desc    Get purchase orders
+ * @route   GET /api/procurement/purchase-orders
+ * @access  Private (Admin, Pharmacy)
+ */
+exports.getPurchaseOrders = asyncHandler(async (req, res, next) => {
+  const { status, supplier, open, page = 1, limit = 20 } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+  else if (open === 'true') query.status = { $in: OPEN_ORDER_STATUSES };
+  if (supplier) query.supplierId = supplier;
+
+  const orders = await populateOrder(PurchaseOrder.find(query))
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit))
+    .sort({ createdAt: -1 });
+
+  const total = await PurchaseOrder.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: orders.length,
+    total,
+    pages: Math.ceil(total / limit),
+    currentPage: parseInt(page),
+    data: orders
+  });
+});
+
+/**
+ * @desc    Get single purchase order with its goods receipts
+ * @route   GET /api/procurement/purchase-orders/:id
+ * @access  Private (Admin, Pharmacy)
+ */
+exports.getPurchaseOrder = asyncHandler(async (req, res, next) => {
+  const order = await populateOrder(PurchaseOrder.findById(req.params.id));
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Purchase order not found'
+    });
+  }
+
+  const receipts = await GoodsReceipt.find({ purchaseOrderId: order._id })
+    .populate('receivedBy', 'name')
+    .sort({ receivedAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    data: order,
+    receipts
+  });
+});
+
+/**
+ * @desc    Create purchase order
+ * @route   POST /api/procurement/purchase-orders
+ * @access  Private (Admin, Pharmacy)
+ */
+exports.createPurchaseOrder = asyncHandler(async (req, res, next) => {
+  const { supplierId, items, expectedDate, notes } = req.body;
+
+  const supplier = await Supplier.findOne({ _id: supplierId, isActive: true });
+
+  if (!supplier) {
+    return res.status(404).json({
+      success: false,
+      message: 'Supplier not found'
+    });
+  }
+
+  const built = await buildOrderItems(items);
+
+  if (built.message) {
+    return res.status(400).json({
+      success: false,
+      message: built.message
+    });
+  }
+
+  const order = await PurchaseOrder.create({
+    supplierId: supplier._id,
+    items: built.items,
+    expectedDate,
+    notes,
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: order
+  });
+});
+
+/**
+ * @desc    Update draft purchase order
+ * @route   PUT /api/procurement/purchase-orders/:id
+ * @access  Private (Admin, Pharmacy)
+ */
+exports.updatePurchaseOrder = asyncHandler(async (req, res, next) => {
+  const { supplierId, items, expectedDate, notes } = req.body;
+
+  const order = await PurchaseOrder.findById(req.params.id);
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Purchase order not found'
+    });
+  }
+
+  if (order.status !== PURCHASE_ORDER_STATUS.DRAFT) {
+    return res.status(400).json({
+      success: false,
+      message: 'Only draft purchase orders can be edited'
+    });
+  }
+
+  if (supplierId) {
+    if (!(await Supplier.exists({ _id: supplierId, isActive: true }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+    order.supplierId = supplierId;
+  }
+
+  if (items) {
+    const built = await buildOrderItems(items);
+
+    if (built.message) {
+      return res.status(400).json({
+        success: false,
+        message: built.message
+      });
+    }
+    order.items = built.items;
+  }
+
+  if (expectedDate !== undefined) order.expectedDate = expectedDate || undefined;
+  if (notes !== undefined) order.notes = notes;
+
+  await order.save();
+
+  res.status(200).json({
+    success: true,
+    data: order
+  });
+});
+
+/**
+ * @desc    Place a draft purchase order with the supplier
+ * @route   PUT /api/procurement/purchase-orders/:id/order
+ * @access  Private (Admin, Pharmacy)
+ */
+exports.placePurchaseOrder = asyncHandler(async (req, res, next) => {
+  const order = await PurchaseOrder.findById(req.params.id);
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Purchase order not found'
+    });
+  }
+
+  if (order.status !== PURCHASE_ORDER_STATUS.DRAFT) {
+    return res.status(400).json({
+      success: false,
+      message: 'Only draft purchase orders can be placed'
+    });
+  }
+
+  order.status = PURCHASE_ORDER_STATUS.ORDERED;
+  order.orderedAt = new Date();
+  order.orderedBy = req.user.id;
+  await order.save();
+
+  res.status(200).json({
+    success: true,
+    data: order
+  });
+});
+
+/**
+ * @desc    Cancel purchase order
+ * @route   PUT /api/procurement/purchase-orders/:id/cancel
+ * @access  Private (Admin, Pharmacy)
+ */
+exports.cancelPurchaseOrder = asyncHandler(async (req, res, next) => {
+  const { reason } = req.body;
+
+  const order = await PurchaseOrder.findById(req.params.id);
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Purchase order not found'
+    });
+  }
+
+  // Partly received orders are closed as they are; received goods stay in stock
+  if (![PURCHASE_ORDER_STATUS.DRAFT, ...RECEIVABLE_STATUSES].includes(order.status)) {
+    return res.status(400).json({
+      success: false,
+      message: `A ${order.status.toLowerCase().replace('_', ' ')} purchase order cannot be cancelled`
+    });
+  }
+
+  order.status = PURCHASE_ORDER_STATUS.CANCELLED;
+  if (reason) order.notes = [order.notes, `Cancelled: ${reason}`].filter(Boolean).join('\n');
+  await order.save();
+
+  res.status(200).json({
+    success: true,
+    data: order
+  });
+});
+
+/**
+ * @desc    Receive goods against a purchase order (GRN)
+ * @route   POST /api/procurement/purchase-orders/:id/receipts
+ * @access  Private (Admin, Pharmacy)
+ */
+exports.receiveGoods = asyncHandler(async (req, res, next) => {
+  const { supplierInvoiceNumber, invoiceDate, notes, items } = req.body;
+
+  if (!supplierInvoiceNumber?.trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide the supplier invoice number'
+    });
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please enter the received quantities'
+    });
+  }
+
+  const order = await PurchaseOrder.findById(req.params.id);
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Purchase order not found'
+    });
+  }
+
+  if (!RECEIVABLE_STATUSES.includes(order.status)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Goods can only be received against a placed purchase order'
+    });
+  }
+
+  const medicines = await Pharmacy.find({ _id: { $in: order.items.map(item => item.medicineId) } });
+  const medicinesById = new Map(medicines.map(medicine => [medicine._id.toString(), medicine]));
+
+  // Check every line and add its batch in memory before anything is saved
+  const receiptItems = [];
+  const changesByMedicine = new Map();
+
+  for (const item of items) {
+    const orderItem = order.items.id(item.orderItemId);
+
+    if (!orderItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order line not found'
+      });
+    }
+
+    const medicine = medicinesById.get(orderItem.medicineId.toString());
+
+    if (!medicine) {
+      return res.status(404).json({
+        success: false,
+        message: `${orderItem.name} is no longer in the medicine catalogue`
+      });
+    }
+
+    const quantity = Number(item.quantity);
+    const remaining = orderItem.quantity - orderItem.receivedQuantity;
+
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Please provide a valid quantity for ${orderItem.name}`
+      });
+    }
+
+    if (quantity > remaining) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${remaining} of ${orderItem.name} remain to be received`
+      });
+    }
+
+    if (!item.batchNumber?.trim() || !item.expiryDate) {
+      return res.status(400).json({
+        success: false,
+        message: `Please provide batch number and expiry date for ${orderItem.name}`
+      });
+    }
+
+    if (new Date(item.expiryDate) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: `Batch ${item.batchNumber} of ${orderItem.name} has already expired`
+      });
+    }
+
+    const existing = medicine.batches.find(batch => batch.batchNumber === item.batchNumber.trim());
+    if (existing && existing.expiryDate.getTime() !== new Date(item.expiryDate).getTime()) {
+      return res.status(400).json({
+        success: false,
+        message: `Batch ${item.batchNumber} of ${orderItem.name} is already recorded with a different expiry date`
+      });
+    }
+
+    const purchasePrice = item.purchasePrice !== undefined && item.purchasePrice !== ''
+      ? Number(item.purchasePrice)
+      : orderItem.unitPrice;
+
+    const batch = medicine.receiveBatch({
+      batchNumber: item.batchNumber.trim(),
+      manufacturingDate: item.manufacturingDate || undefined,
+      expiryDate: item.expiryDate,
+      quantity,
+      purchasePrice
+    });
+    medicine.purchasePrice = purchasePrice;
+
+    const key = medicine._id.toString();
+    if (!changesByMedicine.has(key)) changesByMedicine.set(key, []);
+    changesByMedicine.get(key).push({ batchId: batch._id, quantity });
+
+    orderItem.receivedQuantity += quantity;
+    receiptItems.push({
+      orderItemId: orderItem._id,
+      medicineId: medicine._id,
+      name: orderItem.name,
+      batchNumber: batch.batchNumber,
+      manufacturingDate: item.manufacturingDate || undefined,
+      expiryDate: item.expiryDate,
+      quantity,
+      purchasePrice
+    });
+  }
+
+  order.status = order.items.every(item => item.receivedQuantity >= item.quantity)
+    ? PURCHASE_ORDER_STATUS.RECEIVED
+    : PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED;
+
+  const receipt = new GoodsReceipt({
+    purchaseOrderId: order._id,
+    supplierId: order.supplierId,
+    supplierInvoiceNumber: supplierInvoiceNumber.trim(),
+    invoiceDate,
+    items: receiptItems,
+    receivedBy: req.user.id,
+    notes
+  });
+
+  // Receipt, stock, ledger and order progress are written together
+  await withTransaction(async (session) => {
+    await receipt.save({ session });
+
+    const reference = {
+      type: STOCK_REFERENCE_TYPE.SUPPLIER_INVOICE,
+      number: receipt.supplierInvoiceNumber,
+      documentId: receipt._id
+    };
+
+    for (const [key, changes] of changesByMedicine) {
+      const medicine = medicinesById.get(key);
+      await medicine.save({ session });
+      await recordStockMovements(medicine, changes, {
+        type: STOCK_MOVEMENT_TYPE.RECEIPT,
+        reason: `Goods receipt ${receipt.grnNumber} against ${order.poNumber}`,
+        reference,
+        userId: req.user.id
+      }, session);
+    }
+
+    await order.save({ session });
+  });
+
+  res.status(201).json({
+    success: true,
+    data: receipt,
+    purchaseOrder: order
+  });
+});
+
+/**
+ * @desc    Get goods receipts
+ * @route   GET /api/procurement/goods-receipts
+ * @access  Private (Admin, Pharmacy)
+ */
+exports.getGoodsReceipts = asyncHandler(async (req, res, next) => {
+  const { supplier, purchaseOrder, page = 1, limit = 20 } = req.query;
+
+  const query = {};
+  if (supplier) query.supplierId = supplier;
+  if (purchaseOrder) query.purchaseOrderId = purchaseOrder;
+
+  const receipts = await GoodsReceipt.find(query)
+    .populate('supplierId', 'supplierId name')
+    .populate('purchaseOrderId', 'poNumber')
+    .populate('receivedBy', 'name')
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit))
+    .sort({ receivedAt: -1 });
+
+  const total = await GoodsReceipt.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: receipts.length,
+    total,
+    pages: Math.ceil(total / limit),
+    currentPage: parseInt(page),
+    data: receipts
+  });
+});
+
+/**
+ * @desc    Get supplier-wise spend report
+ * @route   GET /api/procurement/reports/supplier-spend
+ * @access  Private (Admin, Pharmacy)
+ */
+exports.getSupplierSpendReport = asyncHandler(async (req, res, next) => {
+  const { from, to } = req.query;
+
+  const match = {};
+  if (from || to) {
+    match.receivedAt = {};
+    if (from) match.receivedAt.$gte = new Date(from);
+    if (to) {
+      const end = new Date(to);
+      end.setHours(23, 59, 59, 999);
+      match.receivedAt.$lte = end;
+    }
+  }
+
+  const [received, outstanding] = await Promise.all([
+    GoodsReceipt.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$supplierId',
+          spend: { $sum: '$totalAmount' },
+          receipts: { $sum: 1 },
+          orders: { $addToSet: '$purchaseOrderId' },
+          lastReceivedAt: { $max: '$receivedAt' }
+        }
+      }
+    ]),
+    // Value still to be received on placed orders
+    PurchaseOrder.aggregate([
+      { $match: { status: { $in: RECEIVABLE_STATUSES } } },
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: '$supplierId',
+          outstanding: {
+            $sum: {
+              $multiply: [{ $subtract: ['$items.quantity', '$items.receivedQuantity'] }, '$items.unitPrice']
+            }
+          }
+        }
+      }
+    ])
+  ]);
+
+  const supplierIds = [...new Set([...received, ...outstanding].map(row => row._id.toString()))];
+  const suppliers = await Supplier.find({ _id: { $in: supplierIds } });
+  const outstandingBySupplier = new Map(outstanding.map(row => [row._id.toString(), row.outstanding]));
+  const receivedBySupplier = new Map(received.map(row => [row._id.toString(), row]));
+
+  const data = suppliers.map(supplier => {
+    const row = receivedBySupplier.get(supplier._id.toString());
+    return {
+      supplier: supplier._id,
+      supplierId: supplier.supplierId,
+      name: supplier.name,
+      spend: row?.spend || 0,
+      receipts: row?.receipts || 0,
+      orders: row?.orders.length || 0,
+      lastReceivedAt: row?.lastReceivedAt || null,
+      outstanding: outstandingBySupplier.get(supplier._id.toString()) || 0
+    };
+  }).sort((a, b) => b.spend - a.spend);
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    period: { from: match.receivedAt?.$gte || null, to: match.receivedAt?.$lte || null },
+    totalSpend: data.reduce((sum, row) => sum + row.spend, 0),
+    data
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Role Controller
+ * Roles and the permissions they grant
+ */
+
+const Role = require('../models/Role');
+const User = require('../models/User');
+const asyncHandler = require('../middleware/asyncHandler');
+const { ensureSystemRoles, clearPermissionCache } = require('../utils/permissions');
+const { PERMISSION_GROUPS, ADMIN_LOCKED_PERMISSIONS } = require('../config/permissions');
+const { ROLES, PERMISSIONS } = require('../config/constants');
+
+// Checks a permission list from the request; returns { permissions } or { message }
+const parsePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) {
+    return { message: 'permissions must be a list of permission names' };
+  }
+
+  const unknown = permissions.filter(permission => !Object.values(PERMISSIONS).includes(permission));
+  if (unknown.length > 0) {
+    return { message: `Unknown permission(s): ${unknown.join(', ')}` };
+  }
+
+  return { permissions: [...new Set(permissions)] };
+};
+
+/**
+ * @desc    Get all roles with their permissions and how many users hold them
+ * @route   GET /api/roles
+ * @access  Private (Admin)
+ */
+exports.getRoles = asyncHandler(async (req, res, next) => {
+  await ensureSystemRoles();
+
+  const roles = await Role.find().sort({ isSystem: -1, name: 1 }).lean();
+  const names = roles.map(role => role.name);
+
+  const [primary, further] = await Promise.all([
+    User.aggregate([
+      { $match: { role: { $in: names } } },
+      { $group: { _id: '$role', count: { $sum: 1 } } }
+    ]),
+    User.aggregate([
+      { $unwind: '$roles' },
+      { $match: { roles: { $in: names } } },
+      { $group: { _id: '$roles', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const userCounts = {};
+  [...primary, ...further].forEach(({ _id, count }) => {
+    userCounts[_id] = (userCounts[_id] || 0) + count;
+  });
+
+  res.status(200).json({
+    success: true,
+    count: roles.length,
+    data: roles.map(role => ({ ...role, userCount: userCounts[role.name] || 0 }))
+  });
+});
+
+/**
+ * @desc    Get every permission, grouped by module
+ * @route   GET /api/roles/permissions
+ * @access  Private (Admin)
+ */
+exports.getPermissions = asyncHandler(async (req, res, next) => {
+  res.status(200).json({
+    success: true,
+    data: PERMISSION_GROUPS
+  });
+});
+
+/**
+ * @desc    Create role
+ * @route   POST /api/roles
+ * @access  Private (Admin)
+ */
+exports.createRole = asyncHandler(async (req, res, next) => {
+  const { permissions, message } = parsePermissions(req.body.permissions || []);
+
+  if (message) {
+    return res.status(400).json({
+      success: false,
+      message
+    });
+  }
+
+  const name = String(req.body.name || '').trim().toUpperCase();
+
+  if (await Role.exists({ name })) {
+    return res.status(400).json({
+      success: false,
+      message: `Role ${name} already exists`
+    });
+  }
+
+  const role = await Role.create({
+    name,
+    description: req.body.description,
+    permissions,
+    updatedBy: req.user.id
+  });
+  clearPermissionCache();
+
+  res.status(201).json({
+    success: true,
+    data: role
+  });
+});
+
+/**
+ * @desc    Update a role's description and permissions. Role names cannot change.
+ * @route   PUT /api/roles/:id
+ * @access  Private (Admin)
+ */
+exports.updateRole = asyncHandler(async (req, res, next) => {
+  const role = await Role.findById(req.params.id);
+
+  if (!role) {
+    return res.status(404).json({
+      success: false,
+      message: 'Role not found'
+    });
+  }
+
+  if (req.body.permissions !== undefined) {
+    const { permissions, message } = parsePermissions(req.body.permissions);
+
+    if (message) {
+      return res.status(400).json({
+        success: false,
+        message
+      });
+    }
+
+    const missing = ADMIN_LOCKED_PERMISSIONS.filter(permission => !permissions.includes(permission));
+    if (role.name === ROLES.ADMIN && missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `The ${ROLES.ADMIN} role must keep ${missing.join(', ')}`
+      });
+    }
+
+    role.permissions = permissions;
+  }
+
+  if (req.body.description !== undefined) role.description = req.body.description;
+  role.updatedBy = req.user.id;
+  await role.save();
+  clearPermissionCache();
+
+  res.status(200).json({
+    success: true,
+    data: role
+  });
+});
+
+/**
+ * @desc    Delete a role no user holds. Built-in roles cannot be deleted.
+ * @route   DELETE /api/roles/:id
+ * @access  Private (Admin)
+ */
+exports.deleteRole = asyncHandler(async (req, res, next) => {
+  const role = await Role.findById(req.params.id);
+
+  if (!role) {
+    return res.status(404).json({
+      success: false,
+      message: 'Role not found'
+    });
+  }
+
+  if (role.isSystem) {
+    return res.status(400).json({
+      success: false,
+      message: 'Built-in roles cannot be deleted'
+    });
+  }
+
+  const holders = await User.countDocuments({ roles: role.name });
+  if (holders > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `${holders} user(s) still hold the ${role.name} role`
+    });
+  }
+
+  await role.deleteOne();
+  clearPermissionCache();
+
+  res.status(200).json({
+    success: true,
+    message: 'Role deleted successfully'
+  });
+});
@@ -4,7 +4,14 @@
  */
 
 const User = require('../models/User');
+const SecuritySetting = require('../models/SecuritySetting');
+const LoginAudit = require('../models/LoginAudit');
+const Role = require('../models/Role');
 const asyncHandler = require('../middleware/asyncHandler');
+const { revokeUserSessions } = require('../utils/sessions');
+const { clearTwoFactor } = require('../utils/twoFactor');
+const { clearFailedLogins } = require('../utils/loginSecurity');
+const { SESSION_REVOKED_REASON } = require('../config/constants');
 
 /**
  * @desc    Get all users
@@ -16,7 +23,8 @@ exports.getUsers = asyncHandler(async (req, res, next) => {
 
   let query = {};
 
-  if (role) query.role = role;
+  // Primary or further role
+  if (role) query.$and = [{ $or: [{ role }, { roles: role }] }];
   if (isActive !== undefined) query.isActive = isActive === 'true';
   if (search) {
     query.$or = [
@@ -69,6 +77,9 @@ exports.getUser = asyncHandler(async (req, res, next) => {
  * @access  Private (Admin)
  */
 exports.createUser = asyncHandler(async (req, res, next) => {
+  // Further roles are assigned through PUT /api/users/:id/roles
+  delete req.body.roles;
+
   const user = await User.create(req.body);
 
   res.status(201).json({
@@ -83,8 +94,12 @@ exports.createUser = asyncHandler(async (req, res, next) => {
  * @access  Private (Admin)
  */
 exports.updateUser = asyncHandler(async (req, res, next) => {
-  // Don't allow password updates through this route
+  // Don't allow password, two-factor or further role updates through this route
   delete req.body.password;
+  delete req.body.roles;
+  Object.keys(req.body)
+    .filter(key => key.startsWith('twoFactor'))
+    .forEach(key => delete req.body[key]);
 
   const user = await User.findByIdAndUpdate(req.params.id, req.body, {
     new: true,
@@ -98,6 +113,10 @@ exports.updateUser = asyncHandler(async (req, res, next) => {
     });
   }
 
+  if (user.isActive === false) {
+    await revokeUserSessions(user._id, SESSION_REVOKED_REASON.DEACTIVATED);
+  }
+
   res.status(200).json({
     success: true,
     data: user
@@ -121,6 +140,7 @@ exports.deleteUser = asyncHandler(async (req, res, next) => {
 
   user.isActive = false;
   await user.save();
+  await revokeUserSessions(user._id, SESSION_REVOKED_REASON.DEACTIVATED);
 
   res.status(200).json({
     success: true,
@@ -152,6 +172,258 @@ exports.activateUser = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * @desc    Set the roles a user holds besides their primary role
+ * @route   PUT /api/users/:id/roles
+ * @access  Private (Admin)
+ */
+exports.updateUserRoles = asyncHandler(async (req, res, next) => {
+  if (!Array.isArray(req.body.roles)) {
+    return res.status(400).json({
+      success: false,
+      message: 'roles must be a list of role names'
+    });
+  }
+
+  const names = [...new Set(req.body.roles.map(name => String(name).trim().toUpperCase()))];
+  const known = await Role.find({ name: { $in: names } }).distinct('name');
+  const unknownRoles = names.filter(name => !known.includes(name));
+
+  if (unknownRoles.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Unknown role(s): ${unknownRoles.join(', ')}`
+    });
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  user.roles = names.filter(name => name !== user.role);
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+});
+
+/**
+ * @desc    Reset a user's two-factor authentication, e.g. after a lost phone. They set it
+ *          up again at their next login if their role requires it.
+ * @route   PUT /api/users/:id/reset-2fa
+ * @access  Private (Admin)
+ */
+exports.resetTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  clearTwoFactor(user);
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication reset'
+  });
+});
+
+/**
+ * @desc    Unlock an account locked by failed logins
+ * @route   PUT /api/users/:id/unlock
+ * @access  Private (Admin)
+ */
+exports.unlockUser = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  clearFailedLogins(user);
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+});
+
+/**
+ * @desc    Get login attempts
+ * @route   GET /api/users/login-audit
+ * @access  Private (Admin)
+ */
+exports.getLoginAudit = asyncHandler(async (req, res, next) => {
+  const { success, user, email, ip, reason, from, to, page = 1, limit = 20 } = req.query;
+
+  let query = {};
+
+  if (success !== undefined) query.success = success === 'true';
+  if (user) query.user = user;
+  if (email) query.email = email.toLowerCase();
+  if (ip) query.ip = ip;
+  if (reason) query.reason = reason;
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+
+  const attempts = await LoginAudit.find(query)
+    .populate('user', 'name email role')
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit))
+    .sort({ createdAt: -1 });
+
+  const total = await LoginAudit.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: attempts.length,
+    total,
+    pages: Math.ceil(total / limit),
+    currentPage: parseInt(page),
+    data: attempts
+  });
+});
+
+/**
+ * @desc    Get suspicious login activity - locked accounts, and IP addresses and
+ *          accounts with repeated failures within the last `hours` (default 24)
+ * @route   GET /api/users/suspicious-activity
+ * @access  Private (Admin)
+ */
+exports.getSuspiciousActivity = asyncHandler(async (req, res, next) => {
+  const hours = Number(req.query.hours) || 24;
+  const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+  const settings = await SecuritySetting.getSettings();
+  // As many failures as it takes to lock an account is worth a look
+  const threshold = settings.lockoutThreshold;
+
+  const failedSince = { success: false, createdAt: { $gte: since } };
+
+  const [lockedAccounts, failuresByIp, failuresByAccount, attempts, failed] = await Promise.all([
+    User.find({ lockUntil: { $gt: new Date() } })
+      .select('name email role lockUntil lockoutCount')
+      .sort({ lockUntil: -1 }),
+    LoginAudit.aggregate([
+      { $match: failedSince },
+      {
+        $group: {
+          _id: '$ip',
+          failures: { $sum: 1 },
+          emails: { $addToSet: '$email' },
+          lastAttempt: { $max: '$createdAt' }
+        }
+      },
+      { $match: { failures: { $gte: threshold } } },
+      { $addFields: { accounts: { $size: '$emails' } } },
+      { $sort: { failures: -1 } },
+      { $limit: 20 }
+    ]),
+    LoginAudit.aggregate([
+      { $match: failedSince },
+      {
+        $group: {
+          _id: '$email',
+          user: { $first: '$user' },
+          failures: { $sum: 1 },
+          ips: { $addToSet: '$ip' },
+          reasons: { $addToSet: '$reason' },
+          lastAttempt: { $max: '$createdAt' }
+        }
+      },
+      { $match: { failures: { $gte: threshold } } },
+      { $sort: { failures: -1 } },
+      { $limit: 20 }
+    ]),
+    LoginAudit.countDocuments({ createdAt: { $gte: since } }),
+    LoginAudit.countDocuments(failedSince)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      since,
+      threshold,
+      attempts,
+      failed,
+      lockedAccounts,
+      failuresByIp,
+      failuresByAccount
+    }
+  });
+});
+
+/**
+ * @desc    Get the login security policy
+ * @route   GET /api/users/security-settings
+ * @access  Private (Admin)
+ */
+exports.getSecuritySettings = asyncHandler(async (req, res, next) => {
+  const settings = await SecuritySetting.getSettings();
+
+  res.status(200).json({
+    success: true,
+    data: settings
+  });
+});
+
+/**
+ * @desc    Update the login security policy
+ * @route   PUT /api/users/security-settings
+ * @access  Private (Admin)
+ */
+exports.updateSecuritySettings = asyncHandler(async (req, res, next) => {
+  const { twoFactorRequiredRoles, lockoutThreshold, lockoutBaseMinutes, lockoutMaxMinutes } = req.body;
+
+  if (twoFactorRequiredRoles !== undefined) {
+    if (!Array.isArray(twoFactorRequiredRoles)) {
+      return res.status(400).json({
+        success: false,
+        message: 'twoFactorRequiredRoles must be a list of roles'
+      });
+    }
+
+    const known = await Role.find({ name: { $in: twoFactorRequiredRoles } }).distinct('name');
+    const unknownRoles = twoFactorRequiredRoles.filter(role => !known.includes(role));
+    if (unknownRoles.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown role(s): ${unknownRoles.join(', ')}`
+      });
+    }
+  }
+
+  const settings = await SecuritySetting.getSettings();
+  if (twoFactorRequiredRoles !== undefined) settings.twoFactorRequiredRoles = [...new Set(twoFactorRequiredRoles)];
+  if (lockoutThreshold !== undefined) settings.lockoutThreshold = lockoutThreshold;
+  if (lockoutBaseMinutes !== undefined) settings.lockoutBaseMinutes = lockoutBaseMinutes;
+  if (lockoutMaxMinutes !== undefined) settings.lockoutMaxMinutes = lockoutMaxMinutes;
+  settings.updatedBy = req.user.id;
+  await settings.save();
+
+  res.status(200).json({
+    success: true,
+    data: settings
+  });
+});
+
 /**
  * @desc    Get user stats
  * @route   GET /api/users/stats
@@ -1,10 +1,13 @@
 /**
  * Authentication Middleware
- * JWT token verification and role-based access control
+ * JWT token verification and permission-based access control
  */
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { findActiveSession } = require('../utils/sessions');
+const { verifyChallengeToken } = require('../utils/twoFactor');
+const { getUserPermissions } = require('../utils/permissions');
 
 // Protect routes - verify JWT token
 exports.protect = async (req, res, next) => {
@@ -44,7 +47,18 @@ exports.protect = async (req, res, next) => {
       });
     }
 
+    // Access tokens stop working as soon as their session is logged out or revoked
+    const session = await findActiveSession(decoded.sid, user._id);
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your session has ended - please log in again'
+      });
+    }
+
     req.user = user;
+    req.sessionId = session._id;
     next();
   } catch (error) {
     return res.status(401).json({
@@ -54,15 +68,49 @@ exports.protect = async (req, res, next) => {
   }
 };
 
-// Grant access to specific roles
-exports.authorize = (...roles) => {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
+// Second login step - verify the challenge token issued once the password was accepted
+exports.protectTwoFactorChallenge = async (req, res, next) => {
+  const decoded = verifyChallengeToken(req.body.challengeToken);
+
+  if (!decoded) {
+    return res.status(401).json({
+      success: false,
+      message: 'Your login has timed out - please log in again'
+    });
+  }
+
+  try {
+    const user = await User.findById(decoded.id);
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
         success: false,
-        message: `User role '${req.user.role}' is not authorized to access this route`
+        message: 'Not authorized to access this route'
       });
     }
+
+    req.user = user;
     next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Grant access to users holding any of the given permissions through one of their roles
+exports.authorizePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      req.permissions = req.permissions || await getUserPermissions(req.user);
+
+      if (!permissions.some(permission => req.permissions.includes(permission))) {
+        return res.status(403).json({
+          success: false,
+          message: `Permission '${permissions.join("' or '")}' is required to access this route`
+        });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
   };
 };
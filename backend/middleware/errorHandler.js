@@ -29,6 +29,18 @@ const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 400 };
   }
 
+  // Optimistic concurrency conflict - the document changed since it was read
+  if (err.name === 'VersionError') {
+    const message = 'This record was changed by another request, please retry';
+    error = { message, statusCode: 409 };
+  }
+
+  // Multer upload errors (file too large, unexpected field, ...)
+  if (err.name === 'MulterError') {
+    const message = err.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : err.message;
+    error = { message, statusCode: 400 };
+  }
+
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     const message = 'Invalid token';
@@ -3,7 +3,7 @@
  * Export all middleware from a single file
  */
 
-const { protect, authorize } = require('./auth');
+const { protect, authorizePermission } = require('./auth');
 const errorHandler = require('./errorHandler');
 const asyncHandler = require('./asyncHandler');
 const { validate } = require('./validate');
@@ -11,7 +11,7 @@ const upload = require('./upload');
 
 module.exports = {
   protect,
-  authorize,
+  authorizePermission,
   errorHandler,
   asyncHandler,
   validate,
@@ -3,13 +3,18 @@
  * Multer configuration for handling file uploads
  */
 
+const fs = require('fs');
 const multer = require('multer');
 const path = require('path');
+const { UPLOAD_DIR } = require('../utils/fileStorage');
+
+// Make sure the upload directory exists
+fs.mkdirSync(UPLOAD_DIR, { recursive: true });
 
 // Configure storage
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    cb(null, 'uploads/');
+    cb(null, UPLOAD_DIR);
   },
   filename: function (req, file, cb) {
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
@@ -31,7 +36,9 @@ const fileFilter = (req, file, cb) => {
   if (extname && mimetype) {
     return cb(null, true);
   } else {
-    cb(new Error('Invalid file type. Only JPEG, PNG, GIF, PDF, DOC, DOCX are allowed.'));
+    const error = new Error('Invalid file type. Only JPEG, PNG, GIF, PDF, DOC, DOCX are allowed.');
+    error.statusCode = 400;
+    cb(error);
   }
 };
 
@@ -0,0 +1,99 @@
+/**
+ * Counter Migration
+ * Seeds the ID counters from the highest IDs already stored, so new records
+ * continue the existing sequences instead of colliding with them.
+ * Safe to run more than once - counters are only ever raised.
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load env vars
+dotenv.config();
+
+// Load models
+const {
+  Patient,
+  Doctor,
+  Appointment,
+  OPDRecord,
+  IPDRecord,
+  Billing,
+  LabTest,
+  LabTestOrder,
+  LabPackage,
+  LabRequisition,
+  Pharmacy,
+  Supplier,
+  PurchaseOrder,
+  GoodsReceipt,
+  Counter
+} = require('./models');
+
+const { ID_SEQUENCES } = require('./config/constants');
+
+// Model and ID field behind each sequence
+const sequenceSources = [
+  { sequence: ID_SEQUENCES.PATIENT, model: Patient, field: 'patientId' },
+  { sequence: ID_SEQUENCES.DOCTOR, model: Doctor, field: 'doctorId' },
+  { sequence: ID_SEQUENCES.APPOINTMENT, model: Appointment, field: 'appointmentId' },
+  { sequence: ID_SEQUENCES.OPD_RECORD, model: OPDRecord, field: 'recordId' },
+  { sequence: ID_SEQUENCES.IPD_RECORD, model: IPDRecord, field: 'recordId' },
+  { sequence: ID_SEQUENCES.INVOICE, model: Billing, field: 'invoiceId' },
+  { sequence: ID_SEQUENCES.LAB_TEST, model: LabTest, field: 'testId' },
+  { sequence: ID_SEQUENCES.LAB_ORDER, model: LabTestOrder, field: 'orderId' },
+  { sequence: ID_SEQUENCES.LAB_REQUISITION, model: LabRequisition, field: 'requisitionId' },
+  { sequence: ID_SEQUENCES.LAB_PACKAGE, model: LabPackage, field: 'packageId' },
+  { sequence: ID_SEQUENCES.MEDICINE, model: Pharmacy, field: 'medicineId' },
+  { sequence: ID_SEQUENCES.SUPPLIER, model: Supplier, field: 'supplierId' },
+  { sequence: ID_SEQUENCES.PURCHASE_ORDER, model: PurchaseOrder, field: 'poNumber' },
+  { sequence: ID_SEQUENCES.GOODS_RECEIPT, model: GoodsReceipt, field: 'grnNumber' }
+];
+
+// Highest sequence number per counter key found in existing IDs
+const findMaxSequences = async ({ sequence, model, field }) => {
+  // Monthly sequences carry a 4-digit yyMM period between prefix and number
+  const periodPattern = sequence.period === 'month' ? '(\\d{4})' : '()';
+  const idPattern = new RegExp(`^${sequence.prefix}${periodPattern}(\\d+)$`);
+
+  const records = await model.find({ [field]: { $regex: idPattern } })
+    .select(field)
+    .lean();
+
+  const maxByKey = {};
+  records.forEach(record => {
+    const [, period, number] = record[field].match(idPattern);
+    const key = `${sequence.prefix}${period}`;
+    maxByKey[key] = Math.max(maxByKey[key] || 0, parseInt(number, 10));
+  });
+
+  return maxByKey;
+};
+
+const migrateCounters = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    for (const source of sequenceSources) {
+      const maxByKey = await findMaxSequences(source);
+
+      for (const [key, max] of Object.entries(maxByKey)) {
+        const counter = await Counter.ensureAtLeast(key, max);
+        console.log(`${key}: highest existing ${max}, counter now ${counter.seq}`);
+      }
+
+      if (Object.keys(maxByKey).length === 0) {
+        console.log(`${source.sequence.prefix}: no existing records`);
+      }
+    }
+
+    console.log('\n===== COUNTER MIGRATION COMPLETE =====');
+    process.exit();
+  } catch (error) {
+    console.error(error);
+    process.exit(1);
+  }
+};
+
+// Run migration
+migrateCounters();
@@ -0,0 +1,58 @@
+/**
+ * Pharmacy Batch Migration
+ * Moves the single batchNumber/expiryDate/stock stored on older medicine
+ * documents into the batches array, so stock is derived from batches.
+ * Safe to run more than once - only documents without batches are touched.
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load env vars
+dotenv.config();
+
+const { Pharmacy } = require('./models');
+
+const migratePharmacyBatches = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    // Read the raw documents - the legacy fields are no longer in the schema
+    const legacyMedicines = await Pharmacy.collection
+      .find({ batches: { $exists: false } })
+      .toArray();
+
+    for (const medicine of legacyMedicines) {
+      const batches = medicine.batchNumber
+        ? [{
+          _id: new mongoose.Types.ObjectId(),
+          batchNumber: medicine.batchNumber,
+          manufacturingDate: medicine.manufacturingDate,
+          expiryDate: medicine.expiryDate,
+          quantity: medicine.stock || 0,
+          purchasePrice: medicine.purchasePrice,
+          receivedAt: medicine.createdAt || new Date()
+        }]
+        : [];
+
+      await Pharmacy.collection.updateOne(
+        { _id: medicine._id },
+        {
+          $set: { batches, stock: batches.reduce((sum, batch) => sum + batch.quantity, 0) },
+          $unset: { batchNumber: '', manufacturingDate: '', expiryDate: '' }
+        }
+      );
+
+      console.log(`${medicine.medicineId || medicine._id}: ${batches.length ? `batch ${medicine.batchNumber}` : 'no batch recorded'}`);
+    }
+
+    console.log(`\n===== MIGRATED ${legacyMedicines.length} MEDICINES =====`);
+    process.exit();
+  } catch (error) {
+    console.error(error);
+    process.exit(1);
+  }
+};
+
+// Run migration
+migratePharmacyBatches();
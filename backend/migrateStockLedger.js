@@ -0,0 +1,55 @@
+/**
+ * Stock Ledger Migration
+ * Records an opening balance movement for every batch that has stock but no
+ * movements yet, so the reconciliation report starts from the current shelf.
+ * Run after migrate:pharmacy-batches. Safe to run more than once - batches
+ * that already appear in the ledger are skipped.
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load env vars
+dotenv.config();
+
+const { Pharmacy, StockMovement } = require('./models');
+const { recordStockMovements } = require('./utils/stockLedger');
+const { STOCK_MOVEMENT_TYPE } = require('./config/constants');
+
+const migrateStockLedger = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const recordedBatchIds = new Set(
+      (await StockMovement.distinct('batchId')).map(batchId => batchId.toString())
+    );
+
+    const medicines = await Pharmacy.find({ 'batches.0': { $exists: true } });
+    let recorded = 0;
+
+    for (const medicine of medicines) {
+      const changes = medicine.batches
+        .filter(batch => !recordedBatchIds.has(batch._id.toString()))
+        .map(batch => ({ batchId: batch._id, quantity: batch.quantity }));
+
+      const movements = await recordStockMovements(medicine, changes, {
+        type: STOCK_MOVEMENT_TYPE.OPENING_BALANCE,
+        reason: 'Stock on hand when the ledger was introduced'
+      });
+
+      if (movements.length > 0) {
+        console.log(`${medicine.medicineId}: ${movements.length} opening balance entries`);
+        recorded += movements.length;
+      }
+    }
+
+    console.log(`\n===== RECORDED ${recorded} OPENING BALANCES =====`);
+    process.exit();
+  } catch (error) {
+    console.error(error);
+    process.exit(1);
+  }
+};
+
+// Run migration
+migrateStockLedger();
@@ -0,0 +1,61 @@
+/**
+ * Analyzer Model
+ * Lab instruments that send results through the analyzer interface, and how their
+ * result codes map onto the lab test catalogue
+ */
+
+const mongoose = require('mongoose');
+
+// An analyzer result code and the test (and panel parameter) it reports
+const codeMappingSchema = new mongoose.Schema({
+  analyzerCode: {
+    type: String,
+    required: [true, 'Please provide the analyzer code'],
+    trim: true,
+    uppercase: true
+  },
+  testCode: {
+    type: String,
+    required: [true, 'Please provide the test code'],
+    trim: true
+  },
+  // Empty for tests reported as a single value
+  parameterCode: {
+    type: String,
+    trim: true,
+    uppercase: true
+  }
+}, { _id: false });
+
+const analyzerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide analyzer name'],
+    trim: true
+  },
+  // Sending application in HL7 (MSH-3) or sender name in ASTM (H-5)
+  senderId: {
+    type: String,
+    required: [true, 'Please provide the sender ID the analyzer uses'],
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  manufacturer: String,
+  model: String,
+  codeMappings: {
+    type: [codeMappingSchema],
+    validate: {
+      validator: (mappings) => new Set(mappings.map(mapping => mapping.analyzerCode)).size === mappings.length,
+      message: 'Each analyzer code can only be mapped once'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Analyzer', analyzerSchema);
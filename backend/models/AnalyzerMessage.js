@@ -0,0 +1,73 @@
+/**
+ * Analyzer Message Model
+ * Log of every message received from lab analyzers and what happened to each result in it
+ */
+
+const mongoose = require('mongoose');
+const {
+  ANALYZER_MESSAGE_FORMAT,
+  ANALYZER_TRANSPORT,
+  ANALYZER_MESSAGE_STATUS,
+  ANALYZER_RESULT_OUTCOME
+} = require('../config/constants');
+
+const messageResultSchema = new mongoose.Schema({
+  // Accession number or order ID the analyzer reported the specimen under
+  specimenId: String,
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LabTestOrder'
+  },
+  analyzerCode: String,
+  testCode: String,
+  parameterCode: String,
+  value: String,
+  unit: String,
+  abnormalFlag: String,
+  outcome: {
+    type: String,
+    enum: Object.values(ANALYZER_RESULT_OUTCOME)
+  },
+  message: String
+}, { _id: false });
+
+const analyzerMessageSchema = new mongoose.Schema({
+  analyzer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Analyzer'
+  },
+  senderId: String,
+  format: {
+    type: String,
+    enum: Object.values(ANALYZER_MESSAGE_FORMAT)
+  },
+  transport: {
+    type: String,
+    enum: Object.values(ANALYZER_TRANSPORT)
+  },
+  // HL7 MSH-10 / ASTM H-3, echoed back in the acknowledgement
+  controlId: String,
+  // File name for file drops, user for messages imported through the API
+  source: String,
+  raw: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(ANALYZER_MESSAGE_STATUS)
+  },
+  error: String,
+  results: [messageResultSchema],
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+analyzerMessageSchema.index({ createdAt: -1 });
+analyzerMessageSchema.index({ 'results.order': 1 });
+
+module.exports = mongoose.model('AnalyzerMessage', analyzerMessageSchema);
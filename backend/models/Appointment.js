@@ -4,7 +4,8 @@
  */
 
 const mongoose = require('mongoose');
-const { APPOINTMENT_STATUS } = require('../config/constants');
+const Counter = require('./Counter');
+const { APPOINTMENT_STATUS, ID_SEQUENCES } = require('../config/constants');
 
 const appointmentSchema = new mongoose.Schema({
   appointmentId: {
@@ -70,8 +71,7 @@ const appointmentSchema = new mongoose.Schema({
 // Generate Appointment ID before saving
 appointmentSchema.pre('save', async function(next) {
   if (!this.appointmentId) {
-    const count = await mongoose.model('Appointment').countDocuments();
-    this.appointmentId = `APT${String(count + 1).padStart(6, '0')}`;
+    this.appointmentId = await Counter.nextId(ID_SEQUENCES.APPOINTMENT);
   }
   next();
 });
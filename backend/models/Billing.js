@@ -4,7 +4,8 @@
  */
 
 const mongoose = require('mongoose');
-const { PAYMENT_STATUS } = require('../config/constants');
+const Counter = require('./Counter');
+const { PAYMENT_STATUS, PAYMENT_ENTRY_TYPE, BILL_STATUS, BILL_SOURCE, CLAIM_STATUS, ID_SEQUENCES } = require('../config/constants');
 
 const billingSchema = new mongoose.Schema({
   invoiceId: {
@@ -24,6 +25,10 @@ const billingSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'IPDRecord'
   },
+  opdRecordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OPDRecord'
+  },
   invoiceDate: {
     type: Date,
     default: Date.now
@@ -58,6 +63,11 @@ const billingSchema = new mongoose.Schema({
     total: {
       type: Number,
       min: 0
+    },
+    // Lines computed by the system - replaced whenever a draft is regenerated
+    autoGenerated: {
+      type: Boolean,
+      default: false
     }
   }],
   subtotal: {
@@ -100,12 +110,33 @@ const billingSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  status: {
+    type: String,
+    enum: Object.values(BILL_STATUS),
+    default: BILL_STATUS.FINALIZED
+  },
+  source: {
+    type: String,
+    enum: Object.values(BILL_SOURCE),
+    default: BILL_SOURCE.MANUAL
+  },
+  finalizedAt: Date,
+  finalizedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   paymentStatus: {
     type: String,
     enum: Object.values(PAYMENT_STATUS),
     default: PAYMENT_STATUS.PENDING
   },
   payments: [{
+    type: {
+      type: String,
+      enum: Object.values(PAYMENT_ENTRY_TYPE),
+      default: PAYMENT_ENTRY_TYPE.PAYMENT
+    },
+    // Negative for refunds and voids
     amount: {
       type: Number,
       required: true
@@ -124,7 +155,14 @@ const billingSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
-    notes: String
+    notes: String,
+    reason: String,
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // The payment a VOID entry reverses
+    reversalOf: mongoose.Schema.Types.ObjectId
   }],
   insuranceClaim: {
     provider: String,
@@ -132,10 +170,21 @@ const billingSchema = new mongoose.Schema({
     claimAmount: Number,
     status: {
       type: String,
-      enum: ['Not Applied', 'Pending', 'Approved', 'Rejected'],
-      default: 'Not Applied'
+      enum: Object.values(CLAIM_STATUS),
+      default: CLAIM_STATUS.NOT_APPLIED
+    },
+    approvedAmount: Number,
+    submittedAt: Date,
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedAt: Date,
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
     },
-    approvedAmount: Number
+    remarks: String
   },
   notes: String,
   createdBy: {
@@ -146,14 +195,25 @@ const billingSchema = new mongoose.Schema({
   timestamps: true
 });
 
+billingSchema.index({ 'insuranceClaim.status': 1 });
+
+// One generated bill per IPD stay
+billingSchema.index(
+  { ipdRecordId: 1 },
+  { unique: true, partialFilterExpression: { source: BILL_SOURCE.IPD } }
+);
+
+// Bills already with the insurer are not changed behind its back
+billingSchema.methods.isUnderClaim = function() {
+  const status = this.insuranceClaim?.status;
+  return Boolean(status) && status !== CLAIM_STATUS.NOT_APPLIED && status !== CLAIM_STATUS.REJECTED;
+};
+
 // Generate Invoice ID before saving
 billingSchema.pre('save', async function(next) {
   if (!this.invoiceId) {
-    const count = await mongoose.model('Billing').countDocuments();
-    const date = new Date();
-    const year = date.getFullYear().toString().slice(-2);
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    this.invoiceId = `INV${year}${month}${String(count + 1).padStart(5, '0')}`;
+    // Invoice numbers restart every month: INV + yyMM + 5-digit sequence
+    this.invoiceId = await Counter.nextId(ID_SEQUENCES.INVOICE, this.invoiceDate || new Date());
   }
   
   // Calculate service totals
@@ -175,14 +235,22 @@ billingSchema.pre('save', async function(next) {
   // Calculate total
   this.totalAmount = this.subtotal + this.tax.amount - this.discount.amount;
   
+  // Paid amount is the net of the payment ledger (refunds and voids are negative)
+  this.paidAmount = this.payments.reduce((sum, payment) => sum + payment.amount, 0);
+
   // Calculate balance
   this.balanceAmount = this.totalAmount - this.paidAmount;
   
   // Update payment status
-  if (this.paidAmount >= this.totalAmount) {
+  const hasRefunds = this.payments.some(payment => payment.type === PAYMENT_ENTRY_TYPE.REFUND);
+  if (hasRefunds && this.paidAmount <= 0) {
+    this.paymentStatus = PAYMENT_STATUS.REFUNDED;
+  } else if (this.paidAmount >= this.totalAmount) {
     this.paymentStatus = PAYMENT_STATUS.PAID;
   } else if (this.paidAmount > 0) {
     this.paymentStatus = PAYMENT_STATUS.PARTIAL;
+  } else {
+    this.paymentStatus = PAYMENT_STATUS.PENDING;
   }
   
   next();
@@ -0,0 +1,70 @@
+/**
+ * Counter Model
+ * Atomic sequences backing the human-readable record IDs (PAT000001, INV241000001, ...)
+ */
+
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema({
+  // Sequence key - the ID prefix plus period, e.g. 'PAT' or 'INV2410'
+  _id: {
+    type: String
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Period part of the sequence key ('month' -> yyMM)
+const getPeriodKey = (period, date = new Date()) => {
+  if (period === 'month') {
+    const year = date.getFullYear().toString().slice(-2);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    return `${year}${month}`;
+  }
+  return '';
+};
+
+// Atomically increment and return the next value of a sequence
+counterSchema.statics.nextSequence = async function(key) {
+  const increment = () => this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+
+  try {
+    const counter = await increment();
+    return counter.seq;
+  } catch (error) {
+    // Two upserts racing on a brand new key - the loser retries against the created counter
+    if (error.code === 11000) {
+      const counter = await increment();
+      return counter.seq;
+    }
+    throw error;
+  }
+};
+
+// Next formatted ID for a sequence from ID_SEQUENCES
+counterSchema.statics.nextId = async function({ prefix, padLength, period }, date) {
+  const key = `${prefix}${getPeriodKey(period, date)}`;
+  const seq = await this.nextSequence(key);
+  return `${key}${String(seq).padStart(padLength, '0')}`;
+};
+
+// Raise a sequence to at least `value` (used when seeding from existing IDs)
+counterSchema.statics.ensureAtLeast = async function(key, value) {
+  return this.findOneAndUpdate(
+    { _id: key },
+    { $max: { seq: value } },
+    { new: true, upsert: true }
+  );
+};
+
+counterSchema.statics.getPeriodKey = getPeriodKey;
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -4,6 +4,8 @@
  */
 
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { ID_SEQUENCES } = require('../config/constants');
 
 const doctorSchema = new mongoose.Schema({
   userId: {
@@ -80,8 +82,7 @@ const doctorSchema = new mongoose.Schema({
 // Generate Doctor ID before saving
 doctorSchema.pre('save', async function(next) {
   if (!this.doctorId) {
-    const count = await mongoose.model('Doctor').countDocuments();
-    this.doctorId = `DOC${String(count + 1).padStart(6, '0')}`;
+    this.doctorId = await Counter.nextId(ID_SEQUENCES.DOCTOR);
   }
   next();
 });
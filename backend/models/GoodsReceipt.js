@@ -0,0 +1,92 @@
+/**
+ * Goods Receipt Model
+ * Goods receipt note (GRN) - stock received against a purchase order
+ */
+
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { ID_SEQUENCES } = require('../config/constants');
+
+const goodsReceiptSchema = new mongoose.Schema({
+  grnNumber: {
+    type: String,
+    unique: true
+  },
+  purchaseOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+    required: true
+  },
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  supplierInvoiceNumber: {
+    type: String,
+    required: [true, 'Please provide the supplier invoice number'],
+    trim: true
+  },
+  invoiceDate: Date,
+  items: [{
+    // Line of the purchase order this receipt fills
+    orderItemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    medicineId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Pharmacy',
+      required: true
+    },
+    name: String,
+    batchNumber: {
+      type: String,
+      required: true
+    },
+    manufacturingDate: Date,
+    expiryDate: {
+      type: Date,
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    purchasePrice: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+// Generate GRN number and total before saving
+goodsReceiptSchema.pre('save', async function(next) {
+  if (!this.grnNumber) {
+    this.grnNumber = await Counter.nextId(ID_SEQUENCES.GOODS_RECEIPT);
+  }
+  this.totalAmount = this.items.reduce((sum, item) => sum + item.quantity * item.purchasePrice, 0);
+  next();
+});
+
+goodsReceiptSchema.index({ supplierId: 1, receivedAt: -1 });
+goodsReceiptSchema.index({ purchaseOrderId: 1 });
+
+module.exports = mongoose.model('GoodsReceipt', goodsReceiptSchema);
@@ -4,7 +4,15 @@
  */
 
 const mongoose = require('mongoose');
-const { IPD_STATUS } = require('../config/constants');
+const Counter = require('./Counter');
+const {
+  IPD_STATUS,
+  CLAIM_STATUS,
+  DISPENSE_STATUS,
+  DRUG_ALERT_TYPE,
+  DRUG_ALERT_SEVERITY,
+  ID_SEQUENCES
+} = require('../config/constants');
 
 const ipdRecordSchema = new mongoose.Schema({
   recordId: {
@@ -47,6 +55,27 @@ const ipdRecordSchema = new mongoose.Schema({
     enum: Object.values(IPD_STATUS),
     default: IPD_STATUS.ADMITTED
   },
+  // One entry per bed occupied during the stay - the open entry has no `to`
+  bedHistory: [{
+    bedId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bed',
+      required: true
+    },
+    bedNumber: String,
+    ward: String,
+    wardType: String,
+    from: {
+      type: Date,
+      required: true
+    },
+    to: Date,
+    reason: String,
+    transferredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
   treatmentNotes: [{
     date: {
       type: Date,
@@ -60,6 +89,15 @@ const ipdRecordSchema = new mongoose.Schema({
   }],
   medications: [{
     medicine: String,
+    // Optional link to the pharmacy catalogue so the order can be dispensed from stock
+    medicineId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Pharmacy'
+    },
+    quantity: {
+      type: Number,
+      min: 0
+    },
     dosage: String,
     frequency: String,
     startDate: Date,
@@ -67,7 +105,40 @@ const ipdRecordSchema = new mongoose.Schema({
     administeredBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
-    }
+    },
+    dispenseStatus: {
+      type: String,
+      enum: Object.values(DISPENSE_STATUS),
+      default: DISPENSE_STATUS.PENDING
+    },
+    dispensedQuantity: {
+      type: Number,
+      default: 0
+    },
+    dispensedAt: Date,
+    dispensedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Allergy and interaction alerts raised when prescribed, and the prescriber's override
+    safetyAlerts: [{
+      type: {
+        type: String,
+        enum: Object.values(DRUG_ALERT_TYPE)
+      },
+      severity: {
+        type: String,
+        enum: Object.values(DRUG_ALERT_SEVERITY)
+      },
+      message: String,
+      against: String
+    }],
+    overrideReason: String,
+    overriddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    overriddenAt: Date
   }],
   surgeries: [{
     name: String,
@@ -77,7 +148,12 @@ const ipdRecordSchema = new mongoose.Schema({
       ref: 'Doctor'
     },
     notes: String,
-    outcome: String
+    outcome: String,
+    charge: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
   }],
   vitalRecords: [{
     date: {
@@ -102,16 +178,62 @@ const ipdRecordSchema = new mongoose.Schema({
       dosage: String,
       duration: String
     }]
+  },
+  // Insurer approval for the admission, required before the stay's bill can be claimed
+  preAuthorization: {
+    provider: String,
+    policyNumber: String,
+    requestedAmount: Number,
+    approvedAmount: Number,
+    referenceNumber: String,
+    status: {
+      type: String,
+      enum: Object.values(CLAIM_STATUS),
+      default: CLAIM_STATUS.NOT_APPLIED
+    },
+    requestedAt: Date,
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedAt: Date,
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    remarks: String
   }
 }, {
   timestamps: true
 });
 
+// A patient can only hold one active admission
+ipdRecordSchema.index(
+  { patientId: 1 },
+  { unique: true, partialFilterExpression: { status: IPD_STATUS.ADMITTED } }
+);
+
+// Pharmacy dispensing queue
+ipdRecordSchema.index({ 'medications.dispenseStatus': 1 });
+
+// Occupancy intervals for the stay. Records created before bedHistory existed
+// fall back to a single interval on the current bed.
+ipdRecordSchema.methods.getBedIntervals = function() {
+  if (this.bedHistory.length > 0) {
+    return this.bedHistory;
+  }
+  return [{
+    bedId: this.bedId,
+    from: this.admissionDate,
+    to: this.dischargeDate,
+    reason: 'Admission'
+  }];
+};
+
 // Generate Record ID before saving
 ipdRecordSchema.pre('save', async function(next) {
   if (!this.recordId) {
-    const count = await mongoose.model('IPDRecord').countDocuments();
-    this.recordId = `IPD${String(count + 1).padStart(6, '0')}`;
+    this.recordId = await Counter.nextId(ID_SEQUENCES.IPD_RECORD);
   }
   next();
 });
@@ -0,0 +1,53 @@
+/**
+ * Lab Package Model
+ * Predefined groups of lab tests sold at a package price, e.g. a health checkup
+ */
+
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { ID_SEQUENCES } = require('../config/constants');
+
+const labPackageSchema = new mongoose.Schema({
+  packageId: {
+    type: String,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide package name'],
+    trim: true
+  },
+  description: String,
+  tests: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LabTest'
+    }],
+    validate: {
+      validator: (tests) => tests.length > 0 && new Set(tests.map(String)).size === tests.length,
+      message: 'A package needs at least one test, each included once'
+    }
+  },
+  // Charged for the whole package instead of the tests' own prices
+  price: {
+    type: Number,
+    required: [true, 'Please provide package price'],
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Generate Package ID before saving
+labPackageSchema.pre('save', async function(next) {
+  if (!this.packageId) {
+    this.packageId = await Counter.nextId(ID_SEQUENCES.LAB_PACKAGE);
+  }
+  next();
+});
+
+module.exports = mongoose.model('LabPackage', labPackageSchema);
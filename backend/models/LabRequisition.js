@@ -0,0 +1,72 @@
+/**
+ * Lab Requisition Model
+ * One lab order as placed by the doctor. Each test in it is a LabTestOrder that
+ * goes through collection, results and verification on its own.
+ */
+
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { ID_SEQUENCES } = require('../config/constants');
+
+const labRequisitionSchema = new mongoose.Schema({
+  requisitionId: {
+    type: String,
+    unique: true
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor'
+  },
+  opdRecordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OPDRecord'
+  },
+  ipdRecordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IPDRecord'
+  },
+  // Packages ordered, priced as they were at the time of ordering
+  packages: [{
+    packageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LabPackage'
+    },
+    name: String,
+    price: Number
+  }],
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LabTestOrder'
+  }],
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  priority: {
+    type: String,
+    enum: ['Normal', 'Urgent', 'Critical'],
+    default: 'Normal'
+  },
+  notes: String,
+  orderedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Generate Requisition ID before saving
+labRequisitionSchema.pre('save', async function(next) {
+  if (!this.requisitionId) {
+    this.requisitionId = await Counter.nextId(ID_SEQUENCES.LAB_REQUISITION);
+  }
+  next();
+});
+
+module.exports = mongoose.model('LabRequisition', labRequisitionSchema);
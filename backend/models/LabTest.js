@@ -4,7 +4,152 @@
  */
 
 const mongoose = require('mongoose');
-const { LAB_STATUS } = require('../config/constants');
+const Counter = require('./Counter');
+const {
+  LAB_STATUS,
+  LAB_RESULT_FLAG,
+  LAB_PARAMETER_TYPE,
+  SAMPLE_STATUS,
+  SPECIMEN_TYPES,
+  SPECIMEN_CONTAINERS,
+  SAMPLE_REJECTION_REASONS,
+  GENDERS,
+  ID_SEQUENCES
+} = require('../config/constants');
+
+// Reference interval for one gender/age band (ages in years, inclusive)
+const referenceRangeSchema = new mongoose.Schema({
+  gender: {
+    type: String,
+    enum: ['Any', ...GENDERS],
+    default: 'Any'
+  },
+  minAge: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  maxAge: {
+    type: Number,
+    min: 0
+  },
+  low: Number,
+  high: Number
+}, { _id: false });
+
+// One measured parameter of a test panel, e.g. Haemoglobin in a CBC
+const testParameterSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Please provide parameter code'],
+    trim: true,
+    uppercase: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide parameter name'],
+    trim: true
+  },
+  unit: String,
+  resultType: {
+    type: String,
+    enum: Object.values(LAB_PARAMETER_TYPE),
+    default: LAB_PARAMETER_TYPE.NUMERIC
+  },
+  referenceRanges: [referenceRangeSchema],
+  // Expected answer for text results, e.g. 'Negative'
+  normalValue: String,
+  // Values beyond these limits need immediate attention whatever the patient's band
+  criticalLow: Number,
+  criticalHigh: Number
+});
+
+// Parameter result as reported, with the band it was judged against
+const resultParameterSchema = new mongoose.Schema({
+  code: String,
+  name: String,
+  unit: String,
+  value: String,
+  numericValue: Number,
+  referenceLow: Number,
+  referenceHigh: Number,
+  referenceRange: String,
+  flag: {
+    type: String,
+    enum: Object.values(LAB_RESULT_FLAG)
+  }
+}, { _id: false });
+
+// A released result replaced by an amendment, kept with the reason it changed
+const amendmentSchema = new mongoose.Schema({
+  previousResult: {
+    value: String,
+    unit: String,
+    parameters: [resultParameterSchema],
+    isAbnormal: Boolean,
+    isCritical: Boolean,
+    notes: String
+  },
+  previousVerification: {
+    verifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    verifiedAt: Date,
+    signatureHash: String
+  },
+  reason: {
+    type: String,
+    required: [true, 'Please provide the reason for the amendment']
+  },
+  amendedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  amendedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One specimen drawn for an order. A rejected specimen stays on record and the
+// recollection gets a new accession number.
+const sampleSchema = new mongoose.Schema({
+  accessionNumber: {
+    type: String,
+    required: true
+  },
+  specimenType: String,
+  container: String,
+  status: {
+    type: String,
+    enum: Object.values(SAMPLE_STATUS),
+    default: SAMPLE_STATUS.COLLECTED
+  },
+  collectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  collectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  receivedAt: Date,
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rejectedAt: Date,
+  rejectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rejectionReason: {
+    type: String,
+    enum: SAMPLE_REJECTION_REASONS
+  },
+  rejectionNote: String
+});
 
 const labTestSchema = new mongoose.Schema({
   testId: {
@@ -30,11 +175,28 @@ const labTestSchema = new mongoose.Schema({
     required: [true, 'Please provide test price'],
     min: 0
   },
+  // Free-text range for tests reported as a single value; panels use parameters
   normalRange: {
     type: String
   },
+  parameters: {
+    type: [testParameterSchema],
+    validate: {
+      validator: (parameters) => new Set(parameters.map(parameter => parameter.code)).size === parameters.length,
+      message: 'Parameter codes must be unique within a test'
+    }
+  },
   unit: String,
   preparationInstructions: String,
+  specimenType: {
+    type: String,
+    enum: SPECIMEN_TYPES
+  },
+  container: {
+    type: String,
+    enum: SPECIMEN_CONTAINERS
+  },
+  // Free text such as '4 hours' or '2 days', measured from sample receipt to release
   turnaroundTime: {
     type: String,
     default: '24 hours'
@@ -67,10 +229,28 @@ const labTestOrderSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Doctor'
   },
+  // The order this test was placed in, and the package it came with
+  requisitionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LabRequisition'
+  },
+  packageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LabPackage'
+  },
+  // Amount charged for this test - its share of the package price for package tests
+  price: {
+    type: Number,
+    min: 0
+  },
   opdRecordId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'OPDRecord'
   },
+  ipdRecordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IPDRecord'
+  },
   orderDate: {
     type: Date,
     default: Date.now
@@ -80,6 +260,20 @@ const labTestOrderSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  sampleReceivedAt: Date,
+  sampleReceivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Every specimen collected for the order; the last one is current
+  samples: [sampleSchema],
+  // Turnaround against LabTest.turnaroundTime, from receipt at the lab to first release
+  turnaround: {
+    targetMinutes: Number,
+    dueAt: Date,
+    minutes: Number,
+    exceeded: Boolean
+  },
   status: {
     type: String,
     enum: Object.values(LAB_STATUS),
@@ -88,11 +282,24 @@ const labTestOrderSchema = new mongoose.Schema({
   result: {
     value: String,
     unit: String,
+    parameters: [resultParameterSchema],
     isAbnormal: Boolean,
+    isCritical: Boolean,
     notes: String,
     attachments: [{
       name: String,
-      url: String
+      url: String,
+      fileName: String,
+      mimeType: String,
+      size: Number,
+      uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      uploadedAt: {
+        type: Date,
+        default: Date.now
+      }
     }]
   },
   completedAt: Date,
@@ -100,21 +307,70 @@ const labTestOrderSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Set when the result was staged from an analyzer rather than keyed in
+  analyzerRun: {
+    analyzer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Analyzer'
+    },
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AnalyzerMessage'
+    },
+    receivedAt: Date
+  },
+  // Pathologist sign-off that releases the result
+  verification: {
+    verifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    verifiedAt: Date,
+    comments: String,
+    signatureHash: String
+  },
+  amendments: [amendmentSchema],
   priority: {
     type: String,
     enum: ['Normal', 'Urgent', 'Critical'],
     default: 'Normal'
   },
+  // Who was alerted to a critical result and who acknowledged it
+  criticalAlert: {
+    notifiedAt: Date,
+    notifiedUsers: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    escalatedAt: Date,
+    acknowledgements: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      note: String,
+      acknowledgedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
   notes: String
 }, {
   timestamps: true
 });
 
+// Unacknowledged critical alerts are looked up for escalation
+labTestOrderSchema.index({ 'criticalAlert.notifiedAt': 1, 'criticalAlert.escalatedAt': 1 });
+// Tests of a requisition are listed together
+labTestOrderSchema.index({ requisitionId: 1 });
+// Specimens are scanned in by accession number
+labTestOrderSchema.index({ 'samples.accessionNumber': 1 });
+
 // Generate Test ID before saving
 labTestSchema.pre('save', async function(next) {
   if (!this.testId) {
-    const count = await mongoose.model('LabTest').countDocuments();
-    this.testId = `TST${String(count + 1).padStart(6, '0')}`;
+    this.testId = await Counter.nextId(ID_SEQUENCES.LAB_TEST);
   }
   if (!this.testCode) {
     this.testCode = this.testName.substring(0, 3).toUpperCase() + Date.now().toString().slice(-4);
@@ -125,8 +381,7 @@ labTestSchema.pre('save', async function(next) {
 // Generate Order ID before saving
 labTestOrderSchema.pre('save', async function(next) {
   if (!this.orderId) {
-    const count = await mongoose.model('LabTestOrder').countDocuments();
-    this.orderId = `LBO${String(count + 1).padStart(6, '0')}`;
+    this.orderId = await Counter.nextId(ID_SEQUENCES.LAB_ORDER);
   }
   next();
 });
@@ -0,0 +1,46 @@
+/**
+ * Login Audit Model
+ * One login attempt - who, from where, and whether it succeeded or why it was refused
+ */
+
+const mongoose = require('mongoose');
+const { LOGIN_FAILURE_REASON, LOGIN_METHOD } = require('../config/constants');
+
+const loginAuditSchema = new mongoose.Schema({
+  // Empty when the email does not belong to an account
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // As typed, so attempts against unknown accounts are visible too
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  ip: String,
+  userAgent: String,
+  success: {
+    type: Boolean,
+    required: true
+  },
+  method: {
+    type: String,
+    enum: Object.values(LOGIN_METHOD)
+  },
+  reason: {
+    type: String,
+    enum: Object.values(LOGIN_FAILURE_REASON)
+  },
+  // Set on the failed attempt that locked the account
+  lockedUntil: Date
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+loginAuditSchema.index({ createdAt: -1 });
+loginAuditSchema.index({ user: 1, createdAt: -1 });
+loginAuditSchema.index({ ip: 1, createdAt: -1 });
+loginAuditSchema.index({ success: 1, createdAt: -1 });
+
+module.exports = mongoose.model('LoginAudit', loginAuditSchema);
@@ -0,0 +1,48 @@
+/**
+ * Notification Model
+ * In-app notifications for a user, with read and acknowledgement tracking
+ */
+
+const mongoose = require('mongoose');
+const { NOTIFICATION_TYPE, NOTIFICATION_REFERENCE_TYPE } = require('../config/constants');
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.values(NOTIFICATION_TYPE),
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: String,
+  reference: {
+    type: {
+      type: String,
+      enum: Object.values(NOTIFICATION_REFERENCE_TYPE)
+    },
+    number: String,
+    documentId: mongoose.Schema.Types.ObjectId
+  },
+  // Critical alerts stay open until the recipient acknowledges them
+  requiresAcknowledgement: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date,
+  acknowledgedAt: Date,
+  acknowledgementNote: String
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
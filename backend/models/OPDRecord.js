@@ -4,6 +4,13 @@
  */
 
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const {
+  DISPENSE_STATUS,
+  DRUG_ALERT_TYPE,
+  DRUG_ALERT_SEVERITY,
+  ID_SEQUENCES
+} = require('../config/constants');
 
 const opdRecordSchema = new mongoose.Schema({
   recordId: {
@@ -46,16 +53,63 @@ const opdRecordSchema = new mongoose.Schema({
   },
   prescription: [{
     medicine: String,
+    // Optional link to the pharmacy catalogue so the line can be dispensed from stock
+    medicineId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Pharmacy'
+    },
+    quantity: {
+      type: Number,
+      min: 0
+    },
     dosage: String,
     frequency: String,
     duration: String,
-    instructions: String
+    instructions: String,
+    dispenseStatus: {
+      type: String,
+      enum: Object.values(DISPENSE_STATUS),
+      default: DISPENSE_STATUS.PENDING
+    },
+    dispensedQuantity: {
+      type: Number,
+      default: 0
+    },
+    dispensedAt: Date,
+    dispensedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Allergy and interaction alerts raised when prescribed, and the prescriber's override
+    safetyAlerts: [{
+      type: {
+        type: String,
+        enum: Object.values(DRUG_ALERT_TYPE)
+      },
+      severity: {
+        type: String,
+        enum: Object.values(DRUG_ALERT_SEVERITY)
+      },
+      message: String,
+      against: String
+    }],
+    overrideReason: String,
+    overriddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    overriddenAt: Date
   }],
   labTests: [{
     test: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'LabTest'
     },
+    // Set when the test is ordered from the lab; status follows the order
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LabTestOrder'
+    },
     status: {
       type: String,
       enum: ['Ordered', 'Completed', 'Cancelled'],
@@ -79,10 +133,12 @@ const opdRecordSchema = new mongoose.Schema({
 // Generate Record ID before saving
 opdRecordSchema.pre('save', async function(next) {
   if (!this.recordId) {
-    const count = await mongoose.model('OPDRecord').countDocuments();
-    this.recordId = `OPD${String(count + 1).padStart(6, '0')}`;
+    this.recordId = await Counter.nextId(ID_SEQUENCES.OPD_RECORD);
   }
   next();
 });
 
+// Pharmacy dispensing queue
+opdRecordSchema.index({ 'prescription.dispenseStatus': 1 });
+
 module.exports = mongoose.model('OPDRecord', opdRecordSchema);
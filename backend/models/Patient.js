@@ -4,7 +4,8 @@
  */
 
 const mongoose = require('mongoose');
-const { BLOOD_GROUPS, GENDERS } = require('../config/constants');
+const Counter = require('./Counter');
+const { BLOOD_GROUPS, GENDERS, ID_SEQUENCES } = require('../config/constants');
 
 const patientSchema = new mongoose.Schema({
   userId: {
@@ -61,6 +62,13 @@ const patientSchema = new mongoose.Schema({
   documents: [{
     name: String,
     url: String,
+    fileName: String,
+    mimeType: String,
+    size: Number,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     uploadedAt: {
       type: Date,
       default: Date.now
@@ -73,8 +81,7 @@ const patientSchema = new mongoose.Schema({
 // Generate Patient ID before saving
 patientSchema.pre('save', async function(next) {
   if (!this.patientId) {
-    const count = await mongoose.model('Patient').countDocuments();
-    this.patientId = `PAT${String(count + 1).padStart(6, '0')}`;
+    this.patientId = await Counter.nextId(ID_SEQUENCES.PATIENT);
   }
   
   // Calculate age from DOB
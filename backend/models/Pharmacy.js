@@ -1,9 +1,38 @@
 /**
  * Pharmacy/Medicine Model
- * Medicine inventory management
+ * Medicine master with batch-level inventory
  */
 
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { ID_SEQUENCES } = require('../config/constants');
+
+const batchSchema = new mongoose.Schema({
+  batchNumber: {
+    type: String,
+    required: [true, 'Please provide batch number'],
+    trim: true
+  },
+  manufacturingDate: Date,
+  expiryDate: {
+    type: Date,
+    required: [true, 'Please provide expiry date']
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 0
+  },
+  purchasePrice: {
+    type: Number,
+    min: 0
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
 
 const pharmacySchema = new mongoose.Schema({
   medicineId: {
@@ -28,18 +57,8 @@ const pharmacySchema = new mongoose.Schema({
     type: String,
     required: true
   },
-  batchNumber: {
-    type: String,
-    required: [true, 'Please provide batch number']
-  },
-  manufacturingDate: {
-    type: Date,
-    required: true
-  },
-  expiryDate: {
-    type: Date,
-    required: [true, 'Please provide expiry date']
-  },
+  batches: [batchSchema],
+  // Sum of batch quantities, kept in sync on save
   stock: {
     type: Number,
     required: true,
@@ -55,9 +74,9 @@ const pharmacySchema = new mongoose.Schema({
     enum: ['Strip', 'Bottle', 'Box', 'Vial', 'Tube', 'Piece'],
     default: 'Strip'
   },
+  // Reference price; each batch records what it was actually bought at
   purchasePrice: {
     type: Number,
-    required: true,
     min: 0
   },
   sellingPrice: {
@@ -72,6 +91,12 @@ const pharmacySchema = new mongoose.Schema({
   description: String,
   sideEffects: [String],
   storage: String,
+  // Preferred supplier for reorders
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier'
+  },
+  // Free-text supplier kept for medicines set up before suppliers were tracked
   supplier: {
     name: String,
     contact: String
@@ -81,29 +106,86 @@ const pharmacySchema = new mongoose.Schema({
     default: true
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Concurrent stock movements on the same medicine must not overwrite each other's batches
+  optimisticConcurrency: true
 });
 
-// Generate Medicine ID before saving
+// Generate Medicine ID and derive stock before saving
 pharmacySchema.pre('save', async function(next) {
   if (!this.medicineId) {
-    const count = await mongoose.model('Pharmacy').countDocuments();
-    this.medicineId = `MED${String(count + 1).padStart(6, '0')}`;
+    this.medicineId = await Counter.nextId(ID_SEQUENCES.MEDICINE);
   }
+  this.stock = this.batches.reduce((sum, batch) => sum + batch.quantity, 0);
   next();
 });
 
+// Add received quantity to a batch, creating it if this batch number is new
+pharmacySchema.methods.receiveBatch = function({ batchNumber, manufacturingDate, expiryDate, quantity, purchasePrice }) {
+  let batch = this.batches.find(existing => existing.batchNumber === batchNumber);
+
+  if (batch) {
+    batch.quantity += quantity;
+  } else {
+    this.batches.push({
+      batchNumber,
+      manufacturingDate,
+      expiryDate,
+      quantity,
+      purchasePrice: purchasePrice ?? this.purchasePrice
+    });
+    batch = this.batches[this.batches.length - 1];
+  }
+
+  return batch;
+};
+
+// Unexpired batches with stock, first-expiring first
+pharmacySchema.methods.getDispensableBatches = function(asOf = new Date()) {
+  return this.batches
+    .filter(batch => batch.quantity > 0 && batch.expiryDate > asOf)
+    .sort((a, b) => a.expiryDate - b.expiryDate);
+};
+
+// Take quantity out of a single batch. Returns what was drawn, or null when the batch holds less.
+pharmacySchema.methods.takeFromBatch = function(batch, quantity) {
+  if (batch.quantity < quantity) {
+    return null;
+  }
+
+  batch.quantity -= quantity;
+  return { batchId: batch._id, batchNumber: batch.batchNumber, expiryDate: batch.expiryDate, quantity };
+};
+
+// Take quantity out of stock first-expiry-first-out. Returns the batches drawn
+// from, or null (leaving stock untouched) when unexpired stock is insufficient.
+pharmacySchema.methods.consumeStock = function(quantity, asOf = new Date()) {
+  const batches = this.getDispensableBatches(asOf);
+  const available = batches.reduce((sum, batch) => sum + batch.quantity, 0);
+
+  if (available < quantity) {
+    return null;
+  }
+
+  const allocations = [];
+  let remaining = quantity;
+  for (const batch of batches) {
+    if (remaining === 0) break;
+    const taken = Math.min(batch.quantity, remaining);
+    allocations.push(this.takeFromBatch(batch, taken));
+    remaining -= taken;
+  }
+
+  return allocations;
+};
+
 // Virtual for checking if stock is low
 pharmacySchema.virtual('isLowStock').get(function() {
   return this.stock <= this.minStockLevel;
 });
 
-// Virtual for checking if expired
-pharmacySchema.virtual('isExpired').get(function() {
-  return new Date() > this.expiryDate;
-});
-
 // Index for search
 pharmacySchema.index({ name: 'text', genericName: 'text' });
+pharmacySchema.index({ 'batches.expiryDate': 1 });
 
 module.exports = mongoose.model('Pharmacy', pharmacySchema);
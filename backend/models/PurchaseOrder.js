@@ -0,0 +1,81 @@
+/**
+ * Purchase Order Model
+ * Medicines ordered from a supplier, received against goods receipt notes
+ */
+
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { PURCHASE_ORDER_STATUS, ID_SEQUENCES } = require('../config/constants');
+
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: {
+    type: String,
+    unique: true
+  },
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  items: [{
+    medicineId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Pharmacy',
+      required: true
+    },
+    // Name at the time of ordering
+    name: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    unitPrice: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    receivedQuantity: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  }],
+  status: {
+    type: String,
+    enum: Object.values(PURCHASE_ORDER_STATUS),
+    default: PURCHASE_ORDER_STATUS.DRAFT
+  },
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  expectedDate: Date,
+  notes: String,
+  orderedAt: Date,
+  orderedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  // Goods receipts against the same order must not overwrite each other's quantities
+  optimisticConcurrency: true
+});
+
+// Generate PO number and total before saving
+purchaseOrderSchema.pre('save', async function(next) {
+  if (!this.poNumber) {
+    this.poNumber = await Counter.nextId(ID_SEQUENCES.PURCHASE_ORDER);
+  }
+  this.totalAmount = this.items.reduce((sum, item) => sum + item.quantity * item.unitPrice, 0);
+  next();
+});
+
+purchaseOrderSchema.index({ supplierId: 1, status: 1 });
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
@@ -0,0 +1,41 @@
+/**
+ * Role Model
+ * A named set of permissions. The built-in roles are created with default
+ * permissions; admins can edit them and add roles of their own.
+ */
+
+const mongoose = require('mongoose');
+const { PERMISSIONS } = require('../config/constants');
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a role name'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z][A-Z0-9_]{1,29}$/, 'Role names use letters, digits and underscores (2-30 characters)']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  permissions: [{
+    type: String,
+    enum: Object.values(PERMISSIONS)
+  }],
+  // Built-in roles cannot be deleted
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,54 @@
+/**
+ * Security Setting Model
+ * Hospital-wide login security policy, kept as a single document
+ */
+
+const mongoose = require('mongoose');
+
+const SETTINGS_ID = 'security';
+
+const securitySettingSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: SETTINGS_ID
+  },
+  // Users with these roles must set up two-factor authentication to log in.
+  // Role names, checked against the roles collection when the policy is saved.
+  twoFactorRequiredRoles: [{
+    type: String
+  }],
+  // Failed attempts in a row that lock an account. The first lock lasts
+  // lockoutBaseMinutes and each further one twice as long, up to lockoutMaxMinutes.
+  lockoutThreshold: {
+    type: Number,
+    default: 5,
+    min: 1
+  },
+  lockoutBaseMinutes: {
+    type: Number,
+    default: 5,
+    min: 1
+  },
+  lockoutMaxMinutes: {
+    type: Number,
+    default: 24 * 60,
+    min: 1
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// The settings document, created with defaults the first time it is read
+securitySettingSchema.statics.getSettings = function() {
+  return this.findOneAndUpdate(
+    { _id: SETTINGS_ID },
+    {},
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('SecuritySetting', securitySettingSchema);
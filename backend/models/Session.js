@@ -0,0 +1,55 @@
+/**
+ * Session Model
+ * One login on one device, holding the refresh token that keeps it signed in
+ */
+
+const mongoose = require('mongoose');
+const { SESSION_REVOKED_REASON } = require('../config/constants');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Hash of the current refresh token, and of the one it replaced so a replayed token is recognised
+  refreshTokenHash: {
+    type: String,
+    select: false
+  },
+  previousTokenHash: {
+    type: String,
+    select: false
+  },
+  rotatedAt: Date,
+  userAgent: String,
+  // Readable summary of the user agent, e.g. 'Chrome on Windows'
+  device: String,
+  ip: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Pushed back each time the refresh token is used
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: Object.values(SESSION_REVOKED_REASON)
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
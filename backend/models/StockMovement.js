@@ -0,0 +1,61 @@
+/**
+ * Stock Movement Model
+ * Append-only ledger of every change to pharmacy batch quantities
+ */
+
+const mongoose = require('mongoose');
+const { STOCK_MOVEMENT_TYPE, STOCK_REFERENCE_TYPE } = require('../config/constants');
+
+const stockMovementSchema = new mongoose.Schema({
+  medicineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pharmacy',
+    required: true
+  },
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  batchNumber: {
+    type: String,
+    required: true
+  },
+  expiryDate: Date,
+  type: {
+    type: String,
+    enum: Object.values(STOCK_MOVEMENT_TYPE),
+    required: true
+  },
+  // Signed: positive into stock, negative out of it
+  quantity: {
+    type: Number,
+    required: true
+  },
+  // Medicine stock right after this movement
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  unitCost: Number,
+  reason: String,
+  reference: {
+    type: {
+      type: String,
+      enum: Object.values(STOCK_REFERENCE_TYPE)
+    },
+    number: String,
+    documentId: mongoose.Schema.Types.ObjectId
+  },
+  // Empty only for entries written by migrations
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+stockMovementSchema.index({ medicineId: 1, createdAt: -1 });
+stockMovementSchema.index({ type: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -0,0 +1,52 @@
+/**
+ * Supplier Model
+ * Vendors the pharmacy buys medicines from
+ */
+
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { ID_SEQUENCES } = require('../config/constants');
+
+const supplierSchema = new mongoose.Schema({
+  supplierId: {
+    type: String,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide supplier name'],
+    trim: true
+  },
+  contactPerson: String,
+  phone: String,
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  address: String,
+  gstin: String,
+  drugLicenseNumber: String,
+  // Credit period in days
+  paymentTerms: {
+    type: Number,
+    default: 30,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Generate Supplier ID before saving
+supplierSchema.pre('save', async function(next) {
+  if (!this.supplierId) {
+    this.supplierId = await Counter.nextId(ID_SEQUENCES.SUPPLIER);
+  }
+  next();
+});
+
+module.exports = mongoose.model('Supplier', supplierSchema);
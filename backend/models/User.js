@@ -3,6 +3,7 @@
  * Base user model with authentication and role management
  */
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
@@ -33,6 +34,13 @@ const userSchema = new mongoose.Schema({
     enum: Object.values(ROLES),
     default: ROLES.PATIENT
   },
+  // Further roles held alongside the primary role above, which alone decides the
+  // user's profile (patient or doctor) and which records they are scoped to
+  roles: [{
+    type: String,
+    uppercase: true,
+    trim: true
+  }],
   phone: {
     type: String,
     match: [/^[0-9]{10,12}$/, 'Please provide a valid phone number (10-12 digits)']
@@ -54,7 +62,47 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
-  resetPasswordToken: String,
+  // Failed password or two-factor attempts since the last successful login
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  // Lockouts since the last successful login - each one lasts longer
+  lockoutCount: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date,
+  // Two-factor authentication with an authenticator app (TOTP). Secrets are stored
+  // encrypted; the pending secret waits for the first code to confirm enrollment.
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabledAt: Date,
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // Hashes of the unused recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Time step of the last accepted code, so a code cannot be used twice
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  // Hash of the emailed reset token; cleared once it is used
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
   resetPasswordExpire: Date
 }, {
   timestamps: true
@@ -70,9 +118,9 @@ userSchema.pre('save', async function(next) {
   next();
 });
 
-// Sign JWT and return
-userSchema.methods.getSignedJwtToken = function() {
-  return jwt.sign({ id: this._id, role: this.role }, process.env.JWT_SECRET, {
+// Sign a short-lived access token for one of the user's sessions
+userSchema.methods.getSignedJwtToken = function(sessionId) {
+  return jwt.sign({ id: this._id, role: this.role, sid: sessionId }, process.env.JWT_SECRET, {
     expiresIn: process.env.JWT_EXPIRE
   });
 };
@@ -82,4 +130,25 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Primary role first, then any further roles - permissions come from all of them
+userSchema.methods.getRoles = function() {
+  return [...new Set([this.role, ...(this.roles || [])])];
+};
+
+// Whether too many failed logins have locked the account for now
+userSchema.methods.isLocked = function() {
+  return !!this.lockUntil && this.lockUntil > new Date();
+};
+
+// Generate a single-use password reset token; only its hash is stored
+userSchema.methods.getResetPasswordToken = function() {
+  const resetToken = crypto.randomBytes(20).toString('hex');
+  const minutes = Number(process.env.RESET_PASSWORD_EXPIRE_MINUTES) || 30;
+
+  this.resetPasswordToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.resetPasswordExpire = Date.now() + minutes * 60 * 1000;
+
+  return resetToken;
+};
+
 module.exports = mongoose.model('User', userSchema);
@@ -4,6 +4,10 @@
  */
 
 const User = require('./User');
+const Session = require('./Session');
+const Role = require('./Role');
+const SecuritySetting = require('./SecuritySetting');
+const LoginAudit = require('./LoginAudit');
 const Patient = require('./Patient');
 const Doctor = require('./Doctor');
 const Appointment = require('./Appointment');
@@ -11,11 +15,25 @@ const OPDRecord = require('./OPDRecord');
 const IPDRecord = require('./IPDRecord');
 const Bed = require('./Bed');
 const Pharmacy = require('./Pharmacy');
+const StockMovement = require('./StockMovement');
+const Supplier = require('./Supplier');
+const PurchaseOrder = require('./PurchaseOrder');
+const GoodsReceipt = require('./GoodsReceipt');
 const { LabTest, LabTestOrder } = require('./LabTest');
+const LabPackage = require('./LabPackage');
+const LabRequisition = require('./LabRequisition');
+const Analyzer = require('./Analyzer');
+const AnalyzerMessage = require('./AnalyzerMessage');
 const Billing = require('./Billing');
+const Notification = require('./Notification');
+const Counter = require('./Counter');
 
 module.exports = {
   User,
+  Session,
+  Role,
+  SecuritySetting,
+  LoginAudit,
   Patient,
   Doctor,
   Appointment,
@@ -23,7 +41,17 @@ module.exports = {
   IPDRecord,
   Bed,
   Pharmacy,
+  StockMovement,
+  Supplier,
+  PurchaseOrder,
+  GoodsReceipt,
   LabTest,
   LabTestOrder,
-  Billing
+  LabPackage,
+  LabRequisition,
+  Analyzer,
+  AnalyzerMessage,
+  Billing,
+  Notification,
+  Counter
 };
@@ -5,9 +5,9 @@
 const express = require('express');
 const router = express.Router();
 const { body } = require('express-validator');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorizePermission } = require('../middleware/auth');
 const { validate } = require('../middleware/validate');
-const { ROLES } = require('../config/constants');
+const { PERMISSIONS } = require('../config/constants');
 const {
   getAppointments,
   getAppointment,
@@ -30,8 +30,8 @@ const createAppointmentValidation = [
 // All routes require authentication
 router.use(protect);
 
-// Get appointment stats - Admin only
-router.get('/stats', authorize(ROLES.ADMIN), getAppointmentStats);
+// Get appointment stats
+router.get('/stats', authorizePermission(PERMISSIONS.APPOINTMENTS_STATS), getAppointmentStats);
 
 // Get today's appointments
 router.get('/today', getTodayAppointments);
@@ -51,7 +51,7 @@ router.put('/:id', updateAppointment);
 // Cancel appointment
 router.put('/:id/cancel', cancelAppointment);
 
-// Complete appointment - Doctor only
-router.put('/:id/complete', authorize(ROLES.ADMIN, ROLES.DOCTOR), completeAppointment);
+// Complete appointment
+router.put('/:id/complete', authorizePermission(PERMISSIONS.APPOINTMENTS_COMPLETE), completeAppointment);
 
 module.exports = router;
@@ -5,7 +5,7 @@
 const express = require('express');
 const router = express.Router();
 const { body } = require('express-validator');
-const { protect } = require('../middleware/auth');
+const { protect, protectTwoFactorChallenge } = require('../middleware/auth');
 const { validate } = require('../middleware/validate');
 const {
   register,
@@ -13,7 +13,19 @@ const {
   getMe,
   updateDetails,
   updatePassword,
-  logout
+  forgotPassword,
+  resetPassword,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  refreshToken,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions
 } = require('../controllers/authController');
 
 // Validation rules
@@ -30,12 +42,37 @@ const loginValidation = [
   body('password').notEmpty().withMessage('Password is required')
 ];
 
+const twoFactorCodeValidation = [
+  body('code').optional().matches(/^\d{6}$/).withMessage('Authentication code must be 6 digits')
+];
+
+const forgotPasswordValidation = [
+  body('email').isEmail().withMessage('Please provide a valid email')
+];
+
+const resetPasswordValidation = [
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+];
+
 // Routes
 router.post('/register', registerValidation, validate, register);
 router.post('/login', loginValidation, validate, login);
+router.post('/2fa/challenge', protectTwoFactorChallenge, twoFactorCodeValidation, validate, verifyTwoFactorLogin);
+router.post('/2fa/challenge/setup', protectTwoFactorChallenge, setupTwoFactor);
 router.get('/me', protect, getMe);
 router.put('/updatedetails', protect, updateDetails);
 router.put('/updatepassword', protect, updatePassword);
-router.get('/logout', protect, logout);
+router.get('/2fa', protect, getTwoFactorStatus);
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/enable', protect, twoFactorCodeValidation, validate, enableTwoFactor);
+router.post('/2fa/disable', protect, twoFactorCodeValidation, validate, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, twoFactorCodeValidation, validate, regenerateRecoveryCodes);
+router.post('/forgotpassword', forgotPasswordValidation, validate, forgotPassword);
+router.put('/resetpassword/:token', resetPasswordValidation, validate, resetPassword);
+router.post('/refresh', refreshToken);
+router.post('/logout', logout);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, revokeOtherSessions);
+router.delete('/sessions/:id', protect, revokeSession);
 
 module.exports = router;
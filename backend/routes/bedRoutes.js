@@ -4,8 +4,8 @@
 
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
-const { ROLES } = require('../config/constants');
+const { protect, authorizePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/constants');
 const {
   getBeds,
   getBed,
@@ -21,8 +21,8 @@ const {
 // All routes require authentication
 router.use(protect);
 
-// Get bed stats - Admin only
-router.get('/stats', authorize(ROLES.ADMIN), getBedStats);
+// Get bed stats
+router.get('/stats', authorizePermission(PERMISSIONS.BEDS_STATS), getBedStats);
 
 // Get available beds
 router.get('/available', getAvailableBeds);
@@ -36,10 +36,10 @@ router.get('/', getBeds);
 // Get single bed
 router.get('/:id', getBed);
 
-// Admin only routes
-router.post('/', authorize(ROLES.ADMIN), createBed);
-router.put('/:id', authorize(ROLES.ADMIN), updateBed);
-router.delete('/:id', authorize(ROLES.ADMIN), deleteBed);
-router.put('/:id/maintenance', authorize(ROLES.ADMIN), markMaintenance);
+// Management routes
+router.post('/', authorizePermission(PERMISSIONS.BEDS_MANAGE), createBed);
+router.put('/:id', authorizePermission(PERMISSIONS.BEDS_MANAGE), updateBed);
+router.delete('/:id', authorizePermission(PERMISSIONS.BEDS_MANAGE), deleteBed);
+router.put('/:id/maintenance', authorizePermission(PERMISSIONS.BEDS_MANAGE), markMaintenance);
 
 module.exports = router;
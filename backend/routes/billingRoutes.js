@@ -4,8 +4,8 @@
 
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
-const { ROLES } = require('../config/constants');
+const { protect, authorizePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/constants');
 const {
   getBills,
   getBill,
@@ -15,14 +15,20 @@ const {
   addPayment,
   getPatientBillingHistory,
   getBillingStats,
-  getInvoice
+  getInvoice,
+  generateIPDBill,
+  finalizeBill,
+  getInvoicePdf,
+  getReceiptPdf,
+  refundPayment,
+  voidPayment
 } = require('../controllers/billingController');
 
 // All routes require authentication
 router.use(protect);
 
-// Get billing stats - Admin only
-router.get('/stats', authorize(ROLES.ADMIN), getBillingStats);
+// Get billing stats
+router.get('/stats', authorizePermission(PERMISSIONS.BILLING_STATS), getBillingStats);
 
 // Get patient billing history
 router.get('/patient/:patientId', getPatientBillingHistory);
@@ -36,16 +42,34 @@ router.get('/:id', getBill);
 // Get invoice data
 router.get('/:id/invoice', getInvoice);
 
-// Create bill - Admin, Receptionist
-router.post('/', authorize(ROLES.ADMIN, ROLES.RECEPTIONIST), createBill);
+// Download invoice PDF
+router.get('/:id/invoice.pdf', getInvoicePdf);
 
-// Update bill - Admin
-router.put('/:id', authorize(ROLES.ADMIN), updateBill);
+// Download payment receipt PDF
+router.get('/:id/payments/:paymentId/receipt.pdf', getReceiptPdf);
 
-// Delete bill - Admin
-router.delete('/:id', authorize(ROLES.ADMIN), deleteBill);
+// Create bill
+router.post('/', authorizePermission(PERMISSIONS.BILLING_CREATE), createBill);
 
-// Add payment - Admin, Receptionist
-router.post('/:id/payment', authorize(ROLES.ADMIN, ROLES.RECEPTIONIST), addPayment);
+// Generate or refresh the draft bill of an IPD stay
+router.post('/ipd/:ipdRecordId/interim', authorizePermission(PERMISSIONS.BILLING_CREATE), generateIPDBill);
+
+// Finalize draft bill
+router.put('/:id/finalize', authorizePermission(PERMISSIONS.BILLING_FINALIZE), finalizeBill);
+
+// Update bill
+router.put('/:id', authorizePermission(PERMISSIONS.BILLING_UPDATE), updateBill);
+
+// Delete bill
+router.delete('/:id', authorizePermission(PERMISSIONS.BILLING_DELETE), deleteBill);
+
+// Add payment
+router.post('/:id/payment', authorizePermission(PERMISSIONS.BILLING_COLLECT), addPayment);
+
+// Refund payments
+router.post('/:id/refund', authorizePermission(PERMISSIONS.BILLING_REFUND), refundPayment);
+
+// Void a payment
+router.post('/:id/payments/:paymentId/void', authorizePermission(PERMISSIONS.BILLING_VOID), voidPayment);
 
 module.exports = router;
@@ -4,8 +4,8 @@
 
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
-const { ROLES } = require('../config/constants');
+const { protect, authorizePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/constants');
 const {
   getAdminDashboard,
   getDoctorDashboard,
@@ -16,12 +16,12 @@ const {
 router.use(protect);
 
 // Admin dashboard
-router.get('/admin', authorize(ROLES.ADMIN), getAdminDashboard);
+router.get('/admin', authorizePermission(PERMISSIONS.DASHBOARD_ADMIN), getAdminDashboard);
 
 // Doctor dashboard
-router.get('/doctor', authorize(ROLES.DOCTOR), getDoctorDashboard);
+router.get('/doctor', authorizePermission(PERMISSIONS.DASHBOARD_DOCTOR), getDoctorDashboard);
 
 // Patient dashboard
-router.get('/patient', authorize(ROLES.PATIENT), getPatientDashboard);
+router.get('/patient', authorizePermission(PERMISSIONS.DASHBOARD_PATIENT), getPatientDashboard);
 
 module.exports = router;
@@ -4,8 +4,8 @@
 
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
-const { ROLES } = require('../config/constants');
+const { protect, authorizePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/constants');
 const {
   getDoctors,
   getDoctor,
@@ -31,10 +31,10 @@ router.use(protect);
 
 router.get('/user/:userId', getDoctorByUserId);
 
-// Admin only routes
-router.post('/', authorize(ROLES.ADMIN), createDoctor);
-router.put('/:id', authorize(ROLES.ADMIN, ROLES.DOCTOR), updateDoctor);
-router.delete('/:id', authorize(ROLES.ADMIN), deleteDoctor);
-router.put('/:id/availability', authorize(ROLES.ADMIN, ROLES.DOCTOR), updateAvailability);
+// Management routes
+router.post('/', authorizePermission(PERMISSIONS.DOCTORS_MANAGE), createDoctor);
+router.put('/:id', authorizePermission(PERMISSIONS.DOCTORS_UPDATE), updateDoctor);
+router.delete('/:id', authorizePermission(PERMISSIONS.DOCTORS_MANAGE), deleteDoctor);
+router.put('/:id/availability', authorizePermission(PERMISSIONS.DOCTORS_UPDATE), updateAvailability);
 
 module.exports = router;
@@ -5,6 +5,7 @@
 
 const authRoutes = require('./authRoutes');
 const userRoutes = require('./userRoutes');
+const roleRoutes = require('./roleRoutes');
 const patientRoutes = require('./patientRoutes');
 const doctorRoutes = require('./doctorRoutes');
 const appointmentRoutes = require('./appointmentRoutes');
@@ -14,11 +15,15 @@ const bedRoutes = require('./bedRoutes');
 const pharmacyRoutes = require('./pharmacyRoutes');
 const labRoutes = require('./labRoutes');
 const billingRoutes = require('./billingRoutes');
+const insuranceRoutes = require('./insuranceRoutes');
+const procurementRoutes = require('./procurementRoutes');
+const notificationRoutes = require('./notificationRoutes');
 const dashboardRoutes = require('./dashboardRoutes');
 
 module.exports = {
   authRoutes,
   userRoutes,
+  roleRoutes,
   patientRoutes,
   doctorRoutes,
   appointmentRoutes,
@@ -28,5 +33,8 @@ module.exports = {
   pharmacyRoutes,
   labRoutes,
   billingRoutes,
+  insuranceRoutes,
+  procurementRoutes,
+  notificationRoutes,
   dashboardRoutes
 };
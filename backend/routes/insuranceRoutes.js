@@ -0,0 +1,48 @@
+/**
+ * Insurance Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect, authorizePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/constants');
+const {
+  getClaims,
+  submitClaim,
+  approveClaim,
+  rejectClaim,
+  getPreAuthorizations,
+  requestPreAuthorization,
+  approvePreAuthorization,
+  rejectPreAuthorization
+} = require('../controllers/insuranceController');
+
+// All routes require authentication - billing desk only
+router.use(protect);
+router.use(authorizePermission(PERMISSIONS.INSURANCE_MANAGE));
+
+// Claims worklist
+router.get('/claims', getClaims);
+
+// Submit claim for a bill
+router.post('/claims/:billId', submitClaim);
+
+// Approve claim (fully or partially)
+router.put('/claims/:billId/approve', approveClaim);
+
+// Reject claim
+router.put('/claims/:billId/reject', rejectClaim);
+
+// Pre-authorization worklist
+router.get('/pre-auth', getPreAuthorizations);
+
+// Request pre-authorization for an admission
+router.post('/pre-auth/:ipdRecordId', requestPreAuthorization);
+
+// Approve pre-authorization
+router.put('/pre-auth/:ipdRecordId/approve', approvePreAuthorization);
+
+// Reject pre-authorization
+router.put('/pre-auth/:ipdRecordId/reject', rejectPreAuthorization);
+
+module.exports = router;
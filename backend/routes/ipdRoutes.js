@@ -4,8 +4,8 @@
 
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
-const { ROLES } = require('../config/constants');
+const { protect, authorizePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/constants');
 const {
   getIPDRecords,
   getIPDRecord,
@@ -15,14 +15,15 @@ const {
   addVitalRecord,
   addMedication,
   transferPatient,
+  getBedHistory,
   getIPDStats
 } = require('../controllers/ipdController');
 
 // All routes require authentication
 router.use(protect);
 
-// Get IPD stats - Admin only
-router.get('/stats', authorize(ROLES.ADMIN), getIPDStats);
+// Get IPD stats
+router.get('/stats', authorizePermission(PERMISSIONS.IPD_STATS), getIPDStats);
 
 // Get all IPD records
 router.get('/', getIPDRecords);
@@ -30,22 +31,25 @@ router.get('/', getIPDRecords);
 // Get single IPD record
 router.get('/:id', getIPDRecord);
 
-// Admit patient - Admin, Doctor, Nurse
-router.post('/admit', authorize(ROLES.ADMIN, ROLES.DOCTOR, ROLES.NURSE), admitPatient);
+// Get bed occupancy history
+router.get('/:id/bed-history', getBedHistory);
 
-// Discharge patient - Admin, Doctor
-router.put('/:id/discharge', authorize(ROLES.ADMIN, ROLES.DOCTOR), dischargePatient);
+// Admit patient
+router.post('/admit', authorizePermission(PERMISSIONS.IPD_ADMIT), admitPatient);
 
-// Add treatment note - Doctor, Nurse
-router.post('/:id/notes', authorize(ROLES.ADMIN, ROLES.DOCTOR, ROLES.NURSE), addTreatmentNote);
+// Discharge patient
+router.put('/:id/discharge', authorizePermission(PERMISSIONS.IPD_DISCHARGE), dischargePatient);
 
-// Add vital records - Doctor, Nurse
-router.post('/:id/vitals', authorize(ROLES.ADMIN, ROLES.DOCTOR, ROLES.NURSE), addVitalRecord);
+// Add treatment note
+router.post('/:id/notes', authorizePermission(PERMISSIONS.IPD_CHART), addTreatmentNote);
 
-// Add medication - Doctor
-router.post('/:id/medication', authorize(ROLES.ADMIN, ROLES.DOCTOR), addMedication);
+// Add vital records
+router.post('/:id/vitals', authorizePermission(PERMISSIONS.IPD_CHART), addVitalRecord);
 
-// Transfer patient - Admin, Nurse
-router.put('/:id/transfer', authorize(ROLES.ADMIN, ROLES.NURSE), transferPatient);
+// Add medication
+router.post('/:id/medication', authorizePermission(PERMISSIONS.IPD_MEDICATE), addMedication);
+
+// Transfer patient
+router.put('/:id/transfer', authorizePermission(PERMISSIONS.IPD_TRANSFER), transferPatient);
 
 module.exports = router;
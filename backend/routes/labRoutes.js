@@ -4,8 +4,9 @@
 
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
-const { ROLES } = require('../config/constants');
+const { protect, authorizePermission } = require('../middleware/auth');
+const upload = require('../middleware/upload');
+const { PERMISSIONS } = require('../config/constants');
 const {
   getLabTests,
   getLabTest,
@@ -14,19 +15,45 @@ const {
   deleteLabTest,
   getLabOrders,
   getLabOrder,
+  getLabRequisition,
   createLabOrder,
   collectSample,
+  receiveSample,
+  rejectSample,
+  getSampleLabel,
+  getSampleLabelPdf,
   addResult,
+  verifyResult,
+  amendResult,
+  getLabReportPdf,
+  uploadAttachment,
+  downloadAttachment,
   getPatientLabHistory,
   getLabStats,
   getCategories
 } = require('../controllers/labController');
+const {
+  getLabPackages,
+  getLabPackage,
+  createLabPackage,
+  updateLabPackage,
+  deleteLabPackage
+} = require('../controllers/labPackageController');
+const {
+  getAnalyzers,
+  createAnalyzer,
+  updateAnalyzer,
+  deleteAnalyzer,
+  getAnalyzerMessages,
+  getAnalyzerMessage,
+  importAnalyzerMessages
+} = require('../controllers/analyzerController');
 
 // All routes require authentication
 router.use(protect);
 
-// Lab stats - Admin, Lab
-router.get('/stats', authorize(ROLES.ADMIN, ROLES.LAB), getLabStats);
+// Lab stats
+router.get('/stats', authorizePermission(PERMISSIONS.LAB_STATS), getLabStats);
 
 // Get categories
 router.get('/categories', getCategories);
@@ -34,16 +61,42 @@ router.get('/categories', getCategories);
 // ===== Lab Test Master Routes =====
 router.get('/tests', getLabTests);
 router.get('/tests/:id', getLabTest);
-router.post('/tests', authorize(ROLES.ADMIN, ROLES.LAB), createLabTest);
-router.put('/tests/:id', authorize(ROLES.ADMIN, ROLES.LAB), updateLabTest);
-router.delete('/tests/:id', authorize(ROLES.ADMIN), deleteLabTest);
+router.post('/tests', authorizePermission(PERMISSIONS.LAB_CATALOG), createLabTest);
+router.put('/tests/:id', authorizePermission(PERMISSIONS.LAB_CATALOG), updateLabTest);
+router.delete('/tests/:id', authorizePermission(PERMISSIONS.LAB_DELETE), deleteLabTest);
+
+// ===== Lab Package Routes =====
+router.get('/packages', getLabPackages);
+router.get('/packages/:id', getLabPackage);
+router.post('/packages', authorizePermission(PERMISSIONS.LAB_CATALOG), createLabPackage);
+router.put('/packages/:id', authorizePermission(PERMISSIONS.LAB_CATALOG), updateLabPackage);
+router.delete('/packages/:id', authorizePermission(PERMISSIONS.LAB_DELETE), deleteLabPackage);
+
+// ===== Analyzer Interface Routes =====
+router.get('/analyzers', authorizePermission(PERMISSIONS.LAB_INTERFACE), getAnalyzers);
+router.post('/analyzers', authorizePermission(PERMISSIONS.LAB_ANALYZERS), createAnalyzer);
+router.put('/analyzers/:id', authorizePermission(PERMISSIONS.LAB_INTERFACE), updateAnalyzer);
+router.delete('/analyzers/:id', authorizePermission(PERMISSIONS.LAB_ANALYZERS), deleteAnalyzer);
+router.get('/interface/messages', authorizePermission(PERMISSIONS.LAB_INTERFACE), getAnalyzerMessages);
+router.get('/interface/messages/:id', authorizePermission(PERMISSIONS.LAB_INTERFACE), getAnalyzerMessage);
+router.post('/interface/messages', authorizePermission(PERMISSIONS.LAB_INTERFACE), importAnalyzerMessages);
 
 // ===== Lab Order Routes =====
+router.get('/requisitions/:id', getLabRequisition);
 router.get('/orders', getLabOrders);
 router.get('/orders/:id', getLabOrder);
-router.post('/orders', authorize(ROLES.ADMIN, ROLES.DOCTOR, ROLES.LAB), createLabOrder);
-router.put('/orders/:id/collect', authorize(ROLES.LAB, ROLES.NURSE), collectSample);
-router.put('/orders/:id/result', authorize(ROLES.LAB), addResult);
+router.post('/orders', authorizePermission(PERMISSIONS.LAB_ORDER), createLabOrder);
+router.put('/orders/:id/collect', authorizePermission(PERMISSIONS.LAB_COLLECT), collectSample);
+router.put('/orders/:id/receive', authorizePermission(PERMISSIONS.LAB_RECEIVE), receiveSample);
+router.put('/orders/:id/reject-sample', authorizePermission(PERMISSIONS.LAB_RECEIVE), rejectSample);
+router.get('/orders/:id/label', authorizePermission(PERMISSIONS.LAB_LABELS), getSampleLabel);
+router.get('/orders/:id/label.pdf', authorizePermission(PERMISSIONS.LAB_LABELS), getSampleLabelPdf);
+router.put('/orders/:id/result', authorizePermission(PERMISSIONS.LAB_RESULT), addResult);
+router.put('/orders/:id/verify', authorizePermission(PERMISSIONS.LAB_VERIFY), verifyResult);
+router.put('/orders/:id/amend', authorizePermission(PERMISSIONS.LAB_AMEND), amendResult);
+router.get('/orders/:id/report.pdf', getLabReportPdf);
+router.post('/orders/:id/attachments', authorizePermission(PERMISSIONS.LAB_ATTACH), upload.single('file'), uploadAttachment);
+router.get('/orders/:id/attachments/:attachmentId', downloadAttachment);
 
 // Patient lab history
 router.get('/patient/:patientId', getPatientLabHistory);
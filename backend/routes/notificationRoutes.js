@@ -0,0 +1,23 @@
+/**
+ * Notification Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const {
+  getNotifications,
+  markAsRead,
+  markAllAsRead,
+  acknowledgeNotification
+} = require('../controllers/notificationController');
+
+// All routes require authentication; users only see their own notifications
+router.use(protect);
+
+router.get('/', getNotifications);
+router.put('/read-all', markAllAsRead);
+router.put('/:id/read', markAsRead);
+router.put('/:id/acknowledge', acknowledgeNotification);
+
+module.exports = router;
@@ -4,8 +4,8 @@
 
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
-const { ROLES } = require('../config/constants');
+const { protect, authorizePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/constants');
 const {
   getOPDRecords,
   getOPDRecord,
@@ -28,16 +28,16 @@ router.get('/patient/:patientId', getPatientOPDHistory);
 // Get single OPD record
 router.get('/:id', getOPDRecord);
 
-// Create OPD record - Doctor, Admin
-router.post('/', authorize(ROLES.ADMIN, ROLES.DOCTOR), createOPDRecord);
+// Create OPD record
+router.post('/', authorizePermission(PERMISSIONS.OPD_WRITE), createOPDRecord);
 
-// Update OPD record - Doctor, Admin
-router.put('/:id', authorize(ROLES.ADMIN, ROLES.DOCTOR), updateOPDRecord);
+// Update OPD record
+router.put('/:id', authorizePermission(PERMISSIONS.OPD_WRITE), updateOPDRecord);
 
-// Delete OPD record - Admin only
-router.delete('/:id', authorize(ROLES.ADMIN), deleteOPDRecord);
+// Delete OPD record
+router.delete('/:id', authorizePermission(PERMISSIONS.OPD_DELETE), deleteOPDRecord);
 
-// Add prescription - Doctor
-router.post('/:id/prescription', authorize(ROLES.DOCTOR), addPrescription);
+// Add prescription
+router.post('/:id/prescription', authorizePermission(PERMISSIONS.OPD_PRESCRIBE), addPrescription);
 
 module.exports = router;
@@ -4,8 +4,9 @@
 
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
-const { ROLES } = require('../config/constants');
+const { protect, authorizePermission } = require('../middleware/auth');
+const upload = require('../middleware/upload');
+const { PERMISSIONS } = require('../config/constants');
 const {
   getPatients,
   getPatient,
@@ -14,14 +15,16 @@ const {
   updatePatient,
   deletePatient,
   addMedicalHistory,
-  addAllergy
+  addAllergy,
+  uploadDocument,
+  downloadDocument
 } = require('../controllers/patientController');
 
 // All routes require authentication
 router.use(protect);
 
-// Get all patients - Admin, Doctor, Nurse, Receptionist
-router.get('/', authorize(ROLES.ADMIN, ROLES.DOCTOR, ROLES.NURSE, ROLES.RECEPTIONIST), getPatients);
+// Get all patients
+router.get('/', authorizePermission(PERMISSIONS.PATIENTS_VIEW), getPatients);
 
 // Get patient by user ID
 router.get('/user/:userId', getPatientByUserId);
@@ -29,19 +32,30 @@ router.get('/user/:userId', getPatientByUserId);
 // Get single patient
 router.get('/:id', getPatient);
 
-// Create patient - Admin, Receptionist
-router.post('/', authorize(ROLES.ADMIN, ROLES.RECEPTIONIST), createPatient);
+// Create patient
+router.post('/', authorizePermission(PERMISSIONS.PATIENTS_CREATE), createPatient);
 
 // Update patient
 router.put('/:id', updatePatient);
 
-// Delete patient - Admin only
-router.delete('/:id', authorize(ROLES.ADMIN), deletePatient);
+// Delete patient
+router.delete('/:id', authorizePermission(PERMISSIONS.PATIENTS_DELETE), deletePatient);
 
-// Add medical history - Admin, Doctor
-router.post('/:id/medical-history', authorize(ROLES.ADMIN, ROLES.DOCTOR), addMedicalHistory);
+// Add medical history
+router.post('/:id/medical-history', authorizePermission(PERMISSIONS.PATIENTS_HISTORY), addMedicalHistory);
 
-// Add allergy - Admin, Doctor
-router.post('/:id/allergies', authorize(ROLES.ADMIN, ROLES.DOCTOR), addAllergy);
+// Add allergy
+router.post('/:id/allergies', authorizePermission(PERMISSIONS.PATIENTS_HISTORY), addAllergy);
+
+// Upload document
+router.post(
+  '/:id/documents',
+  authorizePermission(PERMISSIONS.PATIENTS_DOCUMENTS),
+  upload.single('file'),
+  uploadDocument
+);
+
+// Download document (patients only their own)
+router.get('/:id/documents/:documentId', downloadDocument);
 
 module.exports = router;
@@ -4,8 +4,8 @@
 
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
-const { ROLES } = require('../config/constants');
+const { protect, authorizePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/constants');
 const {
   getMedicines,
   getMedicine,
@@ -13,41 +13,54 @@ const {
   updateMedicine,
   deleteMedicine,
   updateStock,
+  getMedicineMovements,
+  getMovements,
+  getReconciliationReport,
   getLowStockMedicines,
   getExpiredMedicines,
   getExpiringSoon,
   getPharmacyStats,
   getCategories
 } = require('../controllers/pharmacyController');
+const { getDispensingQueue, dispensePrescription } = require('../controllers/dispensingController');
 
 // All routes require authentication
 router.use(protect);
 
-// Get pharmacy stats - Admin, Pharmacy
-router.get('/stats', authorize(ROLES.ADMIN, ROLES.PHARMACY), getPharmacyStats);
+// Get pharmacy stats
+router.get('/stats', authorizePermission(PERMISSIONS.PHARMACY_INVENTORY), getPharmacyStats);
 
-// Get low stock medicines - Admin, Pharmacy
-router.get('/low-stock', authorize(ROLES.ADMIN, ROLES.PHARMACY), getLowStockMedicines);
+// Get low stock medicines
+router.get('/low-stock', authorizePermission(PERMISSIONS.PHARMACY_INVENTORY), getLowStockMedicines);
 
-// Get expired medicines - Admin, Pharmacy
-router.get('/expired', authorize(ROLES.ADMIN, ROLES.PHARMACY), getExpiredMedicines);
+// Get expired medicines
+router.get('/expired', authorizePermission(PERMISSIONS.PHARMACY_INVENTORY), getExpiredMedicines);
 
-// Get expiring soon medicines - Admin, Pharmacy
-router.get('/expiring-soon', authorize(ROLES.ADMIN, ROLES.PHARMACY), getExpiringSoon);
+// Get expiring soon medicines
+router.get('/expiring-soon', authorizePermission(PERMISSIONS.PHARMACY_INVENTORY), getExpiringSoon);
 
 // Get categories
 router.get('/categories', getCategories);
 
+// Stock movement ledger and reconciliation
+router.get('/movements', authorizePermission(PERMISSIONS.PHARMACY_INVENTORY), getMovements);
+router.get('/reports/reconciliation', authorizePermission(PERMISSIONS.PHARMACY_INVENTORY), getReconciliationReport);
+
+// Prescription dispensing
+router.get('/dispensing/queue', authorizePermission(PERMISSIONS.PHARMACY_DISPENSE), getDispensingQueue);
+router.post('/dispensing/:source/:recordId', authorizePermission(PERMISSIONS.PHARMACY_DISPENSE), dispensePrescription);
+
 // Get all medicines
 router.get('/', getMedicines);
 
 // Get single medicine
 router.get('/:id', getMedicine);
 
-// Admin/Pharmacy only routes
-router.post('/', authorize(ROLES.ADMIN, ROLES.PHARMACY), createMedicine);
-router.put('/:id', authorize(ROLES.ADMIN, ROLES.PHARMACY), updateMedicine);
-router.delete('/:id', authorize(ROLES.ADMIN), deleteMedicine);
-router.put('/:id/stock', authorize(ROLES.ADMIN, ROLES.PHARMACY), updateStock);
+// Inventory management
+router.post('/', authorizePermission(PERMISSIONS.PHARMACY_MANAGE), createMedicine);
+router.put('/:id', authorizePermission(PERMISSIONS.PHARMACY_MANAGE), updateMedicine);
+router.delete('/:id', authorizePermission(PERMISSIONS.PHARMACY_DELETE), deleteMedicine);
+router.put('/:id/stock', authorizePermission(PERMISSIONS.PHARMACY_MANAGE), updateStock);
+router.get('/:id/movements', authorizePermission(PERMISSIONS.PHARMACY_INVENTORY), getMedicineMovements);
 
 module.exports = router;
@@ -0,0 +1,64 @@
+/**
+ * Procurement Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect, authorizePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/constants');
+const {
+  getSuppliers,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier,
+  getReorderSuggestions,
+  generatePurchaseOrders,
+  getPurchaseOrders,
+  getPurchaseOrder,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  placePurchaseOrder,
+  cancelPurchaseOrder,
+  receiveGoods,
+  getGoodsReceipts,
+  getSupplierSpendReport
+} = require('../controllers/procurementController');
+
+// All routes require authentication - pharmacy store only
+router.use(protect);
+router.use(authorizePermission(PERMISSIONS.PROCUREMENT_MANAGE));
+
+// Suppliers
+router.get('/suppliers', getSuppliers);
+router.post('/suppliers', createSupplier);
+router.put('/suppliers/:id', updateSupplier);
+
+// Deactivate supplier
+router.delete('/suppliers/:id', authorizePermission(PERMISSIONS.PROCUREMENT_DELETE), deleteSupplier);
+
+// Reorder suggestions and draft orders generated from low stock
+router.get('/purchase-orders/suggestions', getReorderSuggestions);
+router.post('/purchase-orders/generate', generatePurchaseOrders);
+
+// Purchase orders
+router.get('/purchase-orders', getPurchaseOrders);
+router.post('/purchase-orders', createPurchaseOrder);
+router.get('/purchase-orders/:id', getPurchaseOrder);
+router.put('/purchase-orders/:id', updatePurchaseOrder);
+
+// Place order with the supplier
+router.put('/purchase-orders/:id/order', placePurchaseOrder);
+
+// Cancel order
+router.put('/purchase-orders/:id/cancel', cancelPurchaseOrder);
+
+// Receive goods against an order (GRN)
+router.post('/purchase-orders/:id/receipts', receiveGoods);
+
+// Goods receipt notes
+router.get('/goods-receipts', getGoodsReceipts);
+
+// Supplier-wise spend report
+router.get('/reports/supplier-spend', getSupplierSpendReport);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+/**
+ * Role Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect, authorizePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/constants');
+const {
+  getRoles,
+  getPermissions,
+  createRole,
+  updateRole,
+  deleteRole
+} = require('../controllers/roleController');
+
+// All routes require authentication and role management permission
+router.use(protect);
+router.use(authorizePermission(PERMISSIONS.ROLES_MANAGE));
+
+// Permission catalogue
+router.get('/permissions', getPermissions);
+
+// CRUD routes
+router.get('/', getRoles);
+router.post('/', createRole);
+router.put('/:id', updateRole);
+router.delete('/:id', deleteRole);
+
+module.exports = router;
@@ -4,8 +4,8 @@
 
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
-const { ROLES } = require('../config/constants');
+const { protect, authorizePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/constants');
 const {
   getUsers,
   getUser,
@@ -13,16 +13,31 @@ const {
   updateUser,
   deleteUser,
   activateUser,
+  updateUserRoles,
+  resetTwoFactor,
+  unlockUser,
+  getLoginAudit,
+  getSuspiciousActivity,
+  getSecuritySettings,
+  updateSecuritySettings,
   getUserStats
 } = require('../controllers/userController');
 
-// All routes require authentication and admin role
+// All routes require authentication and user management permission
 router.use(protect);
-router.use(authorize(ROLES.ADMIN));
+router.use(authorizePermission(PERMISSIONS.USERS_MANAGE));
 
 // Get user stats
 router.get('/stats', getUserStats);
 
+// Login security policy
+router.get('/security-settings', getSecuritySettings);
+router.put('/security-settings', updateSecuritySettings);
+
+// Login attempts and suspicious activity
+router.get('/login-audit', getLoginAudit);
+router.get('/suspicious-activity', getSuspiciousActivity);
+
 // CRUD routes
 router.get('/', getUsers);
 router.get('/:id', getUser);
@@ -33,4 +48,13 @@ router.delete('/:id', deleteUser);
 // Activate user
 router.put('/:id/activate', activateUser);
 
+// Assign further roles - granting roles also needs role management
+router.put('/:id/roles', authorizePermission(PERMISSIONS.ROLES_MANAGE), updateUserRoles);
+
+// Reset two-factor authentication
+router.put('/:id/reset-2fa', resetTwoFactor);
+
+// Unlock an account locked by failed logins
+router.put('/:id/unlock', unlockUser);
+
 module.exports = router;
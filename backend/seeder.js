@@ -12,13 +12,24 @@ dotenv.config();
 
 // Load models
 const User = require('./models/User');
+const Role = require('./models/Role');
 const Patient = require('./models/Patient');
 const Doctor = require('./models/Doctor');
 const Bed = require('./models/Bed');
 const { LabTest } = require('./models/LabTest');
+const LabPackage = require('./models/LabPackage');
+const Analyzer = require('./models/Analyzer');
+const AnalyzerMessage = require('./models/AnalyzerMessage');
 const Pharmacy = require('./models/Pharmacy');
+const StockMovement = require('./models/StockMovement');
+const Supplier = require('./models/Supplier');
+const PurchaseOrder = require('./models/PurchaseOrder');
+const GoodsReceipt = require('./models/GoodsReceipt');
+const Counter = require('./models/Counter');
 
-const { ROLES } = require('./config/constants');
+const { recordStockMovements } = require('./utils/stockLedger');
+const { ensureSystemRoles } = require('./utils/permissions');
+const { ROLES, STOCK_MOVEMENT_TYPE } = require('./config/constants');
 
 // Connect to DB
 mongoose.connect(process.env.MONGODB_URI);
@@ -31,11 +42,20 @@ const seedData = async () => {
   try {
     // Clear existing data
     await User.deleteMany();
+    await Role.deleteMany();
     await Patient.deleteMany();
     await Doctor.deleteMany();
     await Bed.deleteMany();
     await LabTest.deleteMany();
+    await LabPackage.deleteMany();
+    await Analyzer.deleteMany();
+    await AnalyzerMessage.deleteMany();
     await Pharmacy.deleteMany();
+    await StockMovement.deleteMany();
+    await Supplier.deleteMany();
+    await PurchaseOrder.deleteMany();
+    await GoodsReceipt.deleteMany();
+    await Counter.deleteMany();
     
     // Clear additional collections
     const mongoose = require('mongoose');
@@ -46,6 +66,10 @@ const seedData = async () => {
 
     console.log('Data cleared...');
 
+    // Built-in roles with their default permissions
+    await ensureSystemRoles();
+    console.log('Roles created');
+
     // Create Admin User
     const adminUser = await User.create({
       name: 'Admin User',
@@ -76,6 +100,15 @@ const seedData = async () => {
       isActive: true
     });
 
+    const pathologistUser = await User.create({
+      name: 'Dr. Meera Iyer',
+      email: 'pathologist@hospital.com',
+      password: DEFAULT_PASSWORD,
+      role: ROLES.DOCTOR,
+      phone: '9876543220',
+      isActive: true
+    });
+
     // Create Doctor Profiles
     await Doctor.create({
       userId: doctorUser1._id,
@@ -114,6 +147,19 @@ const seedData = async () => {
         { day: 'Friday', startTime: '10:00', endTime: '18:00', maxPatients: 15 }
       ]
     });
+    // Verifies lab results (PATHOLOGY_DEPARTMENT)
+    await Doctor.create({
+      userId: pathologistUser._id,
+      specialization: 'Pathology',
+      department: 'Pathology',
+      consultationFee: 400,
+      licenseNumber: 'MED123458',
+      experience: 12,
+      qualification: [
+        { degree: 'MBBS', institution: 'KEM Mumbai', year: 2008 },
+        { degree: 'MD Pathology', institution: 'KEM Mumbai', year: 2012 }
+      ]
+    });
     console.log('Doctor users created');
 
     // Create Patient Users
@@ -234,37 +280,156 @@ const seedData = async () => {
 
     // Create Lab Tests
     const labTests = [
-      { testName: 'Complete Blood Count', category: 'Blood', price: 500, normalRange: 'Varies', turnaroundTime: '4 hours' },
-      { testName: 'Blood Sugar Fasting', category: 'Blood', price: 200, normalRange: '70-100 mg/dL', turnaroundTime: '2 hours' },
-      { testName: 'Lipid Profile', category: 'Blood', price: 800, normalRange: 'Varies', turnaroundTime: '6 hours' },
-      { testName: 'Liver Function Test', category: 'Blood', price: 1000, normalRange: 'Varies', turnaroundTime: '6 hours' },
-      { testName: 'Kidney Function Test', category: 'Blood', price: 900, normalRange: 'Varies', turnaroundTime: '6 hours' },
-      { testName: 'Urinalysis', category: 'Urine', price: 300, normalRange: 'Varies', turnaroundTime: '4 hours' },
+      {
+        testName: 'Complete Blood Count', category: 'Blood', price: 500, normalRange: 'Varies', turnaroundTime: '4 hours',
+        specimenType: 'Whole Blood', container: 'EDTA (Lavender)',
+        parameters: [
+          {
+            code: 'HB', name: 'Haemoglobin', unit: 'g/dL', criticalLow: 7, criticalHigh: 20,
+            referenceRanges: [
+              { gender: 'Any', minAge: 0, maxAge: 17, low: 11, high: 16 },
+              { gender: 'Male', minAge: 18, low: 13, high: 17 },
+              { gender: 'Female', minAge: 18, low: 12, high: 15 }
+            ]
+          },
+          {
+            code: 'WBC', name: 'Total Leucocyte Count', unit: '10^3/uL', criticalLow: 2, criticalHigh: 30,
+            referenceRanges: [{ gender: 'Any', low: 4, high: 11 }]
+          },
+          {
+            code: 'PLT', name: 'Platelet Count', unit: '10^3/uL', criticalLow: 50, criticalHigh: 1000,
+            referenceRanges: [{ gender: 'Any', low: 150, high: 410 }]
+          }
+        ]
+      },
+      {
+        testName: 'Blood Sugar Fasting', category: 'Blood', price: 200, normalRange: '70-100 mg/dL', turnaroundTime: '2 hours',
+        specimenType: 'Plasma', container: 'Fluoride (Grey)',
+        parameters: [{
+          code: 'FBS', name: 'Fasting Blood Glucose', unit: 'mg/dL', criticalLow: 40, criticalHigh: 450,
+          referenceRanges: [{ gender: 'Any', low: 70, high: 100 }]
+        }]
+      },
+      {
+        testName: 'Lipid Profile', category: 'Blood', price: 800, normalRange: 'Varies', turnaroundTime: '6 hours',
+        specimenType: 'Serum', container: 'SST (Gold)',
+        parameters: [
+          { code: 'CHOL', name: 'Total Cholesterol', unit: 'mg/dL', referenceRanges: [{ gender: 'Any', high: 200 }] },
+          { code: 'TG', name: 'Triglycerides', unit: 'mg/dL', referenceRanges: [{ gender: 'Any', high: 150 }] },
+          {
+            code: 'HDL', name: 'HDL Cholesterol', unit: 'mg/dL',
+            referenceRanges: [{ gender: 'Male', low: 40 }, { gender: 'Female', low: 50 }]
+          },
+          { code: 'LDL', name: 'LDL Cholesterol', unit: 'mg/dL', referenceRanges: [{ gender: 'Any', high: 100 }] }
+        ]
+      },
+      {
+        testName: 'Liver Function Test', category: 'Blood', price: 1000, normalRange: 'Varies', turnaroundTime: '6 hours',
+        specimenType: 'Serum', container: 'SST (Gold)'
+      },
+      {
+        testName: 'Kidney Function Test', category: 'Blood', price: 900, normalRange: 'Varies', turnaroundTime: '6 hours',
+        specimenType: 'Serum', container: 'SST (Gold)',
+        parameters: [
+          { code: 'UREA', name: 'Blood Urea', unit: 'mg/dL', referenceRanges: [{ gender: 'Any', low: 15, high: 40 }] },
+          {
+            code: 'CREAT', name: 'Serum Creatinine', unit: 'mg/dL', criticalHigh: 10,
+            referenceRanges: [{ gender: 'Male', low: 0.7, high: 1.3 }, { gender: 'Female', low: 0.6, high: 1.1 }]
+          },
+          {
+            code: 'K', name: 'Potassium', unit: 'mmol/L', criticalLow: 2.8, criticalHigh: 6.2,
+            referenceRanges: [{ gender: 'Any', low: 3.5, high: 5.1 }]
+          }
+        ]
+      },
+      {
+        testName: 'Urinalysis', category: 'Urine', price: 300, normalRange: 'Varies', turnaroundTime: '4 hours',
+        specimenType: 'Urine', container: 'Urine Container',
+        parameters: [
+          { code: 'UPROT', name: 'Urine Protein', resultType: 'Text', normalValue: 'Negative' },
+          { code: 'UGLU', name: 'Urine Glucose', resultType: 'Text', normalValue: 'Negative' },
+          { code: 'PUS', name: 'Pus Cells', unit: '/hpf', referenceRanges: [{ gender: 'Any', low: 0, high: 5 }] }
+        ]
+      },
       { testName: 'X-Ray Chest', category: 'Imaging', price: 500, normalRange: 'N/A', turnaroundTime: '1 hour' },
       { testName: 'ECG', category: 'Cardiac', price: 400, normalRange: 'N/A', turnaroundTime: '30 minutes' },
       { testName: 'MRI Brain', category: 'Imaging', price: 8000, normalRange: 'N/A', turnaroundTime: '24 hours' },
       { testName: 'CT Scan', category: 'Imaging', price: 5000, normalRange: 'N/A', turnaroundTime: '12 hours' }
     ];
 
+    const createdTests = {};
     for (const test of labTests) {
-      await LabTest.create(test);
+      createdTests[test.testName] = await LabTest.create(test);
     }
     console.log('Lab tests created');
 
+    // Create Lab Packages
+    const packageTests = (...names) => names.map(name => createdTests[name]._id);
+    await LabPackage.create([
+      {
+        name: 'Master Health Checkup',
+        description: 'Annual screening - blood counts, sugar, lipids, liver, kidney and urine',
+        tests: packageTests('Complete Blood Count', 'Blood Sugar Fasting', 'Lipid Profile', 'Liver Function Test', 'Kidney Function Test', 'Urinalysis'),
+        price: 2999
+      },
+      {
+        name: 'Diabetes Care Panel',
+        description: 'Sugar, kidney function and urine for diabetic follow-up',
+        tests: packageTests('Blood Sugar Fasting', 'Kidney Function Test', 'Urinalysis'),
+        price: 1199
+      }
+    ]);
+    console.log('Lab packages created');
+
+    // Create Analyzers - the simulator (npm run simulate:analyzer) sends as these senders
+    const mapTo = (testName, codes) => Object.entries(codes).map(([analyzerCode, parameterCode]) => ({
+      analyzerCode,
+      testCode: createdTests[testName].testCode,
+      parameterCode
+    }));
+    await Analyzer.create([
+      {
+        name: 'Haematology Analyzer', senderId: 'XN350', manufacturer: 'Sysmex', model: 'XN-350',
+        codeMappings: mapTo('Complete Blood Count', { HGB: 'HB', WBC: 'WBC', PLT: 'PLT' })
+      },
+      {
+        name: 'Chemistry Analyzer', senderId: 'C311', manufacturer: 'Roche', model: 'cobas c 311',
+        codeMappings: [
+          ...mapTo('Blood Sugar Fasting', { GLU: 'FBS' }),
+          ...mapTo('Lipid Profile', { CHOL: 'CHOL', TRIG: 'TG', HDLC: 'HDL', LDLC: 'LDL' }),
+          ...mapTo('Kidney Function Test', { UREA: 'UREA', CREA: 'CREAT', K: 'K' })
+        ]
+      }
+    ]);
+    console.log('Analyzers created');
+
+    // Create Suppliers
+    const [cityPharma, medlineDistributors] = await Supplier.create([
+      { name: 'City Pharma Distributors', contactPerson: 'Ravi Kumar', phone: '9876500001', email: 'orders@citypharma.com', address: 'MG Road, Bengaluru' },
+      { name: 'Medline Distributors', contactPerson: 'Anita Shah', phone: '9876500002', email: 'sales@medline.com', address: 'Andheri East, Mumbai', paymentTerms: 45 }
+    ]);
+    console.log('Suppliers created');
+
     // Create Medicines
     const medicines = [
-      { name: 'Paracetamol 500mg', genericName: 'Acetaminophen', category: 'Tablet', manufacturer: 'Cipla', batchNumber: 'BAT001', manufacturingDate: new Date('2024-01-01'), expiryDate: new Date('2026-01-01'), stock: 1000, purchasePrice: 1, sellingPrice: 2, prescriptionRequired: false },
-      { name: 'Amoxicillin 500mg', genericName: 'Amoxicillin', category: 'Capsule', manufacturer: 'Sun Pharma', batchNumber: 'BAT002', manufacturingDate: new Date('2024-01-01'), expiryDate: new Date('2026-01-01'), stock: 500, purchasePrice: 5, sellingPrice: 10, prescriptionRequired: true },
-      { name: 'Omeprazole 20mg', genericName: 'Omeprazole', category: 'Capsule', manufacturer: 'Dr. Reddy', batchNumber: 'BAT003', manufacturingDate: new Date('2024-01-01'), expiryDate: new Date('2026-01-01'), stock: 800, purchasePrice: 3, sellingPrice: 6, prescriptionRequired: true },
-      { name: 'Metformin 500mg', genericName: 'Metformin', category: 'Tablet', manufacturer: 'Cipla', batchNumber: 'BAT004', manufacturingDate: new Date('2024-01-01'), expiryDate: new Date('2026-01-01'), stock: 600, purchasePrice: 2, sellingPrice: 4, prescriptionRequired: true },
-      { name: 'Amlodipine 5mg', genericName: 'Amlodipine', category: 'Tablet', manufacturer: 'Sun Pharma', batchNumber: 'BAT005', manufacturingDate: new Date('2024-01-01'), expiryDate: new Date('2026-01-01'), stock: 400, purchasePrice: 4, sellingPrice: 8, prescriptionRequired: true },
-      { name: 'Cough Syrup', genericName: 'Dextromethorphan', category: 'Syrup', manufacturer: 'Abbott', batchNumber: 'BAT006', manufacturingDate: new Date('2024-01-01'), expiryDate: new Date('2025-06-01'), stock: 200, purchasePrice: 50, sellingPrice: 80, prescriptionRequired: false },
-      { name: 'Insulin Injection', genericName: 'Insulin', category: 'Injection', manufacturer: 'Novo Nordisk', batchNumber: 'BAT007', manufacturingDate: new Date('2024-01-01'), expiryDate: new Date('2025-01-01'), stock: 50, purchasePrice: 200, sellingPrice: 350, prescriptionRequired: true },
-      { name: 'Betadine Cream', genericName: 'Povidone Iodine', category: 'Cream', manufacturer: 'Win Medicare', batchNumber: 'BAT008', manufacturingDate: new Date('2024-01-01'), expiryDate: new Date('2026-01-01'), stock: 300, purchasePrice: 30, sellingPrice: 50, prescriptionRequired: false }
+      { name: 'Paracetamol 500mg', genericName: 'Acetaminophen', category: 'Tablet', manufacturer: 'Cipla', batches: [{ batchNumber: 'BAT001', manufacturingDate: new Date('2024-01-01'), expiryDate: new Date('2026-01-01'), quantity: 1000, purchasePrice: 1 }], purchasePrice: 1, sellingPrice: 2, prescriptionRequired: false },
+      { name: 'Amoxicillin 500mg', genericName: 'Amoxicillin', category: 'Capsule', manufacturer: 'Sun Pharma', batches: [{ batchNumber: 'BAT002', manufacturingDate: new Date('2024-01-01'), expiryDate: new Date('2026-01-01'), quantity: 500, purchasePrice: 5 }], purchasePrice: 5, sellingPrice: 10, prescriptionRequired: true },
+      { name: 'Omeprazole 20mg', genericName: 'Omeprazole', category: 'Capsule', manufacturer: 'Dr. Reddy', batches: [{ batchNumber: 'BAT003', manufacturingDate: new Date('2024-01-01'), expiryDate: new Date('2026-01-01'), quantity: 800, purchasePrice: 3 }], purchasePrice: 3, sellingPrice: 6, prescriptionRequired: true },
+      { name: 'Metformin 500mg', genericName: 'Metformin', category: 'Tablet', manufacturer: 'Cipla', batches: [{ batchNumber: 'BAT004', manufacturingDate: new Date('2024-01-01'), expiryDate: new Date('2026-01-01'), quantity: 600, purchasePrice: 2 }], purchasePrice: 2, sellingPrice: 4, prescriptionRequired: true },
+      { name: 'Amlodipine 5mg', genericName: 'Amlodipine', category: 'Tablet', manufacturer: 'Sun Pharma', batches: [{ batchNumber: 'BAT005', manufacturingDate: new Date('2024-01-01'), expiryDate: new Date('2026-01-01'), quantity: 400, purchasePrice: 4 }], purchasePrice: 4, sellingPrice: 8, prescriptionRequired: true },
+      { name: 'Cough Syrup', genericName: 'Dextromethorphan', category: 'Syrup', manufacturer: 'Abbott', batches: [{ batchNumber: 'BAT006', manufacturingDate: new Date('2024-01-01'), expiryDate: new Date('2025-06-01'), quantity: 200, purchasePrice: 50 }], purchasePrice: 50, sellingPrice: 80, prescriptionRequired: false },
+      { name: 'Insulin Injection', genericName: 'Insulin', category: 'Injection', manufacturer: 'Novo Nordisk', batches: [{ batchNumber: 'BAT007', manufacturingDate: new Date('2024-01-01'), expiryDate: new Date('2025-01-01'), quantity: 50, purchasePrice: 200 }], purchasePrice: 200, sellingPrice: 350, prescriptionRequired: true },
+      { name: 'Betadine Cream', genericName: 'Povidone Iodine', category: 'Cream', manufacturer: 'Win Medicare', batches: [{ batchNumber: 'BAT008', manufacturingDate: new Date('2024-01-01'), expiryDate: new Date('2026-01-01'), quantity: 300, purchasePrice: 30 }], purchasePrice: 30, sellingPrice: 50, prescriptionRequired: false }
     ];
 
     for (const medicine of medicines) {
-      await Pharmacy.create(medicine);
+      const supplier = ['Cipla', 'Sun Pharma', 'Dr. Reddy'].includes(medicine.manufacturer) ? cityPharma : medlineDistributors;
+      const created = await Pharmacy.create({ ...medicine, supplierId: supplier._id });
+      await recordStockMovements(
+        created,
+        created.batches.map(batch => ({ batchId: batch._id, quantity: batch.quantity })),
+        { type: STOCK_MOVEMENT_TYPE.OPENING_BALANCE, reason: 'Seed data' }
+      );
     }
     console.log('Medicines created');
 
@@ -6,9 +6,10 @@
 const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
-const path = require('path');
 const connectDB = require('./config/db');
 const errorHandler = require('./middleware/errorHandler');
+const { startCriticalAlertMonitor } = require('./utils/criticalLabAlerts');
+const { startAnalyzerInterface } = require('./utils/analyzerInterface');
 
 // Load environment variables
 dotenv.config();
@@ -29,13 +30,11 @@ app.use(cors({
   credentials: true
 }));
 
-// Static files for uploads
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
 // Import routes
 const {
   authRoutes,
   userRoutes,
+  roleRoutes,
   patientRoutes,
   doctorRoutes,
   appointmentRoutes,
@@ -45,12 +44,16 @@ const {
   pharmacyRoutes,
   labRoutes,
   billingRoutes,
+  insuranceRoutes,
+  procurementRoutes,
+  notificationRoutes,
   dashboardRoutes
 } = require('./routes');
 
 // Mount routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/roles', roleRoutes);
 app.use('/api/patients', patientRoutes);
 app.use('/api/doctors', doctorRoutes);
 app.use('/api/appointments', appointmentRoutes);
@@ -60,6 +63,9 @@ app.use('/api/beds', bedRoutes);
 app.use('/api/pharmacy', pharmacyRoutes);
 app.use('/api/lab', labRoutes);
 app.use('/api/billing', billingRoutes);
+app.use('/api/insurance', insuranceRoutes);
+app.use('/api/procurement', procurementRoutes);
+app.use('/api/notifications', notificationRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 
 // Health check route
@@ -96,6 +102,12 @@ const server = app.listen(PORT, () => {
   `);
 });
 
+// Escalate critical lab alerts nobody has acknowledged
+startCriticalAlertMonitor();
+
+// Receive results from lab analyzers, if a transport is configured
+startAnalyzerInterface();
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err, promise) => {
   console.log(`Error: ${err.message}`);
@@ -0,0 +1,58 @@
+/**
+ * Amount In Words
+ * Spells out rupee amounts using the Indian numbering system (lakh, crore)
+ */
+
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+// Words for 0-99
+const twoDigits = (n) => {
+  if (n < 20) return ONES[n];
+  return `${TENS[Math.floor(n / 10)]}${n % 10 ? ` ${ONES[n % 10]}` : ''}`;
+};
+
+// Words for 0-999
+const threeDigits = (n) => {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  return [hundreds ? `${ONES[hundreds]} Hundred` : '', rest ? twoDigits(rest) : '']
+    .filter(Boolean)
+    .join(' ');
+};
+
+const integerInWords = (n) => {
+  if (n === 0) return 'Zero';
+
+  const parts = [];
+  const crore = Math.floor(n / 10000000);
+  const lakh = Math.floor((n % 10000000) / 100000);
+  const thousand = Math.floor((n % 100000) / 1000);
+  const rest = n % 1000;
+
+  // Amounts past 99 crore keep stacking in crores (e.g. "One Hundred Crore")
+  if (crore) parts.push(`${integerInWords(crore)} Crore`);
+  if (lakh) parts.push(`${twoDigits(lakh)} Lakh`);
+  if (thousand) parts.push(`${twoDigits(thousand)} Thousand`);
+  if (rest) parts.push(threeDigits(rest));
+
+  return parts.join(' ');
+};
+
+/**
+ * e.g. 1250.5 -> "Rupees One Thousand Two Hundred Fifty and Fifty Paise Only"
+ */
+const amountInWords = (amount) => {
+  const paiseTotal = Math.round(Math.abs(amount || 0) * 100);
+  const rupees = Math.floor(paiseTotal / 100);
+  const paise = paiseTotal % 100;
+
+  let words = `Rupees ${integerInWords(rupees)}`;
+  if (paise) words += ` and ${twoDigits(paise)} Paise`;
+  return `${words} Only`;
+};
+
+module.exports = amountInWords;
@@ -0,0 +1,371 @@
+/**
+ * Analyzer Interface
+ * Takes results from lab analyzers (HL7 over MLLP, or HL7/ASTM files dropped in a folder)
+ * and stages them on the matching lab orders for pathologist verification
+ */
+
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const Analyzer = require('../models/Analyzer');
+const AnalyzerMessage = require('../models/AnalyzerMessage');
+const { LabTestOrder } = require('../models/LabTest');
+const { buildResult } = require('./labResults');
+const { currentSample } = require('./labSamples');
+const { sendCriticalLabAlert } = require('./criticalLabAlerts');
+const { MLLP_START, MLLP_END, frameMLLP, isHL7, parseHL7, buildAck } = require('./hl7');
+const { unframe, isASTM, parseASTM } = require('./astm');
+const {
+  LAB_STATUS,
+  SAMPLE_STATUS,
+  ANALYZER_MESSAGE_FORMAT,
+  ANALYZER_TRANSPORT,
+  ANALYZER_MESSAGE_STATUS,
+  ANALYZER_RESULT_OUTCOME
+} = require('../config/constants');
+
+const DEFAULT_DROP_POLL_SECONDS = 15;
+// A connection that sends this much without a complete frame is not speaking MLLP
+const MAX_MLLP_BUFFER = 1024 * 1024;
+// Abnormal flags (OBX-8 / R-7) that mark a single-value result abnormal
+const ABNORMAL_FLAGS = ['L', 'H', 'LL', 'HH', '<', '>', 'A', 'AA'];
+
+/**
+ * Split text that may hold a batch of messages, as analyzers write them to files.
+ * HL7 messages start at each MSH segment, ASTM messages at each header record.
+ */
+const splitMessages = (text) => {
+  const body = String(text).replace(/^\uFEFF/, '').trim();
+  if (isHL7(body)) {
+    return body.split(/(?:\r\n|\r|\n)+(?=MSH)/).filter(message => message.trim());
+  }
+  return unframe(body).split(/(?:\r\n|\r|\n)+(?=H\W)/).filter(message => message.trim());
+};
+
+// The order an analyzer reported under an accession number or order ID, with the ID that matched
+const findOrder = async (identifiers) => {
+  for (const identifier of identifiers) {
+    const specimenId = identifier.toUpperCase();
+    const order = await LabTestOrder.findOne({
+      $or: [{ 'samples.accessionNumber': specimenId }, { orderId: specimenId }]
+    })
+      .populate('testId')
+      .populate('patientId');
+
+    if (order) return { order, specimenId };
+  }
+  return { order: null, specimenId: identifiers[0] };
+};
+
+// Why the order cannot take analyzer results right now, or null when it can
+const checkReady = (order, specimenId) => {
+  if (order.status === LAB_STATUS.VERIFIED) {
+    return 'The result has been verified - it can only be amended';
+  }
+
+  const sample = currentSample(order);
+  if (sample && specimenId !== order.orderId && sample.accessionNumber !== specimenId) {
+    return `Specimen ${specimenId} has been replaced by ${sample.accessionNumber}`;
+  }
+  if (order.status === LAB_STATUS.PENDING || (sample && sample.status !== SAMPLE_STATUS.RECEIVED)) {
+    return 'The sample has not been received at the lab';
+  }
+  return null;
+};
+
+/**
+ * The parameter of the ordered test an analyzer code reports; returns { parameterCode }
+ * or { message }. Codes without a mapping are taken as the test's own parameter code,
+ * or its test code for single-value tests.
+ */
+const mapResult = (analyzer, test, code) => {
+  const hasParameters = test.parameters?.length > 0;
+  const mapping = analyzer.codeMappings.find(entry => entry.analyzerCode === code);
+
+  if (!mapping) {
+    if (hasParameters && test.parameters.some(parameter => parameter.code === code)) return { parameterCode: code };
+    if (!hasParameters && code === test.testCode?.toUpperCase()) return { parameterCode: undefined };
+    return { message: `Analyzer code ${code} is not mapped to a test` };
+  }
+
+  if (mapping.testCode !== test.testCode) {
+    return { message: `Analyzer code ${code} reports ${mapping.testCode}, but the order is for ${test.testCode}` };
+  }
+  if (hasParameters && !test.parameters.some(parameter => parameter.code === mapping.parameterCode)) {
+    return { message: `Analyzer code ${code} is not mapped to a parameter of ${test.testCode}` };
+  }
+  return { parameterCode: hasParameters ? mapping.parameterCode : undefined };
+};
+
+/**
+ * Put analyzer values on an order as a result awaiting verification. Panel values already
+ * on an unverified result stay unless the analyzer reports them again, so a panel can
+ * arrive over several messages. Returns an error message or null.
+ */
+const stageResults = async (order, entries, analyzer, messageId) => {
+  const previous = order.status === LAB_STATUS.COMPLETED ? order.result : null;
+  let body;
+
+  if (order.testId.parameters?.length > 0) {
+    const values = new Map((previous?.parameters || []).map(parameter => [parameter.code, parameter.value]));
+    entries.forEach(entry => values.set(entry.parameterCode, entry.value));
+    body = {
+      parameters: [...values].map(([code, value]) => ({ code, value })),
+      notes: previous?.notes
+    };
+  } else {
+    const entry = entries[entries.length - 1];
+    body = {
+      value: entry.value,
+      unit: entry.unit,
+      isAbnormal: ABNORMAL_FLAGS.includes(entry.abnormalFlag),
+      notes: previous?.notes
+    };
+  }
+
+  const { result, message } = buildResult(order, body);
+  if (message) return message;
+
+  // Nobody keyed this result in, so any pathologist may verify it
+  order.result = result;
+  order.status = LAB_STATUS.COMPLETED;
+  order.completedAt = new Date();
+  order.completedBy = undefined;
+  order.analyzerRun = { analyzer: analyzer._id, message: messageId, receivedAt: new Date() };
+  await order.save();
+
+  // The staged result stands even if the alert fails
+  try {
+    await sendCriticalLabAlert(order._id);
+  } catch (error) {
+    console.error(`Critical alert failed for ${order.orderId}: ${error.message}`);
+  }
+  return null;
+};
+
+// Match one order group of a message and stage what can be staged; returns the logged results
+const processOrderGroup = async (analyzer, group, messageId) => {
+  const { order, specimenId } = await findOrder(group.identifiers);
+  const notReady = order ? checkReady(order, specimenId) : null;
+  const toStage = [];
+
+  const entries = group.results.map(result => {
+    const entry = {
+      specimenId,
+      order: order?._id,
+      analyzerCode: result.code,
+      value: result.value,
+      unit: result.unit,
+      abnormalFlag: result.abnormalFlag
+    };
+
+    if (!result.usable) {
+      return { ...entry, outcome: ANALYZER_RESULT_OUTCOME.SKIPPED, message: `Result status ${result.status}` };
+    }
+    if (!order) {
+      return {
+        ...entry,
+        outcome: ANALYZER_RESULT_OUTCOME.NO_ORDER,
+        message: specimenId ? `No lab order for specimen ${specimenId}` : 'The message does not identify the specimen'
+      };
+    }
+    if (notReady) {
+      return { ...entry, outcome: ANALYZER_RESULT_OUTCOME.NOT_READY, message: notReady };
+    }
+
+    const { parameterCode, message } = mapResult(analyzer, order.testId, result.code);
+    if (message) {
+      return { ...entry, outcome: ANALYZER_RESULT_OUTCOME.UNMAPPED, message };
+    }
+
+    const staged = { ...entry, testCode: order.testId.testCode, parameterCode };
+    toStage.push(staged);
+    return staged;
+  });
+
+  if (toStage.length > 0) {
+    const message = await stageResults(order, toStage, analyzer, messageId);
+    toStage.forEach(entry => {
+      entry.outcome = message ? ANALYZER_RESULT_OUTCOME.INVALID : ANALYZER_RESULT_OUTCOME.STAGED;
+      entry.message = message || undefined;
+    });
+  }
+
+  return entries;
+};
+
+/**
+ * Log and process one message from an analyzer. Returns the logged message and, for HL7,
+ * the ACK to send back: AA when every result was staged, AE when some were not, and AR
+ * when the message could not be taken at all.
+ */
+const receiveAnalyzerMessage = async (raw, { transport, source, importedBy } = {}) => {
+  const log = new AnalyzerMessage({ raw: String(raw), transport, source, importedBy });
+  let parsed = null;
+
+  const reject = async (error) => {
+    log.status = ANALYZER_MESSAGE_STATUS.FAILED;
+    log.error = error;
+    await log.save();
+    return {
+      message: log,
+      ack: log.format === ANALYZER_MESSAGE_FORMAT.HL7 ? buildAck(parsed, 'AR', error) : null
+    };
+  };
+
+  if (isHL7(raw)) {
+    log.format = ANALYZER_MESSAGE_FORMAT.HL7;
+  } else if (isASTM(raw)) {
+    log.format = ANALYZER_MESSAGE_FORMAT.ASTM;
+  } else {
+    return reject('The message is neither HL7 nor ASTM');
+  }
+
+  try {
+    parsed = log.format === ANALYZER_MESSAGE_FORMAT.HL7 ? parseHL7(raw) : parseASTM(raw);
+  } catch (error) {
+    return reject(error.message);
+  }
+
+  log.senderId = parsed.senderId;
+  log.controlId = parsed.controlId;
+
+  if (log.format === ANALYZER_MESSAGE_FORMAT.HL7 && parsed.messageType !== 'ORU^R01') {
+    return reject(`Unsupported message type ${parsed.messageType || '(none)'} - only ORU^R01 results are accepted`);
+  }
+
+  const analyzer = await Analyzer.findOne({ senderId: parsed.senderId.toUpperCase(), isActive: true });
+  if (!analyzer) {
+    return reject(`Unknown analyzer ${parsed.senderId || '(no sender)'}`);
+  }
+  log.analyzer = analyzer._id;
+
+  for (const group of parsed.orders) {
+    log.results.push(...await processOrderGroup(analyzer, group, log._id));
+  }
+
+  const staged = log.results.filter(result => result.outcome === ANALYZER_RESULT_OUTCOME.STAGED).length;
+  if (log.results.length === 0) {
+    log.status = ANALYZER_MESSAGE_STATUS.FAILED;
+    log.error = 'The message carried no results';
+  } else if (staged === log.results.length) {
+    log.status = ANALYZER_MESSAGE_STATUS.PROCESSED;
+  } else {
+    log.status = staged > 0 ? ANALYZER_MESSAGE_STATUS.PARTIAL : ANALYZER_MESSAGE_STATUS.FAILED;
+    log.error = `${staged} of ${log.results.length} results staged`;
+  }
+  await log.save();
+
+  const ackCode = log.status === ANALYZER_MESSAGE_STATUS.PROCESSED ? 'AA' : 'AE';
+  return {
+    message: log,
+    ack: log.format === ANALYZER_MESSAGE_FORMAT.HL7 ? buildAck(parsed, ackCode, log.error) : null
+  };
+};
+
+// HL7 over MLLP: each framed message is processed in turn and answered with its ACK
+const startMLLPListener = (port) => {
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let queue = Promise.resolve();
+
+    socket.setEncoding('utf8');
+    socket.on('data', chunk => {
+      buffer += chunk;
+
+      let end = buffer.indexOf(MLLP_END);
+      while (end !== -1) {
+        const frame = buffer.slice(0, end);
+        buffer = buffer.slice(end + MLLP_END.length);
+        end = buffer.indexOf(MLLP_END);
+
+        const start = frame.indexOf(MLLP_START);
+        if (start === -1) continue;
+
+        const raw = frame.slice(start + MLLP_START.length);
+        // Without an ACK the analyzer sends the message again
+        queue = queue
+          .then(() => receiveAnalyzerMessage(raw, { transport: ANALYZER_TRANSPORT.MLLP, source: socket.remoteAddress }))
+          .then(({ ack }) => {
+            if (ack && !socket.destroyed) socket.write(frameMLLP(ack));
+          })
+          .catch(error => console.error(`Analyzer message failed: ${error.message}`));
+      }
+
+      if (buffer.length > MAX_MLLP_BUFFER) {
+        console.error(`Analyzer connection from ${socket.remoteAddress} dropped: no MLLP frame found`);
+        socket.destroy();
+      }
+    });
+    socket.on('error', error => console.error(`Analyzer connection error: ${error.message}`));
+  });
+
+  server.on('error', error => console.error(`Analyzer MLLP listener failed: ${error.message}`));
+  server.listen(port, () => console.log(`Analyzer interface listening for MLLP on port ${port}`));
+  server.unref();
+  return server;
+};
+
+/**
+ * Process the files in a drop folder, then move each into processed/ or, when any of
+ * its messages failed, failed/. Files still being written should end in .tmp.
+ */
+const processDropFolder = async (folder) => {
+  const files = (await fs.promises.readdir(folder, { withFileTypes: true }))
+    .filter(entry => entry.isFile() && !entry.name.startsWith('.') && !entry.name.endsWith('.tmp'))
+    .map(entry => entry.name)
+    .sort();
+
+  for (const name of files) {
+    const file = path.join(folder, name);
+    const text = await fs.promises.readFile(file, 'utf8');
+
+    let failed = false;
+    for (const raw of splitMessages(text)) {
+      const { message } = await receiveAnalyzerMessage(raw, { transport: ANALYZER_TRANSPORT.FILE, source: name });
+      if (message.status === ANALYZER_MESSAGE_STATUS.FAILED) failed = true;
+    }
+
+    const target = path.join(folder, failed ? 'failed' : 'processed');
+    await fs.promises.mkdir(target, { recursive: true });
+    await fs.promises.rename(file, path.join(target, `${Date.now()}-${name}`));
+  }
+
+  return files.length;
+};
+
+const startDropFolderWatcher = (folder) => {
+  const seconds = Number(process.env.ANALYZER_DROP_POLL_SECONDS) || DEFAULT_DROP_POLL_SECONDS;
+  let running = false;
+
+  const timer = setInterval(() => {
+    if (running) return;
+    running = true;
+    processDropFolder(folder)
+      .catch(error => console.error(`Analyzer drop folder failed: ${error.message}`))
+      .finally(() => {
+        running = false;
+      });
+  }, seconds * 1000);
+  timer.unref();
+  console.log(`Analyzer interface watching ${folder} every ${seconds}s`);
+  return timer;
+};
+
+// Start whichever transports are configured: ANALYZER_MLLP_PORT and/or ANALYZER_DROP_DIR
+const startAnalyzerInterface = () => {
+  const port = Number(process.env.ANALYZER_MLLP_PORT);
+  const folder = process.env.ANALYZER_DROP_DIR;
+
+  return {
+    listener: port ? startMLLPListener(port) : null,
+    watcher: folder ? startDropFolderWatcher(path.resolve(folder)) : null
+  };
+};
+
+module.exports = {
+  splitMessages,
+  receiveAnalyzerMessage,
+  processDropFolder,
+  startAnalyzerInterface
+};
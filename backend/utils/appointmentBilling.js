@@ -0,0 +1,65 @@
+/**
+ * Appointment Billing
+ * Charges the consultation fee of a completed appointment on its bill and tracks its payment
+ */
+
+const Billing = require('../models/Billing');
+const Doctor = require('../models/Doctor');
+const Appointment = require('../models/Appointment');
+const { PAYMENT_STATUS, BILL_SOURCE } = require('../config/constants');
+
+/**
+ * Add the consultation line for an appointment to the bill linked to it, creating the bill if needed.
+ * Called once, by the request that completes the appointment; a consultation line already on a bill is kept.
+ */
+const billAppointment = async (appointment, userId) => {
+  if (!appointment.fee || appointment.fee <= 0) return null;
+
+  const bills = await Billing.find({ appointmentId: appointment._id }).sort({ invoiceDate: 1 });
+
+  // A consultation line entered by hand also counts, so the fee is never charged twice
+  const alreadyBilled = bills.find(bill =>
+    bill.services.some(service => service.category === 'Consultation')
+  );
+  if (alreadyBilled) return alreadyBilled;
+
+  const doctor = await Doctor.findById(appointment.doctorId).populate('userId', 'name');
+  const line = {
+    description: `Consultation - Dr. ${doctor?.userId?.name || 'Unknown'} (${appointment.appointmentId})`,
+    category: 'Consultation',
+    quantity: 1,
+    unitPrice: appointment.fee,
+    autoGenerated: true
+  };
+
+  // Append to an open bill the front desk already raised for this appointment, unless it is with the insurer
+  const openBill = bills.find(bill =>
+    [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.PARTIAL].includes(bill.paymentStatus) && !bill.isUnderClaim()
+  );
+  if (openBill) {
+    openBill.services.push(line);
+    await openBill.save();
+    return openBill;
+  }
+
+  return Billing.create({
+    patientId: appointment.patientId,
+    appointmentId: appointment._id,
+    services: [line],
+    totalAmount: 0,
+    source: BILL_SOURCE.APPOINTMENT,
+    createdBy: userId
+  });
+};
+
+// Keep a consultation appointment's paid flag in step with its bill
+const syncAppointmentPayment = async (bill) => {
+  if (bill.appointmentId) {
+    await Appointment.updateOne(
+      { _id: bill.appointmentId },
+      { isPaid: bill.paymentStatus === PAYMENT_STATUS.PAID }
+    );
+  }
+};
+
+module.exports = { billAppointment, syncAppointmentPayment };
@@ -0,0 +1,102 @@
+/**
+ * ASTM E1394
+ * Reads result messages from lab analyzers that speak ASTM rather than HL7
+ */
+
+// Result statuses (R-9) that carry no usable value: cannot be done, result withdrawn
+const UNUSABLE_RESULT_STATUSES = ['X', 'I'];
+
+/**
+ * Reassemble the records from E1381 frames (<STX> frame number, text, <ETB>/<ETX>,
+ * checksum, <CR><LF>) as captured from a serial line. Unframed text is returned as is.
+ */
+const unframe = (text) => {
+  const raw = String(text);
+  if (!raw.includes('\x02')) return raw;
+
+  return raw.split('\x02').slice(1)
+    .map(frame => frame.slice(1).split(/[\x03\x17]/)[0])
+    .join('');
+};
+
+const isASTM = (text) => /^H./.test(unframe(text).replace(/^[\x05\s]+/, ''));
+
+// Undo &F& &S& &R& &E& escapes using the message's own delimiters
+const unescapeText = (text, delimiters) => text.replace(/&([FSRE])&/g, (match, code) => ({
+  F: delimiters.field,
+  S: delimiters.component,
+  R: delimiters.repetition,
+  E: delimiters.escape
+})[code]);
+
+/**
+ * Parse an ASTM message into the analyzer interface's common shape:
+ * { senderId, controlId, orders: [{ identifiers, serviceCode, results }] }.
+ * Each O record starts an order; its specimen ID (O-3) is the analyzer's sample barcode.
+ * Fields are numbered the ASTM way, so record.fields[n - 1] is field n.
+ */
+const parseASTM = (text) => {
+  const body = unframe(text).replace(/^[\x05\s]+/, '');
+  if (!/^H./.test(body)) {
+    throw new Error('Message does not start with an ASTM header record');
+  }
+
+  const delimiters = {
+    field: body[1],
+    repetition: body[2],
+    component: body[3],
+    escape: body[4]
+  };
+
+  const records = body.split(/\r\n|\r|\n/).filter(line => /^[A-Z]/.test(line.trim()))
+    .map(line => line.trim().split(delimiters.field));
+
+  const components = (field) => String(field || '')
+    .split(delimiters.repetition)[0]
+    .split(delimiters.component)
+    .map(component => unescapeText(component, delimiters).trim());
+  const component = (field, index = 0) => components(field)[index] || '';
+  // Units such as 10^3/uL are often sent without escaping the component delimiter
+  const fullText = (field) => unescapeText(String(field || '').split(delimiters.repetition)[0], delimiters).trim();
+  // Universal test ID is ^^^code - the manufacturer's code is the fourth component
+  const testCode = (field) => components(field).slice(3).find(Boolean) || component(field);
+
+  const header = records[0];
+  const message = {
+    senderId: component(header[4]),
+    controlId: component(header[2]),
+    orders: []
+  };
+
+  let order = null;
+  records.slice(1).forEach(fields => {
+    if (fields[0] === 'O') {
+      order = {
+        identifiers: [component(fields[2]), component(fields[3])].filter(Boolean),
+        serviceCode: testCode(fields[4]).toUpperCase(),
+        results: []
+      };
+      message.orders.push(order);
+    } else if (fields[0] === 'R') {
+      if (!order) {
+        order = { identifiers: [], serviceCode: '', results: [] };
+        message.orders.push(order);
+      }
+      const status = component(fields[8]).toUpperCase();
+      order.results.push({
+        code: testCode(fields[2]).toUpperCase(),
+        name: '',
+        value: component(fields[3]),
+        unit: fullText(fields[4]),
+        referenceRange: component(fields[5]),
+        abnormalFlag: component(fields[6]).toUpperCase(),
+        status,
+        usable: !UNUSABLE_RESULT_STATUSES.includes(status)
+      });
+    }
+  });
+
+  return message;
+};
+
+module.exports = { unframe, isASTM, parseASTM };
@@ -0,0 +1,202 @@
+/**
+ * Billing PDF
+ * Renders invoices and payment receipts on hospital letterhead
+ */
+
+const amountInWords = require('./amountInWords');
+const {
+  PAGE_LEFT,
+  PAGE_RIGHT,
+  formatDate,
+  createDocument,
+  drawLetterhead,
+  drawParties,
+  drawTable,
+  drawFooter
+} = require('./pdfLayout');
+const { BILL_STATUS, PAYMENT_ENTRY_TYPE } = require('../config/constants');
+
+const ITEM_COLUMNS = [
+  { label: '#', width: 25 },
+  { label: 'Description', width: 230 },
+  { label: 'Qty', width: 40, align: 'right' },
+  { label: 'Rate', width: 70, align: 'right' },
+  { label: 'Discount', width: 60, align: 'right' },
+  { label: 'Amount', width: 70, align: 'right' }
+];
+
+const REFUND_COLUMNS = [
+  { label: 'Date', width: 80 },
+  { label: 'Type', width: 60 },
+  { label: 'Reason', width: 175 },
+  { label: 'Approved By', width: 110 },
+  { label: 'Amount', width: 70, align: 'right' }
+];
+
+const PAYMENT_COLUMNS = [
+  { label: 'Date', width: 80 },
+  { label: 'Method', width: 90 },
+  { label: 'Reference', width: 145 },
+  { label: 'Received By', width: 110 },
+  { label: 'Amount', width: 70, align: 'right' }
+];
+
+// The built-in PDF fonts have no rupee glyph
+const formatCurrency = (amount) =>
+  `Rs. ${(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Right-aligned label/value pairs under a table
+const drawSummary = (doc, lines) => {
+  lines.forEach(([label, value, bold]) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+    const top = doc.y;
+    doc.text(label, 300, top, { width: 155, align: 'right' });
+    doc.text(value, 455, top, { width: PAGE_RIGHT - 455, align: 'right' });
+  });
+  doc.x = PAGE_LEFT;
+  doc.moveDown();
+};
+
+const drawAmountInWords = (doc, amount) => {
+  doc.font('Helvetica-Bold').fontSize(10).text('Amount in words: ', PAGE_LEFT, doc.y, { continued: true })
+    .font('Helvetica').text(amountInWords(amount));
+  doc.moveDown();
+};
+
+const isVoided = (bill, payment) => bill.payments.some(entry => entry.reversalOf?.equals(payment._id));
+
+const drawPaymentHistory = (doc, bill) => {
+  const payments = bill.payments.filter(entry => entry.type === PAYMENT_ENTRY_TYPE.PAYMENT);
+  const reversals = bill.payments.filter(entry => entry.type !== PAYMENT_ENTRY_TYPE.PAYMENT);
+
+  if (payments.length > 0) {
+    doc.font('Helvetica-Bold').fontSize(11).text('Payment History', PAGE_LEFT);
+    doc.moveDown(0.3);
+    drawTable(doc, PAYMENT_COLUMNS, payments.map(payment => [
+      formatDate(payment.date),
+      `${payment.method}${isVoided(bill, payment) ? ' (voided)' : ''}`,
+      payment.transactionId || '-',
+      payment.receivedBy?.name || '-',
+      formatCurrency(payment.amount)
+    ]));
+  }
+
+  if (reversals.length > 0) {
+    doc.font('Helvetica-Bold').fontSize(11).text('Refunds & Reversals', PAGE_LEFT);
+    doc.moveDown(0.3);
+    drawTable(doc, REFUND_COLUMNS, reversals.map(entry => [
+      formatDate(entry.date),
+      entry.type === PAYMENT_ENTRY_TYPE.REFUND ? 'Refund' : 'Void',
+      entry.reason || '-',
+      entry.approvedBy?.name || '-',
+      `- ${formatCurrency(Math.abs(entry.amount))}`
+    ]));
+  }
+};
+
+// GST on services within the state is split equally between CGST and SGST
+const taxLines = (tax) => {
+  if (!tax?.amount) return [];
+  const halfRate = tax.percentage / 2;
+  const halfAmount = tax.amount / 2;
+  return [
+    [`CGST @ ${halfRate}%`, formatCurrency(halfAmount)],
+    [`SGST @ ${halfRate}%`, formatCurrency(halfAmount)]
+  ];
+};
+
+/**
+ * Stream the invoice of a bill (patientId.userId and payments.receivedBy populated)
+ */
+const renderInvoicePdf = (res, bill) => {
+  const doc = createDocument(res, `${bill.invoiceId}.pdf`);
+  const isDraft = bill.status === BILL_STATUS.DRAFT;
+
+  drawLetterhead(doc, isDraft ? 'DRAFT INVOICE' : 'INVOICE');
+  drawParties(doc, 'Bill To', bill.patientId, [
+    ['Invoice No', bill.invoiceId],
+    ['Invoice Date', formatDate(bill.invoiceDate)],
+    ...(bill.dueDate ? [['Due Date', formatDate(bill.dueDate)]] : []),
+    ['Status', isDraft ? 'Draft' : bill.paymentStatus]
+  ]);
+
+  drawTable(doc, ITEM_COLUMNS, bill.services.map((service, index) => [
+    index + 1,
+    service.description,
+    service.quantity,
+    formatCurrency(service.unitPrice),
+    service.discount ? formatCurrency(service.discount) : '-',
+    formatCurrency(service.total)
+  ]));
+
+  drawSummary(doc, [
+    ['Taxable Value', formatCurrency(bill.subtotal)],
+    ...taxLines(bill.tax),
+    ...(bill.discount?.amount
+      ? [[`Discount${bill.discount.reason ? ` (${bill.discount.reason})` : ''}`, `- ${formatCurrency(bill.discount.amount)}`]]
+      : []),
+    ['Total', formatCurrency(bill.totalAmount), true],
+    ['Net Paid', formatCurrency(bill.paidAmount)],
+    ['Balance Due', formatCurrency(bill.balanceAmount), true]
+  ]);
+
+  drawAmountInWords(doc, bill.totalAmount);
+
+  if (bill.payments.length > 0) {
+    drawPaymentHistory(doc, bill);
+  }
+
+  if (bill.notes) {
+    doc.font('Helvetica-Bold').fontSize(10).text('Notes', PAGE_LEFT);
+    doc.font('Helvetica').fontSize(9).text(bill.notes);
+  }
+
+  drawFooter(doc, isDraft
+    ? 'Draft for review - not valid for payment.'
+    : 'This is a computer-generated invoice and does not require a signature.');
+  doc.end();
+};
+
+/**
+ * Stream the receipt of one payment on a bill
+ */
+const renderReceiptPdf = (res, bill, payment) => {
+  const index = bill.payments.findIndex(p => p._id.equals(payment._id));
+  const receiptNo = `${bill.invoiceId}-R${index + 1}`;
+  const paidToDate = bill.payments.slice(0, index + 1).reduce((sum, p) => sum + p.amount, 0);
+
+  const doc = createDocument(res, `${receiptNo}.pdf`);
+
+  drawLetterhead(doc, isVoided(bill, payment) ? 'PAYMENT RECEIPT (VOIDED)' : 'PAYMENT RECEIPT');
+  drawParties(doc, 'Bill To', bill.patientId, [
+    ['Receipt No', receiptNo],
+    ['Receipt Date', formatDate(payment.date)],
+    ['Invoice No', bill.invoiceId]
+  ]);
+
+  doc.font('Helvetica').fontSize(10).text(
+    `Received with thanks from ${bill.patientId?.userId?.name || 'the patient'} the sum of ` +
+    `${formatCurrency(payment.amount)} by ${payment.method}` +
+    `${payment.transactionId ? ` (Ref: ${payment.transactionId})` : ''} towards invoice ${bill.invoiceId}.`,
+    PAGE_LEFT, doc.y, { width: PAGE_RIGHT - PAGE_LEFT }
+  );
+  doc.moveDown();
+
+  drawSummary(doc, [
+    ['Amount Received', formatCurrency(payment.amount), true],
+    ['Invoice Total', formatCurrency(bill.totalAmount)],
+    ['Paid to Date', formatCurrency(paidToDate)],
+    ['Balance After Payment', formatCurrency(bill.totalAmount - paidToDate)]
+  ]);
+
+  drawAmountInWords(doc, payment.amount);
+
+  if (payment.receivedBy?.name) {
+    doc.font('Helvetica').fontSize(9).text(`Received by: ${payment.receivedBy.name}`, PAGE_LEFT);
+  }
+
+  drawFooter(doc, 'This is a computer-generated receipt and does not require a signature.');
+  doc.end();
+};
+
+module.exports = { renderInvoicePdf, renderReceiptPdf };
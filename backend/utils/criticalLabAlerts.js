@@ -0,0 +1,142 @@
+/**
+ * Critical Lab Alerts
+ * Notifies doctors of critical lab results and escalates alerts nobody acknowledges
+ */
+
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const Doctor = require('../models/Doctor');
+const IPDRecord = require('../models/IPDRecord');
+const { LabTestOrder } = require('../models/LabTest');
+const { isCriticalFlag } = require('./labResults');
+const {
+  ROLES,
+  IPD_STATUS,
+  NOTIFICATION_TYPE,
+  NOTIFICATION_REFERENCE_TYPE
+} = require('../config/constants');
+
+const DEFAULT_ESCALATION_MINUTES = 30;
+const ESCALATION_CHECK_INTERVAL = 60 * 1000;
+
+const escalationMinutes = () => Number(process.env.CRITICAL_ALERT_ESCALATION_MINUTES) || DEFAULT_ESCALATION_MINUTES;
+
+const needsCriticalAlert = (order) => Boolean(order.result?.isCritical) || order.priority === 'Critical';
+
+const loadOrder = (id) => LabTestOrder.findById(id)
+  .populate({
+    path: 'patientId',
+    select: 'patientId userId',
+    populate: { path: 'userId', select: 'name' }
+  })
+  .populate('testId', 'testName');
+
+// "Haemoglobin 6 g/dL, Potassium 6.8 mmol/L" - or the plain value for single-value tests
+const describeResult = (order) => {
+  const critical = (order.result?.parameters || []).filter(parameter => isCriticalFlag(parameter.flag));
+  if (critical.length > 0) {
+    return critical.map(parameter => `${parameter.name} ${parameter.value}${parameter.unit ? ` ${parameter.unit}` : ''}`).join(', ');
+  }
+  return order.result?.value ? `${order.result.value}${order.result.unit ? ` ${order.result.unit}` : ''}` : 'see report';
+};
+
+// What an alert for the order reports ('' when it needs none), to tell when an amendment changes it
+const criticalFindings = (order) => (needsCriticalAlert(order)
+  ? `${Boolean(order.result?.isCritical)}: ${describeResult(order)}`
+  : '');
+
+const alertDetails = (order) => {
+  const patient = order.patientId;
+  const subject = `${order.testId?.testName || 'Lab test'} for ${patient?.userId?.name || 'patient'} (${patient?.patientId || '-'})`;
+  return {
+    title: order.result?.isCritical ? 'Critical lab result' : 'Critical-priority lab result ready',
+    message: `${subject}: ${describeResult(order)}. Order ${order.orderId}.`,
+    reference: {
+      type: NOTIFICATION_REFERENCE_TYPE.LAB_ORDER,
+      number: order.orderId,
+      documentId: order._id
+    }
+  };
+};
+
+// The ordering doctor and, for inpatients, the admitting doctor
+const findAlertRecipients = async (order) => {
+  const ipdRecord = order.ipdRecordId
+    ? await IPDRecord.findById(order.ipdRecordId, 'doctorId')
+    : await IPDRecord.findOne({ patientId: order.patientId._id, status: IPD_STATUS.ADMITTED }, 'doctorId');
+
+  const doctorIds = [order.doctorId, ipdRecord?.doctorId].filter(Boolean);
+  const doctors = await Doctor.find({ _id: { $in: doctorIds } }, 'userId');
+  return [...new Set(doctors.map(doctor => doctor.userId.toString()))];
+};
+
+const notify = (recipients, type, details) => Notification.insertMany(recipients.map(recipient => ({
+  recipient,
+  type,
+  ...details,
+  requiresAcknowledgement: true
+})));
+
+const escalate = async (order) => {
+  // Admin as the primary role or as a further role
+  const admins = await User.find({ $or: [{ role: ROLES.ADMIN }, { roles: ROLES.ADMIN }], isActive: true }, '_id');
+  const details = alertDetails(order);
+
+  await notify(admins.map(admin => admin._id), NOTIFICATION_TYPE.CRITICAL_LAB_ESCALATION, {
+    ...details,
+    title: `Unacknowledged: ${details.title}`
+  });
+  order.criticalAlert.escalatedAt = new Date();
+};
+
+/**
+ * Alert the doctors responsible for a completed order with a critical result or
+ * critical priority. Orders with nobody to alert are escalated straight away.
+ * Each order is alerted once, unless an amendment clears the alert; returns the users notified.
+ */
+const sendCriticalLabAlert = async (orderId) => {
+  const order = await loadOrder(orderId);
+  if (!order || !needsCriticalAlert(order) || order.criticalAlert?.notifiedAt) return [];
+
+  const recipients = await findAlertRecipients(order);
+  await notify(recipients, NOTIFICATION_TYPE.CRITICAL_LAB_RESULT, alertDetails(order));
+
+  order.criticalAlert = { notifiedAt: new Date(), notifiedUsers: recipients, acknowledgements: [] };
+  if (recipients.length === 0) {
+    await escalate(order);
+  }
+  await order.save();
+
+  return recipients;
+};
+
+/**
+ * Escalate critical alerts nobody has acknowledged within CRITICAL_ALERT_ESCALATION_MINUTES
+ */
+const escalateCriticalLabAlerts = async () => {
+  const cutoff = new Date(Date.now() - escalationMinutes() * 60 * 1000);
+  const overdue = await LabTestOrder.find({
+    'criticalAlert.notifiedAt': { $lte: cutoff },
+    'criticalAlert.escalatedAt': null,
+    'criticalAlert.acknowledgements.0': { $exists: false }
+  }, '_id');
+
+  for (const { _id } of overdue) {
+    const order = await loadOrder(_id);
+    await escalate(order);
+    await order.save();
+  }
+
+  return overdue.length;
+};
+
+// Check for overdue alerts in the background of the API process
+const startCriticalAlertMonitor = () => {
+  const timer = setInterval(() => {
+    escalateCriticalLabAlerts().catch(error => console.error(`Critical alert escalation failed: ${error.message}`));
+  }, ESCALATION_CHECK_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { criticalFindings, sendCriticalLabAlert, escalateCriticalLabAlerts, startCriticalAlertMonitor };
@@ -0,0 +1,26 @@
+/**
+ * Dispensing State
+ * Keeps the pharmacy's dispensing progress on prescription lines out of prescribers' hands
+ */
+
+// Dispensing progress is recorded by the pharmacy and never taken from a doctor's edit
+const DISPENSING_FIELDS = ['dispenseStatus', 'dispensedQuantity', 'dispensedAt', 'dispensedBy'];
+
+// Copy of `lines` with dispensing fields taken from the matching existing line, or dropped for new lines
+const keepDispensingState = (lines, existingLines = []) => lines.map(line => {
+  const existing = line._id && existingLines.find(current => current._id.equals(line._id));
+  const kept = { ...line };
+  DISPENSING_FIELDS.forEach(field => {
+    if (existing) {
+      kept[field] = existing[field];
+    } else {
+      delete kept[field];
+    }
+  });
+  return kept;
+});
+
+module.exports = {
+  DISPENSING_FIELDS,
+  keepDispensingState
+};
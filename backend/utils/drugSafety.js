@@ -0,0 +1,176 @@
+/**
+ * Drug Safety
+ * Screens prescribed drugs against patient allergies, active medications and the interaction table
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Pharmacy = require('../models/Pharmacy');
+const { DRUG_ALERT_TYPE, DRUG_ALERT_SEVERITY } = require('../config/constants');
+
+const DEFAULT_TABLE_FILE = path.join(__dirname, '..', 'data', 'drugInteractions.json');
+
+let table = null;
+
+const normalize = (name) => (name || '').trim().toLowerCase();
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Load the interaction table ({ classes, interactions }) from a JSON file.
+ * Read on first use; call again to pick up an edited file without a restart.
+ */
+const loadInteractionTable = (file = process.env.DRUG_INTERACTIONS_FILE || DEFAULT_TABLE_FILE) => {
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  const classesByDrug = new Map();
+  Object.entries(raw.classes || {}).forEach(([drugClass, members]) => {
+    members.forEach(member => {
+      const key = normalize(member);
+      if (!classesByDrug.has(key)) classesByDrug.set(key, []);
+      classesByDrug.get(key).push(normalize(drugClass));
+    });
+  });
+
+  table = {
+    classesByDrug,
+    interactions: (raw.interactions || []).map(entry => ({
+      drugs: entry.drugs.map(normalize),
+      severity: entry.severity || DRUG_ALERT_SEVERITY.MODERATE,
+      description: entry.description
+    }))
+  };
+  return table;
+};
+
+// Catalogue entries for the drugs, matched by id or by brand or generic name
+const findCatalogueEntries = (drugs) => {
+  const ids = drugs.map(drug => drug.medicineId).filter(Boolean);
+  const patterns = [...new Set(drugs.map(drug => normalize(drug.medicine)).filter(Boolean))]
+    .map(name => new RegExp(`^${escapeRegex(name)}$`, 'i'));
+
+  const conditions = [];
+  if (ids.length > 0) conditions.push({ _id: { $in: ids } });
+  if (patterns.length > 0) conditions.push({ name: { $in: patterns } }, { genericName: { $in: patterns } });
+  if (conditions.length === 0) return [];
+
+  return Pharmacy.find({ $or: conditions }, 'name genericName');
+};
+
+// Everything a drug is known by: the name written, its catalogue brand and generic names, and their classes
+const describeDrug = (drug, catalogue) => {
+  const written = normalize(drug.medicine);
+  const entry = (drug.medicineId && catalogue.find(medicine => medicine._id.equals(drug.medicineId))) ||
+    catalogue.find(medicine => [medicine.name, medicine.genericName].some(name => normalize(name) === written));
+  const names = [written, normalize(entry?.name), normalize(entry?.genericName)].filter(Boolean);
+
+  return {
+    label: drug.medicine || entry?.name,
+    generic: normalize(entry?.genericName) || written,
+    terms: new Set([...names, ...names.flatMap(name => table.classesByDrug.get(name) || [])])
+  };
+};
+
+const allergyAlerts = (drug, allergies) => allergies.flatMap(allergy => {
+  if (drug.terms.has(allergy)) {
+    return [{
+      type: DRUG_ALERT_TYPE.ALLERGY,
+      severity: DRUG_ALERT_SEVERITY.MAJOR,
+      message: `Patient is allergic to ${allergy}`,
+      against: allergy
+    }];
+  }
+
+  // Cross-sensitivity within a drug class, e.g. amoxicillin for a penicillin allergy
+  const sharedClass = (table.classesByDrug.get(allergy) || []).find(drugClass => drug.terms.has(drugClass));
+  return sharedClass
+    ? [{
+      type: DRUG_ALERT_TYPE.ALLERGY,
+      severity: DRUG_ALERT_SEVERITY.MODERATE,
+      message: `${drug.label} is in the same class (${sharedClass}) as recorded allergy ${allergy}`,
+      against: allergy
+    }]
+    : [];
+});
+
+const interactionAlerts = (drug, other) => {
+  const alerts = [];
+
+  if (drug.generic && drug.generic === other.generic) {
+    alerts.push({
+      type: DRUG_ALERT_TYPE.DUPLICATE,
+      severity: DRUG_ALERT_SEVERITY.MODERATE,
+      message: `Duplicate therapy - ${other.label} is the same drug (${drug.generic})`,
+      against: other.label
+    });
+  }
+
+  table.interactions.forEach(({ drugs: [first, second], severity, description }) => {
+    if ((drug.terms.has(first) && other.terms.has(second)) || (drug.terms.has(second) && other.terms.has(first))) {
+      alerts.push({
+        type: DRUG_ALERT_TYPE.INTERACTION,
+        severity,
+        message: `Interacts with ${other.label}: ${description}`,
+        against: other.label
+      });
+    }
+  });
+
+  return alerts;
+};
+
+/**
+ * Alerts for each of `lines` ({ medicine, medicineId }) against the patient's allergies,
+ * their current medications and `activeLines` already prescribed. New lines are also
+ * checked against each other.
+ */
+const checkDrugSafety = async (patient, lines, activeLines = []) => {
+  if (lines.length === 0) return [];
+  if (!table) loadInteractionTable();
+
+  const current = [
+    ...(patient?.currentMedications || []).map(medication => ({ medicine: medication.name })),
+    ...activeLines
+  ].filter(drug => drug.medicine || drug.medicineId);
+  const catalogue = await findCatalogueEntries([...lines, ...current]);
+
+  const drugs = lines.map(line => describeDrug(line, catalogue));
+  const others = current.map(line => describeDrug(line, catalogue));
+  const allergies = (patient?.allergies || []).map(normalize).filter(Boolean);
+
+  return drugs.map((drug, index) => [
+    ...allergyAlerts(drug, allergies),
+    ...[...others, ...drugs.filter((_, i) => i !== index)].flatMap(other => interactionAlerts(drug, other))
+  ]);
+};
+
+/**
+ * Screen new prescription lines and record their alerts on them. A line with alerts
+ * goes ahead only with an overrideReason, which is stored with who gave it.
+ * Returns the lines still waiting for an override - empty when prescribing can proceed.
+ */
+const screenPrescription = async (patient, lines, activeLines, userId) => {
+  const alertsByLine = await checkDrugSafety(patient, lines, activeLines);
+  const unresolved = [];
+
+  lines.forEach((line, index) => {
+    const alerts = alertsByLine[index];
+    line.safetyAlerts = alerts;
+    delete line.overriddenBy;
+    delete line.overriddenAt;
+
+    if (alerts.length === 0) {
+      delete line.overrideReason;
+    } else if (!line.overrideReason?.trim()) {
+      unresolved.push({ index, medicine: line.medicine, alerts });
+    } else {
+      line.overrideReason = line.overrideReason.trim();
+      line.overriddenBy = userId;
+      line.overriddenAt = new Date();
+    }
+  });
+
+  return unresolved;
+};
+
+module.exports = { loadInteractionTable, checkDrugSafety, screenPrescription };
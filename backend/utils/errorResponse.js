@@ -0,0 +1,13 @@
+/**
+ * Error Response
+ * Error carrying an HTTP status code, picked up by the global error handler
+ */
+
+class ErrorResponse extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = ErrorResponse;
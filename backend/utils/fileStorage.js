@@ -0,0 +1,52 @@
+/**
+ * File Storage Helpers
+ * Locate and clean up files written by the upload middleware
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Uploads live outside the public static mount and are served through authorized routes
+const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+
+// Resolve a stored file name to its absolute path (basename only, so it cannot escape UPLOAD_DIR)
+const resolveUploadPath = (fileName) => path.join(UPLOAD_DIR, path.basename(fileName));
+
+// Remove a file multer already stored when the request is rejected afterwards
+const removeUploadedFile = async (file) => {
+  if (!file) return;
+  try {
+    await fs.promises.unlink(file.path);
+  } catch (error) {
+    console.error(`Failed to remove uploaded file ${file.filename}: ${error.message}`);
+  }
+};
+
+// Send a stored file as a download, answering 404 if it is missing on disk
+const sendStoredFile = (res, file) => {
+  res.download(resolveUploadPath(file.fileName), file.name, (err) => {
+    if (err && !res.headersSent) {
+      res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+  });
+};
+
+// Build the metadata stored on a document/attachment subdocument
+const buildFileMetadata = (file, userId, displayName) => ({
+  name: displayName || file.originalname,
+  fileName: file.filename,
+  mimeType: file.mimetype,
+  size: file.size,
+  uploadedBy: userId,
+  uploadedAt: new Date()
+});
+
+module.exports = {
+  UPLOAD_DIR,
+  removeUploadedFile,
+  sendStoredFile,
+  buildFileMetadata
+};
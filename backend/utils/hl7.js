@@ -0,0 +1,146 @@
+/**
+ * HL7 v2
+ * Reads ORU^R01 result messages from lab analyzers and builds the acknowledgements sent back
+ */
+
+// MLLP wraps each message as <VT> message <FS><CR>
+const MLLP_START = '\x0b';
+const MLLP_END = '\x1c\x0d';
+
+// Result statuses (OBX-11) that carry no usable value: cannot obtain, deleted, wrong patient
+const UNUSABLE_RESULT_STATUSES = ['X', 'D', 'W'];
+
+const frameMLLP = (message) => `${MLLP_START}${message}${MLLP_END}`;
+
+const stripMLLP = (text) => String(text).replace(/[\x0b\x1c]/g, '').trim();
+
+const isHL7 = (text) => stripMLLP(text).startsWith('MSH');
+
+// Undo \F\ \S\ \T\ \R\ \E\ escapes using the message's own delimiters
+const unescapeText = (text, delimiters) => text.replace(/\\([FSTRE])\\/g, (match, code) => ({
+  F: delimiters.field,
+  S: delimiters.component,
+  T: delimiters.subcomponent,
+  R: delimiters.repetition,
+  E: delimiters.escape
+})[code]);
+
+/**
+ * Split a message into segments of fields, numbered the HL7 way: segment.fields[n] is
+ * SEG-n, so MSH-1 is the field separator itself.
+ */
+const readSegments = (text) => {
+  const message = stripMLLP(text);
+  if (!message.startsWith('MSH') || message.length < 8) {
+    throw new Error('Message does not start with an MSH segment');
+  }
+
+  const delimiters = {
+    field: message[3],
+    component: message[4],
+    repetition: message[5],
+    escape: message[6],
+    subcomponent: message[7]
+  };
+
+  const segments = message.split(/\r\n|\r|\n/).filter(line => line.trim()).map(line => {
+    const fields = line.split(delimiters.field);
+    if (fields[0] === 'MSH') {
+      fields.splice(1, 0, delimiters.field);
+    }
+    return { type: fields[0], fields };
+  });
+
+  return { segments, delimiters };
+};
+
+// First repetition of a field as components, unescaped
+const readComponents = (field, delimiters) => String(field || '')
+  .split(delimiters.repetition)[0]
+  .split(delimiters.component)
+  .map(component => unescapeText(component, delimiters).trim());
+
+/**
+ * Parse an ORU^R01 message into the analyzer interface's common shape:
+ * { senderId, controlId, messageType, orders: [{ identifiers, serviceCode, results }] }.
+ * Each OBR starts an order; the analyzer's specimen ID is looked for in the filler (OBR-3)
+ * and placer (OBR-2) order numbers. Throws on text that is not an HL7 message.
+ */
+const parseHL7 = (text) => {
+  const { segments, delimiters } = readSegments(text);
+  const component = (field, index = 0) => readComponents(field, delimiters)[index] || '';
+
+  const header = segments[0].fields;
+  const message = {
+    senderId: component(header[3]),
+    senderFacility: component(header[4]),
+    controlId: component(header[10]),
+    messageType: readComponents(header[9], delimiters).slice(0, 2).join('^'),
+    version: component(header[12]),
+    orders: []
+  };
+
+  let order = null;
+  segments.slice(1).forEach(({ type, fields }) => {
+    if (type === 'OBR') {
+      order = {
+        identifiers: [component(fields[3]), component(fields[2])].filter(Boolean),
+        serviceCode: component(fields[4]),
+        results: []
+      };
+      message.orders.push(order);
+    } else if (type === 'OBX') {
+      if (!order) {
+        order = { identifiers: [], serviceCode: '', results: [] };
+        message.orders.push(order);
+      }
+      const status = component(fields[11]).toUpperCase();
+      order.results.push({
+        code: component(fields[3]).toUpperCase(),
+        name: component(fields[3], 1),
+        value: component(fields[5]),
+        unit: component(fields[6]),
+        referenceRange: component(fields[7]),
+        abnormalFlag: component(fields[8]).toUpperCase(),
+        status,
+        usable: !UNUSABLE_RESULT_STATUSES.includes(status)
+      });
+    } else if (type === 'SPM' && order) {
+      // HL7 2.5 specimen segment - SPM-2 is the specimen ID
+      const specimenId = component(fields[2]);
+      if (specimenId && !order.identifiers.includes(specimenId)) order.identifiers.unshift(specimenId);
+    }
+  });
+
+  return message;
+};
+
+// yyyyMMddHHmmss, the HL7 timestamp format
+const formatTimestamp = (date) => date.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+
+/**
+ * ACK for a received message. `code` is AA (accepted), AE (error) or AR (rejected).
+ * The header answers the sender from `original` where it could be read.
+ */
+const buildAck = (original, code, text = '') => {
+  const now = new Date();
+  const clean = (value) => String(value || '').replace(/[|^~\\&\r\n]/g, ' ');
+
+  return [
+    [
+      'MSH', '^~\\&', 'HMS', 'LAB',
+      clean(original?.senderId), clean(original?.senderFacility),
+      formatTimestamp(now), '', 'ACK^R01^ACK', `ACK${now.getTime()}`, 'P', original?.version || '2.5'
+    ].join('|'),
+    ['MSA', code, clean(original?.controlId), clean(text)].join('|')
+  ].join('\r');
+};
+
+module.exports = {
+  MLLP_START,
+  MLLP_END,
+  frameMLLP,
+  isHL7,
+  parseHL7,
+  buildAck
+};
@@ -0,0 +1,175 @@
+/**
+ * IPD Billing
+ * Builds the draft bill of an inpatient stay from bed occupancy, medications, lab orders and surgeries
+ */
+
+const Bed = require('../models/Bed');
+const Billing = require('../models/Billing');
+const Pharmacy = require('../models/Pharmacy');
+const { LabTestOrder } = require('../models/LabTest');
+const ErrorResponse = require('./errorResponse');
+const { BILL_STATUS, BILL_SOURCE } = require('../config/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN');
+
+// Bed-days for an interval, counted by midnight census: one day per midnight spent in the bed
+const countBedDays = (from, to) => {
+  const firstMidnight = new Date(from);
+  firstMidnight.setHours(24, 0, 0, 0);
+  if (firstMidnight > to) return 0;
+  return Math.floor((to - firstMidnight) / DAY_MS) + 1;
+};
+
+const buildRoomCharges = async (record, until) => {
+  const intervals = record.getBedIntervals();
+  const beds = await Bed.find({ _id: { $in: intervals.map(interval => interval.bedId) } });
+  const bedsById = new Map(beds.map(bed => [bed._id.toString(), bed]));
+
+  const stays = intervals.map(interval => {
+    const to = interval.to || until;
+    return {
+      interval,
+      to,
+      bed: bedsById.get(interval.bedId.toString()),
+      days: countBedDays(interval.from, to)
+    };
+  });
+
+  // A stay that never crosses midnight is still charged one day, on the admission bed
+  if (stays.length > 0 && stays.every(stay => stay.days === 0)) {
+    stays[0].days = 1;
+  }
+
+  return stays
+    .filter(stay => stay.days > 0)
+    .map(({ interval, to, bed, days }) => ({
+      description: `Room Charge - Bed ${interval.bedNumber || bed?.bedNumber || ''} (${interval.ward || bed?.ward || 'Unknown ward'}), ${formatDate(interval.from)} to ${formatDate(to)}`,
+      category: 'Room Charge',
+      quantity: days,
+      unitPrice: bed?.dailyRate || 0,
+      autoGenerated: true
+    }));
+};
+
+const buildMedicineCharges = async (record) => {
+  // What the pharmacy has dispensed is billed at dispensing, with actual quantities; the rest of each order is estimated here
+  const remainingQuantity = (medication) => (medication.quantity || 1) - (medication.dispensedQuantity || 0);
+  const undispensed = record.medications.filter(medication => medication.medicine && remainingQuantity(medication) > 0);
+  if (undispensed.length === 0) return [];
+
+  // Medications are recorded by name, so price them against the pharmacy catalogue case-insensitively
+  const names = [...new Set(undispensed.map(medication => medication.medicine))];
+  const medicines = await Pharmacy.find({ name: { $in: names } })
+    .collation({ locale: 'en', strength: 2 });
+  const pricesByName = new Map(medicines.map(medicine => [medicine.name.toLowerCase(), medicine.sellingPrice]));
+
+  return undispensed.map(medication => ({
+    description: `Medicine - ${medication.medicine}${medication.dosage ? ` ${medication.dosage}` : ''}`,
+    category: 'Medicine',
+    quantity: remainingQuantity(medication),
+    unitPrice: pricesByName.get(medication.medicine.toLowerCase()) || 0,
+    autoGenerated: true
+  }));
+};
+
+const buildLabCharges = async (record, until) => {
+  // Orders linked to the stay, plus unlinked orders for the patient placed while admitted
+  const orders = await LabTestOrder.find({
+    $or: [
+      { ipdRecordId: record._id },
+      {
+        patientId: record.patientId,
+        ipdRecordId: null,
+        opdRecordId: null,
+        orderDate: { $gte: record.admissionDate, $lte: until }
+      }
+    ]
+  })
+    .populate('testId', 'testName price')
+    .populate('packageId', 'name')
+    .populate('requisitionId', 'requisitionId');
+
+  // Tests ordered as part of a package are billed as one line at the package price
+  const packageLines = new Map();
+  const lines = [];
+  orders.forEach(order => {
+    // Orders placed before package pricing carry no price of their own
+    const price = order.price ?? order.testId?.price ?? 0;
+
+    if (!order.packageId) {
+      lines.push({
+        description: `Lab Test - ${order.testId?.testName || 'Unknown test'} (${order.orderId})`,
+        category: 'Lab Test',
+        quantity: 1,
+        unitPrice: price,
+        autoGenerated: true
+      });
+      return;
+    }
+
+    const key = `${order.requisitionId?._id}:${order.packageId._id}`;
+    if (!packageLines.has(key)) {
+      const line = {
+        description: `Lab Package - ${order.packageId.name} (${order.requisitionId?.requisitionId || order.orderId})`,
+        category: 'Lab Test',
+        quantity: 1,
+        unitPrice: 0,
+        autoGenerated: true
+      };
+      packageLines.set(key, line);
+      lines.push(line);
+    }
+    const line = packageLines.get(key);
+    line.unitPrice = Math.round((line.unitPrice + price) * 100) / 100;
+  });
+
+  return lines;
+};
+
+const buildSurgeryCharges = (record) => record.surgeries.map(surgery => ({
+  description: `Surgery - ${surgery.name || 'Unnamed procedure'}${surgery.date ? `, ${formatDate(surgery.date)}` : ''}`,
+  category: 'Surgery',
+  quantity: 1,
+  unitPrice: surgery.charge || 0,
+  autoGenerated: true
+}));
+
+/**
+ * Create or refresh the draft bill of an IPD stay with charges up to `until`.
+ * Lines added by hand on the draft are kept; generated lines are recomputed.
+ */
+const draftIPDBill = async (record, userId, until = new Date()) => {
+  const services = [
+    ...await buildRoomCharges(record, until),
+    ...await buildMedicineCharges(record),
+    ...await buildLabCharges(record, until),
+    ...buildSurgeryCharges(record)
+  ];
+
+  const bill = await Billing.findOne({ ipdRecordId: record._id, source: BILL_SOURCE.IPD });
+
+  if (!bill) {
+    return Billing.create({
+      patientId: record.patientId,
+      ipdRecordId: record._id,
+      services,
+      totalAmount: 0,
+      status: BILL_STATUS.DRAFT,
+      source: BILL_SOURCE.IPD,
+      notes: `IPD stay ${record.recordId}`,
+      createdBy: userId
+    });
+  }
+
+  if (bill.status !== BILL_STATUS.DRAFT) {
+    throw new ErrorResponse('The bill for this stay has already been finalized', 409);
+  }
+
+  bill.services = [...bill.services.filter(service => !service.autoGenerated), ...services];
+  await bill.save();
+  return bill;
+};
+
+module.exports = { draftIPDBill };
@@ -0,0 +1,112 @@
+/**
+ * Lab Orders
+ * Expands requisitions into per-test orders and keeps OPD records in step with them
+ */
+
+const OPDRecord = require('../models/OPDRecord');
+const { LAB_STATUS } = require('../config/constants');
+
+// OPD records only track whether a test's result is out
+const OPD_LAB_STATUS = {
+  ORDERED: 'Ordered',
+  COMPLETED: 'Completed'
+};
+
+/**
+ * Split a package price over its tests in proportion to their list prices, so the
+ * shares add up to the package price exactly. Returns one amount per test.
+ */
+const allocatePackagePrice = (tests, packagePrice) => {
+  const listTotal = tests.reduce((sum, test) => sum + (test.price || 0), 0);
+  const shares = tests.map(test => (listTotal > 0
+    ? Math.floor(packagePrice * (test.price || 0) / listTotal * 100) / 100
+    : Math.floor(packagePrice / tests.length * 100) / 100));
+
+  // Rounding leftovers go on the last test
+  const allocated = shares.reduce((sum, share) => sum + share, 0);
+  shares[shares.length - 1] = Math.round((shares[shares.length - 1] + packagePrice - allocated) * 100) / 100;
+  return shares;
+};
+
+// The first test found in more than one of the packages, if any
+const findOverlappingTest = (packages) => {
+  const seen = new Set();
+  for (const labPackage of packages) {
+    for (const test of labPackage.tests) {
+      if (seen.has(test._id.toString())) return test;
+      seen.add(test._id.toString());
+    }
+  }
+  return null;
+};
+
+/**
+ * The tests to order for the selected packages (tests populated, none shared between
+ * them) and individual tests, each test once. A test that is also in a selected
+ * package is covered by the package. Returns [{ test, packageId, price }].
+ */
+const expandRequisition = (packages, tests) => {
+  const lines = [];
+  const included = new Set();
+
+  packages.forEach(labPackage => {
+    allocatePackagePrice(labPackage.tests, labPackage.price).forEach((price, index) => {
+      const test = labPackage.tests[index];
+      included.add(test._id.toString());
+      lines.push({ test, packageId: labPackage._id, price });
+    });
+  });
+
+  tests.forEach(test => {
+    if (included.has(test._id.toString())) return;
+    included.add(test._id.toString());
+    lines.push({ test, packageId: undefined, price: test.price });
+  });
+
+  return lines;
+};
+
+/**
+ * Point the OPD record's lab tests at the new orders. A test the doctor already
+ * listed on the record is linked rather than added twice.
+ */
+const linkOrdersToOPDRecord = async (opdRecordId, orders, session) => {
+  const record = await OPDRecord.findById(opdRecordId).session(session);
+  if (!record) return;
+
+  orders.forEach(order => {
+    const listed = record.labTests.find(entry => !entry.order &&
+      entry.status === OPD_LAB_STATUS.ORDERED &&
+      entry.test?.toString() === order.testId.toString());
+
+    if (listed) {
+      listed.order = order._id;
+    } else {
+      record.labTests.push({ test: order.testId, order: order._id, status: OPD_LAB_STATUS.ORDERED });
+    }
+  });
+
+  await record.save({ session });
+};
+
+// Mirror an order's status on the OPD record it came from
+const syncOPDLabTest = async (order) => {
+  if (!order.opdRecordId) return;
+
+  await OPDRecord.updateOne(
+    { _id: order.opdRecordId, 'labTests.order': order._id },
+    {
+      $set: {
+        'labTests.$.status': order.status === LAB_STATUS.VERIFIED ? OPD_LAB_STATUS.COMPLETED : OPD_LAB_STATUS.ORDERED
+      }
+    }
+  );
+};
+
+module.exports = {
+  allocatePackagePrice,
+  findOverlappingTest,
+  expandRequisition,
+  linkOrdersToOPDRecord,
+  syncOPDLabTest
+};
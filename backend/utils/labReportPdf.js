@@ -0,0 +1,145 @@
+/**
+ * Lab Report PDF
+ * Renders a lab order's results on hospital letterhead
+ */
+
+const {
+  PAGE_LEFT,
+  PAGE_RIGHT,
+  formatDate,
+  createDocument,
+  drawLetterhead,
+  drawParties,
+  drawTable,
+  drawFooter
+} = require('./pdfLayout');
+const { ageOn, isCriticalFlag } = require('./labResults');
+const { LAB_STATUS, LAB_RESULT_FLAG } = require('../config/constants');
+
+const PARAMETER_COLUMNS = [
+  { label: 'Investigation', width: 165 },
+  { label: 'Result', width: 80, align: 'right' },
+  { label: 'Flag', width: 70 },
+  { label: 'Unit', width: 70 },
+  { label: 'Reference Range', width: 110 }
+];
+
+const FLAG_LABELS = {
+  [LAB_RESULT_FLAG.NORMAL]: '',
+  [LAB_RESULT_FLAG.LOW]: 'Low',
+  [LAB_RESULT_FLAG.HIGH]: 'High',
+  [LAB_RESULT_FLAG.CRITICAL_LOW]: 'Critical Low',
+  [LAB_RESULT_FLAG.CRITICAL_HIGH]: 'Critical High',
+  [LAB_RESULT_FLAG.ABNORMAL]: 'Abnormal'
+};
+
+const formatDateTime = (date) => (date ? new Date(date).toLocaleString('en-IN') : '-');
+
+const drawSection = (doc, title, text) => {
+  doc.font('Helvetica-Bold').fontSize(10).text(title, PAGE_LEFT);
+  doc.font('Helvetica').fontSize(9).text(text, PAGE_LEFT, doc.y, { width: PAGE_RIGHT - PAGE_LEFT });
+  doc.moveDown(0.5);
+};
+
+const reportTitle = (order) => {
+  if (order.status !== LAB_STATUS.VERIFIED) return 'PROVISIONAL LABORATORY REPORT';
+  return order.amendments?.length > 0 ? 'LABORATORY REPORT (AMENDED)' : 'LABORATORY REPORT';
+};
+
+// What each amendment replaced and why
+const drawAmendments = (doc, amendments) => {
+  doc.font('Helvetica-Bold').fontSize(10).text('Amendments', PAGE_LEFT);
+  amendments.forEach(amendment => {
+    const previous = amendment.previousResult?.parameters?.length > 0
+      ? amendment.previousResult.parameters.map(parameter => `${parameter.name} ${parameter.value}`).join(', ')
+      : amendment.previousResult?.value || '-';
+    doc.font('Helvetica').fontSize(9).text(
+      `${formatDateTime(amendment.amendedAt)} by ${amendment.amendedBy?.name || '-'}: ${amendment.reason}. Previously reported: ${previous}`,
+      PAGE_LEFT, doc.y, { width: PAGE_RIGHT - PAGE_LEFT }
+    );
+  });
+  doc.moveDown(0.5);
+};
+
+const drawVerification = (doc, verification, pathologist) => {
+  doc.moveDown();
+  doc.font('Helvetica-Bold').fontSize(9).text(
+    `Verified by ${verification.verifiedBy?.name || '-'}` +
+    `${pathologist?.department ? `, ${pathologist.department}` : ''}` +
+    `${pathologist?.licenseNumber ? ` (Reg. No. ${pathologist.licenseNumber})` : ''}`,
+    PAGE_LEFT
+  );
+  doc.font('Helvetica').fontSize(8)
+    .text(`Electronically signed ${formatDateTime(verification.verifiedAt)} - ${verification.signatureHash}`);
+  if (verification.comments) doc.fontSize(9).text(`Pathologist's comments: ${verification.comments}`);
+};
+
+/**
+ * Stream the report of a lab order (patientId.userId, doctorId.userId, testId, completedBy,
+ * verification.verifiedBy and amendments.amendedBy populated). `pathologist` is the
+ * verifying doctor's profile.
+ */
+const renderLabReportPdf = (res, order, pathologist = null) => {
+  const doc = createDocument(res, `${order.orderId}.pdf`);
+  const patient = order.patientId;
+  const test = order.testId;
+  const result = order.result || {};
+  const released = order.status === LAB_STATUS.VERIFIED;
+
+  drawLetterhead(doc, reportTitle(order));
+  drawParties(doc, 'Patient', patient, [
+    ['Order No', order.orderId],
+    ['Referred By', order.doctorId?.userId?.name ? `Dr. ${order.doctorId.userId.name}` : 'Self'],
+    ['Ordered', formatDate(order.orderDate)],
+    ['Collected', formatDateTime(order.sampleCollectedAt)],
+    ['Reported', formatDateTime(order.completedAt)]
+  ], [`Age / Sex: ${ageOn(patient, order.completedAt) ?? '-'} / ${patient?.gender || '-'}`]);
+
+  doc.font('Helvetica-Bold').fontSize(12).text(test?.testName || 'Lab Test', PAGE_LEFT);
+  if (test?.category) doc.font('Helvetica').fontSize(9).text(`Department: ${test.category}`);
+  doc.moveDown(0.5);
+
+  if (result.parameters?.length > 0) {
+    drawTable(doc, PARAMETER_COLUMNS, result.parameters.map(parameter => [
+      parameter.name,
+      parameter.value,
+      FLAG_LABELS[parameter.flag] || '',
+      parameter.unit || '',
+      parameter.referenceRange || '-'
+    ]), (_, index) => result.parameters[index].flag !== LAB_RESULT_FLAG.NORMAL);
+  } else {
+    drawTable(doc, PARAMETER_COLUMNS, [[
+      test?.testName || 'Result',
+      result.value || '-',
+      result.isAbnormal ? 'Abnormal' : '',
+      result.unit || test?.unit || '',
+      test?.normalRange || '-'
+    ]], () => Boolean(result.isAbnormal));
+  }
+
+  if (result.parameters?.some(parameter => isCriticalFlag(parameter.flag))) {
+    doc.font('Helvetica-Bold').fontSize(9)
+      .text('Critical values reported - please act on them urgently.', PAGE_LEFT);
+    doc.moveDown(0.5);
+  }
+
+  if (result.notes) drawSection(doc, 'Interpretation / Remarks', result.notes);
+  if (order.notes) drawSection(doc, 'Clinical Notes', order.notes);
+
+  if (order.amendments?.length > 0) drawAmendments(doc, order.amendments);
+
+  if (order.completedBy?.name) {
+    doc.moveDown();
+    doc.font('Helvetica').fontSize(9).text(`Reported by: ${order.completedBy.name}`, PAGE_LEFT);
+  }
+
+  if (released && order.verification) drawVerification(doc, order.verification, pathologist);
+
+  drawFooter(doc, released
+    ? 'Results flagged against age and gender specific reference ranges. ' +
+      'This is a computer-generated report and must be interpreted in the clinical context.'
+    : 'Provisional - not yet verified by a pathologist. Not for clinical use.');
+  doc.end();
+};
+
+module.exports = { renderLabReportPdf };
@@ -0,0 +1,182 @@
+/**
+ * Lab Results
+ * Picks the reference range for a patient and flags parameter results against it
+ */
+
+const crypto = require('crypto');
+const { LAB_RESULT_FLAG, LAB_PARAMETER_TYPE } = require('../config/constants');
+
+const CRITICAL_FLAGS = [LAB_RESULT_FLAG.CRITICAL_LOW, LAB_RESULT_FLAG.CRITICAL_HIGH];
+
+// Age in whole years on `date`. Patient.age is only refreshed when the patient is saved,
+// so it is used only when there is no date of birth.
+const ageOn = (patient, date = new Date()) => {
+  if (!patient?.dateOfBirth) return patient?.age;
+
+  const birthDate = new Date(patient.dateOfBirth);
+  let age = date.getFullYear() - birthDate.getFullYear();
+  const monthDiff = date.getMonth() - birthDate.getMonth();
+  if (monthDiff < 0 || (monthDiff === 0 && date.getDate() < birthDate.getDate())) {
+    age--;
+  }
+  return age;
+};
+
+/**
+ * The reference band of a parameter that applies to the patient. A band for the patient's
+ * gender wins over an 'Any' band, then the narrowest age band. Without a known age only
+ * bands covering all ages apply.
+ */
+const findReferenceRange = (parameter, patient, date) => {
+  const age = ageOn(patient, date);
+
+  const matches = (parameter.referenceRanges || []).filter(range => {
+    if (range.gender !== 'Any' && range.gender !== patient?.gender) return false;
+    if (age === undefined || age === null) return !range.minAge && range.maxAge == null;
+    return age >= (range.minAge || 0) && (range.maxAge == null || age <= range.maxAge);
+  });
+
+  const span = (range) => (range.maxAge ?? 150) - (range.minAge || 0);
+  matches.sort((a, b) => (a.gender === 'Any') - (b.gender === 'Any') || span(a) - span(b));
+
+  return matches[0] || null;
+};
+
+const formatRange = (range) => {
+  if (!range) return '';
+  if (range.low != null && range.high != null) return `${range.low} - ${range.high}`;
+  if (range.low != null) return `>= ${range.low}`;
+  if (range.high != null) return `<= ${range.high}`;
+  return '';
+};
+
+const flagNumeric = (parameter, range, value) => {
+  if (parameter.criticalLow != null && value < parameter.criticalLow) return LAB_RESULT_FLAG.CRITICAL_LOW;
+  if (parameter.criticalHigh != null && value > parameter.criticalHigh) return LAB_RESULT_FLAG.CRITICAL_HIGH;
+  if (range?.low != null && value < range.low) return LAB_RESULT_FLAG.LOW;
+  if (range?.high != null && value > range.high) return LAB_RESULT_FLAG.HIGH;
+  return LAB_RESULT_FLAG.NORMAL;
+};
+
+/**
+ * Result entry for one parameter of a test panel, flagged for the patient.
+ * Returns null when a numeric parameter is given something that is not a number.
+ */
+const flagResult = (parameter, value, patient, date) => {
+  const text = String(value).trim();
+  const entry = { code: parameter.code, name: parameter.name, unit: parameter.unit, value: text };
+
+  if (parameter.resultType === LAB_PARAMETER_TYPE.TEXT) {
+    const expected = parameter.normalValue?.trim();
+    return {
+      ...entry,
+      referenceRange: expected || '',
+      flag: expected && expected.toLowerCase() !== text.toLowerCase()
+        ? LAB_RESULT_FLAG.ABNORMAL
+        : LAB_RESULT_FLAG.NORMAL
+    };
+  }
+
+  const numericValue = Number(text);
+  if (text === '' || !Number.isFinite(numericValue)) return null;
+
+  const range = findReferenceRange(parameter, patient, date);
+  return {
+    ...entry,
+    numericValue,
+    referenceLow: range?.low,
+    referenceHigh: range?.high,
+    referenceRange: formatRange(range),
+    flag: flagNumeric(parameter, range, numericValue)
+  };
+};
+
+const isCriticalFlag = (flag) => CRITICAL_FLAGS.includes(flag);
+
+// Order-level flags from the parameter results
+const summarizeFlags = (parameters) => ({
+  isAbnormal: parameters.some(parameter => parameter.flag !== LAB_RESULT_FLAG.NORMAL),
+  isCritical: parameters.some(parameter => isCriticalFlag(parameter.flag))
+});
+
+/**
+ * Results are signed with HMAC-SHA256 under LAB_SIGNATURE_KEY (JWT_SECRET when unset),
+ * so a signature cannot be recomputed by anyone who can only edit the database.
+ */
+const signatureKey = () => crypto.createHash('sha256')
+  .update(process.env.LAB_SIGNATURE_KEY || process.env.JWT_SECRET)
+  .digest();
+
+/**
+ * Signature over a result, its flags and who released it, stored as the pathologist's
+ * signature. Any later change to the signed values no longer matches it.
+ */
+const signResult = (order, userId, signedAt) => {
+  const result = order.result || {};
+  return crypto.createHmac('sha256', signatureKey()).update(JSON.stringify({
+    orderId: order.orderId,
+    value: result.value,
+    unit: result.unit,
+    notes: result.notes,
+    isAbnormal: Boolean(result.isAbnormal),
+    isCritical: Boolean(result.isCritical),
+    parameters: (result.parameters || []).map(parameter => [parameter.code, parameter.value, parameter.unit, parameter.flag]),
+    verifiedBy: String(userId),
+    verifiedAt: new Date(signedAt).toISOString()
+  })).digest('hex');
+};
+
+/**
+ * Result for an order (testId and patientId populated) from the submitted values;
+ * returns { result } or { message }. Panel results are entered per parameter and
+ * flagged here against the patient's ranges.
+ */
+const buildResult = (order, body) => {
+  const test = order.testId;
+  const result = {
+    notes: body.notes,
+    attachments: body.attachments || order.result?.attachments || []
+  };
+
+  if (test?.parameters?.length > 0) {
+    const values = new Map((body.parameters || []).map(entry => [String(entry.code || '').toUpperCase(), entry.value]));
+    const reportedAt = new Date();
+    result.parameters = [];
+
+    for (const parameter of test.parameters) {
+      const value = values.get(parameter.code);
+      if (value === undefined || value === null || String(value).trim() === '') continue;
+
+      const entry = flagResult(parameter, value, order.patientId, reportedAt);
+      if (!entry) {
+        return { message: `Please enter a numeric result for ${parameter.name}` };
+      }
+      result.parameters.push(entry);
+    }
+
+    if (result.parameters.length === 0) {
+      return { message: 'Please enter at least one parameter result' };
+    }
+
+    Object.assign(result, summarizeFlags(result.parameters));
+  } else {
+    // Free-text results (imaging, tests without parameters) have no range to check, so the reporter flags them
+    result.value = body.value;
+    result.unit = body.unit || test?.unit;
+    result.isAbnormal = Boolean(body.isAbnormal);
+    result.isCritical = false;
+  }
+
+  return { result };
+};
+
+module.exports = {
+  ageOn,
+  findReferenceRange,
+  formatRange,
+  flagResult,
+  isCriticalFlag,
+  summarizeFlags,
+  buildResult,
+  signResult
+};
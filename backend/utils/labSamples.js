@@ -0,0 +1,63 @@
+/**
+ * Lab Samples
+ * Specimen label data and turnaround time targets for lab orders
+ */
+
+const { encodeCode128 } = require('./code128');
+const { ageOn } = require('./labResults');
+
+const UNIT_MINUTES = {
+  minute: 1,
+  min: 1,
+  hour: 60,
+  hr: 60,
+  day: 24 * 60
+};
+
+// The specimen currently in play - the last one collected
+const currentSample = (order) => order.samples?.[order.samples.length - 1] || null;
+
+/**
+ * Minutes allowed by a turnaround time such as '4 hours', '30 minutes' or '1-2 days'.
+ * A range counts as its upper bound; returns null for text it cannot read.
+ */
+const parseTurnaroundMinutes = (turnaroundTime) => {
+  const match = String(turnaroundTime || '').toLowerCase()
+    .match(/(\d+(?:\.\d+)?)(?:\s*-\s*(\d+(?:\.\d+)?))?\s*(minute|min|hour|hr|day)s?\b/);
+  if (!match) return null;
+
+  const amount = Number(match[2] || match[1]);
+  return Math.round(amount * UNIT_MINUTES[match[3]]);
+};
+
+/**
+ * Data for the specimen label of an order (patientId.userId and testId populated).
+ * The Code 128 payload is the accession number; `bars` are its module widths for
+ * printers that do not encode barcodes themselves.
+ */
+const buildSampleLabel = (order, sample) => {
+  const patient = order.patientId;
+  const test = order.testId;
+
+  return {
+    accessionNumber: sample.accessionNumber,
+    barcode: {
+      symbology: 'CODE128',
+      payload: sample.accessionNumber,
+      bars: encodeCode128(sample.accessionNumber)
+    },
+    patientName: patient?.userId?.name,
+    patientId: patient?.patientId,
+    age: ageOn(patient, sample.collectedAt),
+    gender: patient?.gender,
+    orderId: order.orderId,
+    testCode: test?.testCode,
+    testName: test?.testName,
+    specimenType: sample.specimenType,
+    container: sample.container,
+    priority: order.priority,
+    collectedAt: sample.collectedAt
+  };
+};
+
+module.exports = { currentSample, parseTurnaroundMinutes, buildSampleLabel };
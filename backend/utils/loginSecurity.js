@@ -0,0 +1,80 @@
+/**
+ * Login Security
+ * Failed-login counting with progressive lockout, and the login audit trail
+ */
+
+const User = require('../models/User');
+const LoginAudit = require('../models/LoginAudit');
+const SecuritySetting = require('../models/SecuritySetting');
+
+const MINUTE = 60 * 1000;
+
+// Record a login attempt; an audit write that fails is logged rather than failing the login
+const recordLoginAttempt = async (req, { user, email, success, method, reason, lockedUntil }) => {
+  try {
+    await LoginAudit.create({
+      user: user?._id,
+      email: email || user?.email,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      success,
+      method,
+      reason,
+      lockedUntil
+    });
+  } catch (error) {
+    console.error('Login audit failed:', error.message);
+  }
+};
+
+/**
+ * Count a failed password or two-factor attempt. Reaching the threshold locks the
+ * account - each lock twice as long as the one before, up to the maximum - and starts
+ * the count again. Returns the lock end when this attempt locked the account.
+ */
+const registerFailedLogin = async (user) => {
+  const settings = await SecuritySetting.getSettings();
+
+  // Counted atomically so parallel guesses cannot slip past the threshold
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+
+  if (updated.failedLoginAttempts < settings.lockoutThreshold) {
+    return null;
+  }
+
+  const minutes = Math.min(
+    settings.lockoutBaseMinutes * 2 ** updated.lockoutCount,
+    settings.lockoutMaxMinutes
+  );
+  const lockUntil = new Date(Date.now() + minutes * MINUTE);
+
+  await User.updateOne(
+    { _id: user._id },
+    { lockUntil, failedLoginAttempts: 0, $inc: { lockoutCount: 1 } }
+  );
+  return lockUntil;
+};
+
+// Forget failed attempts and lockouts - after a successful login, a password reset or an admin unlock
+const clearFailedLogins = (user) => {
+  user.failedLoginAttempts = 0;
+  user.lockoutCount = 0;
+  user.lockUntil = undefined;
+};
+
+// 'Try again in N minute(s)' for a locked account
+const lockedMessage = (lockUntil) => {
+  const minutes = Math.max(1, Math.ceil((lockUntil - Date.now()) / MINUTE));
+  return `Account locked after too many failed login attempts. Please try again in ${minutes} minute(s) or contact admin.`;
+};
+
+module.exports = {
+  recordLoginAttempt,
+  registerFailedLogin,
+  clearFailedLogins,
+  lockedMessage
+};
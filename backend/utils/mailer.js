@@ -0,0 +1,64 @@
+/**
+ * Mailer
+ * Sends email over SMTP, or writes it to a folder or the console for development
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { MAIL_TRANSPORT } = require('../config/constants');
+
+const DEFAULT_MAIL_DIR = 'mail';
+
+let transport = null;
+
+const transportName = () => (process.env.MAIL_TRANSPORT || MAIL_TRANSPORT.CONSOLE).toLowerCase();
+
+const createTransport = () => {
+  switch (transportName()) {
+    case MAIL_TRANSPORT.SMTP:
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    case MAIL_TRANSPORT.FILE:
+      // The full message is built and written out as an .eml file
+      return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    case MAIL_TRANSPORT.CONSOLE:
+      return nodemailer.createTransport({ jsonTransport: true });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT '${process.env.MAIL_TRANSPORT}' - use smtp, file or console`);
+  }
+};
+
+const defaultFrom = () => (
+  process.env.MAIL_FROM || `"${process.env.HOSPITAL_NAME || 'Hospital'}" <no-reply@localhost>`
+);
+
+/**
+ * Send an email - { to, subject, text } and optionally html. Resolves once the transport has
+ * accepted it and rejects when it could not be sent.
+ */
+const sendMail = async (message) => {
+  if (!transport) transport = createTransport();
+
+  const info = await transport.sendMail({ from: defaultFrom(), ...message });
+
+  if (transportName() === MAIL_TRANSPORT.FILE) {
+    const folder = path.resolve(process.env.MAIL_DIR || DEFAULT_MAIL_DIR);
+    await fs.promises.mkdir(folder, { recursive: true });
+    await fs.promises.writeFile(path.join(folder, `${Date.now()}-${message.to}.eml`), info.message);
+  } else if (transportName() === MAIL_TRANSPORT.CONSOLE) {
+    const { to, subject, text } = message;
+    console.log(`Mail to ${to}: ${subject}\n${text}`);
+  }
+  return info;
+};
+
+module.exports = {
+  sendMail
+};
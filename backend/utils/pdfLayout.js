@@ -0,0 +1,116 @@
+/**
+ * PDF Layout
+ * Letterhead, tables and footer shared by the printed documents
+ */
+
+const PDFDocument = require('pdfkit');
+const hospital = require('../config/hospital');
+
+const PAGE_LEFT = 50;
+const PAGE_RIGHT = 545;
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN') : '-');
+
+// A4 unless `options` says otherwise (e.g. label stock)
+const createDocument = (res, fileName, options = {}) => {
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_LEFT, ...options });
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
+  doc.pipe(res);
+  return doc;
+};
+
+const drawRule = (doc) => {
+  doc.moveTo(PAGE_LEFT, doc.y).lineTo(PAGE_RIGHT, doc.y).lineWidth(0.5).stroke();
+};
+
+const drawLetterhead = (doc, title) => {
+  doc.font('Helvetica-Bold').fontSize(18).text(hospital.name, { align: 'center' });
+
+  const contact = [
+    hospital.phone && `Phone: ${hospital.phone}`,
+    hospital.email && `Email: ${hospital.email}`
+  ].filter(Boolean).join('  |  ');
+
+  doc.font('Helvetica').fontSize(9);
+  [hospital.address, contact, hospital.gstin && `GSTIN: ${hospital.gstin}`]
+    .filter(Boolean)
+    .forEach(line => doc.text(line, { align: 'center' }));
+
+  doc.moveDown(0.5);
+  drawRule(doc);
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Bold').fontSize(14).text(title, { align: 'center' });
+  doc.moveDown();
+};
+
+// Patient (userId populated) on the left, document references on the right
+const drawParties = (doc, heading, patient, references, details = []) => {
+  const top = doc.y;
+
+  doc.font('Helvetica-Bold').fontSize(10).text(heading, PAGE_LEFT, top);
+  doc.font('Helvetica').text(patient?.userId?.name || '-');
+  doc.text(`Patient ID: ${patient?.patientId || '-'}`);
+  if (patient?.userId?.phone) doc.text(`Phone: ${patient.userId.phone}`);
+  details.forEach(line => doc.text(line));
+  const leftBottom = doc.y;
+
+  doc.y = top;
+  references.forEach(([label, value]) => {
+    doc.text(`${label}: ${value}`, 300, doc.y, { width: PAGE_RIGHT - 300, align: 'right' });
+  });
+
+  doc.x = PAGE_LEFT;
+  doc.y = Math.max(leftBottom, doc.y) + 15;
+};
+
+const drawTableRow = (doc, columns, cells, bold = false) => {
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+
+  const height = Math.max(...cells.map((cell, i) =>
+    doc.heightOfString(String(cell), { width: columns[i].width })
+  )) + 6;
+
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+
+  const top = doc.y;
+  let x = PAGE_LEFT;
+  cells.forEach((cell, i) => {
+    doc.text(String(cell), x, top + 3, { width: columns[i].width, align: columns[i].align || 'left' });
+    x += columns[i].width;
+  });
+
+  doc.x = PAGE_LEFT;
+  doc.y = top + height;
+};
+
+// Rows are arrays of cells; `isBold(row, index)` picks rows to emphasise
+const drawTable = (doc, columns, rows, isBold = () => false) => {
+  drawTableRow(doc, columns, columns.map(column => column.label), true);
+  drawRule(doc);
+  rows.forEach((row, index) => drawTableRow(doc, columns, row, isBold(row, index)));
+  drawRule(doc);
+  doc.moveDown(0.5);
+};
+
+const drawFooter = (doc, text) => {
+  doc.moveDown();
+  doc.font('Helvetica-Oblique').fontSize(8).fillColor('#666666')
+    .text(text, PAGE_LEFT, doc.y, { width: PAGE_RIGHT - PAGE_LEFT, align: 'center' })
+    .fillColor('black');
+};
+
+module.exports = {
+  PAGE_LEFT,
+  PAGE_RIGHT,
+  formatDate,
+  createDocument,
+  drawRule,
+  drawLetterhead,
+  drawParties,
+  drawTableRow,
+  drawTable,
+  drawFooter
+};
@@ -0,0 +1,66 @@
+/**
+ * Permissions
+ * Resolves a user's permissions from the roles they hold, kept briefly in memory
+ */
+
+const Role = require('../models/Role');
+const { DEFAULT_ROLE_PERMISSIONS } = require('../config/permissions');
+
+// Role edits reach other server processes within this long
+const CACHE_TTL = 60 * 1000;
+
+let cache = null;
+let systemRolesReady = false;
+
+// Create any missing built-in role with its default permissions; existing roles are left as edited
+const ensureSystemRoles = async () => {
+  await Role.bulkWrite(Object.entries(DEFAULT_ROLE_PERMISSIONS).map(([name, permissions]) => ({
+    updateOne: {
+      filter: { name },
+      update: { $setOnInsert: { name, permissions, isSystem: true } },
+      upsert: true
+    }
+  })));
+  systemRolesReady = true;
+};
+
+// Map of role name to its permissions
+const loadRolePermissions = async () => {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL) {
+    return cache.permissionsByRole;
+  }
+
+  if (!systemRolesReady) {
+    await ensureSystemRoles();
+  }
+
+  const roles = await Role.find({}, 'name permissions').lean();
+  cache = {
+    loadedAt: Date.now(),
+    permissionsByRole: new Map(roles.map(role => [role.name, role.permissions]))
+  };
+  return cache.permissionsByRole;
+};
+
+// Every permission granted by any of the user's roles
+const getUserPermissions = async (user) => {
+  const permissionsByRole = await loadRolePermissions();
+  const permissions = new Set();
+
+  user.getRoles().forEach(role => {
+    (permissionsByRole.get(role) || []).forEach(permission => permissions.add(permission));
+  });
+
+  return [...permissions].sort();
+};
+
+// Called after a role is created, edited or deleted
+const clearPermissionCache = () => {
+  cache = null;
+};
+
+module.exports = {
+  ensureSystemRoles,
+  getUserPermissions,
+  clearPermissionCache
+};
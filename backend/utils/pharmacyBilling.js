@@ -0,0 +1,52 @@
+/**
+ * Pharmacy Billing
+ * Charges medicines dispensed against a prescription on the patient's bill
+ */
+
+const Billing = require('../models/Billing');
+const { draftIPDBill } = require('./ipdBilling');
+const { PAYMENT_STATUS, BILL_STATUS, BILL_SOURCE } = require('../config/constants');
+
+/**
+ * Add `lines` (Medicine service lines) for a dispense. Inpatient lines go on the
+ * stay's draft bill; outpatient lines on an open bill for the visit or its
+ * appointment, otherwise on a new pharmacy bill.
+ */
+const billDispensedMedicines = async (record, source, lines, userId) => {
+  if (lines.length === 0) return null;
+
+  if (source === 'IPD') {
+    // Refreshing the draft first drops any by-name estimate for the lines just dispensed
+    const bill = await draftIPDBill(record, userId);
+    bill.services.push(...lines);
+    await bill.save();
+    return bill;
+  }
+
+  const links = [{ opdRecordId: record._id }];
+  if (record.appointmentId) links.push({ appointmentId: record.appointmentId });
+
+  const bills = await Billing.find({ $or: links, status: BILL_STATUS.FINALIZED }).sort({ invoiceDate: 1 });
+  const openBill = bills.find(bill =>
+    [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.PARTIAL].includes(bill.paymentStatus) && !bill.isUnderClaim()
+  );
+
+  if (openBill) {
+    openBill.services.push(...lines);
+    await openBill.save();
+    return openBill;
+  }
+
+  return Billing.create({
+    patientId: record.patientId,
+    opdRecordId: record._id,
+    appointmentId: record.appointmentId,
+    services: lines,
+    totalAmount: 0,
+    source: BILL_SOURCE.PHARMACY,
+    notes: `Medicines dispensed for ${record.recordId}`,
+    createdBy: userId
+  });
+};
+
+module.exports = { billDispensedMedicines };
@@ -0,0 +1,36 @@
+/**
+ * Rate Limit
+ * In-memory counters that cap how often an action can be taken for one key
+ */
+
+/**
+ * A limiter allowing `max` hits per key within `windowMs`. hit(key) counts an attempt
+ * and returns { allowed, retryAfter } - retryAfter is seconds until the window resets.
+ */
+const createRateLimiter = ({ windowMs, max }) => {
+  const windows = new Map();
+
+  const hit = (key) => {
+    const now = Date.now();
+
+    // Drop finished windows so the map only holds recent keys
+    for (const [storedKey, window] of windows) {
+      if (window.resetAt <= now) windows.delete(storedKey);
+    }
+
+    const window = windows.get(key) || { count: 0, resetAt: now + windowMs };
+    window.count += 1;
+    windows.set(key, window);
+
+    return {
+      allowed: window.count <= max,
+      retryAfter: Math.ceil((window.resetAt - now) / 1000)
+    };
+  };
+
+  return { hit };
+};
+
+module.exports = {
+  createRateLimiter
+};
@@ -0,0 +1,98 @@
+/**
+ * Reorder
+ * Low-stock medicines and the quantities to order for them
+ */
+
+const Pharmacy = require('../models/Pharmacy');
+const StockMovement = require('../models/StockMovement');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const { PURCHASE_ORDER_STATUS, STOCK_MOVEMENT_TYPE } = require('../config/constants');
+
+// Days of dispensing used to estimate demand, and the stock an order should cover
+const CONSUMPTION_WINDOW_DAYS = 30;
+const COVER_DAYS = 30;
+
+const OPEN_ORDER_STATUSES = [
+  PURCHASE_ORDER_STATUS.DRAFT,
+  PURCHASE_ORDER_STATUS.ORDERED,
+  PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED
+];
+
+/**
+ * Active medicines at or below their minimum stock level
+ */
+const findLowStockMedicines = (filter = {}) => Pharmacy.find({
+  ...filter,
+  isActive: true,
+  $expr: { $lte: ['$stock', '$minStockLevel'] }
+}).sort({ stock: 1 });
+
+// Map of medicine id -> units dispensed in the consumption window
+const recentConsumption = async (medicineIds) => {
+  const since = new Date(Date.now() - CONSUMPTION_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const rows = await StockMovement.aggregate([
+    {
+      $match: {
+        medicineId: { $in: medicineIds },
+        type: STOCK_MOVEMENT_TYPE.DISPENSE,
+        createdAt: { $gte: since }
+      }
+    },
+    { $group: { _id: '$medicineId', quantity: { $sum: { $abs: '$quantity' } } } }
+  ]);
+  return new Map(rows.map(row => [row._id.toString(), row.quantity]));
+};
+
+// Map of medicine id -> units ordered but not yet received on open purchase orders
+const quantityOnOrder = async (medicineIds) => {
+  const rows = await PurchaseOrder.aggregate([
+    { $match: { status: { $in: OPEN_ORDER_STATUSES } } },
+    { $unwind: '$items' },
+    { $match: { 'items.medicineId': { $in: medicineIds } } },
+    {
+      $group: {
+        _id: '$items.medicineId',
+        quantity: { $sum: { $subtract: ['$items.quantity', '$items.receivedQuantity'] } }
+      }
+    }
+  ]);
+  return new Map(rows.map(row => [row._id.toString(), row.quantity]));
+};
+
+/**
+ * Suggested order quantity for every low-stock medicine. The target stock is the
+ * larger of twice the minimum level and the expected use over the cover period;
+ * stock in hand and quantities already on order are taken off it.
+ */
+const buildReorderSuggestions = async (filter = {}) => {
+  const medicines = await findLowStockMedicines(filter).populate('supplierId', 'supplierId name isActive');
+  const medicineIds = medicines.map(medicine => medicine._id);
+  const [consumed, onOrder] = await Promise.all([
+    recentConsumption(medicineIds),
+    quantityOnOrder(medicineIds)
+  ]);
+
+  return medicines.map(medicine => {
+    const id = medicine._id.toString();
+    const consumption = consumed.get(id) || 0;
+    const pending = onOrder.get(id) || 0;
+    const dailyUsage = consumption / CONSUMPTION_WINDOW_DAYS;
+    const target = Math.max(medicine.minStockLevel * 2, Math.ceil(dailyUsage * COVER_DAYS));
+
+    return {
+      medicine,
+      stock: medicine.stock,
+      minStockLevel: medicine.minStockLevel,
+      consumption,
+      onOrder: pending,
+      suggestedQuantity: Math.max(target - medicine.stock - pending, 0)
+    };
+  });
+};
+
+module.exports = {
+  CONSUMPTION_WINDOW_DAYS,
+  OPEN_ORDER_STATUSES,
+  findLowStockMedicines,
+  buildReorderSuggestions
+};
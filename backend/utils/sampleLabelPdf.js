@@ -0,0 +1,53 @@
+/**
+ * Sample Label PDF
+ * Renders a specimen label with its Code 128 barcode on 50 x 25 mm label stock
+ */
+
+const { createDocument, formatDate } = require('./pdfLayout');
+
+// 50 x 25 mm in points
+const LABEL_SIZE = [142, 71];
+const MARGIN = 6;
+const BAR_HEIGHT = 22;
+// Scanners need a blank margin of ten modules either side of the bars
+const QUIET_ZONE = 10;
+
+const drawBarcode = (doc, bars, top) => {
+  const totalModules = bars.reduce((sum, width) => sum + width, 0);
+  const moduleWidth = (LABEL_SIZE[0] - 2 * MARGIN) / (totalModules + 2 * QUIET_ZONE);
+
+  let x = MARGIN + QUIET_ZONE * moduleWidth;
+  bars.forEach((width, index) => {
+    // Even positions are bars, odd positions the spaces between them
+    if (index % 2 === 0) doc.rect(x, top, width * moduleWidth, BAR_HEIGHT).fill('black');
+    x += width * moduleWidth;
+  });
+};
+
+// Stream the label built by buildSampleLabel
+const renderSampleLabelPdf = (res, label) => {
+  const doc = createDocument(res, `${label.accessionNumber}.pdf`, { size: LABEL_SIZE, margin: MARGIN });
+  const width = LABEL_SIZE[0] - 2 * MARGIN;
+
+  doc.font('Helvetica-Bold').fontSize(7)
+    .text(label.patientName || '-', MARGIN, MARGIN, { width, lineBreak: false, ellipsis: true });
+  doc.font('Helvetica').fontSize(5.5)
+    .text(`${label.patientId || '-'}  ${label.age ?? '-'}/${(label.gender || '-').charAt(0)}  ${formatDate(label.collectedAt)}`,
+      MARGIN, doc.y, { width, lineBreak: false });
+
+  const barTop = doc.y + 1;
+  if (label.barcode.bars) drawBarcode(doc, label.barcode.bars, barTop);
+
+  doc.fillColor('black').font('Helvetica-Bold').fontSize(6)
+    .text(label.accessionNumber, MARGIN, barTop + BAR_HEIGHT + 2, { width, align: 'center', lineBreak: false });
+  doc.font('Helvetica').fontSize(5.5)
+    .text(
+      [label.testCode, label.specimenType, label.container, label.priority !== 'Normal' && label.priority]
+        .filter(Boolean).join(' | '),
+      MARGIN, doc.y, { width, align: 'center', lineBreak: false, ellipsis: true }
+    );
+
+  doc.end();
+};
+
+module.exports = { renderSampleLabelPdf };
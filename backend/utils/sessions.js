@@ -0,0 +1,161 @@
+/**
+ * Sessions
+ * Login sessions with rotating refresh tokens, kept in an httpOnly cookie
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { SESSION_REVOKED_REASON } = require('../config/constants');
+
+const REFRESH_COOKIE = 'refreshToken';
+const DEFAULT_REFRESH_DAYS = 7;
+const DAY = 24 * 60 * 60 * 1000;
+// Tabs that refresh at the same moment all present the token the first one replaced
+const REUSE_GRACE_PERIOD = 30 * 1000;
+// lastSeenAt is written at most this often
+const LAST_SEEN_INTERVAL = 60 * 1000;
+
+const refreshDays = () => Number(process.env.REFRESH_TOKEN_DAYS) || DEFAULT_REFRESH_DAYS;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * The refresh cookie is only sent to the auth routes. Across sites (a separately hosted
+ * frontend in production) it has to be SameSite=None, which browsers only accept when Secure.
+ */
+const cookieOptions = () => {
+  const production = process.env.NODE_ENV === 'production';
+  return {
+    httpOnly: true,
+    secure: production,
+    sameSite: production ? 'none' : 'lax',
+    path: '/api/auth'
+  };
+};
+
+const setRefreshCookie = (res, token) => {
+  res.cookie(REFRESH_COOKIE, token, { ...cookieOptions(), maxAge: refreshDays() * DAY });
+};
+
+const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE, cookieOptions());
+};
+
+const readRefreshCookie = (req) => {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [name, ...value] = part.trim().split('=');
+    if (name === REFRESH_COOKIE) return decodeURIComponent(value.join('='));
+  }
+  return null;
+};
+
+const BROWSERS = [[/edg\//i, 'Edge'], [/opr\/|opera/i, 'Opera'], [/chrome|crios/i, 'Chrome'], [/firefox|fxios/i, 'Firefox'], [/safari/i, 'Safari']];
+const PLATFORMS = [[/android/i, 'Android'], [/iphone|ipad/i, 'iOS'], [/windows/i, 'Windows'], [/mac os/i, 'macOS'], [/linux/i, 'Linux']];
+
+// 'Chrome on Windows' from a user agent string
+const describeDevice = (userAgent) => {
+  const text = userAgent || '';
+  const browser = BROWSERS.find(([pattern]) => pattern.test(text))?.[1];
+  const platform = PLATFORMS.find(([pattern]) => pattern.test(text))?.[1];
+
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || 'Unknown device';
+};
+
+// A new, unsaved session for a login from this request
+const createSession = (user, req) => new Session({
+  user: user._id,
+  userAgent: req.get('user-agent'),
+  device: describeDevice(req.get('user-agent')),
+  ip: req.ip,
+  expiresAt: new Date(Date.now() + refreshDays() * DAY)
+});
+
+/**
+ * Give the session a new refresh token and save it. The token is `<session id>.<secret>`
+ * so the session can be found from it; only the secret's hash is stored.
+ */
+const issueRefreshToken = async (session, req) => {
+  const token = `${session._id}.${crypto.randomBytes(32).toString('hex')}`;
+  const now = new Date();
+
+  session.previousTokenHash = session.refreshTokenHash;
+  session.refreshTokenHash = hashToken(token);
+  session.rotatedAt = now;
+  session.lastSeenAt = now;
+  session.ip = req.ip;
+  session.expiresAt = new Date(now.getTime() + refreshDays() * DAY);
+  await session.save();
+
+  return token;
+};
+
+const revokeSession = async (session, reason) => {
+  session.revokedAt = new Date();
+  session.revokedReason = reason;
+  await session.save();
+};
+
+// End every active session of a user, except `exceptSessionId` when given
+const revokeUserSessions = (userId, reason, exceptSessionId = null) => Session.updateMany(
+  {
+    user: userId,
+    revokedAt: null,
+    ...(exceptSessionId ? { _id: { $ne: exceptSessionId } } : {})
+  },
+  { revokedAt: new Date(), revokedReason: reason }
+);
+
+/**
+ * The active session a refresh token belongs to; returns { session, superseded } or { message }.
+ * A token that was already exchanged means it was copied, so the session is ended -
+ * unless it was replaced moments ago by a parallel refresh from the same browser. Such a
+ * token is `superseded`: the browser already holds its replacement, so it must not rotate again.
+ */
+const findSessionByRefreshToken = async (token) => {
+  const [sessionId, secret] = String(token || '').split('.');
+  if (!mongoose.isValidObjectId(sessionId) || !secret) {
+    return { message: 'Please log in again' };
+  }
+
+  const session = await Session.findById(sessionId).select('+refreshTokenHash +previousTokenHash');
+  if (!session || !session.isActive()) {
+    return { message: 'Your session has ended - please log in again' };
+  }
+
+  const hash = hashToken(token);
+  if (hash === session.refreshTokenHash) return { session, superseded: false };
+
+  if (hash === session.previousTokenHash) {
+    if (Date.now() - session.rotatedAt < REUSE_GRACE_PERIOD) return { session, superseded: true };
+    await revokeSession(session, SESSION_REVOKED_REASON.TOKEN_REUSE);
+  }
+  return { message: 'Your session has ended - please log in again' };
+};
+
+// The active session behind an access token, noting that it was seen
+const findActiveSession = async (sessionId, userId) => {
+  if (!mongoose.isValidObjectId(sessionId)) return null;
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive() || session.user.toString() !== String(userId)) return null;
+
+  if (Date.now() - session.lastSeenAt > LAST_SEEN_INTERVAL) {
+    await Session.updateOne({ _id: session._id }, { lastSeenAt: new Date() });
+  }
+  return session;
+};
+
+module.exports = {
+  setRefreshCookie,
+  clearRefreshCookie,
+  readRefreshCookie,
+  describeDevice,
+  createSession,
+  issueRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  findSessionByRefreshToken,
+  findActiveSession
+};
@@ -0,0 +1,53 @@
+/**
+ * Stock Ledger
+ * Saves batch quantity changes on a medicine together with their StockMovement entries
+ */
+
+const StockMovement = require('../models/StockMovement');
+const withTransaction = require('./transaction');
+
+// One movement per changed batch. `changes` are [{ batchId, quantity }] with signed
+// quantities already applied to the medicine, so balances count back from its stock.
+const buildMovements = (medicine, changes, { type, reason, reference, userId }) => {
+  const stock = medicine.batches.reduce((sum, batch) => sum + batch.quantity, 0);
+  let balance = stock - changes.reduce((sum, change) => sum + change.quantity, 0);
+
+  return changes.map(({ batchId, quantity }) => {
+    const batch = medicine.batches.id(batchId);
+    balance += quantity;
+    return {
+      medicineId: medicine._id,
+      batchId,
+      batchNumber: batch.batchNumber,
+      expiryDate: batch.expiryDate,
+      type,
+      quantity,
+      balanceAfter: balance,
+      unitCost: batch.purchasePrice,
+      reason,
+      reference,
+      performedBy: userId
+    };
+  });
+};
+
+/**
+ * Write the movements for changes already saved on `medicine`
+ */
+const recordStockMovements = async (medicine, changes, details, session = null) => {
+  const movements = buildMovements(medicine, changes.filter(change => change.quantity !== 0), details);
+  if (movements.length === 0) return [];
+  return StockMovement.insertMany(movements, { session });
+};
+
+/**
+ * Save the changed batches of `medicine` and record their movements together.
+ * On a standalone server the two writes are not atomic; a failed ledger write
+ * then shows up as a variance in the reconciliation report.
+ */
+const saveStockMovements = (medicine, changes, details) => withTransaction(async (session) => {
+  await medicine.save({ session });
+  return recordStockMovements(medicine, changes, details, session);
+});
+
+module.exports = { recordStockMovements, saveStockMovements };
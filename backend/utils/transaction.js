@@ -0,0 +1,46 @@
+/**
+ * Transaction Helper
+ * Runs multi-document writes inside a MongoDB transaction when the deployment supports it
+ */
+
+const mongoose = require('mongoose');
+
+let supportsTransactions;
+
+// Transactions need a replica set or sharded cluster (MongoDB Atlas always is one)
+const checkTransactionSupport = async () => {
+  if (supportsTransactions === undefined) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    supportsTransactions = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+
+    if (!supportsTransactions) {
+      console.warn('MongoDB is running standalone - multi-document writes will not be transactional');
+    }
+  }
+  return supportsTransactions;
+};
+
+/**
+ * Run `work(session)` in a transaction and return its result.
+ * Throwing inside `work` aborts the transaction. On a standalone server `session`
+ * is null and the writes run one by one, so `work` should still use conditional
+ * updates and undo its own partial writes when `session` is null.
+ */
+const withTransaction = async (work) => {
+  if (!(await checkTransactionSupport())) {
+    return work(null);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = withTransaction;
@@ -0,0 +1,173 @@
+/**
+ * Two-Factor Authentication
+ * TOTP enrollment, code and recovery code checks, and the login challenge token
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const SecuritySetting = require('../models/SecuritySetting');
+const { generateSecret, verifyCode, buildOtpAuthUrl } = require('./totp');
+const { LOGIN_METHOD } = require('../config/constants');
+
+// Proves the password was right; only accepted by the two-factor login step
+const CHALLENGE_PURPOSE = 'two-factor';
+const CHALLENGE_EXPIRE = '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+// Recovery codes are typed by hand - ignore case, spaces and dashes
+const normaliseRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^0-9a-z]/g, '');
+
+/**
+ * TOTP secrets are encrypted at rest with AES-256-GCM under TWO_FACTOR_ENCRYPTION_KEY
+ * (JWT_SECRET when unset), stored as `<iv>.<tag>.<ciphertext>` in hex.
+ */
+const encryptionKey = () => crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(part => part.toString('hex')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, data] = stored.split('.').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+};
+
+// Whether the security policy makes two-factor authentication compulsory for any of the user's roles
+const isTwoFactorRequired = async (user) => {
+  const settings = await SecuritySetting.getSettings();
+  return user.getRoles().some(role => settings.twoFactorRequiredRoles.includes(role));
+};
+
+const signChallengeToken = (user) => jwt.sign(
+  { id: user._id, purpose: CHALLENGE_PURPOSE },
+  process.env.JWT_SECRET,
+  { expiresIn: CHALLENGE_EXPIRE }
+);
+
+// The decoded challenge token, or null when it is invalid, expired or another kind of token
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === CHALLENGE_PURPOSE ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// New recovery codes for the user - only the hashes are kept, the codes are shown once
+const issueRecoveryCodes = (user) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+  user.twoFactorRecoveryCodes = codes.map(code => hashCode(normaliseRecoveryCode(code)));
+  return codes;
+};
+
+/**
+ * Start enrollment: a pending secret is saved on the user (needs +twoFactorPendingSecret)
+ * and returned with the otpauth URL and a QR code image for the authenticator app. An
+ * unconfirmed pending secret is reused, so asking twice shows the same QR code.
+ */
+const startEnrollment = async (user) => {
+  const secret = user.twoFactorPendingSecret
+    ? decryptSecret(user.twoFactorPendingSecret)
+    : generateSecret();
+  const issuer = process.env.HOSPITAL_NAME || 'HMS';
+  const otpauthUrl = buildOtpAuthUrl(secret, user.email, issuer);
+
+  user.twoFactorPendingSecret = encryptSecret(secret);
+  await user.save({ validateBeforeSave: false });
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl)
+  };
+};
+
+/**
+ * Finish enrollment with a code from the app; needs the user loaded with
+ * +twoFactorPendingSecret. Returns { recoveryCodes } or { message }.
+ */
+const confirmEnrollment = async (user, code) => {
+  if (!user.twoFactorPendingSecret) {
+    return { message: 'Start two-factor setup first' };
+  }
+
+  const secret = decryptSecret(user.twoFactorPendingSecret);
+  const step = verifyCode(secret, code);
+  if (step === null) {
+    return { message: 'Invalid authentication code' };
+  }
+
+  user.twoFactorEnabled = true;
+  user.twoFactorEnabledAt = new Date();
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorLastUsedStep = step;
+  const recoveryCodes = issueRecoveryCodes(user);
+  await user.save({ validateBeforeSave: false });
+
+  return { recoveryCodes };
+};
+
+/**
+ * Check a code from the app, or a recovery code (used up on success). Needs the user
+ * loaded with +twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep.
+ * Returns { method } or { message }.
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (!user.twoFactorEnabled || !user.twoFactorSecret) {
+    return { message: 'Two-factor authentication is not enabled' };
+  }
+
+  if (recoveryCode) {
+    const hash = hashCode(normaliseRecoveryCode(recoveryCode));
+    if (!user.twoFactorRecoveryCodes.includes(hash)) {
+      return { message: 'Invalid recovery code' };
+    }
+    user.twoFactorRecoveryCodes = user.twoFactorRecoveryCodes.filter(stored => stored !== hash);
+    await user.save({ validateBeforeSave: false });
+    return { method: LOGIN_METHOD.RECOVERY_CODE };
+  }
+
+  const step = verifyCode(decryptSecret(user.twoFactorSecret), code, user.twoFactorLastUsedStep ?? -1);
+  if (step === null) {
+    return { message: 'Invalid authentication code' };
+  }
+  user.twoFactorLastUsedStep = step;
+  await user.save({ validateBeforeSave: false });
+  return { method: LOGIN_METHOD.TWO_FACTOR };
+};
+
+// Turn two-factor authentication off and forget the secret and recovery codes
+const clearTwoFactor = (user) => {
+  user.twoFactorEnabled = false;
+  user.twoFactorEnabledAt = undefined;
+  user.twoFactorSecret = undefined;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorRecoveryCodes = undefined;
+  user.twoFactorLastUsedStep = undefined;
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  signChallengeToken,
+  verifyChallengeToken,
+  issueRecoveryCodes,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  clearTwoFactor
+};
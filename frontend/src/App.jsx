@@ -13,6 +13,10 @@ import LoadingSpinner from './components/common/LoadingSpinner';
 import { 
   Login, 
   Register, 
+  ForgotPassword,
+  ResetPassword,
+  Sessions,
+  TwoFactor,
   Dashboard,
   Patients,
   Doctors,
@@ -21,13 +25,17 @@ import {
   IPDRecords,
   Beds,
   Pharmacy,
+  Dispensing,
+  Procurement,
   Lab,
-  Billing
+  Billing,
+  Claims,
+  Users
 } from './pages';
 
-// Protected Route Component
-const ProtectedRoute = ({ children, allowedRoles }) => {
-  const { user, loading, isAuthenticated } = useAuth();
+// Protected Route Component - optionally limited to users holding a permission
+const ProtectedRoute = ({ children, permission }) => {
+  const { loading, isAuthenticated, hasPermission } = useAuth();
 
   if (loading) {
     return (
@@ -41,7 +49,7 @@ const ProtectedRoute = ({ children, allowedRoles }) => {
     return <Navigate to="/login" replace />;
   }
 
-  if (allowedRoles && !allowedRoles.includes(user?.role)) {
+  if (permission && !hasPermission(permission)) {
     return <Navigate to="/dashboard" replace />;
   }
 
@@ -88,6 +96,22 @@ const AppRoutes = () => {
           </PublicRoute>
         } 
       />
+      <Route 
+        path="/forgotpassword" 
+        element={
+          <PublicRoute>
+            <ForgotPassword />
+          </PublicRoute>
+        } 
+      />
+      <Route 
+        path="/resetpassword/:token" 
+        element={
+          <PublicRoute>
+            <ResetPassword />
+          </PublicRoute>
+        } 
+      />
 
       {/* Protected Routes - Wrapped in DashboardLayout */}
       <Route
@@ -101,89 +125,138 @@ const AppRoutes = () => {
         {/* Dashboard */}
         <Route index element={<Navigate to="/dashboard" replace />} />
         <Route path="dashboard" element={<Dashboard />} />
+        <Route path="sessions" element={<Sessions />} />
+        <Route path="two-factor" element={<TwoFactor />} />
 
-        {/* Patients - Admin, Doctor, Nurse, Receptionist */}
+        {/* Patients */}
         <Route 
           path="patients" 
           element={
-            <ProtectedRoute allowedRoles={['ADMIN', 'DOCTOR', 'NURSE', 'RECEPTIONIST']}>
+            <ProtectedRoute permission="patients:view">
               <Patients />
             </ProtectedRoute>
           } 
         />
 
-        {/* Doctors - Admin */}
+        {/* Doctors */}
         <Route 
           path="doctors" 
           element={
-            <ProtectedRoute allowedRoles={['ADMIN']}>
+            <ProtectedRoute permission="doctors:view">
               <Doctors />
             </ProtectedRoute>
           } 
         />
 
-        {/* Appointments - All roles */}
-        <Route path="appointments" element={<Appointments />} />
+        {/* Appointments */}
+        <Route 
+          path="appointments" 
+          element={
+            <ProtectedRoute permission="appointments:view">
+              <Appointments />
+            </ProtectedRoute>
+          } 
+        />
 
-        {/* OPD Records - Admin, Doctor, Nurse */}
+        {/* OPD Records */}
         <Route 
           path="opd" 
           element={
-            <ProtectedRoute allowedRoles={['ADMIN', 'DOCTOR', 'NURSE']}>
+            <ProtectedRoute permission="opd:view">
               <OPDRecords />
             </ProtectedRoute>
           } 
         />
 
-        {/* IPD Records - Admin, Doctor, Nurse */}
+        {/* IPD Records */}
         <Route 
           path="ipd" 
           element={
-            <ProtectedRoute allowedRoles={['ADMIN', 'DOCTOR', 'NURSE']}>
+            <ProtectedRoute permission="ipd:view">
               <IPDRecords />
             </ProtectedRoute>
           } 
         />
 
-        {/* Beds - Admin, Nurse */}
+        {/* Beds */}
         <Route 
           path="beds" 
           element={
-            <ProtectedRoute allowedRoles={['ADMIN', 'NURSE', 'RECEPTIONIST']}>
+            <ProtectedRoute permission="beds:view">
               <Beds />
             </ProtectedRoute>
           } 
         />
 
-        {/* Pharmacy - Admin, Pharmacy */}
+        {/* Pharmacy */}
         <Route 
           path="pharmacy" 
           element={
-            <ProtectedRoute allowedRoles={['ADMIN', 'PHARMACY']}>
+            <ProtectedRoute permission="pharmacy:inventory">
               <Pharmacy />
             </ProtectedRoute>
           } 
         />
 
-        {/* Lab - Admin, Lab, Doctor */}
+        {/* Dispensing */}
+        <Route 
+          path="pharmacy/dispensing" 
+          element={
+            <ProtectedRoute permission="pharmacy:dispense">
+              <Dispensing />
+            </ProtectedRoute>
+          } 
+        />
+
+        {/* Procurement */}
+        <Route 
+          path="pharmacy/procurement" 
+          element={
+            <ProtectedRoute permission="procurement:manage">
+              <Procurement />
+            </ProtectedRoute>
+          } 
+        />
+
+        {/* Lab */}
         <Route 
           path="lab" 
           element={
-            <ProtectedRoute allowedRoles={['ADMIN', 'LAB', 'DOCTOR']}>
+            <ProtectedRoute permission="lab:view">
               <Lab />
             </ProtectedRoute>
           } 
         />
 
-        {/* Billing - Admin, Receptionist */}
+        {/* Billing */}
         <Route 
           path="billing" 
           element={
-            <ProtectedRoute allowedRoles={['ADMIN', 'RECEPTIONIST']}>
+            <ProtectedRoute permission="billing:view">
               <Billing />
             </ProtectedRoute>
           } 
         />
+
+        {/* Insurance Claims */}
+        <Route 
+          path="insurance" 
+          element={
+            <ProtectedRoute permission="insurance:manage">
+              <Claims />
+            </ProtectedRoute>
+          } 
+        />
+
+        {/* Users */}
+        <Route 
+          path="users" 
+          element={
+            <ProtectedRoute permission="users:manage">
+              <Users />
+            </ProtectedRoute>
+          } 
+        />
       </Route>
 
       {/* Catch all - redirect to login */}
@@ -4,8 +4,9 @@
  */
 
 import { useState } from 'react';
-import { FiSearch, FiBell, FiUser, FiMenu } from 'react-icons/fi';
+import { FiSearch, FiUser, FiMenu, FiMonitor, FiShield } from 'react-icons/fi';
 import { useAuth } from '../../context/AuthContext';
+import NotificationMenu from './NotificationMenu';
 
 const Header = ({ onMenuClick }) => {
   const { user, logout } = useAuth();
@@ -36,10 +37,7 @@ const Header = ({ onMenuClick }) => {
       {/* Right side */}
       <div className="flex items-center gap-4">
         {/* Notifications */}
-        <button className="p-2 hover:bg-slate-100 rounded-lg relative">
-          <FiBell className="w-5 h-5 text-slate-600" />
-          <span className="absolute top-1 right-1 w-2 h-2 bg-red-500 rounded-full"></span>
-        </button>
+        <NotificationMenu />
 
         {/* User Menu */}
         <div className="relative">
@@ -67,6 +65,20 @@ const Header = ({ onMenuClick }) => {
                 <FiUser className="w-4 h-4" />
                 Profile
               </a>
+              <a
+                href="/sessions"
+                className="flex items-center gap-2 px-4 py-2 text-sm text-slate-700 hover:bg-slate-50"
+              >
+                <FiMonitor className="w-4 h-4" />
+                Sessions
+              </a>
+              <a
+                href="/two-factor"
+                className="flex items-center gap-2 px-4 py-2 text-sm text-slate-700 hover:bg-slate-50"
+              >
+                <FiShield className="w-4 h-4" />
+                Two-Factor Auth
+              </a>
               <button
                 onClick={logout}
                 className="flex items-center gap-2 px-4 py-2 text-sm text-red-600 hover:bg-slate-50 w-full"
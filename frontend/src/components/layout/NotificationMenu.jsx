@@ -0,0 +1,140 @@
+/**
+ * Notification Menu Component
+ * Header bell with the user's notifications and critical alert acknowledgement
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { FiBell, FiCheck, FiAlertTriangle } from 'react-icons/fi';
+import { notificationsAPI } from '../../services/api';
+import toast from 'react-hot-toast';
+
+// Critical alerts should not wait long for the next poll
+const POLL_INTERVAL = 60 * 1000;
+
+const NotificationMenu = () => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  const fetchNotifications = useCallback(() => notificationsAPI.getAll({ limit: 15 })
+    .then(response => {
+      setNotifications(response.data.data || []);
+      setUnreadCount(response.data.unreadCount || 0);
+    })
+    .catch(error => console.log('Failed to fetch notifications', error)), []);
+
+  useEffect(() => {
+    fetchNotifications();
+    const timer = setInterval(fetchNotifications, POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [fetchNotifications]);
+
+  const handleRead = async (notification) => {
+    if (notification.readAt) return;
+    try {
+      await notificationsAPI.markAsRead(notification._id);
+      fetchNotifications();
+    } catch (error) {
+      console.log('Failed to mark notification as read', error);
+    }
+  };
+
+  const handleReadAll = async () => {
+    try {
+      await notificationsAPI.markAllAsRead();
+      fetchNotifications();
+    } catch (error) {
+      console.log('Failed to mark notifications as read', error);
+      toast.error('Failed to mark notifications as read');
+    }
+  };
+
+  const handleAcknowledge = async (notification) => {
+    const note = window.prompt('Acknowledgement note (action taken)', '');
+    if (note === null) return;
+
+    try {
+      await notificationsAPI.acknowledge(notification._id, { note });
+      toast.success('Alert acknowledged');
+      fetchNotifications();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to acknowledge alert');
+    }
+  };
+
+  const pendingAcknowledgement = notifications.some(n => n.requiresAcknowledgement && !n.acknowledgedAt);
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="p-2 hover:bg-slate-100 rounded-lg relative"
+        title="Notifications"
+      >
+        <FiBell className={`w-5 h-5 ${pendingAcknowledgement ? 'text-red-600' : 'text-slate-600'}`} />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1rem] h-4 px-1 bg-red-500 rounded-full text-[10px] leading-4 text-white text-center">
+            {unreadCount > 9 ? '9+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-96 bg-white rounded-lg shadow-lg border border-slate-200 z-50">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-slate-100">
+            <p className="text-sm font-medium">Notifications</p>
+            {unreadCount > 0 && (
+              <button onClick={handleReadAll} className="text-xs text-blue-600 hover:text-blue-700">
+                Mark all as read
+              </button>
+            )}
+          </div>
+
+          <div className="max-h-96 overflow-y-auto divide-y divide-slate-100">
+            {notifications.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-center text-slate-500">No notifications</p>
+            ) : notifications.map(notification => (
+              <div
+                key={notification._id}
+                onClick={() => handleRead(notification)}
+                className={`px-4 py-3 cursor-pointer ${notification.readAt ? '' : 'bg-blue-50'}`}
+              >
+                <div className="flex items-start gap-2">
+                  {notification.requiresAcknowledgement && (
+                    <FiAlertTriangle className="w-4 h-4 mt-0.5 text-red-500 shrink-0" />
+                  )}
+                  <div className="flex-1">
+                    <p className="text-sm font-medium text-slate-800">{notification.title}</p>
+                    <p className="text-xs text-slate-600">{notification.message}</p>
+                    <p className="text-xs text-slate-400 mt-1">{new Date(notification.createdAt).toLocaleString()}</p>
+                  </div>
+                </div>
+
+                {notification.requiresAcknowledgement && (
+                  notification.acknowledgedAt ? (
+                    <p className="mt-2 text-xs text-green-600 flex items-center gap-1">
+                      <FiCheck className="w-3 h-3" />
+                      Acknowledged {new Date(notification.acknowledgedAt).toLocaleString()}
+                    </p>
+                  ) : (
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handleAcknowledge(notification);
+                      }}
+                      className="mt-2 text-xs font-medium text-red-600 hover:text-red-700"
+                    >
+                      Acknowledge
+                    </button>
+                  )
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationMenu;
@@ -1,6 +1,6 @@
 /**
  * Sidebar Component
- * Navigation sidebar with role-based menu items
+ * Navigation sidebar with permission-based menu items
  */
 
 import { Link, useLocation } from 'react-router-dom';
@@ -17,85 +17,35 @@ import {
   FiDollarSign,
   FiSettings,
   FiLogOut,
-  FiGrid
+  FiGrid,
+  FiShield,
+  FiShoppingBag,
+  FiTruck
 } from 'react-icons/fi';
 
 const Sidebar = () => {
   const location = useLocation();
-  const { user, logout } = useAuth();
-
-  // Menu items based on role
-  const getMenuItems = () => {
-    const baseItems = [
-      { path: '/dashboard', icon: FiHome, label: 'Dashboard' }
-    ];
-
-    const adminItems = [
-      { path: '/patients', icon: FiUsers, label: 'Patients' },
-      { path: '/doctors', icon: FiUserPlus, label: 'Doctors' },
-      { path: '/appointments', icon: FiCalendar, label: 'Appointments' },
-      { path: '/opd', icon: FiFileText, label: 'OPD Records' },
-      { path: '/ipd', icon: FiActivity, label: 'IPD Records' },
-      { path: '/beds', icon: FiGrid, label: 'Beds & Wards' },
-      { path: '/pharmacy', icon: FiPackage, label: 'Pharmacy' },
-      { path: '/lab', icon: FiClipboard, label: 'Lab Tests' },
-      { path: '/billing', icon: FiDollarSign, label: 'Billing' }
-    ];
-
-    const doctorItems = [
-      { path: '/patients', icon: FiUsers, label: 'Patients' },
-      { path: '/appointments', icon: FiCalendar, label: 'Appointments' },
-      { path: '/opd', icon: FiFileText, label: 'OPD Records' },
-      { path: '/ipd', icon: FiActivity, label: 'IPD Records' },
-      { path: '/lab', icon: FiClipboard, label: 'Lab Tests' }
-    ];
-
-    const patientItems = [
-      { path: '/appointments', icon: FiCalendar, label: 'My Appointments' },
-      { path: '/billing', icon: FiDollarSign, label: 'My Bills' }
-    ];
-
-    const nurseItems = [
-      { path: '/patients', icon: FiUsers, label: 'Patients' },
-      { path: '/ipd', icon: FiActivity, label: 'IPD Records' },
-      { path: '/beds', icon: FiGrid, label: 'Beds & Wards' }
-    ];
-
-    const receptionistItems = [
-      { path: '/patients', icon: FiUsers, label: 'Patients' },
-      { path: '/appointments', icon: FiCalendar, label: 'Appointments' },
-      { path: '/billing', icon: FiDollarSign, label: 'Billing' }
-    ];
-
-    const labItems = [
-      { path: '/lab', icon: FiClipboard, label: 'Lab Tests' }
-    ];
-
-    const pharmacyItems = [
-      { path: '/pharmacy', icon: FiPackage, label: 'Pharmacy' }
-    ];
-
-    switch (user?.role) {
-      case 'ADMIN':
-        return [...baseItems, ...adminItems];
-      case 'DOCTOR':
-        return [...baseItems, ...doctorItems];
-      case 'PATIENT':
-        return [...baseItems, ...patientItems];
-      case 'NURSE':
-        return [...baseItems, ...nurseItems];
-      case 'RECEPTIONIST':
-        return [...baseItems, ...receptionistItems];
-      case 'LAB':
-        return [...baseItems, ...labItems];
-      case 'PHARMACY':
-        return [...baseItems, ...pharmacyItems];
-      default:
-        return baseItems;
-    }
-  };
-
-  const menuItems = getMenuItems();
+  const { user, logout, hasPermission } = useAuth();
+
+  const isPatient = user?.role === 'PATIENT';
+
+  // Menu items, each shown to users holding its permission - the same ones that guard the routes
+  const menuItems = [
+    { path: '/dashboard', icon: FiHome, label: 'Dashboard' },
+    { path: '/patients', icon: FiUsers, label: 'Patients', permission: 'patients:view' },
+    { path: '/doctors', icon: FiUserPlus, label: 'Doctors', permission: 'doctors:view' },
+    { path: '/appointments', icon: FiCalendar, label: isPatient ? 'My Appointments' : 'Appointments', permission: 'appointments:view' },
+    { path: '/opd', icon: FiFileText, label: 'OPD Records', permission: 'opd:view' },
+    { path: '/ipd', icon: FiActivity, label: 'IPD Records', permission: 'ipd:view' },
+    { path: '/beds', icon: FiGrid, label: 'Beds & Wards', permission: 'beds:view' },
+    { path: '/pharmacy', icon: FiPackage, label: 'Pharmacy', permission: 'pharmacy:inventory' },
+    { path: '/pharmacy/dispensing', icon: FiShoppingBag, label: 'Dispensing', permission: 'pharmacy:dispense' },
+    { path: '/pharmacy/procurement', icon: FiTruck, label: 'Procurement', permission: 'procurement:manage' },
+    { path: '/lab', icon: FiClipboard, label: 'Lab Tests', permission: 'lab:view' },
+    { path: '/billing', icon: FiDollarSign, label: isPatient ? 'My Bills' : 'Billing', permission: 'billing:view' },
+    { path: '/insurance', icon: FiShield, label: 'Insurance Claims', permission: 'insurance:manage' },
+    { path: '/users', icon: FiSettings, label: 'Users', permission: 'users:manage' }
+  ].filter(item => !item.permission || hasPermission(item.permission));
 
   return (
     <aside className="fixed left-0 top-0 h-full w-64 bg-slate-800 text-white flex flex-col">
@@ -118,7 +68,7 @@ const Sidebar = () => {
           </div>
           <div>
             <p className="font-medium text-sm">{user?.name}</p>
-            <p className="text-xs text-slate-400">{user?.role}</p>
+            <p className="text-xs text-slate-400">{[user?.role, ...(user?.roles || [])].join(', ')}</p>
           </div>
         </div>
       </div>
@@ -4,4 +4,5 @@
 
 export { default as Sidebar } from './Sidebar';
 export { default as Header } from './Header';
+export { default as NotificationMenu } from './NotificationMenu';
 export { default as DashboardLayout } from './DashboardLayout';
@@ -4,7 +4,7 @@
  */
 
 import { createContext, useContext, useState, useEffect } from 'react';
-import { authAPI } from '../services/api';
+import { authAPI, setAccessToken, refreshAccessToken } from '../services/api';
 
 const AuthContext = createContext(null);
 
@@ -24,50 +24,77 @@ export const AuthProvider = ({ children }) => {
     checkAuth();
   }, []);
 
+  // A still-valid refresh token cookie keeps the user signed in across page loads
   const checkAuth = async () => {
-    const token = localStorage.getItem('token');
-    if (token) {
-      try {
-        const response = await authAPI.getMe();
-        setUser(response.data.data.user);
-      } catch (error) {
-        localStorage.removeItem('token');
-        localStorage.removeItem('user');
-      }
+    try {
+      await refreshAccessToken();
+      const response = await authAPI.getMe();
+      const { data } = response.data;
+      setUser({ ...data.user, permissions: data.permissions });
+    } catch {
+      setAccessToken(null);
     }
     setLoading(false);
   };
 
+  // Resolves with the signed in user, or with { twoFactorRequired, challengeToken } when
+  // the password has to be followed by an authentication code
   const login = async (email, password) => {
     const response = await authAPI.login({ email, password });
+    if (response.data.twoFactorRequired) {
+      return response.data;
+    }
     const { token, user } = response.data;
-    localStorage.setItem('token', token);
-    localStorage.setItem('user', JSON.stringify(user));
+    setAccessToken(token);
     setUser(user);
     return user;
   };
 
+  // Second login step. The response carries recovery codes when the user just enrolled,
+  // so the app is only entered once completeLogin is called with the user.
+  const verifyTwoFactorLogin = async (challengeToken, codes) => {
+    const response = await authAPI.verifyTwoFactorLogin({ challengeToken, ...codes });
+    setAccessToken(response.data.token);
+    return response.data;
+  };
+
+  const completeLogin = (user) => {
+    setUser(user);
+  };
+
   const register = async (userData) => {
     const response = await authAPI.register(userData);
     const { token, user } = response.data;
-    localStorage.setItem('token', token);
-    localStorage.setItem('user', JSON.stringify(user));
+    setAccessToken(token);
     setUser(user);
     return user;
   };
 
-  const logout = () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+  // Ends the session on the server too, so the refresh token cannot be used again
+  const logout = async () => {
+    try {
+      await authAPI.logout();
+    } catch (error) {
+      console.log(error);
+    }
+    setAccessToken(null);
     setUser(null);
   };
 
+  // Whether the user's roles grant any of the given permissions - the server checks the same set
+  const hasPermission = (...permissions) => {
+    return permissions.some(permission => user?.permissions?.includes(permission));
+  };
+
   const value = {
     user,
     loading,
     login,
+    verifyTwoFactorLogin,
+    completeLogin,
     register,
     logout,
+    hasPermission,
     isAuthenticated: !!user
   };
 
@@ -172,13 +172,19 @@ const Appointments = () => {
   const handleStatusUpdate = async (appointment, status) => {
     try {
       if (status === 'COMPLETED') {
-        await appointmentsAPI.complete(appointment._id);
-      } else if (status === 'CANCELLED') {
-        await appointmentsAPI.cancel(appointment._id, { reason: 'Cancelled by user' });
+        const response = await appointmentsAPI.complete(appointment._id);
+        const bill = response.data.bill;
+        toast.success(bill
+          ? `Appointment completed - consultation billed on ${bill.invoiceId}`
+          : 'Appointment completed');
       } else {
-        await appointmentsAPI.updateStatus(appointment._id, { status });
+        if (status === 'CANCELLED') {
+          await appointmentsAPI.cancel(appointment._id, { reason: 'Cancelled by user' });
+        } else {
+          await appointmentsAPI.updateStatus(appointment._id, { status });
+        }
+        toast.success(`Appointment ${status.toLowerCase()}`);
       }
-      toast.success(`Appointment ${status.toLowerCase()}`);
       fetchAppointments();
     } catch (error) {
       console.error('Status update error:', error.response?.data);
@@ -291,6 +297,20 @@ const Appointments = () => {
       label: 'Type',
       render: (value) => <Badge variant="info">{value}</Badge>
     },
+    {
+      key: 'fee',
+      label: 'Fee',
+      render: (value, row) => (
+        <div>
+          <p className="font-medium">₹{value?.toLocaleString() || 0}</p>
+          {value > 0 && (
+            <Badge variant={row.isPaid ? 'success' : 'warning'}>
+              {row.isPaid ? 'Paid' : 'Unpaid'}
+            </Badge>
+          )}
+        </div>
+      )
+    },
     {
       key: 'status',
       label: 'Status',
@@ -0,0 +1,107 @@
+/**
+ * Forgot Password Page
+ * Requests a password reset link by email
+ */
+
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { FiMail, FiArrowLeft } from 'react-icons/fi';
+import { authAPI } from '../../services/api';
+import Input from '../../components/common/Input';
+import Button from '../../components/common/Button';
+
+const ForgotPassword = () => {
+  const [loading, setLoading] = useState(false);
+  const [email, setEmail] = useState('');
+  const [sent, setSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      await authAPI.forgotPassword({ email });
+      setSent(true);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send reset link');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex">
+      {/* Left side - Form */}
+      <div className="flex-1 flex items-center justify-center p-8">
+        <div className="w-full max-w-md">
+          {/* Logo */}
+          <div className="mb-8">
+            <div className="flex items-center gap-3 mb-2">
+              <img src="/hostpitalImg.webp" alt="Hospital Logo" className="w-12 h-12 object-contain" />
+              <h1 className="text-2xl font-bold text-slate-800">HMS</h1>
+            </div>
+            <p className="text-slate-500">Hospital Management System</p>
+          </div>
+
+          {/* Title */}
+          <h2 className="text-2xl font-bold text-slate-800 mb-2">Forgot password?</h2>
+          <p className="text-slate-500 mb-8">
+            Enter the email you sign in with and we will send you a link to choose a new password
+          </p>
+
+          {sent ? (
+            <div className="p-4 bg-green-50 border border-green-200 rounded-lg text-sm text-green-700">
+              If an account exists for <span className="font-medium">{email}</span>, a password reset
+              link is on its way. The link works once and expires shortly, so use it soon.
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-5">
+              <Input
+                label="Email"
+                type="email"
+                name="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="Enter your email"
+                icon={FiMail}
+                required
+              />
+
+              <Button
+                type="submit"
+                loading={loading}
+                className="w-full"
+                size="lg"
+              >
+                Send Reset Link
+              </Button>
+            </form>
+          )}
+
+          {/* Login link */}
+          <p className="mt-8 text-center text-slate-500">
+            <Link to="/login" className="inline-flex items-center gap-1 text-blue-600 hover:underline font-medium">
+              <FiArrowLeft className="w-4 h-4" />
+              Back to sign in
+            </Link>
+          </p>
+        </div>
+      </div>
+
+      {/* Right side - Image/Branding */}
+      <div className="hidden lg:flex flex-1 bg-linear-to-br from-blue-600 to-blue-800 items-center justify-center p-12">
+        <div className="text-center text-white">
+          <img src="/hostpitalImg.webp" alt="Hospital Logo" className="w-32 h-32 mx-auto mb-8 opacity-90 object-contain" />
+          <h2 className="text-3xl font-bold mb-4">Hospital Management System</h2>
+          <p className="text-blue-100 text-lg max-w-md">
+            Streamline your hospital operations with our comprehensive management solution.
+            Manage patients, doctors, appointments, billing, and more.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
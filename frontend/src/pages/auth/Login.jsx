@@ -3,18 +3,21 @@
  * User authentication page
  */
 
-import { useState } from 'react';
+import { useState, useCallback } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import toast from 'react-hot-toast';
 import { FiMail, FiLock, FiActivity } from 'react-icons/fi';
 import Input from '../../components/common/Input';
 import Button from '../../components/common/Button';
+import TwoFactorChallenge from './TwoFactorChallenge';
 
 const Login = () => {
   const navigate = useNavigate();
   const { login } = useAuth();
   const [loading, setLoading] = useState(false);
+  // Set when the password was right and an authentication code is needed
+  const [challenge, setChallenge] = useState(null);
   const [formData, setFormData] = useState({
     email: '',
     password: ''
@@ -29,7 +32,11 @@ const Login = () => {
     setLoading(true);
 
     try {
-      await login(formData.email, formData.password);
+      const result = await login(formData.email, formData.password);
+      if (result.twoFactorRequired) {
+        setChallenge(result);
+        return;
+      }
       toast.success('Login successful!');
       navigate('/dashboard');
     } catch (error) {
@@ -39,6 +46,11 @@ const Login = () => {
     }
   };
 
+  const cancelChallenge = useCallback(() => {
+    setChallenge(null);
+    setFormData((data) => ({ ...data, password: '' }));
+  }, []);
+
   return (
     <div className="min-h-screen flex">
       {/* Left side - Form */}
@@ -53,63 +65,67 @@ const Login = () => {
             <p className="text-slate-500">Hospital Management System</p>
           </div>
 
-          {/* Title */}
-          <h2 className="text-2xl font-bold text-slate-800 mb-2">Welcome back</h2>
-          <p className="text-slate-500 mb-8">Please sign in to your account</p>
-
-          {/* Form */}
-          <form onSubmit={handleSubmit} className="space-y-5">
-            <Input
-              label="Email"
-              type="email"
-              name="email"
-              value={formData.email}
-              onChange={handleChange}
-              placeholder="Enter your email"
-              icon={FiMail}
-              required
-            />
-
-            <Input
-              label="Password"
-              type="password"
-              name="password"
-              value={formData.password}
-              onChange={handleChange}
-              placeholder="Enter your password"
-              icon={FiLock}
-              required
-            />
-
-            <div className="flex items-center justify-between">
-              <label className="flex items-center">
-                <input type="checkbox" className="rounded border-slate-300 text-blue-600" />
-                <span className="ml-2 text-sm text-slate-600">Remember me</span>
-              </label>
-              <a href="#" className="text-sm text-blue-600 hover:underline">
-                Forgot password?
-              </a>
-            </div>
-
-            <Button
-              type="submit"
-              loading={loading}
-              className="w-full"
-              size="lg"
-            >
-              Sign In
-            </Button>
-          </form>
-
-          {/* Register link */}
-          <p className="mt-8 text-center text-slate-500">
-            Don't have an account?{' '}
-            <Link to="/register" className="text-blue-600 hover:underline font-medium">
-              Register here
-            </Link>
-          </p>
-
-
+          {challenge ? (
+            <TwoFactorChallenge challenge={challenge} onCancel={cancelChallenge} />
+          ) : (
+            <>
+              {/* Title */}
+              <h2 className="text-2xl font-bold text-slate-800 mb-2">Welcome back</h2>
+              <p className="text-slate-500 mb-8">Please sign in to your account</p>
+
+              {/* Form */}
+              <form onSubmit={handleSubmit} className="space-y-5">
+                <Input
+                  label="Email"
+                  type="email"
+                  name="email"
+                  value={formData.email}
+                  onChange={handleChange}
+                  placeholder="Enter your email"
+                  icon={FiMail}
+                  required
+                />
+
+                <Input
+                  label="Password"
+                  type="password"
+                  name="password"
+                  value={formData.password}
+                  onChange={handleChange}
+                  placeholder="Enter your password"
+                  icon={FiLock}
+                  required
+                />
+
+                <div className="flex items-center justify-between">
+                  <label className="flex items-center">
+                    <input type="checkbox" className="rounded border-slate-300 text-blue-600" />
+                    <span className="ml-2 text-sm text-slate-600">Remember me</span>
+                  </label>
+                  <Link to="/forgotpassword" className="text-sm text-blue-600 hover:underline">
+                    Forgot password?
+                  </Link>
+                </div>
+
+                <Button
+                  type="submit"
+                  loading={loading}
+                  className="w-full"
+                  size="lg"
+                >
+                  Sign In
+                </Button>
+              </form>
+
+              {/* Register link */}
+              <p className="mt-8 text-center text-slate-500">
+                Don't have an account?{' '}
+                <Link to="/register" className="text-blue-600 hover:underline font-medium">
+                  Register here
+                </Link>
+              </p>
+            </>
+          )}
         </div>
       </div>
 
@@ -0,0 +1,51 @@
+/**
+ * Recovery Codes
+ * Shows newly issued two-factor recovery codes, which are only available once
+ */
+
+import toast from 'react-hot-toast';
+import { FiCopy, FiDownload } from 'react-icons/fi';
+import Button from '../../components/common/Button';
+import { saveBlob } from '../../utils/download';
+
+const RecoveryCodes = ({ codes }) => {
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      toast.success('Recovery codes copied');
+    } catch (error) {
+      console.log(error);
+      toast.error('Failed to copy recovery codes');
+    }
+  };
+
+  const handleDownload = () => {
+    saveBlob(new Blob([`${codes.join('\n')}\n`], { type: 'text/plain' }), 'hms-recovery-codes.txt');
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+        Keep these recovery codes somewhere safe. Each one signs you in once if you lose your
+        authenticator app. They will not be shown again.
+      </div>
+
+      <div className="grid grid-cols-2 gap-2 p-4 bg-slate-50 rounded-lg font-mono text-sm text-slate-800">
+        {codes.map(code => (
+          <span key={code}>{code}</span>
+        ))}
+      </div>
+
+      <div className="flex gap-3">
+        <Button variant="secondary" size="sm" icon={FiCopy} onClick={handleCopy}>
+          Copy
+        </Button>
+        <Button variant="secondary" size="sm" icon={FiDownload} onClick={handleDownload}>
+          Download
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default RecoveryCodes;
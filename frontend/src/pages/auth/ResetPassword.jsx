@@ -0,0 +1,128 @@
+/**
+ * Reset Password Page
+ * Sets a new password from an emailed reset link
+ */
+
+import { useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { FiLock, FiArrowLeft } from 'react-icons/fi';
+import { authAPI } from '../../services/api';
+import Input from '../../components/common/Input';
+import Button from '../../components/common/Button';
+
+const ResetPassword = () => {
+  const navigate = useNavigate();
+  const { token } = useParams();
+  const [loading, setLoading] = useState(false);
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  });
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.password !== formData.confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await authAPI.resetPassword(token, { password: formData.password });
+      toast.success(response.data.message || 'Password reset successfully');
+      navigate('/login');
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to reset password');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex">
+      {/* Left side - Form */}
+      <div className="flex-1 flex items-center justify-center p-8">
+        <div className="w-full max-w-md">
+          {/* Logo */}
+          <div className="mb-8">
+            <div className="flex items-center gap-3 mb-2">
+              <img src="/hostpitalImg.webp" alt="Hospital Logo" className="w-12 h-12 object-contain" />
+              <h1 className="text-2xl font-bold text-slate-800">HMS</h1>
+            </div>
+            <p className="text-slate-500">Hospital Management System</p>
+          </div>
+
+          {/* Title */}
+          <h2 className="text-2xl font-bold text-slate-800 mb-2">Choose a new password</h2>
+          <p className="text-slate-500 mb-8">You will be signed out of every device and can sign in with the new password</p>
+
+          {/* Form */}
+          <form onSubmit={handleSubmit} className="space-y-5">
+            <Input
+              label="New Password"
+              type="password"
+              name="password"
+              value={formData.password}
+              onChange={handleChange}
+              placeholder="At least 6 characters"
+              icon={FiLock}
+              minLength={6}
+              required
+            />
+
+            <Input
+              label="Confirm Password"
+              type="password"
+              name="confirmPassword"
+              value={formData.confirmPassword}
+              onChange={handleChange}
+              placeholder="Enter the password again"
+              icon={FiLock}
+              required
+            />
+
+            <Button
+              type="submit"
+              loading={loading}
+              className="w-full"
+              size="lg"
+            >
+              Reset Password
+            </Button>
+          </form>
+
+          {/* Links */}
+          <div className="mt-8 flex items-center justify-between text-sm">
+            <Link to="/login" className="inline-flex items-center gap-1 text-blue-600 hover:underline font-medium">
+              <FiArrowLeft className="w-4 h-4" />
+              Back to sign in
+            </Link>
+            <Link to="/forgotpassword" className="text-blue-600 hover:underline">
+              Request a new link
+            </Link>
+          </div>
+        </div>
+      </div>
+
+      {/* Right side - Image/Branding */}
+      <div className="hidden lg:flex flex-1 bg-linear-to-br from-blue-600 to-blue-800 items-center justify-center p-12">
+        <div className="text-center text-white">
+          <img src="/hostpitalImg.webp" alt="Hospital Logo" className="w-32 h-32 mx-auto mb-8 opacity-90 object-contain" />
+          <h2 className="text-3xl font-bold mb-4">Hospital Management System</h2>
+          <p className="text-blue-100 text-lg max-w-md">
+            Streamline your hospital operations with our comprehensive management solution.
+            Manage patients, doctors, appointments, billing, and more.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
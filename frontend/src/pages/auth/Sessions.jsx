@@ -0,0 +1,146 @@
+/**
+ * Sessions Page
+ * Devices the user is signed in on, with sign out for any of them
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { authAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import DataTable from '../../components/common/DataTable';
+import Button from '../../components/common/Button';
+import Badge from '../../components/common/Badge';
+import toast from 'react-hot-toast';
+import { FiLogOut } from 'react-icons/fi';
+
+const Sessions = () => {
+  const { logout } = useAuth();
+  const [loading, setLoading] = useState(true);
+  const [sessions, setSessions] = useState([]);
+  const [actionLoading, setActionLoading] = useState(false);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await authAPI.getSessions();
+      setSessions(response.data.data || []);
+    } catch (error) {
+      console.log('Failed to fetch sessions', error);
+      toast.error('Failed to fetch sessions');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const handleRevoke = async (session) => {
+    // Signing out this device is an ordinary logout
+    if (session.current) {
+      await logout();
+      return;
+    }
+    if (!window.confirm(`Sign out ${session.device || 'this device'}?`)) return;
+
+    try {
+      setActionLoading(true);
+      await authAPI.revokeSession(session._id);
+      toast.success('Device signed out');
+      fetchSessions();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to sign out device');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Sign out every other device?')) return;
+
+    try {
+      setActionLoading(true);
+      const response = await authAPI.revokeOtherSessions();
+      toast.success(`${response.data.count} device(s) signed out`);
+      fetchSessions();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to sign out other devices');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const columns = [
+    {
+      key: 'device',
+      header: 'Device',
+      render: (value, row) => (
+        <div className="flex items-center gap-2">
+          <span className="font-medium">{value || 'Unknown device'}</span>
+          {row.current && <Badge variant="success" size="sm">This device</Badge>}
+        </div>
+      )
+    },
+    {
+      key: 'ip',
+      header: 'IP Address',
+      render: (value) => value || '-'
+    },
+    {
+      key: 'createdAt',
+      header: 'Signed In',
+      render: (value) => new Date(value).toLocaleString()
+    },
+    {
+      key: 'lastSeenAt',
+      header: 'Last Active',
+      render: (value) => new Date(value).toLocaleString()
+    },
+    {
+      key: 'actions',
+      header: 'Actions',
+      render: (_, row) => (
+        <Button
+          variant="ghost"
+          size="sm"
+          icon={FiLogOut}
+          onClick={() => handleRevoke(row)}
+          disabled={actionLoading}
+        >
+          Sign out
+        </Button>
+      )
+    }
+  ];
+
+  const otherSessions = sessions.filter(session => !session.current);
+
+  return (
+    <div className="space-y-6">
+      {/* Page Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-slate-800">Sessions</h1>
+          <p className="text-slate-500">Devices where you are signed in</p>
+        </div>
+        <Button
+          variant="danger"
+          icon={FiLogOut}
+          onClick={handleRevokeOthers}
+          disabled={actionLoading || otherSessions.length === 0}
+        >
+          Sign Out Other Devices
+        </Button>
+      </div>
+
+      <DataTable
+        columns={columns}
+        data={sessions}
+        loading={loading}
+        emptyMessage="No active sessions"
+      />
+    </div>
+  );
+};
+
+export default Sessions;
@@ -0,0 +1,224 @@
+/**
+ * Two-Factor Authentication Page
+ * Set up, turn off and manage recovery codes for the signed in user's authenticator app
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { authAPI } from '../../services/api';
+import Modal from '../../components/common/Modal';
+import Input from '../../components/common/Input';
+import Button from '../../components/common/Button';
+import Badge from '../../components/common/Badge';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+import RecoveryCodes from './RecoveryCodes';
+import toast from 'react-hot-toast';
+import { FiShield, FiKey, FiLock } from 'react-icons/fi';
+
+const SETUP = 'setup';
+const DISABLE = 'disable';
+const NEW_CODES = 'new-codes';
+
+const TwoFactor = () => {
+  const [loading, setLoading] = useState(true);
+  const [status, setStatus] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [modal, setModal] = useState(null);
+  const [formData, setFormData] = useState({ code: '', password: '' });
+  const [formLoading, setFormLoading] = useState(false);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await authAPI.getTwoFactorStatus();
+      setStatus(response.data.data);
+    } catch (error) {
+      console.log('Failed to fetch two-factor status', error);
+      toast.error('Failed to fetch two-factor status');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  const openModal = (type) => {
+    setFormData({ code: '', password: '' });
+    setModal(type);
+  };
+
+  const closeModal = () => {
+    setModal(null);
+    setEnrollment(null);
+  };
+
+  const handleStartSetup = async () => {
+    try {
+      setFormLoading(true);
+      const response = await authAPI.setupTwoFactor();
+      setEnrollment(response.data.data);
+      openModal(SETUP);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to start two-factor setup');
+    } finally {
+      setFormLoading(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormLoading(true);
+
+    try {
+      if (modal === SETUP) {
+        const response = await authAPI.enableTwoFactor({ code: formData.code });
+        setRecoveryCodes(response.data.data.recoveryCodes);
+        toast.success('Two-factor authentication enabled');
+      } else if (modal === NEW_CODES) {
+        const response = await authAPI.regenerateRecoveryCodes({ code: formData.code });
+        setRecoveryCodes(response.data.data.recoveryCodes);
+        toast.success('New recovery codes issued');
+      } else {
+        await authAPI.disableTwoFactor(formData);
+        toast.success('Two-factor authentication disabled');
+      }
+      closeModal();
+      fetchStatus();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Operation failed');
+    } finally {
+      setFormLoading(false);
+    }
+  };
+
+  if (loading && !status) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  const modalTitles = {
+    [SETUP]: 'Set Up Two-Factor Authentication',
+    [DISABLE]: 'Turn Off Two-Factor Authentication',
+    [NEW_CODES]: 'New Recovery Codes'
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Page Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-slate-800">Two-Factor Authentication</h1>
+        <p className="text-slate-500">Sign in with a code from an authenticator app as well as your password</p>
+      </div>
+
+      <div className="bg-white rounded-xl border border-slate-200 p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <FiShield className={`w-8 h-8 ${status?.enabled ? 'text-green-600' : 'text-slate-400'}`} />
+            <div>
+              <div className="flex items-center gap-2">
+                <p className="font-medium text-slate-800">Authenticator app</p>
+                <Badge variant={status?.enabled ? 'success' : 'default'} size="sm">
+                  {status?.enabled ? 'On' : 'Off'}
+                </Badge>
+                {status?.required && <Badge variant="warning" size="sm">Required for your role</Badge>}
+              </div>
+              <p className="text-sm text-slate-500">
+                {status?.enabled
+                  ? `Turned on ${new Date(status.enabledAt).toLocaleDateString()} - ${status.recoveryCodesLeft} recovery code(s) left`
+                  : 'Your account is protected by your password only'}
+              </p>
+            </div>
+          </div>
+
+          {status?.enabled ? (
+            <div className="flex gap-3">
+              <Button variant="secondary" icon={FiKey} onClick={() => openModal(NEW_CODES)}>
+                New Recovery Codes
+              </Button>
+              {!status.required && (
+                <Button variant="danger" onClick={() => openModal(DISABLE)}>
+                  Turn Off
+                </Button>
+              )}
+            </div>
+          ) : (
+            <Button icon={FiShield} onClick={handleStartSetup} loading={formLoading}>
+              Set Up
+            </Button>
+          )}
+        </div>
+
+        {recoveryCodes && (
+          <div className="border-t border-slate-100 pt-4">
+            <RecoveryCodes codes={recoveryCodes} />
+            <Button variant="ghost" size="sm" className="mt-3" onClick={() => setRecoveryCodes(null)}>
+              Done
+            </Button>
+          </div>
+        )}
+      </div>
+
+      <Modal
+        isOpen={!!modal}
+        onClose={closeModal}
+        title={modalTitles[modal]}
+        size="sm"
+      >
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {modal === SETUP && enrollment && (
+            <div className="flex flex-col items-center gap-2">
+              <p className="text-sm text-slate-600">
+                Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+              </p>
+              <img src={enrollment.qrCode} alt="Two-factor QR code" className="w-48 h-48" />
+              <p className="text-xs text-slate-500">Can't scan? Enter this key in the app:</p>
+              <code className="text-sm font-mono bg-slate-100 px-2 py-1 rounded break-all">{enrollment.secret}</code>
+            </div>
+          )}
+
+          {modal === NEW_CODES && (
+            <p className="text-sm text-slate-600">Your current recovery codes will stop working.</p>
+          )}
+
+          {modal === DISABLE && (
+            <Input
+              label="Password"
+              type="password"
+              value={formData.password}
+              onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+              icon={FiLock}
+              required
+            />
+          )}
+
+          <Input
+            label="Authentication Code"
+            value={formData.code}
+            onChange={(e) => setFormData({ ...formData, code: e.target.value })}
+            placeholder="123456"
+            icon={FiShield}
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            required
+          />
+
+          <div className="flex justify-end gap-3 pt-4">
+            <Button type="button" variant="secondary" onClick={closeModal}>
+              Cancel
+            </Button>
+            <Button type="submit" variant={modal === DISABLE ? 'danger' : 'primary'} loading={formLoading}>
+              {modal === SETUP ? 'Turn On' : modal === DISABLE ? 'Turn Off' : 'Issue New Codes'}
+            </Button>
+          </div>
+        </form>
+      </Modal>
+    </div>
+  );
+};
+
+export default TwoFactor;
@@ -0,0 +1,164 @@
+/**
+ * Two-Factor Challenge
+ * Second login step - an authentication or recovery code, or first-time setup when
+ * the user's role requires two-factor authentication
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import { authAPI } from '../../services/api';
+import toast from 'react-hot-toast';
+import { FiKey, FiShield } from 'react-icons/fi';
+import Input from '../../components/common/Input';
+import Button from '../../components/common/Button';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+import RecoveryCodes from './RecoveryCodes';
+
+const TwoFactorChallenge = ({ challenge, onCancel }) => {
+  const navigate = useNavigate();
+  const { verifyTwoFactorLogin, completeLogin } = useAuth();
+  const { challengeToken, enrollmentRequired } = challenge;
+  const [loading, setLoading] = useState(false);
+  const [enrollment, setEnrollment] = useState(null);
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [code, setCode] = useState('');
+  const [signedIn, setSignedIn] = useState(null);
+
+  const fetchEnrollment = useCallback(async () => {
+    try {
+      const response = await authAPI.setupTwoFactorLogin({ challengeToken });
+      setEnrollment(response.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to start two-factor setup');
+      onCancel();
+    }
+  }, [challengeToken, onCancel]);
+
+  useEffect(() => {
+    if (enrollmentRequired) {
+      fetchEnrollment();
+    }
+  }, [enrollmentRequired, fetchEnrollment]);
+
+  const enterApp = (user) => {
+    completeLogin(user);
+    toast.success('Login successful!');
+    navigate('/dashboard');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const data = await verifyTwoFactorLogin(
+        challengeToken,
+        useRecoveryCode ? { recoveryCode: code } : { code }
+      );
+      // Someone who just enrolled sees their recovery codes before going in
+      if (data.recoveryCodes) {
+        setSignedIn(data);
+      } else {
+        enterApp(data.user);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Verification failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (signedIn) {
+    return (
+      <div>
+        <h2 className="text-2xl font-bold text-slate-800 mb-2">Two-factor authentication is on</h2>
+        <p className="text-slate-500 mb-6">Save your recovery codes before you continue</p>
+        <RecoveryCodes codes={signedIn.recoveryCodes} />
+        <Button className="w-full mt-6" size="lg" onClick={() => enterApp(signedIn.user)}>
+          I have saved my codes - continue
+        </Button>
+      </div>
+    );
+  }
+
+  if (enrollmentRequired && !enrollment) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      {enrollmentRequired ? (
+        <>
+          <h2 className="text-2xl font-bold text-slate-800 mb-2">Set up two-factor authentication</h2>
+          <p className="text-slate-500 mb-6">
+            Your role requires a code from an authenticator app. Scan this QR code with Google
+            Authenticator, Microsoft Authenticator or a similar app, then enter the code it shows.
+          </p>
+          <div className="flex flex-col items-center gap-2 mb-6">
+            <img src={enrollment.qrCode} alt="Two-factor QR code" className="w-48 h-48" />
+            <p className="text-xs text-slate-500">Can't scan? Enter this key in the app:</p>
+            <code className="text-sm font-mono bg-slate-100 px-2 py-1 rounded break-all">{enrollment.secret}</code>
+          </div>
+        </>
+      ) : (
+        <>
+          <h2 className="text-2xl font-bold text-slate-800 mb-2">Two-factor authentication</h2>
+          <p className="text-slate-500 mb-8">
+            {useRecoveryCode
+              ? 'Enter one of your recovery codes. Each code works only once.'
+              : 'Enter the 6-digit code from your authenticator app'}
+          </p>
+        </>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-5">
+        <Input
+          label={useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+          name="code"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+          icon={useRecoveryCode ? FiKey : FiShield}
+          inputMode={useRecoveryCode ? 'text' : 'numeric'}
+          autoComplete="one-time-code"
+          autoFocus
+          required
+        />
+
+        <Button
+          type="submit"
+          loading={loading}
+          className="w-full"
+          size="lg"
+        >
+          {enrollmentRequired ? 'Turn On and Sign In' : 'Verify'}
+        </Button>
+      </form>
+
+      <div className="mt-6 flex items-center justify-between text-sm">
+        <button type="button" onClick={onCancel} className="text-slate-500 hover:underline">
+          Back to sign in
+        </button>
+        {!enrollmentRequired && (
+          <button
+            type="button"
+            onClick={() => {
+              setUseRecoveryCode(!useRecoveryCode);
+              setCode('');
+            }}
+            className="text-blue-600 hover:underline"
+          >
+            {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorChallenge;
@@ -4,3 +4,7 @@
 
 export { default as Login } from './Login';
 export { default as Register } from './Register';
+export { default as ForgotPassword } from './ForgotPassword';
+export { default as ResetPassword } from './ResetPassword';
+export { default as Sessions } from './Sessions';
+export { default as TwoFactor } from './TwoFactor';
@@ -4,7 +4,7 @@
  */
 
 import { useState, useEffect } from 'react';
-import { billingAPI, patientsAPI } from '../../services/api';
+import { billingAPI, patientsAPI, ipdAPI, insuranceAPI } from '../../services/api';
 import DataTable from '../../components/common/DataTable';
 import Modal from '../../components/common/Modal';
 import Input from '../../components/common/Input';
@@ -12,25 +12,42 @@ import Select from '../../components/common/Select';
 import Button from '../../components/common/Button';
 import Badge from '../../components/common/Badge';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
+import { saveBlob, openBlob } from '../../utils/download';
+import { useAuth } from '../../context/AuthContext';
 import toast from 'react-hot-toast';
 import {
   FiPlus,
   FiEye,
   FiDollarSign,
   FiPrinter,
-  FiTrash2
+  FiTrash2,
+  FiRefreshCw,
+  FiCheckCircle,
+  FiFileText,
+  FiDownload,
+  FiRotateCcw,
+  FiXCircle,
+  FiShield
 } from 'react-icons/fi';
 
 const Billing = () => {
+  const { hasPermission } = useAuth();
   const [loading, setLoading] = useState(true);
   const [invoices, setInvoices] = useState([]);
   const [patients, setPatients] = useState([]);
   const [pagination, setPagination] = useState({ page: 1, totalPages: 1, total: 0 });
   const [searchTerm, setSearchTerm] = useState('');
   const [statusFilter, setStatusFilter] = useState('');
+  const [billStatusFilter, setBillStatusFilter] = useState('');
   const [isModalOpen, setIsModalOpen] = useState(false);
+  const [isInterimModalOpen, setIsInterimModalOpen] = useState(false);
+  const [admittedRecords, setAdmittedRecords] = useState([]);
+  const [interimRecordId, setInterimRecordId] = useState('');
   const [isViewModalOpen, setIsViewModalOpen] = useState(false);
   const [isPaymentModalOpen, setIsPaymentModalOpen] = useState(false);
+  const [isRefundModalOpen, setIsRefundModalOpen] = useState(false);
+  const [isClaimModalOpen, setIsClaimModalOpen] = useState(false);
+  const [claimData, setClaimData] = useState({ claimAmount: '', remarks: '' });
   const [selectedInvoice, setSelectedInvoice] = useState(null);
   const [formLoading, setFormLoading] = useState(false);
   const [formData, setFormData] = useState({
@@ -42,7 +59,7 @@ const Billing = () => {
   });
   const [paymentData, setPaymentData] = useState({
     amount: '',
-    paymentMethod: 'CASH',
+    method: 'Cash',
     transactionId: '',
     notes: ''
   });
@@ -50,7 +67,7 @@ const Billing = () => {
   useEffect(() => {
     fetchInvoices();
     fetchPatients();
-  }, [pagination.page, searchTerm, statusFilter]);
+  }, [pagination.page, searchTerm, statusFilter, billStatusFilter]);
 
   const fetchInvoices = async () => {
     try {
@@ -59,7 +76,8 @@ const Billing = () => {
         page: pagination.page,
         limit: 10,
         search: searchTerm,
-        status: statusFilter
+        paymentStatus: statusFilter,
+        status: billStatusFilter
       });
       setInvoices(response.data.data || []);
       setPagination({
@@ -84,6 +102,13 @@ const Billing = () => {
     }
   };
 
+  const [refundData, setRefundData] = useState({
+    amount: '',
+    method: 'Cash',
+    transactionId: '',
+    reason: ''
+  });
+
   const handleChange = (e) => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
   };
@@ -161,6 +186,163 @@ const Billing = () => {
     }
   };
 
+  const openInterimModal = async () => {
+    setInterimRecordId('');
+    setIsInterimModalOpen(true);
+    try {
+      const response = await ipdAPI.getAll({ status: 'ADMITTED', limit: 100 });
+      setAdmittedRecords(response.data.data || []);
+    } catch (error) {
+      console.error('Failed to fetch admitted patients', error);
+      toast.error('Failed to fetch admitted patients');
+    }
+  };
+
+  const generateIPDBill = async (ipdRecordId) => {
+    setFormLoading(true);
+    try {
+      const response = await billingAPI.generateIPDBill(ipdRecordId);
+      toast.success('Draft bill updated with current charges');
+      setIsInterimModalOpen(false);
+      setSelectedInvoice(response.data.data);
+      setIsViewModalOpen(true);
+      fetchInvoices();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to generate bill');
+    } finally {
+      setFormLoading(false);
+    }
+  };
+
+  const handleInterimSubmit = (e) => {
+    e.preventDefault();
+    generateIPDBill(interimRecordId);
+  };
+
+  const handleFinalize = async () => {
+    if (!window.confirm('Finalize this bill? Charges can no longer be regenerated afterwards.')) return;
+
+    setFormLoading(true);
+    try {
+      const response = await billingAPI.finalize(selectedInvoice._id);
+      toast.success('Bill finalized');
+      setSelectedInvoice(response.data.data);
+      fetchInvoices();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to finalize bill');
+    } finally {
+      setFormLoading(false);
+    }
+  };
+
+  const handlePrint = async () => {
+    try {
+      const response = await billingAPI.getInvoicePdf(selectedInvoice._id);
+      openBlob(response.data);
+    } catch (error) {
+      console.log('Failed to load invoice PDF', error);
+      toast.error('Failed to load invoice PDF');
+    }
+  };
+
+  const handleDownloadReceipt = async (payment, index) => {
+    try {
+      const response = await billingAPI.getReceiptPdf(selectedInvoice._id, payment._id);
+      saveBlob(response.data, `${selectedInvoice.invoiceId}-R${index + 1}.pdf`);
+    } catch (error) {
+      console.log('Failed to download receipt', error);
+      toast.error('Failed to download receipt');
+    }
+  };
+
+  const openRefundModal = () => {
+    setRefundData({
+      amount: selectedInvoice.paidAmount?.toString() || '',
+      method: 'Cash',
+      transactionId: '',
+      reason: ''
+    });
+    setIsRefundModalOpen(true);
+  };
+
+  // Refund/void responses are not populated, so only take the ledger fields from them
+  const applyLedgerUpdate = (bill) => {
+    setSelectedInvoice({
+      ...selectedInvoice,
+      payments: bill.payments,
+      paidAmount: bill.paidAmount,
+      balanceAmount: bill.balanceAmount,
+      paymentStatus: bill.paymentStatus
+    });
+  };
+
+  const handleRefundSubmit = async (e) => {
+    e.preventDefault();
+    setFormLoading(true);
+
+    try {
+      const response = await billingAPI.refund(selectedInvoice._id, {
+        ...refundData,
+        amount: parseFloat(refundData.amount)
+      });
+      toast.success('Refund recorded successfully');
+      setIsRefundModalOpen(false);
+      applyLedgerUpdate(response.data.data);
+      fetchInvoices();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to record refund');
+    } finally {
+      setFormLoading(false);
+    }
+  };
+
+  const handleVoidPayment = async (payment) => {
+    const reason = window.prompt('Reason for voiding this payment:');
+    if (!reason) return;
+
+    try {
+      const response = await billingAPI.voidPayment(selectedInvoice._id, payment._id, { reason });
+      toast.success('Payment voided');
+      applyLedgerUpdate(response.data.data);
+      fetchInvoices();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to void payment');
+    }
+  };
+
+  const canSubmitClaim = (invoice) =>
+    invoice.status !== 'DRAFT' &&
+    invoice.balanceAmount > 0 &&
+    ['Not Applied', 'Rejected'].includes(invoice.insuranceClaim?.status || 'Not Applied');
+
+  const openClaimModal = () => {
+    setClaimData({ claimAmount: selectedInvoice.balanceAmount?.toString() || '', remarks: '' });
+    setIsClaimModalOpen(true);
+  };
+
+  const handleClaimSubmit = async (e) => {
+    e.preventDefault();
+    setFormLoading(true);
+
+    try {
+      const response = await insuranceAPI.submitClaim(selectedInvoice._id, {
+        claimAmount: parseFloat(claimData.claimAmount),
+        remarks: claimData.remarks
+      });
+      toast.success('Claim submitted to insurer');
+      setIsClaimModalOpen(false);
+      setSelectedInvoice({ ...selectedInvoice, insuranceClaim: response.data.data.insuranceClaim });
+      fetchInvoices();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to submit claim');
+    } finally {
+      setFormLoading(false);
+    }
+  };
+
+  const isVoided = (payment) =>
+    selectedInvoice.payments.some((entry) => entry.reversalOf === payment._id);
+
   const handleView = (invoice) => {
     setSelectedInvoice(invoice);
     setIsViewModalOpen(true);
@@ -170,7 +352,7 @@ const Billing = () => {
     setSelectedInvoice(invoice);
     setPaymentData({
       amount: invoice.balanceAmount?.toString() || '',
-      paymentMethod: 'CASH',
+      method: 'Cash',
       transactionId: '',
       notes: ''
     });
@@ -191,7 +373,7 @@ const Billing = () => {
     setSelectedInvoice(null);
     setPaymentData({
       amount: '',
-      paymentMethod: 'CASH',
+      method: 'Cash',
       transactionId: '',
       notes: ''
     });
@@ -202,6 +384,7 @@ const Billing = () => {
       PENDING: 'warning',
       PARTIAL: 'info',
       PAID: 'success',
+      REFUNDED: 'danger',
       CANCELLED: 'danger'
     };
     return <Badge variant={variants[status] || 'secondary'}>{status}</Badge>;
@@ -252,7 +435,11 @@ const Billing = () => {
     {
       key: 'paymentStatus',
       label: 'Status',
-      render: (value) => getStatusBadge(value)
+      render: (value, row) => (
+        <div className="flex items-center gap-1">
+          {row.status === 'DRAFT' ? <Badge variant="secondary">DRAFT</Badge> : getStatusBadge(value)}
+        </div>
+      )
     },
     {
       key: 'actions',
@@ -285,15 +472,23 @@ const Billing = () => {
     { value: 'PENDING', label: 'Pending' },
     { value: 'PARTIAL', label: 'Partial' },
     { value: 'PAID', label: 'Paid' },
+    { value: 'REFUNDED', label: 'Refunded' },
     { value: 'CANCELLED', label: 'Cancelled' }
   ];
 
+  const billStatusOptions = [
+    { value: '', label: 'All Bills' },
+    { value: 'DRAFT', label: 'Drafts' },
+    { value: 'FINALIZED', label: 'Finalized' }
+  ];
+
   const paymentMethods = [
-    { value: 'CASH', label: 'Cash' },
-    { value: 'CARD', label: 'Card' },
+    { value: 'Cash', label: 'Cash' },
+    { value: 'Card', label: 'Card' },
     { value: 'UPI', label: 'UPI' },
-    { value: 'NETBANKING', label: 'Net Banking' },
-    { value: 'INSURANCE', label: 'Insurance' }
+    { value: 'Bank Transfer', label: 'Bank Transfer' },
+    { value: 'Insurance', label: 'Insurance' },
+    { value: 'Other', label: 'Other' }
   ];
 
   if (loading && invoices.length === 0) {
@@ -312,15 +507,20 @@ const Billing = () => {
           <h1 className="text-2xl font-bold text-slate-800">Billing</h1>
           <p className="text-slate-500">Manage invoices and payments</p>
         </div>
-        <Button
-          icon={FiPlus}
-          onClick={() => {
-            resetForm();
-            setIsModalOpen(true);
-          }}
-        >
-          Create Invoice
-        </Button>
+        <div className="flex gap-3">
+          <Button variant="outline" icon={FiFileText} onClick={openInterimModal}>
+            IPD Interim Bill
+          </Button>
+          <Button
+            icon={FiPlus}
+            onClick={() => {
+              resetForm();
+              setIsModalOpen(true);
+            }}
+          >
+            Create Invoice
+          </Button>
+        </div>
       </div>
 
       {/* Filters */}
@@ -331,6 +531,12 @@ const Billing = () => {
           options={statusOptions}
           className="w-48"
         />
+        <Select
+          value={billStatusFilter}
+          onChange={(e) => setBillStatusFilter(e.target.value)}
+          options={billStatusOptions}
+          className="w-48"
+        />
       </div>
 
       {/* Data Table */}
@@ -501,6 +707,38 @@ const Billing = () => {
         </form>
       </Modal>
 
+      {/* IPD Interim Bill Modal */}
+      <Modal
+        isOpen={isInterimModalOpen}
+        onClose={() => setIsInterimModalOpen(false)}
+        title="IPD Interim Bill"
+        size="md"
+      >
+        <form onSubmit={handleInterimSubmit} className="space-y-4">
+          <p className="text-sm text-slate-500">
+            Generates the draft bill of an admitted patient with room, medicine, lab and surgery charges up to now.
+          </p>
+          <Select
+            label="Admitted Patient"
+            value={interimRecordId}
+            onChange={(e) => setInterimRecordId(e.target.value)}
+            options={admittedRecords.map((record) => ({
+              value: record._id,
+              label: `${record.patientId?.userId?.name} (${record.recordId}) - Bed ${record.bedId?.bedNumber || ''}`
+            }))}
+            required
+          />
+          <div className="flex justify-end gap-3 pt-4">
+            <Button type="button" variant="outline" onClick={() => setIsInterimModalOpen(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" loading={formLoading}>
+              Generate Bill
+            </Button>
+          </div>
+        </form>
+      </Modal>
+
       {/* Payment Modal */}
       <Modal
         isOpen={isPaymentModalOpen}
@@ -543,8 +781,8 @@ const Billing = () => {
 
           <Select
             label="Payment Method"
-            name="paymentMethod"
-            value={paymentData.paymentMethod}
+            name="method"
+            value={paymentData.method}
             onChange={handlePaymentChange}
             options={paymentMethods}
           />
@@ -589,6 +827,114 @@ const Billing = () => {
         </form>
       </Modal>
 
+      {/* Refund Modal */}
+      <Modal
+        isOpen={isRefundModalOpen}
+        onClose={() => setIsRefundModalOpen(false)}
+        title="Record Refund"
+        size="md"
+      >
+        <form onSubmit={handleRefundSubmit} className="space-y-4">
+          {selectedInvoice && (
+            <div className="p-4 bg-slate-50 rounded-lg">
+              <div className="flex justify-between">
+                <span className="text-slate-500">Refundable:</span>
+                <span className="font-medium">₹{selectedInvoice.paidAmount?.toLocaleString()}</span>
+              </div>
+            </div>
+          )}
+
+          <Input
+            label="Refund Amount (₹)"
+            type="number"
+            name="amount"
+            value={refundData.amount}
+            onChange={(e) => setRefundData({ ...refundData, amount: e.target.value })}
+            max={selectedInvoice?.paidAmount}
+            min="0.01"
+            step="0.01"
+            required
+          />
+
+          <Select
+            label="Refund Method"
+            name="method"
+            value={refundData.method}
+            onChange={(e) => setRefundData({ ...refundData, method: e.target.value })}
+            options={paymentMethods}
+          />
+
+          <Input
+            label="Transaction ID"
+            name="transactionId"
+            value={refundData.transactionId}
+            onChange={(e) => setRefundData({ ...refundData, transactionId: e.target.value })}
+            placeholder="Reference/Transaction number"
+          />
+
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">
+              Reason
+            </label>
+            <textarea
+              name="reason"
+              value={refundData.reason}
+              onChange={(e) => setRefundData({ ...refundData, reason: e.target.value })}
+              rows={2}
+              className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+              placeholder="Why is this amount being refunded?"
+              required
+            />
+          </div>
+
+          <div className="flex justify-end gap-3 pt-4">
+            <Button type="button" variant="outline" onClick={() => setIsRefundModalOpen(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="danger" loading={formLoading}>
+              Record Refund
+            </Button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Insurance Claim Modal */}
+      <Modal
+        isOpen={isClaimModalOpen}
+        onClose={() => setIsClaimModalOpen(false)}
+        title="Submit Insurance Claim"
+        size="md"
+      >
+        <form onSubmit={handleClaimSubmit} className="space-y-4">
+          <p className="text-sm text-slate-500">
+            The claim is filed against the insurance policy on the patient&apos;s record.
+          </p>
+          <Input
+            label="Claim Amount (₹)"
+            type="number"
+            value={claimData.claimAmount}
+            onChange={(e) => setClaimData({ ...claimData, claimAmount: e.target.value })}
+            max={selectedInvoice?.balanceAmount}
+            min="0.01"
+            step="0.01"
+            required
+          />
+          <Input
+            label="Remarks"
+            value={claimData.remarks}
+            onChange={(e) => setClaimData({ ...claimData, remarks: e.target.value })}
+          />
+          <div className="flex justify-end gap-3 pt-4">
+            <Button type="button" variant="outline" onClick={() => setIsClaimModalOpen(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" loading={formLoading}>
+              Submit Claim
+            </Button>
+          </div>
+        </form>
+      </Modal>
+
       {/* View Invoice Modal */}
       <Modal
         isOpen={isViewModalOpen}
@@ -607,13 +953,40 @@ const Billing = () => {
                 </p>
               </div>
               <div className="flex gap-2">
-                {getStatusBadge(selectedInvoice.paymentStatus)}
-                <Button variant="outline" size="sm" icon={FiPrinter}>
+                {selectedInvoice.status === 'DRAFT'
+                  ? <Badge variant="secondary">DRAFT</Badge>
+                  : getStatusBadge(selectedInvoice.paymentStatus)}
+                <Button variant="outline" size="sm" icon={FiPrinter} onClick={handlePrint}>
                   Print
                 </Button>
               </div>
             </div>
 
+            {/* Draft Review */}
+            {selectedInvoice.status === 'DRAFT' && (
+              <div className="flex items-center justify-between p-4 bg-amber-50 rounded-lg">
+                <p className="text-sm text-amber-700">
+                  Draft bill - review the charges below before finalizing.
+                </p>
+                <div className="flex gap-2">
+                  {selectedInvoice.source === 'IPD' && (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      icon={FiRefreshCw}
+                      loading={formLoading}
+                      onClick={() => generateIPDBill(selectedInvoice.ipdRecordId)}
+                    >
+                      Refresh Charges
+                    </Button>
+                  )}
+                  <Button size="sm" icon={FiCheckCircle} loading={formLoading} onClick={handleFinalize}>
+                    Finalize
+                  </Button>
+                </div>
+              </div>
+            )}
+
             {/* Patient Info */}
             <div className="p-4 bg-blue-50 rounded-lg">
               <p className="text-sm text-blue-600 mb-1">Bill To</p>
@@ -630,15 +1003,17 @@ const Billing = () => {
                 <thead className="bg-slate-50">
                   <tr>
                     <th className="px-4 py-2 text-left text-xs font-medium text-slate-500">Description</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-slate-500">Category</th>
                     <th className="px-4 py-2 text-right text-xs font-medium text-slate-500">Qty</th>
                     <th className="px-4 py-2 text-right text-xs font-medium text-slate-500">Unit Price</th>
                     <th className="px-4 py-2 text-right text-xs font-medium text-slate-500">Amount</th>
                   </tr>
                 </thead>
                 <tbody className="divide-y divide-slate-200">
-                  {selectedInvoice.items?.map((item, idx) => (
+                  {selectedInvoice.services?.map((item, idx) => (
                     <tr key={idx}>
                       <td className="px-4 py-2">{item.description}</td>
+                      <td className="px-4 py-2 text-sm text-slate-500">{item.category || '-'}</td>
                       <td className="px-4 py-2 text-right">{item.quantity}</td>
                       <td className="px-4 py-2 text-right">₹{item.unitPrice}</td>
                       <td className="px-4 py-2 text-right font-medium">
@@ -675,7 +1050,7 @@ const Billing = () => {
                     <span>₹{selectedInvoice.totalAmount?.toLocaleString()}</span>
                   </div>
                   <div className="flex justify-between text-green-600">
-                    <span>Paid:</span>
+                    <span>Net Paid:</span>
                     <span>₹{selectedInvoice.paidAmount?.toLocaleString()}</span>
                   </div>
                   <div className="flex justify-between text-red-600 font-semibold">
@@ -686,21 +1061,95 @@ const Billing = () => {
               </div>
             </div>
 
+            {/* Insurance Claim */}
+            {(selectedInvoice.insuranceClaim?.status && selectedInvoice.insuranceClaim.status !== 'Not Applied'
+              || canSubmitClaim(selectedInvoice)) && (
+              <div className="border-t pt-4">
+                <div className="flex items-center justify-between mb-3">
+                  <h4 className="font-medium text-slate-800">Insurance Claim</h4>
+                  {canSubmitClaim(selectedInvoice) && (
+                    <Button size="sm" variant="outline" icon={FiShield} onClick={openClaimModal}>
+                      {selectedInvoice.insuranceClaim?.status === 'Rejected' ? 'Resubmit Claim' : 'Submit Claim'}
+                    </Button>
+                  )}
+                </div>
+                {selectedInvoice.insuranceClaim?.status && selectedInvoice.insuranceClaim.status !== 'Not Applied' && (
+                  <div className="flex justify-between items-center p-3 bg-slate-50 rounded-lg">
+                    <div>
+                      <p className="font-medium">
+                        {selectedInvoice.insuranceClaim.provider} - {selectedInvoice.insuranceClaim.policyNumber}
+                      </p>
+                      <p className="text-sm text-slate-500">
+                        Claimed ₹{selectedInvoice.insuranceClaim.claimAmount?.toLocaleString()}
+                        {selectedInvoice.insuranceClaim.approvedAmount > 0 &&
+                          ` • Approved ₹${selectedInvoice.insuranceClaim.approvedAmount.toLocaleString()}`}
+                        {selectedInvoice.insuranceClaim.remarks && ` • ${selectedInvoice.insuranceClaim.remarks}`}
+                      </p>
+                    </div>
+                    <Badge variant="info">{selectedInvoice.insuranceClaim.status}</Badge>
+                  </div>
+                )}
+              </div>
+            )}
+
             {/* Payment History */}
             {selectedInvoice.payments?.length > 0 && (
               <div className="border-t pt-4">
-                <h4 className="font-medium text-slate-800 mb-3">Payment History</h4>
+                <div className="flex items-center justify-between mb-3">
+                  <h4 className="font-medium text-slate-800">Payment History</h4>
+                  {hasPermission('billing:refund') && selectedInvoice.paidAmount > 0 && (
+                    <Button size="sm" variant="outline" icon={FiRotateCcw} onClick={openRefundModal}>
+                      Refund
+                    </Button>
+                  )}
+                </div>
                 <div className="space-y-2">
                   {selectedInvoice.payments.map((payment, idx) => (
-                    <div key={idx} className="flex justify-between items-center p-3 bg-slate-50 rounded-lg">
-                      <div>
-                        <p className="font-medium">₹{payment.amount?.toLocaleString()}</p>
-                        <p className="text-sm text-slate-500">
-                          {payment.paymentMethod} • {new Date(payment.paymentDate).toLocaleDateString()}
-                        </p>
+                    (payment.type || 'PAYMENT') === 'PAYMENT' ? (
+                      <div key={idx} className="flex justify-between items-center p-3 bg-slate-50 rounded-lg">
+                        <div>
+                          <p className={`font-medium ${isVoided(payment) ? 'line-through text-slate-400' : ''}`}>
+                            ₹{payment.amount?.toLocaleString()}
+                          </p>
+                          <p className="text-sm text-slate-500">
+                            {payment.method} • {new Date(payment.date).toLocaleDateString()}
+                          </p>
+                        </div>
+                        <div className="flex items-center gap-2">
+                          {isVoided(payment)
+                            ? <Badge variant="secondary">Voided</Badge>
+                            : <Badge variant="success">Paid</Badge>}
+                          <button
+                            onClick={() => handleDownloadReceipt(payment, idx)}
+                            className="p-1 text-slate-500 hover:text-blue-600"
+                            title="Download Receipt"
+                          >
+                            <FiDownload className="w-4 h-4" />
+                          </button>
+                          {hasPermission('billing:void') && !isVoided(payment) && (
+                            <button
+                              onClick={() => handleVoidPayment(payment)}
+                              className="p-1 text-slate-500 hover:text-red-600"
+                              title="Void Payment"
+                            >
+                              <FiXCircle className="w-4 h-4" />
+                            </button>
+                          )}
+                        </div>
                       </div>
-                      <Badge variant="success">Paid</Badge>
-                    </div>
+                    ) : (
+                      <div key={idx} className="flex justify-between items-center p-3 bg-red-50 rounded-lg">
+                        <div>
+                          <p className="font-medium text-red-600">
+                            -₹{Math.abs(payment.amount)?.toLocaleString()}
+                          </p>
+                          <p className="text-sm text-slate-500">
+                            {payment.method} • {new Date(payment.date).toLocaleDateString()} • {payment.reason}
+                          </p>
+                        </div>
+                        <Badge variant="danger">{payment.type === 'REFUND' ? 'Refund' : 'Void'}</Badge>
+                      </div>
+                    )
                   ))}
                 </div>
               </div>
@@ -1,6 +1,6 @@
 /**
  * Dashboard Page
- * Role-based dashboard display
+ * Permission-based dashboard display
  */
 
 import { useAuth } from '../../context/AuthContext';
@@ -9,19 +9,16 @@ import DoctorDashboard from './DoctorDashboard';
 import PatientDashboard from './PatientDashboard';
 
 const Dashboard = () => {
-  const { user } = useAuth();
+  const { hasPermission } = useAuth();
 
-  // Render role-specific dashboard
-  switch (user?.role) {
-    case 'ADMIN':
-      return <AdminDashboard />;
-    case 'DOCTOR':
-      return <DoctorDashboard />;
-    case 'PATIENT':
-      return <PatientDashboard />;
-    default:
-      return <PatientDashboard />;
+  // Render the dashboard the user's permissions allow
+  if (hasPermission('dashboard:admin')) {
+    return <AdminDashboard />;
   }
+  if (hasPermission('dashboard:doctor')) {
+    return <DoctorDashboard />;
+  }
+  return <PatientDashboard />;
 };
 
 export default Dashboard;
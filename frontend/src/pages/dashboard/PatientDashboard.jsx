@@ -5,7 +5,8 @@
 
 import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import { dashboardAPI } from '../../services/api';
+import { dashboardAPI, labAPI } from '../../services/api';
+import { saveBlob } from '../../utils/download';
 import StatCard from '../../components/common/StatCard';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
 import Badge from '../../components/common/Badge';
@@ -15,7 +16,8 @@ import {
   FiFileText,
   FiDollarSign,
   FiClock,
-  FiPlus
+  FiPlus,
+  FiDownload
 } from 'react-icons/fi';
 
 const PatientDashboard = () => {
@@ -37,6 +39,15 @@ const PatientDashboard = () => {
     }
   };
 
+  const handleReportDownload = async (order) => {
+    try {
+      const response = await labAPI.getReportPdf(order._id);
+      saveBlob(response.data, `${order.orderId}.pdf`);
+    } catch (error) {
+      console.error('Failed to download lab report:', error);
+    }
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -45,7 +56,7 @@ const PatientDashboard = () => {
     );
   }
 
-  const { patient, stats, upcomingAppointments, recentVisits, pendingBills } = data || {};
+  const { patient, stats, upcomingAppointments, recentVisits, pendingBills, labResults } = data || {};
 
   return (
     <div className="space-y-6">
@@ -196,6 +207,44 @@ const PatientDashboard = () => {
         </div>
       </div>
 
+      {/* Lab Results */}
+      {labResults?.length > 0 && (
+        <div className="bg-white rounded-xl border border-slate-200 p-6">
+          <h2 className="text-lg font-semibold text-slate-800 mb-4">Lab Results</h2>
+          <div className="space-y-3">
+            {labResults.map((order) => (
+              <div
+                key={order._id}
+                className="flex items-center justify-between py-3 border-b border-slate-100 last:border-0"
+              >
+                <div>
+                  <p className="font-medium text-slate-800">{order.testId?.testName || 'Lab Test'}</p>
+                  <p className="text-sm text-slate-500">
+                    {order.orderId} - {new Date(order.verification?.verifiedAt).toLocaleDateString()}
+                  </p>
+                </div>
+                <div className="flex items-center gap-3">
+                  {order.result?.isCritical ? (
+                    <Badge variant="danger">Critical</Badge>
+                  ) : order.result?.isAbnormal ? (
+                    <Badge variant="warning">Abnormal</Badge>
+                  ) : (
+                    <Badge variant="success">Normal</Badge>
+                  )}
+                  <button
+                    onClick={() => handleReportDownload(order)}
+                    className="p-1 text-slate-500 hover:text-blue-600"
+                    title="Download Report"
+                  >
+                    <FiDownload className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Pending Bills */}
       {pendingBills?.length > 0 && (
         <div className="bg-white rounded-xl border border-slate-200 p-6">
@@ -34,3 +34,9 @@ export * from './lab';
 
 // Billing
 export * from './billing';
+
+// Insurance
+export * from './insurance';
+
+// Users
+export * from './users';
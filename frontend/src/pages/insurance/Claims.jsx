@@ -0,0 +1,425 @@
+/**
+ * Insurance Claims Page
+ * Claims and IPD pre-authorization worklist for the billing desk
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { insuranceAPI, ipdAPI } from '../../services/api';
+import DataTable from '../../components/common/DataTable';
+import Modal from '../../components/common/Modal';
+import Input from '../../components/common/Input';
+import Select from '../../components/common/Select';
+import Button from '../../components/common/Button';
+import Badge from '../../components/common/Badge';
+import toast from 'react-hot-toast';
+import { FiCheck, FiX, FiPlus } from 'react-icons/fi';
+
+const CLAIMS = 'claims';
+const PRE_AUTH = 'pre-auth';
+
+const Claims = () => {
+  const [view, setView] = useState(CLAIMS);
+  const [loading, setLoading] = useState(true);
+  const [items, setItems] = useState([]);
+  const [pagination, setPagination] = useState({ currentPage: 1, pages: 1, total: 0 });
+  const [statusFilter, setStatusFilter] = useState('Pending');
+  const [selectedItem, setSelectedItem] = useState(null);
+  const [isApproveModalOpen, setIsApproveModalOpen] = useState(false);
+  const [isRequestModalOpen, setIsRequestModalOpen] = useState(false);
+  const [admittedRecords, setAdmittedRecords] = useState([]);
+  const [formLoading, setFormLoading] = useState(false);
+  const [approveData, setApproveData] = useState({
+    approvedAmount: '',
+    referenceNumber: '',
+    remarks: ''
+  });
+  const [requestData, setRequestData] = useState({
+    ipdRecordId: '',
+    requestedAmount: '',
+    remarks: ''
+  });
+
+  const fetchItems = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = { page: pagination.currentPage, limit: 10, status: statusFilter };
+      const response = view === CLAIMS
+        ? await insuranceAPI.getClaims(params)
+        : await insuranceAPI.getPreAuthorizations(params);
+      setItems(response.data.data || []);
+      setPagination({
+        currentPage: response.data.currentPage || 1,
+        pages: response.data.pages || 1,
+        total: response.data.total || 0
+      });
+    } catch (error) {
+      console.log('Failed to fetch worklist', error);
+      toast.error('Failed to fetch worklist');
+    } finally {
+      setLoading(false);
+    }
+  }, [view, statusFilter, pagination.currentPage]);
+
+  useEffect(() => {
+    fetchItems();
+  }, [fetchItems]);
+
+  const switchView = (nextView) => {
+    setView(nextView);
+    setItems([]);
+    setPagination({ currentPage: 1, pages: 1, total: 0 });
+  };
+
+  const openApproveModal = (item) => {
+    const requested = view === CLAIMS
+      ? item.insuranceClaim?.claimAmount
+      : item.preAuthorization?.requestedAmount;
+    setSelectedItem(item);
+    setApproveData({ approvedAmount: requested?.toString() || '', referenceNumber: '', remarks: '' });
+    setIsApproveModalOpen(true);
+  };
+
+  const handleApprove = async (e) => {
+    e.preventDefault();
+    setFormLoading(true);
+
+    try {
+      const data = { ...approveData, approvedAmount: parseFloat(approveData.approvedAmount) };
+      if (view === CLAIMS) {
+        await insuranceAPI.approveClaim(selectedItem._id, data);
+        toast.success('Claim approved and insurer payment posted');
+      } else {
+        await insuranceAPI.approvePreAuthorization(selectedItem._id, data);
+        toast.success('Pre-authorization approved');
+      }
+      setIsApproveModalOpen(false);
+      fetchItems();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to approve');
+    } finally {
+      setFormLoading(false);
+    }
+  };
+
+  const handleReject = async (item) => {
+    const remarks = window.prompt('Reason given by the insurer:');
+    if (!remarks) return;
+
+    try {
+      if (view === CLAIMS) {
+        await insuranceAPI.rejectClaim(item._id, { remarks });
+      } else {
+        await insuranceAPI.rejectPreAuthorization(item._id, { remarks });
+      }
+      toast.success('Rejection recorded');
+      fetchItems();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to reject');
+    }
+  };
+
+  const openRequestModal = async () => {
+    setRequestData({ ipdRecordId: '', requestedAmount: '', remarks: '' });
+    setIsRequestModalOpen(true);
+    try {
+      const response = await ipdAPI.getAll({ status: 'ADMITTED', limit: 100 });
+      setAdmittedRecords(response.data.data || []);
+    } catch (error) {
+      console.error('Failed to fetch admitted patients', error);
+      toast.error('Failed to fetch admitted patients');
+    }
+  };
+
+  const handleRequest = async (e) => {
+    e.preventDefault();
+    setFormLoading(true);
+
+    try {
+      await insuranceAPI.requestPreAuthorization(requestData.ipdRecordId, {
+        requestedAmount: parseFloat(requestData.requestedAmount),
+        remarks: requestData.remarks
+      });
+      toast.success('Pre-authorization requested');
+      setIsRequestModalOpen(false);
+      if (view === PRE_AUTH) fetchItems();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to request pre-authorization');
+    } finally {
+      setFormLoading(false);
+    }
+  };
+
+  const getStatusBadge = (status) => {
+    const variants = {
+      Pending: 'warning',
+      Approved: 'success',
+      'Partially Approved': 'info',
+      Rejected: 'danger'
+    };
+    return <Badge variant={variants[status] || 'default'}>{status}</Badge>;
+  };
+
+  const formatAmount = (value) => (value ? `₹${value.toLocaleString()}` : '-');
+
+  const patientColumn = {
+    key: 'patientId',
+    header: 'Patient',
+    render: (patient) => (
+      <div>
+        <p className="font-medium text-slate-800">{patient?.userId?.name || 'Unknown'}</p>
+        <p className="text-xs text-slate-500">{patient?.patientId}</p>
+      </div>
+    )
+  };
+
+  const actionsColumn = (getStatus) => ({
+    key: 'actions',
+    header: 'Actions',
+    render: (_, row) => getStatus(row) === 'Pending' && (
+      <div className="flex items-center gap-1">
+        <button
+          onClick={() => openApproveModal(row)}
+          className="p-1 text-slate-500 hover:text-green-600"
+          title="Approve"
+        >
+          <FiCheck className="w-4 h-4" />
+        </button>
+        <button
+          onClick={() => handleReject(row)}
+          className="p-1 text-slate-500 hover:text-red-600"
+          title="Reject"
+        >
+          <FiX className="w-4 h-4" />
+        </button>
+      </div>
+    )
+  });
+
+  const claimColumns = [
+    {
+      key: 'invoiceId',
+      header: 'Invoice',
+      render: (value) => <span className="font-mono text-sm">{value}</span>
+    },
+    patientColumn,
+    {
+      key: 'insuranceClaim',
+      header: 'Insurer',
+      render: (claim) => (
+        <div>
+          <p className="text-slate-800">{claim?.provider}</p>
+          <p className="text-xs text-slate-500">{claim?.policyNumber}</p>
+        </div>
+      )
+    },
+    {
+      key: 'claimAmount',
+      header: 'Claimed',
+      render: (_, row) => formatAmount(row.insuranceClaim?.claimAmount)
+    },
+    {
+      key: 'approvedAmount',
+      header: 'Approved',
+      render: (_, row) => formatAmount(row.insuranceClaim?.approvedAmount)
+    },
+    {
+      key: 'submittedAt',
+      header: 'Submitted',
+      render: (_, row) => row.insuranceClaim?.submittedAt
+        ? new Date(row.insuranceClaim.submittedAt).toLocaleDateString()
+        : '-'
+    },
+    {
+      key: 'status',
+      header: 'Status',
+      render: (_, row) => getStatusBadge(row.insuranceClaim?.status)
+    },
+    actionsColumn((row) => row.insuranceClaim?.status)
+  ];
+
+  const preAuthColumns = [
+    {
+      key: 'recordId',
+      header: 'IPD Record',
+      render: (value) => <span className="font-mono text-sm">{value}</span>
+    },
+    patientColumn,
+    {
+      key: 'preAuthorization',
+      header: 'Insurer',
+      render: (preAuth) => (
+        <div>
+          <p className="text-slate-800">{preAuth?.provider}</p>
+          <p className="text-xs text-slate-500">{preAuth?.policyNumber}</p>
+        </div>
+      )
+    },
+    {
+      key: 'requestedAmount',
+      header: 'Requested',
+      render: (_, row) => formatAmount(row.preAuthorization?.requestedAmount)
+    },
+    {
+      key: 'approvedAmount',
+      header: 'Approved',
+      render: (_, row) => formatAmount(row.preAuthorization?.approvedAmount)
+    },
+    {
+      key: 'referenceNumber',
+      header: 'Reference',
+      render: (_, row) => row.preAuthorization?.referenceNumber || '-'
+    },
+    {
+      key: 'status',
+      header: 'Status',
+      render: (_, row) => getStatusBadge(row.preAuthorization?.status)
+    },
+    actionsColumn((row) => row.preAuthorization?.status)
+  ];
+
+  const statusOptions = [
+    { value: 'Pending', label: 'Pending' },
+    { value: 'Approved', label: 'Approved' },
+    { value: 'Partially Approved', label: 'Partially Approved' },
+    { value: 'Rejected', label: 'Rejected' }
+  ];
+
+  return (
+    <div className="space-y-6">
+      {/* Page Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-slate-800">Insurance Claims</h1>
+          <p className="text-slate-500">Track claims and pre-authorizations with insurers</p>
+        </div>
+        <Button icon={FiPlus} onClick={openRequestModal}>
+          Request Pre-Authorization
+        </Button>
+      </div>
+
+      {/* Filters */}
+      <div className="flex gap-4">
+        <div className="flex rounded-lg border border-slate-200 overflow-hidden">
+          {[[CLAIMS, 'Claims'], [PRE_AUTH, 'Pre-Authorizations']].map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => switchView(value)}
+              className={`px-4 py-2 text-sm ${view === value ? 'bg-blue-600 text-white' : 'bg-white text-slate-600 hover:bg-slate-50'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <Select
+          value={statusFilter}
+          onChange={(e) => {
+            setStatusFilter(e.target.value);
+            setPagination({ ...pagination, currentPage: 1 });
+          }}
+          options={statusOptions}
+          placeholder="All Status"
+          className="w-48"
+        />
+      </div>
+
+      {/* Worklist */}
+      <DataTable
+        columns={view === CLAIMS ? claimColumns : preAuthColumns}
+        data={items}
+        loading={loading}
+        pagination={pagination}
+        onPageChange={(page) => setPagination({ ...pagination, currentPage: page })}
+        emptyMessage={view === CLAIMS ? 'No claims found' : 'No pre-authorizations found'}
+      />
+
+      {/* Approve Modal */}
+      <Modal
+        isOpen={isApproveModalOpen}
+        onClose={() => setIsApproveModalOpen(false)}
+        title={view === CLAIMS ? 'Approve Claim' : 'Approve Pre-Authorization'}
+        size="md"
+      >
+        <form onSubmit={handleApprove} className="space-y-4">
+          <p className="text-sm text-slate-500">
+            Enter the amount the insurer approved. Less than the {view === CLAIMS ? 'claimed' : 'requested'} amount
+            records a partial approval.
+          </p>
+          <Input
+            label="Approved Amount (₹)"
+            type="number"
+            value={approveData.approvedAmount}
+            onChange={(e) => setApproveData({ ...approveData, approvedAmount: e.target.value })}
+            min="0.01"
+            step="0.01"
+            required
+          />
+          {view === PRE_AUTH && (
+            <Input
+              label="Insurer Reference Number"
+              value={approveData.referenceNumber}
+              onChange={(e) => setApproveData({ ...approveData, referenceNumber: e.target.value })}
+            />
+          )}
+          <Input
+            label="Remarks"
+            value={approveData.remarks}
+            onChange={(e) => setApproveData({ ...approveData, remarks: e.target.value })}
+          />
+          <div className="flex justify-end gap-3 pt-4">
+            <Button type="button" variant="outline" onClick={() => setIsApproveModalOpen(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" loading={formLoading}>
+              Approve
+            </Button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Request Pre-Authorization Modal */}
+      <Modal
+        isOpen={isRequestModalOpen}
+        onClose={() => setIsRequestModalOpen(false)}
+        title="Request Pre-Authorization"
+        size="md"
+      >
+        <form onSubmit={handleRequest} className="space-y-4">
+          <Select
+            label="Admitted Patient"
+            value={requestData.ipdRecordId}
+            onChange={(e) => setRequestData({ ...requestData, ipdRecordId: e.target.value })}
+            options={admittedRecords.map((record) => ({
+              value: record._id,
+              label: `${record.patientId?.userId?.name} (${record.recordId})`
+            }))}
+            required
+          />
+          <Input
+            label="Estimated Amount (₹)"
+            type="number"
+            value={requestData.requestedAmount}
+            onChange={(e) => setRequestData({ ...requestData, requestedAmount: e.target.value })}
+            min="0.01"
+            step="0.01"
+            required
+          />
+          <Input
+            label="Remarks"
+            value={requestData.remarks}
+            onChange={(e) => setRequestData({ ...requestData, remarks: e.target.value })}
+          />
+          <div className="flex justify-end gap-3 pt-4">
+            <Button type="button" variant="outline" onClick={() => setIsRequestModalOpen(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" loading={formLoading}>
+              Submit Request
+            </Button>
+          </div>
+        </form>
+      </Modal>
+    </div>
+  );
+};
+
+export default Claims;
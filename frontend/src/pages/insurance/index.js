@@ -0,0 +1,5 @@
+/**
+ * Insurance Pages Index
+ */
+
+export { default as Claims } from './Claims';
@@ -33,6 +33,7 @@ const IPDRecords = () => {
   const [isViewModalOpen, setIsViewModalOpen] = useState(false);
   const [isDischargeModalOpen, setIsDischargeModalOpen] = useState(false);
   const [selectedRecord, setSelectedRecord] = useState(null);
+  const [bedHistory, setBedHistory] = useState([]);
   const [formLoading, setFormLoading] = useState(false);
   const [formData, setFormData] = useState({
     patientId: '',
@@ -142,8 +143,11 @@ const IPDRecords = () => {
     setFormLoading(true);
 
     try {
-      await ipdAPI.discharge(selectedRecord._id, dischargeData);
-      toast.success('Patient discharged successfully');
+      const response = await ipdAPI.discharge(selectedRecord._id, dischargeData);
+      const bill = response.data.bill;
+      toast.success(bill
+        ? `Patient discharged - draft bill ${bill.invoiceId} sent for review`
+        : 'Patient discharged successfully');
       setIsDischargeModalOpen(false);
       resetDischargeForm();
       fetchRecords();
@@ -171,7 +175,23 @@ const IPDRecords = () => {
 
   const handleView = (record) => {
     setSelectedRecord(record);
+    setBedHistory([]);
     setIsViewModalOpen(true);
+    fetchBedHistory(record._id);
+  };
+
+  const fetchBedHistory = async (id) => {
+    try {
+      const response = await ipdAPI.getBedHistory(id);
+      setBedHistory(response.data.data || []);
+    } catch (error) {
+      console.log('Failed to fetch bed history', error);
+    }
+  };
+
+  const formatStay = (from, to) => {
+    const hours = Math.round(((to ? new Date(to) : new Date()) - new Date(from)) / (1000 * 60 * 60));
+    return hours < 24 ? `${hours} hrs` : `${Math.floor(hours / 24)}d ${hours % 24}h`;
   };
 
   const openDischargeModal = (record) => {
@@ -594,6 +614,36 @@ const IPDRecords = () => {
               </p>
             </div>
 
+            {/* Bed History */}
+            {bedHistory.length > 0 && (
+              <div className="border-t pt-4">
+                <h4 className="font-medium text-slate-800 mb-3">Bed History</h4>
+                <ol className="relative border-l border-slate-200 ml-2 space-y-4">
+                  {bedHistory.map((entry, idx) => (
+                    <li key={entry._id || idx} className="ml-4">
+                      <span className={`absolute -left-1.5 w-3 h-3 rounded-full ${entry.to ? 'bg-slate-300' : 'bg-purple-500'}`} />
+                      <div className="flex items-center justify-between">
+                        <p className="font-medium text-slate-800">
+                          {entry.bedNumber || 'Bed'} {entry.ward && `- ${entry.ward}`}
+                          {entry.wardType && <span className="text-sm text-slate-500"> ({entry.wardType})</span>}
+                        </p>
+                        <span className="text-xs text-slate-500">{formatStay(entry.from, entry.to)}</span>
+                      </div>
+                      <p className="text-sm text-slate-500">
+                        {new Date(entry.from).toLocaleString()} - {entry.to ? new Date(entry.to).toLocaleString() : 'Present'}
+                      </p>
+                      {(entry.reason || entry.transferredBy?.name) && (
+                        <p className="text-xs text-slate-500">
+                          {entry.reason}
+                          {entry.transferredBy?.name && ` by ${entry.transferredBy.name}`}
+                        </p>
+                      )}
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            )}
+
             {/* Dates */}
             <div className="grid grid-cols-2 gap-4">
               <div className="p-3 bg-slate-50 rounded-lg">
@@ -0,0 +1,587 @@
+/**
+ * Analyzer Interface
+ * Lab analyzers, their code mappings and the result messages received from them,
+ * shown as a view of the Lab page
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { labAPI } from '../../services/api';
+import DataTable from '../../components/common/DataTable';
+import Modal from '../../components/common/Modal';
+import Input from '../../components/common/Input';
+import Select from '../../components/common/Select';
+import Button from '../../components/common/Button';
+import Badge from '../../components/common/Badge';
+import toast from 'react-hot-toast';
+import { FiPlus, FiEdit2, FiTrash2, FiEye, FiUpload } from 'react-icons/fi';
+
+const emptyAnalyzerForm = {
+  name: '',
+  senderId: '',
+  manufacturer: '',
+  model: '',
+  codeMappings: []
+};
+
+const messageStatusOptions = [
+  { value: 'PROCESSED', label: 'Processed' },
+  { value: 'PARTIAL', label: 'Partly Processed' },
+  { value: 'FAILED', label: 'Failed' }
+];
+
+const messageStatusVariants = {
+  PROCESSED: 'success',
+  PARTIAL: 'warning',
+  FAILED: 'danger'
+};
+
+const outcomeLabels = {
+  STAGED: 'Staged',
+  NO_ORDER: 'No Order',
+  UNMAPPED: 'Unmapped',
+  NOT_READY: 'Not Ready',
+  INVALID: 'Invalid',
+  SKIPPED: 'Skipped'
+};
+
+const AnalyzerInterface = ({ catalogue, isAdmin }) => {
+  const [analyzers, setAnalyzers] = useState([]);
+  const [messages, setMessages] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [pagination, setPagination] = useState({ currentPage: 1, pages: 1, total: 0 });
+  const [statusFilter, setStatusFilter] = useState('');
+  const [isAnalyzerModalOpen, setIsAnalyzerModalOpen] = useState(false);
+  const [isMessageModalOpen, setIsMessageModalOpen] = useState(false);
+  const [isImportModalOpen, setIsImportModalOpen] = useState(false);
+  const [selectedAnalyzer, setSelectedAnalyzer] = useState(null);
+  const [selectedMessage, setSelectedMessage] = useState(null);
+  const [formData, setFormData] = useState(emptyAnalyzerForm);
+  const [importText, setImportText] = useState('');
+  const [formLoading, setFormLoading] = useState(false);
+
+  const fetchAnalyzers = useCallback(async () => {
+    try {
+      const response = await labAPI.getAnalyzers();
+      setAnalyzers(response.data.data || []);
+    } catch (error) {
+      console.log('Failed to fetch analyzers', error);
+      toast.error('Failed to fetch analyzers');
+    }
+  }, []);
+
+  const fetchMessages = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await labAPI.getInterfaceMessages({
+        page: pagination.currentPage,
+        limit: 10,
+        status: statusFilter || undefined
+      });
+      setMessages(response.data.data || []);
+      setPagination({
+        currentPage: response.data.currentPage || 1,
+        pages: response.data.pages || 1,
+        total: response.data.total || 0
+      });
+    } catch (error) {
+      console.log('Failed to fetch analyzer messages', error);
+      toast.error('Failed to fetch analyzer messages');
+    } finally {
+      setLoading(false);
+    }
+  }, [pagination.currentPage, statusFilter]);
+
+  useEffect(() => {
+    fetchAnalyzers();
+  }, [fetchAnalyzers]);
+
+  useEffect(() => {
+    fetchMessages();
+  }, [fetchMessages]);
+
+  // ===== Analyzers =====
+
+  const openAnalyzerModal = (analyzer = null) => {
+    setSelectedAnalyzer(analyzer);
+    setFormData(analyzer
+      ? {
+        name: analyzer.name,
+        senderId: analyzer.senderId,
+        manufacturer: analyzer.manufacturer || '',
+        model: analyzer.model || '',
+        codeMappings: analyzer.codeMappings.map(mapping => ({ ...mapping, parameterCode: mapping.parameterCode || '' }))
+      }
+      : emptyAnalyzerForm);
+    setIsAnalyzerModalOpen(true);
+  };
+
+  const closeAnalyzerModal = () => {
+    setIsAnalyzerModalOpen(false);
+    setSelectedAnalyzer(null);
+  };
+
+  const updateMapping = (index, field, value) => {
+    const codeMappings = [...formData.codeMappings];
+    codeMappings[index] = {
+      ...codeMappings[index],
+      [field]: value,
+      // A different test has different parameters
+      ...(field === 'testCode' ? { parameterCode: '' } : {})
+    };
+    setFormData({ ...formData, codeMappings });
+  };
+
+  const addMapping = () => {
+    setFormData({
+      ...formData,
+      codeMappings: [...formData.codeMappings, { analyzerCode: '', testCode: '', parameterCode: '' }]
+    });
+  };
+
+  const removeMapping = (index) => {
+    setFormData({ ...formData, codeMappings: formData.codeMappings.filter((_, i) => i !== index) });
+  };
+
+  const handleAnalyzerSubmit = async (e) => {
+    e.preventDefault();
+    setFormLoading(true);
+
+    const data = {
+      ...formData,
+      codeMappings: formData.codeMappings.map(mapping => ({
+        ...mapping,
+        parameterCode: mapping.parameterCode || undefined
+      }))
+    };
+
+    try {
+      if (selectedAnalyzer) {
+        await labAPI.updateAnalyzer(selectedAnalyzer._id, data);
+        toast.success('Analyzer updated successfully');
+      } else {
+        await labAPI.createAnalyzer(data);
+        toast.success('Analyzer added successfully');
+      }
+      closeAnalyzerModal();
+      fetchAnalyzers();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save analyzer');
+    } finally {
+      setFormLoading(false);
+    }
+  };
+
+  const handleDeleteAnalyzer = async (analyzer) => {
+    if (!window.confirm(`Remove ${analyzer.name}? Further messages from it will be rejected.`)) return;
+
+    try {
+      await labAPI.deleteAnalyzer(analyzer._id);
+      toast.success('Analyzer deleted successfully');
+      fetchAnalyzers();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete analyzer');
+    }
+  };
+
+  // ===== Messages =====
+
+  const openMessage = async (message) => {
+    try {
+      const response = await labAPI.getInterfaceMessage(message._id);
+      setSelectedMessage(response.data.data);
+      setIsMessageModalOpen(true);
+    } catch (error) {
+      console.log('Failed to fetch analyzer message', error);
+      toast.error('Failed to fetch analyzer message');
+    }
+  };
+
+  const handleImport = async (e) => {
+    e.preventDefault();
+    setFormLoading(true);
+
+    try {
+      const response = await labAPI.importInterfaceMessages({ message: importText });
+      const received = response.data.data || [];
+      const failed = received.filter(message => message.status !== 'PROCESSED').length;
+      if (failed > 0) {
+        toast.error(`${failed} of ${received.length} messages were not fully processed`);
+      } else {
+        toast.success(`${received.length} message${received.length === 1 ? '' : 's'} processed`);
+      }
+      setIsImportModalOpen(false);
+      setImportText('');
+      fetchMessages();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to import messages');
+    } finally {
+      setFormLoading(false);
+    }
+  };
+
+  const testOptions = catalogue.map(test => ({ value: test.testCode, label: `${test.testName} (${test.testCode})` }));
+  const parameterOptions = (testCode) => (catalogue.find(test => test.testCode === testCode)?.parameters || [])
+    .map(parameter => ({ value: parameter.code, label: `${parameter.name} (${parameter.code})` }));
+
+  const analyzerColumns = [
+    {
+      key: 'name',
+      header: 'Analyzer',
+      render: (value, row) => (
+        <div>
+          <p className="font-medium text-slate-800">{value}</p>
+          {(row.manufacturer || row.model) && (
+            <p className="text-xs text-slate-500">{[row.manufacturer, row.model].filter(Boolean).join(' ')}</p>
+          )}
+        </div>
+      )
+    },
+    {
+      key: 'senderId',
+      header: 'Sender ID',
+      render: (value) => <span className="font-mono text-sm">{value}</span>
+    },
+    {
+      key: 'codeMappings',
+      header: 'Mapped Codes',
+      render: (value) => value.map(mapping => mapping.analyzerCode).join(', ') || '-'
+    },
+    {
+      key: 'actions',
+      header: 'Actions',
+      render: (_, row) => (
+        <div className="flex items-center gap-1">
+          <button
+            onClick={() => openAnalyzerModal(row)}
+            className="p-1 text-slate-500 hover:text-yellow-600"
+            title="Edit"
+          >
+            <FiEdit2 className="w-4 h-4" />
+          </button>
+          {isAdmin && (
+            <button
+              onClick={() => handleDeleteAnalyzer(row)}
+              className="p-1 text-slate-500 hover:text-red-600"
+              title="Delete"
+            >
+              <FiTrash2 className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+      )
+    }
+  ];
+
+  const messageColumns = [
+    {
+      key: 'createdAt',
+      header: 'Received',
+      render: (value) => new Date(value).toLocaleString()
+    },
+    {
+      key: 'analyzer',
+      header: 'Analyzer',
+      render: (value, row) => value?.name || row.senderId || '-'
+    },
+    {
+      key: 'format',
+      header: 'Format',
+      render: (value, row) => `${value || '-'} / ${row.transport}`
+    },
+    {
+      key: 'results',
+      header: 'Orders',
+      render: (value) => [...new Set(value.map(result => result.order?.orderId).filter(Boolean))].join(', ') || '-'
+    },
+    {
+      key: 'status',
+      header: 'Status',
+      render: (value, row) => (
+        <div>
+          <Badge variant={messageStatusVariants[value]}>{value}</Badge>
+          {row.error && <p className="text-xs text-slate-500 mt-1">{row.error}</p>}
+        </div>
+      )
+    },
+    {
+      key: 'actions',
+      header: 'Actions',
+      render: (_, row) => (
+        <button
+          onClick={() => openMessage(row)}
+          className="p-1 text-slate-500 hover:text-blue-600"
+          title="View"
+        >
+          <FiEye className="w-4 h-4" />
+        </button>
+      )
+    }
+  ];
+
+  return (
+    <div className="space-y-6">
+      {/* Analyzers */}
+      <div className="space-y-4">
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-slate-800">Analyzers</h2>
+          {isAdmin && (
+            <Button icon={FiPlus} onClick={() => openAnalyzerModal()}>
+              New Analyzer
+            </Button>
+          )}
+        </div>
+        <DataTable
+          columns={analyzerColumns}
+          data={analyzers}
+          emptyMessage="No analyzers set up"
+        />
+      </div>
+
+      {/* Messages */}
+      <div className="space-y-4">
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-slate-800">Received Messages</h2>
+          <div className="flex gap-3">
+            <Select
+              value={statusFilter}
+              onChange={(e) => {
+                setStatusFilter(e.target.value);
+                setPagination({ ...pagination, currentPage: 1 });
+              }}
+              options={messageStatusOptions}
+              placeholder="All Status"
+              className="w-48"
+            />
+            <Button variant="outline" icon={FiUpload} onClick={() => setIsImportModalOpen(true)}>
+              Import Message
+            </Button>
+          </div>
+        </div>
+        <DataTable
+          columns={messageColumns}
+          data={messages}
+          loading={loading}
+          pagination={pagination}
+          onPageChange={(page) => setPagination({ ...pagination, currentPage: page })}
+          emptyMessage="No messages received"
+        />
+      </div>
+
+      {/* Analyzer Modal */}
+      <Modal
+        isOpen={isAnalyzerModalOpen}
+        onClose={closeAnalyzerModal}
+        title={selectedAnalyzer ? 'Edit Analyzer' : 'New Analyzer'}
+        size="lg"
+      >
+        <form onSubmit={handleAnalyzerSubmit} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <Input
+              label="Name"
+              value={formData.name}
+              onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+              placeholder="e.g. Haematology Analyzer"
+              required
+            />
+            <Input
+              label="Sender ID"
+              value={formData.senderId}
+              onChange={(e) => setFormData({ ...formData, senderId: e.target.value })}
+              placeholder="MSH-3 / ASTM sender name"
+              required
+            />
+            <Input
+              label="Manufacturer"
+              value={formData.manufacturer}
+              onChange={(e) => setFormData({ ...formData, manufacturer: e.target.value })}
+            />
+            <Input
+              label="Model"
+              value={formData.model}
+              onChange={(e) => setFormData({ ...formData, model: e.target.value })}
+            />
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <label className="block text-sm font-medium text-slate-700">
+                Code Mappings
+              </label>
+              <Button type="button" variant="ghost" size="sm" icon={FiPlus} onClick={addMapping}>
+                Add Mapping
+              </Button>
+            </div>
+            <p className="text-xs text-slate-500 mb-2">
+              Codes the analyzer sends that match a test's own parameter code need no mapping.
+            </p>
+            <div className="space-y-2">
+              {formData.codeMappings.map((mapping, index) => (
+                <div key={index} className="grid grid-cols-12 gap-2 items-start">
+                  <Input
+                    placeholder="Analyzer code"
+                    value={mapping.analyzerCode}
+                    onChange={(e) => updateMapping(index, 'analyzerCode', e.target.value)}
+                    className="col-span-3"
+                    required
+                  />
+                  <Select
+                    value={mapping.testCode}
+                    onChange={(e) => updateMapping(index, 'testCode', e.target.value)}
+                    options={testOptions}
+                    placeholder="Test"
+                    className="col-span-4"
+                    required
+                  />
+                  <Select
+                    value={mapping.parameterCode}
+                    onChange={(e) => updateMapping(index, 'parameterCode', e.target.value)}
+                    options={parameterOptions(mapping.testCode)}
+                    placeholder="Single value"
+                    disabled={parameterOptions(mapping.testCode).length === 0}
+                    required={parameterOptions(mapping.testCode).length > 0}
+                    className="col-span-4"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => removeMapping(index)}
+                    className="col-span-1 p-2 text-slate-500 hover:text-red-600"
+                    title="Remove"
+                  >
+                    <FiTrash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex justify-end gap-3 pt-4">
+            <Button type="button" variant="outline" onClick={closeAnalyzerModal}>
+              Cancel
+            </Button>
+            <Button type="submit" loading={formLoading}>
+              {selectedAnalyzer ? 'Update Analyzer' : 'Add Analyzer'}
+            </Button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Message Modal */}
+      <Modal
+        isOpen={isMessageModalOpen}
+        onClose={() => {
+          setIsMessageModalOpen(false);
+          setSelectedMessage(null);
+        }}
+        title="Analyzer Message"
+        size="xl"
+      >
+        {selectedMessage && (
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 gap-4 text-sm">
+              <div>
+                <p className="text-slate-500">Analyzer</p>
+                <p className="font-medium">{selectedMessage.analyzer?.name || selectedMessage.senderId || '-'}</p>
+              </div>
+              <div>
+                <p className="text-slate-500">Received</p>
+                <p className="font-medium">
+                  {new Date(selectedMessage.createdAt).toLocaleString()} via {selectedMessage.transport}
+                  {selectedMessage.source && ` (${selectedMessage.importedBy?.name || selectedMessage.source})`}
+                </p>
+              </div>
+              <div>
+                <p className="text-slate-500">Control ID</p>
+                <p className="font-mono">{selectedMessage.controlId || '-'}</p>
+              </div>
+              <div>
+                <p className="text-slate-500">Status</p>
+                <Badge variant={messageStatusVariants[selectedMessage.status]}>{selectedMessage.status}</Badge>
+                {selectedMessage.error && <p className="text-xs text-slate-500 mt-1">{selectedMessage.error}</p>}
+              </div>
+            </div>
+
+            {selectedMessage.results?.length > 0 && (
+              <div className="border-t pt-4">
+                <h4 className="font-medium text-slate-800 mb-2">Results</h4>
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-slate-500">
+                      <th className="py-2">Specimen</th>
+                      <th className="py-2">Code</th>
+                      <th className="py-2">Value</th>
+                      <th className="py-2">Order</th>
+                      <th className="py-2">Outcome</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-slate-100">
+                    {selectedMessage.results.map((result, index) => (
+                      <tr key={index}>
+                        <td className="py-2 font-mono">{result.specimenId || '-'}</td>
+                        <td className="py-2">
+                          {result.analyzerCode}
+                          {result.parameterCode && result.parameterCode !== result.analyzerCode && (
+                            <span className="text-slate-400"> → {result.parameterCode}</span>
+                          )}
+                        </td>
+                        <td className="py-2">{result.value} {result.unit}</td>
+                        <td className="py-2">{result.order?.orderId || '-'}</td>
+                        <td className="py-2">
+                          <Badge variant={result.outcome === 'STAGED' ? 'success' : 'warning'} size="sm">
+                            {outcomeLabels[result.outcome] || result.outcome}
+                          </Badge>
+                          {result.message && <p className="text-xs text-slate-500 mt-1">{result.message}</p>}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            <div className="border-t pt-4">
+              <h4 className="font-medium text-slate-800 mb-2">Message Text</h4>
+              <pre className="p-3 bg-slate-50 rounded-lg text-xs text-slate-700 font-mono whitespace-pre-wrap break-all max-h-64 overflow-y-auto">
+                {selectedMessage.raw.replace(/\r/g, '\n')}
+              </pre>
+            </div>
+          </div>
+        )}
+      </Modal>
+
+      {/* Import Modal */}
+      <Modal
+        isOpen={isImportModalOpen}
+        onClose={() => setIsImportModalOpen(false)}
+        title="Import Analyzer Message"
+        size="lg"
+      >
+        <form onSubmit={handleImport} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">
+              HL7 ORU^R01 or ASTM message
+            </label>
+            <textarea
+              value={importText}
+              onChange={(e) => setImportText(e.target.value)}
+              rows={10}
+              className="w-full px-3 py-2 border border-slate-300 rounded-lg font-mono text-xs focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              placeholder={'MSH|^~\\&|XN350|LAB|...\nOBR|1||ACC...\nOBX|1|NM|HGB||13.8|g/dL|...'}
+              required
+            />
+          </div>
+
+          <div className="flex justify-end gap-3 pt-4">
+            <Button type="button" variant="outline" onClick={() => setIsImportModalOpen(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" loading={formLoading}>
+              Import
+            </Button>
+          </div>
+        </form>
+      </Modal>
+    </div>
+  );
+};
+
+export default AnalyzerInterface;
@@ -1,269 +1,720 @@
 /**
  * Lab Page
- * Laboratory tests management
+ * Lab test orders, parameter results, the test catalogue, packages and the analyzer interface
  */
 
-import { useState, useEffect } from 'react';
-import { labAPI, patientsAPI, doctorsAPI } from '../../services/api';
+import { useState, useEffect, useCallback } from 'react';
+import { labAPI, patientsAPI, doctorsAPI, opdAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
 import DataTable from '../../components/common/DataTable';
 import Modal from '../../components/common/Modal';
 import Input from '../../components/common/Input';
 import Select from '../../components/common/Select';
 import Button from '../../components/common/Button';
 import Badge from '../../components/common/Badge';
-import LoadingSpinner from '../../components/common/LoadingSpinner';
+import LabPackages from './LabPackages';
+import AnalyzerInterface from './AnalyzerInterface';
+import { saveBlob, openBlob } from '../../utils/download';
 import toast from 'react-hot-toast';
 import {
   FiPlus,
   FiEdit2,
   FiEye,
   FiUpload,
-  FiDownload
+  FiDownload,
+  FiDroplet,
+  FiTrash2,
+  FiPrinter,
+  FiCheckCircle,
+  FiInbox,
+  FiTag,
+  FiXCircle
 } from 'react-icons/fi';
 
+const ORDERS = 'orders';
+const CATALOGUE = 'catalogue';
+const PACKAGES = 'packages';
+const INTERFACE = 'interface';
+
+const emptyOrder = {
+  patientId: '',
+  doctorId: '',
+  opdRecordId: '',
+  testIds: [],
+  packageIds: [],
+  priority: 'Normal',
+  notes: ''
+};
+
+const statusOptions = [
+  { value: 'PENDING', label: 'Pending' },
+  { value: 'IN_PROGRESS', label: 'In Progress' },
+  { value: 'COMPLETED', label: 'Awaiting Verification' },
+  { value: 'VERIFIED', label: 'Verified' }
+];
+
+const statusLabels = {
+  PENDING: 'Pending',
+  IN_PROGRESS: 'In Progress',
+  COMPLETED: 'Awaiting Verification',
+  VERIFIED: 'Verified'
+};
+
+const priorityOptions = [
+  { value: 'Normal', label: 'Normal' },
+  { value: 'Urgent', label: 'Urgent' },
+  { value: 'Critical', label: 'Critical' }
+];
+
+const categoryOptions = ['Blood', 'Urine', 'Imaging', 'Cardiac', 'Pathology', 'Microbiology', 'Other']
+  .map(category => ({ value: category, label: category }));
+
+const resultTypeOptions = [
+  { value: 'Numeric', label: 'Numeric' },
+  { value: 'Text', label: 'Text' }
+];
+
+const genderOptions = ['Male', 'Female', 'Other'].map(gender => ({ value: gender, label: gender }));
+
+const specimenTypeOptions = ['Whole Blood', 'Serum', 'Plasma', 'Urine', 'Stool', 'Sputum', 'CSF', 'Swab', 'Tissue', 'Other']
+  .map(type => ({ value: type, label: type }));
+
+const containerOptions = [
+  'EDTA (Lavender)',
+  'Plain (Red)',
+  'SST (Gold)',
+  'Fluoride (Grey)',
+  'Citrate (Blue)',
+  'Heparin (Green)',
+  'Urine Container',
+  'Sterile Container',
+  'Other'
+].map(container => ({ value: container, label: container }));
+
+const rejectionReasonOptions = [
+  'Haemolysed',
+  'Insufficient Quantity',
+  'Clotted',
+  'Wrong Container',
+  'Unlabelled / Mislabelled',
+  'Delayed in Transit',
+  'Other'
+].map(reason => ({ value: reason, label: reason }));
+
+const sampleStatusVariants = {
+  COLLECTED: 'info',
+  RECEIVED: 'success',
+  REJECTED: 'danger'
+};
+
+const flagVariants = {
+  NORMAL: 'success',
+  LOW: 'warning',
+  HIGH: 'warning',
+  ABNORMAL: 'warning',
+  CRITICAL_LOW: 'danger',
+  CRITICAL_HIGH: 'danger'
+};
+
+const emptyRange = { gender: '', minAge: '', maxAge: '', low: '', high: '' };
+
+const emptyParameter = {
+  code: '',
+  name: '',
+  unit: '',
+  resultType: 'Numeric',
+  normalValue: '',
+  criticalLow: '',
+  criticalHigh: '',
+  referenceRanges: [{ ...emptyRange }]
+};
+
+const emptyTestForm = {
+  testName: '',
+  category: '',
+  price: '',
+  unit: '',
+  normalRange: '',
+  turnaroundTime: '24 hours',
+  specimenType: '',
+  container: '',
+  preparationInstructions: '',
+  parameters: []
+};
+
+// The specimen currently in play - the last one collected
+const currentSample = (order) => order?.samples?.[order.samples.length - 1];
+
+const formatMinutes = (minutes) => (minutes >= 60
+  ? `${Math.floor(minutes / 60)}h ${minutes % 60}m`
+  : `${minutes}m`);
+
+// Blank inputs are left out rather than sent as 0
+const toNumber = (value) => (value === '' || value === null || value === undefined ? undefined : Number(value));
+const toInput = (value) => (value === null || value === undefined ? '' : String(value));
+
 const Lab = () => {
+  const { user, hasPermission } = useAuth();
+  const canManage = hasPermission('lab:catalog');
+  // Sample handling and result entry at the lab bench
+  const isLab = hasPermission('lab:result');
+  const [view, setView] = useState(ORDERS);
+  const [canVerify, setCanVerify] = useState(false);
   const [loading, setLoading] = useState(true);
+  const [orders, setOrders] = useState([]);
   const [tests, setTests] = useState([]);
+  const [catalogue, setCatalogue] = useState([]);
+  const [labPackages, setLabPackages] = useState([]);
   const [patients, setPatients] = useState([]);
   const [doctors, setDoctors] = useState([]);
-  const [pagination, setPagination] = useState({ page: 1, totalPages: 1, total: 0 });
-  const [searchTerm, setSearchTerm] = useState('');
+  const [opdVisits, setOpdVisits] = useState([]);
+  const [pagination, setPagination] = useState({ currentPage: 1, pages: 1, total: 0 });
   const [statusFilter, setStatusFilter] = useState('');
-  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [accessionInput, setAccessionInput] = useState('');
+  const [accessionSearch, setAccessionSearch] = useState('');
+  const [isOrderModalOpen, setIsOrderModalOpen] = useState(false);
   const [isViewModalOpen, setIsViewModalOpen] = useState(false);
   const [isResultModalOpen, setIsResultModalOpen] = useState(false);
+  const [isTestModalOpen, setIsTestModalOpen] = useState(false);
+  const [isRejectModalOpen, setIsRejectModalOpen] = useState(false);
+  const [rejection, setRejection] = useState({ reason: '', note: '' });
+  const [selectedOrder, setSelectedOrder] = useState(null);
   const [selectedTest, setSelectedTest] = useState(null);
   const [formLoading, setFormLoading] = useState(false);
-  const [formData, setFormData] = useState({
-    patientId: '',
-    doctorId: '',
-    testType: '',
-    priority: 'NORMAL',
-    notes: ''
-  });
+  const [uploadLoading, setUploadLoading] = useState(false);
+  const [orderData, setOrderData] = useState(emptyOrder);
   const [resultData, setResultData] = useState({
-    result: '',
-    remarks: '',
-    attachments: []
+    amending: false,
+    reason: '',
+    parameters: [],
+    value: '',
+    unit: '',
+    isAbnormal: false,
+    notes: ''
   });
+  const [testForm, setTestForm] = useState(emptyTestForm);
 
-  useEffect(() => {
-    fetchTests();
-    fetchPatients();
-    fetchDoctors();
-  }, [pagination.page, searchTerm, statusFilter]);
+  const fetchItems = useCallback(async () => {
+    // Packages and the analyzer interface fetch their own data
+    if (view === PACKAGES || view === INTERFACE) return;
 
-  const fetchTests = async () => {
     try {
       setLoading(true);
-      const response = await labAPI.getAll({
-        page: pagination.page,
-        limit: 10,
-        search: searchTerm,
-        status: statusFilter
-      });
-      setTests(response.data.data || []);
+      const params = { page: pagination.currentPage, limit: 10 };
+      const response = view === ORDERS
+        ? await labAPI.getOrders({
+          ...params,
+          status: statusFilter || undefined,
+          accessionNumber: accessionSearch || undefined
+        })
+        : await labAPI.getAll(params);
+      if (view === ORDERS) {
+        setOrders(response.data.data || []);
+        setCanVerify(Boolean(response.data.canVerify));
+      } else {
+        setTests(response.data.data || []);
+      }
       setPagination({
-        page: response.data.currentPage || 1,
-        totalPages: response.data.pages || 1,
+        currentPage: response.data.currentPage || 1,
+        pages: response.data.pages || 1,
         total: response.data.total || 0
       });
     } catch (error) {
-      console.log('Failed to fetch lab tests', error);
-      toast.error('Failed to fetch lab tests');
+      console.log('Failed to fetch lab data', error);
+      toast.error(view === ORDERS ? 'Failed to fetch lab orders' : 'Failed to fetch lab tests');
     } finally {
       setLoading(false);
     }
+  }, [view, pagination.currentPage, statusFilter, accessionSearch]);
+
+  useEffect(() => {
+    fetchItems();
+  }, [fetchItems]);
+
+  useEffect(() => {
+    labAPI.getAll({ limit: 200 })
+      .then(response => setCatalogue(response.data.data || []))
+      .catch(error => console.log('Failed to fetch lab tests', error));
+    labAPI.getPackages({ limit: 100 })
+      .then(response => setLabPackages(response.data.data || []))
+      .catch(error => console.log('Failed to fetch lab packages', error));
+    patientsAPI.getAll({ limit: 100 })
+      .then(response => setPatients(response.data.data || []))
+      .catch(error => console.log('Failed to fetch patients', error));
+    doctorsAPI.getAll({ limit: 100 })
+      .then(response => setDoctors(response.data.data || []))
+      .catch(error => console.log('Failed to fetch doctors', error));
+  }, []);
+
+  const switchView = (nextView) => {
+    setView(nextView);
+    setPagination({ currentPage: 1, pages: 1, total: 0 });
+  };
+
+  // ===== Orders =====
+
+  const handleOrderChange = (e) => {
+    const { name, value } = e.target;
+
+    if (name === 'patientId') {
+      // Orders placed from a visit are linked back to its OPD record
+      setOrderData({ ...orderData, patientId: value, opdRecordId: '' });
+      setOpdVisits([]);
+      if (value) {
+        opdAPI.getPatientHistory(value)
+          .then(response => setOpdVisits(response.data.data || []))
+          .catch(error => console.log('Failed to fetch OPD visits', error));
+      }
+      return;
+    }
+
+    setOrderData({ ...orderData, [name]: value });
+  };
+
+  const openOrderModal = () => {
+    setOrderData(emptyOrder);
+    setOpdVisits([]);
+    setIsOrderModalOpen(true);
+  };
+
+  const toggleOrderItem = (field, id) => {
+    const selected = orderData[field];
+    setOrderData({
+      ...orderData,
+      [field]: selected.includes(id) ? selected.filter(item => item !== id) : [...selected, id]
+    });
+  };
+
+  // Tests already covered by a selected package are not charged again
+  const packagedTestIds = new Set(labPackages
+    .filter(labPackage => orderData.packageIds.includes(labPackage._id))
+    .flatMap(labPackage => labPackage.tests.map(test => test._id)));
+
+  const orderTotal = labPackages
+    .filter(labPackage => orderData.packageIds.includes(labPackage._id))
+    .reduce((sum, labPackage) => sum + labPackage.price, 0) +
+    catalogue
+      .filter(test => orderData.testIds.includes(test._id) && !packagedTestIds.has(test._id))
+      .reduce((sum, test) => sum + test.price, 0);
+
+  const handleOrderSubmit = async (e) => {
+    e.preventDefault();
+
+    if (orderData.testIds.length === 0 && orderData.packageIds.length === 0) {
+      toast.error('Please select at least one test or package');
+      return;
+    }
+
+    setFormLoading(true);
+
+    try {
+      const response = await labAPI.createOrder({
+        ...orderData,
+        testIds: orderData.testIds.filter(id => !packagedTestIds.has(id)),
+        doctorId: orderData.doctorId || undefined,
+        opdRecordId: orderData.opdRecordId || undefined
+      });
+      const requisition = response.data.data;
+      toast.success(`Order ${requisition.requisitionId} placed with ${requisition.orders.length} test(s)`);
+      setIsOrderModalOpen(false);
+      fetchItems();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to order lab test');
+    } finally {
+      setFormLoading(false);
+    }
   };
 
-  const fetchPatients = async () => {
+  const handleCollectSample = async (order) => {
     try {
-      const response = await patientsAPI.getAll({ limit: 100 });
-      setPatients(response.data.data);
+      const response = await labAPI.collectSample(order._id);
+      toast.success(`Sample collected - accession ${currentSample(response.data.data)?.accessionNumber}`);
+      setIsViewModalOpen(false);
+      fetchItems();
+      handlePrintLabel(order);
     } catch (error) {
-      console.error('Failed to fetch patients');
+      toast.error(error.response?.data?.message || 'Failed to collect sample');
     }
   };
 
-  const fetchDoctors = async () => {
+  const handlePrintLabel = async (order) => {
     try {
-      const response = await doctorsAPI.getAll({ limit: 100 });
-      setDoctors(response.data.data);
+      const response = await labAPI.getLabelPdf(order._id);
+      openBlob(response.data);
     } catch (error) {
-      console.error('Failed to fetch doctors');
+      console.log('Failed to print sample label', error);
+      toast.error('Failed to print sample label');
     }
   };
 
-  const handleChange = (e) => {
-    setFormData({ ...formData, [e.target.name]: e.target.value });
+  const handleReceiveSample = async (order) => {
+    try {
+      await labAPI.receiveSample(order._id);
+      toast.success('Sample received at the lab');
+      setIsViewModalOpen(false);
+      fetchItems();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to receive sample');
+    }
   };
 
-  const handleResultChange = (e) => {
-    setResultData({ ...resultData, [e.target.name]: e.target.value });
+  const openRejectModal = (order) => {
+    setSelectedOrder(order);
+    setRejection({ reason: '', note: '' });
+    setIsViewModalOpen(false);
+    setIsRejectModalOpen(true);
   };
 
-  const handleSubmit = async (e) => {
+  const handleRejectSubmit = async (e) => {
     e.preventDefault();
     setFormLoading(true);
 
     try {
-      if (selectedTest) {
-        await labAPI.update(selectedTest._id, formData);
-        toast.success('Lab test updated successfully');
-      } else {
-        await labAPI.create(formData);
-        toast.success('Lab test ordered successfully');
-      }
-      setIsModalOpen(false);
-      resetForm();
-      fetchTests();
+      await labAPI.rejectSample(selectedOrder._id, rejection);
+      toast.success('Sample rejected - order sent back for recollection');
+      setIsRejectModalOpen(false);
+      setSelectedOrder(null);
+      fetchItems();
     } catch (error) {
-      toast.error(error.response?.data?.message || 'Operation failed');
+      toast.error(error.response?.data?.message || 'Failed to reject sample');
     } finally {
       setFormLoading(false);
     }
   };
 
+  // Barcode scanners type the accession number followed by Enter; an empty search clears the filter
+  const handleAccessionScan = (e) => {
+    if (e.key !== 'Enter') return;
+    e.preventDefault();
+    setAccessionSearch(accessionInput.trim());
+    setPagination({ ...pagination, currentPage: 1 });
+  };
+
+  const openResultModal = (order) => {
+    const result = order.result || {};
+    const reported = new Map((result.parameters || []).map(parameter => [parameter.code, parameter.value]));
+    setSelectedOrder(order);
+    setResultData({
+      amending: order.status === 'VERIFIED',
+      reason: '',
+      parameters: (order.testId?.parameters || []).map(parameter => ({
+        code: parameter.code,
+        value: reported.get(parameter.code) || ''
+      })),
+      value: result.value || '',
+      unit: result.unit || order.testId?.unit || '',
+      isAbnormal: Boolean(result.isAbnormal),
+      notes: result.notes || ''
+    });
+    setIsResultModalOpen(true);
+  };
+
+  const updateResultParameter = (index, value) => {
+    const parameters = [...resultData.parameters];
+    parameters[index] = { ...parameters[index], value };
+    setResultData({ ...resultData, parameters });
+  };
+
   const handleResultSubmit = async (e) => {
     e.preventDefault();
     setFormLoading(true);
 
     try {
-      await labAPI.updateResult(selectedTest._id, resultData);
-      toast.success('Test result updated successfully');
+      const hasParameters = resultData.parameters.length > 0;
+      const data = hasParameters
+        ? { parameters: resultData.parameters.filter(parameter => parameter.value !== ''), notes: resultData.notes }
+        : { value: resultData.value, unit: resultData.unit, isAbnormal: resultData.isAbnormal, notes: resultData.notes };
+      const response = resultData.amending
+        ? await labAPI.amendResult(selectedOrder._id, { ...data, reason: resultData.reason })
+        : await labAPI.addResult(selectedOrder._id, data);
+      const result = response.data.data.result;
+      if (result?.isCritical) {
+        toast.error('Result saved with CRITICAL values - awaiting verification');
+      } else {
+        toast.success(`Result ${resultData.amending ? 'amended' : 'saved'} - awaiting verification`);
+      }
       setIsResultModalOpen(false);
-      resetResultForm();
-      fetchTests();
+      setSelectedOrder(null);
+      fetchItems();
     } catch (error) {
-      toast.error(error.response?.data?.message || 'Failed to update result');
+      toast.error(error.response?.data?.message || 'Failed to save result');
     } finally {
       setFormLoading(false);
     }
   };
 
-  const handleStatusUpdate = async (test, status) => {
+  const handleVerify = async (order) => {
+    const comments = window.prompt('Verify and release this result? Add any comments for the report.', '');
+    if (comments === null) return;
+
     try {
-      await labAPI.updateStatus(test._id, { status });
-      toast.success(`Test status updated to ${status}`);
-      fetchTests();
+      await labAPI.verifyResult(order._id, { comments });
+      toast.success('Result verified and released');
+      setIsViewModalOpen(false);
+      fetchItems();
     } catch (error) {
-      toast.error('Failed to update status');
+      toast.error(error.response?.data?.message || 'Failed to verify result');
     }
   };
 
-  const handleEdit = (test) => {
-    setSelectedTest(test);
-    setFormData({
-      patientId: test.patientId?._id || '',
-      doctorId: test.doctorId?._id || '',
-      testType: test.testType || '',
-      priority: test.priority || 'NORMAL',
-      notes: test.notes || ''
-    });
-    setIsModalOpen(true);
+  const handleView = (order) => {
+    setSelectedOrder(order);
+    setIsViewModalOpen(true);
   };
 
-  const handleView = (test) => {
-    setSelectedTest(test);
-    setIsViewModalOpen(true);
+  const handleReportDownload = async (order) => {
+    try {
+      const response = await labAPI.getReportPdf(order._id);
+      saveBlob(response.data, `${order.orderId}.pdf`);
+    } catch (error) {
+      console.log('Failed to download lab report', error);
+      toast.error('Failed to download lab report');
+    }
+  };
+
+  const handleAttachmentUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const data = new FormData();
+    data.append('file', file);
+
+    setUploadLoading(true);
+    try {
+      const response = await labAPI.uploadAttachment(selectedOrder._id, data);
+      setSelectedOrder({
+        ...selectedOrder,
+        result: {
+          ...selectedOrder.result,
+          attachments: [...(selectedOrder.result?.attachments || []), response.data.data]
+        }
+      });
+      toast.success('Attachment uploaded successfully');
+      fetchItems();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to upload attachment');
+    } finally {
+      setUploadLoading(false);
+    }
   };
 
-  const openResultModal = (test) => {
+  const handleAttachmentDownload = async (attachment) => {
+    try {
+      const response = await labAPI.downloadAttachment(selectedOrder._id, attachment._id);
+      saveBlob(response.data, attachment.name);
+    } catch (error) {
+      console.log('Failed to download attachment', error);
+      toast.error('Failed to download attachment');
+    }
+  };
+
+  // ===== Test catalogue =====
+
+  const openTestModal = (test = null) => {
     setSelectedTest(test);
-    setResultData({
-      result: test.result || '',
-      remarks: test.remarks || '',
-      attachments: []
-    });
-    setIsResultModalOpen(true);
+    setTestForm(test
+      ? {
+        testName: test.testName || '',
+        category: test.category || '',
+        price: toInput(test.price),
+        unit: test.unit || '',
+        normalRange: test.normalRange || '',
+        turnaroundTime: test.turnaroundTime || '',
+        specimenType: test.specimenType || '',
+        container: test.container || '',
+        preparationInstructions: test.preparationInstructions || '',
+        parameters: (test.parameters || []).map(parameter => ({
+          code: parameter.code,
+          name: parameter.name,
+          unit: parameter.unit || '',
+          resultType: parameter.resultType || 'Numeric',
+          normalValue: parameter.normalValue || '',
+          criticalLow: toInput(parameter.criticalLow),
+          criticalHigh: toInput(parameter.criticalHigh),
+          referenceRanges: (parameter.referenceRanges || []).map(range => ({
+            gender: range.gender === 'Any' ? '' : range.gender,
+            minAge: toInput(range.minAge),
+            maxAge: toInput(range.maxAge),
+            low: toInput(range.low),
+            high: toInput(range.high)
+          }))
+        }))
+      }
+      : emptyTestForm);
+    setIsTestModalOpen(true);
   };
 
-  const resetForm = () => {
-    setSelectedTest(null);
-    setFormData({
-      patientId: '',
-      doctorId: '',
-      testType: '',
-      priority: 'NORMAL',
-      notes: ''
-    });
+  const handleTestChange = (e) => {
+    setTestForm({ ...testForm, [e.target.name]: e.target.value });
   };
 
-  const resetResultForm = () => {
-    setSelectedTest(null);
-    setResultData({
-      result: '',
-      remarks: '',
-      attachments: []
-    });
+  const updateParameter = (index, field, value) => {
+    const parameters = [...testForm.parameters];
+    parameters[index] = { ...parameters[index], [field]: value };
+    setTestForm({ ...testForm, parameters });
+  };
+
+  const removeParameter = (index) => {
+    setTestForm({ ...testForm, parameters: testForm.parameters.filter((_, i) => i !== index) });
+  };
+
+  const updateRange = (parameterIndex, rangeIndex, field, value) => {
+    const referenceRanges = [...testForm.parameters[parameterIndex].referenceRanges];
+    referenceRanges[rangeIndex] = { ...referenceRanges[rangeIndex], [field]: value };
+    updateParameter(parameterIndex, 'referenceRanges', referenceRanges);
+  };
+
+  const addRange = (parameterIndex) => {
+    updateParameter(parameterIndex, 'referenceRanges', [
+      ...testForm.parameters[parameterIndex].referenceRanges,
+      { ...emptyRange }
+    ]);
+  };
+
+  const removeRange = (parameterIndex, rangeIndex) => {
+    updateParameter(
+      parameterIndex,
+      'referenceRanges',
+      testForm.parameters[parameterIndex].referenceRanges.filter((_, i) => i !== rangeIndex)
+    );
+  };
+
+  const handleTestSubmit = async (e) => {
+    e.preventDefault();
+    setFormLoading(true);
+
+    const data = {
+      ...testForm,
+      price: toNumber(testForm.price),
+      specimenType: testForm.specimenType || undefined,
+      container: testForm.container || undefined,
+      parameters: testForm.parameters.map(parameter => ({
+        code: parameter.code,
+        name: parameter.name,
+        unit: parameter.unit,
+        resultType: parameter.resultType,
+        normalValue: parameter.resultType === 'Text' ? parameter.normalValue : undefined,
+        criticalLow: toNumber(parameter.criticalLow),
+        criticalHigh: toNumber(parameter.criticalHigh),
+        referenceRanges: parameter.resultType === 'Text' ? [] : parameter.referenceRanges.map(range => ({
+          gender: range.gender || 'Any',
+          minAge: toNumber(range.minAge),
+          maxAge: toNumber(range.maxAge),
+          low: toNumber(range.low),
+          high: toNumber(range.high)
+        }))
+      }))
+    };
+
+    try {
+      if (selectedTest) {
+        await labAPI.update(selectedTest._id, data);
+        toast.success('Lab test updated successfully');
+      } else {
+        await labAPI.create(data);
+        toast.success('Lab test created successfully');
+      }
+      setIsTestModalOpen(false);
+      setSelectedTest(null);
+      fetchItems();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save lab test');
+    } finally {
+      setFormLoading(false);
+    }
   };
 
+  // ===== Rendering =====
+
   const getStatusBadge = (status) => {
     const variants = {
       PENDING: 'warning',
-      SAMPLE_COLLECTED: 'info',
       IN_PROGRESS: 'info',
-      COMPLETED: 'success',
-      CANCELLED: 'danger'
+      COMPLETED: 'purple',
+      VERIFIED: 'success'
     };
-    return <Badge variant={variants[status] || 'secondary'}>{status.replace('_', ' ')}</Badge>;
+    return <Badge variant={variants[status] || 'default'}>{statusLabels[status] || status}</Badge>;
   };
 
   const getPriorityBadge = (priority) => {
     const variants = {
-      NORMAL: 'secondary',
-      URGENT: 'warning',
-      CRITICAL: 'danger'
+      Normal: 'default',
+      Urgent: 'warning',
+      Critical: 'danger'
     };
-    return <Badge variant={variants[priority] || 'secondary'}>{priority}</Badge>;
+    return <Badge variant={variants[priority] || 'default'}>{priority}</Badge>;
   };
 
-  const columns = [
+  const getFlagBadge = (flag) => (
+    <Badge variant={flagVariants[flag] || 'default'} size="sm">{(flag || '-').replace('_', ' ')}</Badge>
+  );
+
+  const orderColumns = [
     {
-      key: 'testId',
-      label: 'Test ID',
-      render: (value) => <span className="font-mono text-sm">{value}</span>
+      key: 'orderId',
+      header: 'Order ID',
+      render: (value, row) => (
+        <div>
+          <span className="font-mono text-sm">{value}</span>
+          {row.requisitionId?.requisitionId && (
+            <p className="text-xs text-slate-500 font-mono">{row.requisitionId.requisitionId}</p>
+          )}
+        </div>
+      )
     },
     {
-      key: 'patient',
-      label: 'Patient',
-      render: (_, row) => (
+      key: 'patientId',
+      header: 'Patient',
+      render: (value) => (
         <div>
-          <p className="font-medium text-slate-800">
-            {row.patientId?.userId?.name || 'Unknown'}
-          </p>
-          <p className="text-xs text-slate-500">{row.patientId?.patientId}</p>
+          <p className="font-medium text-slate-800">{value?.userId?.name || 'Unknown'}</p>
+          <p className="text-xs text-slate-500">{value?.patientId}</p>
         </div>
       )
     },
     {
-      key: 'testType',
-      label: 'Test Type',
-      render: (value) => value
+      key: 'testId',
+      header: 'Test',
+      render: (value, row) => (
+        <div>
+          <p>{value?.testName || '-'}</p>
+          {row.packageId?.name && <p className="text-xs text-slate-500">{row.packageId.name}</p>}
+        </div>
+      )
     },
     {
-      key: 'doctor',
-      label: 'Referred By',
-      render: (_, row) => row.doctorId?.userId?.name ? `Dr. ${row.doctorId.userId.name}` : '-'
+      key: 'doctorId',
+      header: 'Referred By',
+      render: (value) => (value?.userId?.name ? `Dr. ${value.userId.name}` : '-')
     },
     {
       key: 'priority',
-      label: 'Priority',
+      header: 'Priority',
       render: (value) => getPriorityBadge(value)
     },
     {
       key: 'status',
-      label: 'Status',
-      render: (value) => getStatusBadge(value)
+      header: 'Status',
+      render: (value, row) => (
+        <div className="flex items-center gap-2">
+          {getStatusBadge(value)}
+          {row.result?.isCritical && <Badge variant="danger" size="sm">Critical</Badge>}
+          {!row.result?.isCritical && row.result?.isAbnormal && <Badge variant="warning" size="sm">Abnormal</Badge>}
+          {row.status !== 'VERIFIED' && row.turnaround?.dueAt && new Date(row.turnaround.dueAt) < new Date() && (
+            <Badge variant="danger" size="sm">TAT Overdue</Badge>
+          )}
+        </div>
+      )
     },
     {
-      key: 'createdAt',
-      label: 'Date',
+      key: 'orderDate',
+      header: 'Date',
       render: (value) => new Date(value).toLocaleDateString()
     },
     {
       key: 'actions',
-      label: 'Actions',
+      header: 'Actions',
       render: (_, row) => (
         <div className="flex items-center gap-1">
           <button
@@ -273,70 +724,112 @@ const Lab = () => {
           >
             <FiEye className="w-4 h-4" />
           </button>
-          {row.status === 'PENDING' && (
+          {isLab && row.status === 'PENDING' && (
             <button
-              onClick={() => handleEdit(row)}
+              onClick={() => handleCollectSample(row)}
               className="p-1 text-slate-500 hover:text-yellow-600"
-              title="Edit"
+              title="Collect Sample"
+            >
+              <FiDroplet className="w-4 h-4" />
+            </button>
+          )}
+          {canManage && row.status === 'IN_PROGRESS' && currentSample(row) && (
+            <button
+              onClick={() => handlePrintLabel(row)}
+              className="p-1 text-slate-500 hover:text-slate-800"
+              title="Print Label"
             >
-              <FiEdit2 className="w-4 h-4" />
+              <FiTag className="w-4 h-4" />
             </button>
           )}
-          {(row.status === 'IN_PROGRESS' || row.status === 'SAMPLE_COLLECTED') && (
+          {isLab && row.status === 'IN_PROGRESS' && currentSample(row)?.status === 'COLLECTED' && (
+            <button
+              onClick={() => handleReceiveSample(row)}
+              className="p-1 text-slate-500 hover:text-blue-600"
+              title="Receive Sample"
+            >
+              <FiInbox className="w-4 h-4" />
+            </button>
+          )}
+          {isLab && row.status === 'IN_PROGRESS' && currentSample(row)?.status !== 'COLLECTED' && (
             <button
               onClick={() => openResultModal(row)}
               className="p-1 text-slate-500 hover:text-green-600"
-              title="Add Result"
+              title="Enter Result"
             >
               <FiUpload className="w-4 h-4" />
             </button>
           )}
+          {canVerify && row.status === 'COMPLETED' && (
+            <button
+              onClick={() => handleVerify(row)}
+              className="p-1 text-slate-500 hover:text-green-600"
+              title="Verify & Release"
+            >
+              <FiCheckCircle className="w-4 h-4" />
+            </button>
+          )}
+          {(row.status === 'VERIFIED' || (row.status === 'COMPLETED' && (canManage || canVerify))) && (
+            <button
+              onClick={() => handleReportDownload(row)}
+              className="p-1 text-slate-500 hover:text-blue-600"
+              title="Print Report"
+            >
+              <FiPrinter className="w-4 h-4" />
+            </button>
+          )}
         </div>
       )
     }
   ];
 
-  const testTypes = [
-    'Blood Test - CBC',
-    'Blood Test - Lipid Profile',
-    'Blood Test - Liver Function',
-    'Blood Test - Kidney Function',
-    'Blood Test - Thyroid',
-    'Blood Test - Diabetes (HbA1c)',
-    'Urine Test',
-    'X-Ray',
-    'CT Scan',
-    'MRI',
-    'Ultrasound',
-    'ECG',
-    'EEG',
-    'Biopsy',
-    'COVID-19 Test',
-    'Other'
-  ];
-
-  const statusOptions = [
-    { value: '', label: 'All Status' },
-    { value: 'PENDING', label: 'Pending' },
-    { value: 'SAMPLE_COLLECTED', label: 'Sample Collected' },
-    { value: 'IN_PROGRESS', label: 'In Progress' },
-    { value: 'COMPLETED', label: 'Completed' },
-    { value: 'CANCELLED', label: 'Cancelled' }
-  ];
-
-  const priorityOptions = [
-    { value: 'NORMAL', label: 'Normal' },
-    { value: 'URGENT', label: 'Urgent' },
-    { value: 'CRITICAL', label: 'Critical' }
+  const testColumns = [
+    {
+      key: 'testCode',
+      header: 'Code',
+      render: (value) => <span className="font-mono text-sm">{value}</span>
+    },
+    {
+      key: 'testName',
+      header: 'Test'
+    },
+    {
+      key: 'category',
+      header: 'Category',
+      render: (value) => <Badge variant="info">{value}</Badge>
+    },
+    {
+      key: 'parameters',
+      header: 'Parameters',
+      render: (value, row) => (value?.length > 0
+        ? value.map(parameter => parameter.name).join(', ')
+        : <span className="text-slate-400">{row.normalRange ? `Single value (${row.normalRange})` : 'Single value'}</span>)
+    },
+    {
+      key: 'price',
+      header: 'Price',
+      render: (value) => `₹${value}`
+    },
+    {
+      key: 'turnaroundTime',
+      header: 'Turnaround'
+    },
+    {
+      key: 'actions',
+      header: 'Actions',
+      render: (_, row) => canManage && (
+        <button
+          onClick={() => openTestModal(row)}
+          className="p-1 text-slate-500 hover:text-yellow-600"
+          title="Edit"
+        >
+          <FiEdit2 className="w-4 h-4" />
+        </button>
+      )
+    }
   ];
 
-  if (loading && tests.length === 0) {
-    return (
-      <div className="flex items-center justify-center h-64">
-        <LoadingSpinner size="lg" />
-      </div>
-    );
-  }
+  const resultParameters = selectedOrder?.testId?.parameters || [];
 
   return (
     <div className="space-y-6">
@@ -344,90 +837,182 @@ const Lab = () => {
       <div className="flex items-center justify-between">
         <div>
           <h1 className="text-2xl font-bold text-slate-800">Laboratory</h1>
-          <p className="text-slate-500">Manage lab tests and results</p>
+          <p className="text-slate-500">Lab test orders, results, the test catalogue, packages and analyzers</p>
         </div>
-        <Button
-          icon={FiPlus}
-          onClick={() => {
-            resetForm();
-            setIsModalOpen(true);
-          }}
-        >
-          New Test Order
-        </Button>
+        {view === ORDERS ? (
+          <Button icon={FiPlus} onClick={openOrderModal}>
+            New Test Order
+          </Button>
+        ) : view === CATALOGUE && canManage && (
+          <Button icon={FiPlus} onClick={() => openTestModal()}>
+            New Lab Test
+          </Button>
+        )}
       </div>
 
       {/* Filters */}
       <div className="flex gap-4">
-        <Select
-          value={statusFilter}
-          onChange={(e) => setStatusFilter(e.target.value)}
-          options={statusOptions}
-          className="w-48"
-        />
+        <div className="flex rounded-lg border border-slate-200 overflow-hidden">
+          {[
+            [ORDERS, 'Orders'],
+            [CATALOGUE, 'Test Catalogue'],
+            [PACKAGES, 'Packages'],
+            ...(hasPermission('lab:interface') ? [[INTERFACE, 'Analyzers']] : [])
+          ].map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => switchView(value)}
+              className={`px-4 py-2 text-sm ${view === value ? 'bg-blue-600 text-white' : 'bg-white text-slate-600 hover:bg-slate-50'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        {view === ORDERS && (
+          <Select
+            value={statusFilter}
+            onChange={(e) => {
+              setStatusFilter(e.target.value);
+              setPagination({ ...pagination, currentPage: 1 });
+            }}
+            options={statusOptions}
+            placeholder="All Status"
+            className="w-48"
+          />
+        )}
+        {view === ORDERS && (
+          <Input
+            placeholder="Scan accession no."
+            value={accessionInput}
+            onChange={(e) => setAccessionInput(e.target.value)}
+            onKeyDown={handleAccessionScan}
+            className="w-56"
+          />
+        )}
       </div>
 
       {/* Data Table */}
-      <DataTable
-        columns={columns}
-        data={tests}
-        loading={loading}
-        searchValue={searchTerm}
-        onSearchChange={setSearchTerm}
-        searchPlaceholder="Search lab tests..."
-        pagination={pagination}
-        onPageChange={(page) => setPagination({ ...pagination, page })}
-      />
+      {view === PACKAGES ? (
+        <LabPackages catalogue={catalogue} canManage={canManage} canDelete={hasPermission('lab:delete')} />
+      ) : view === INTERFACE ? (
+        <AnalyzerInterface catalogue={catalogue} isAdmin={hasPermission('lab:analyzers')} />
+      ) : (
+        <DataTable
+          columns={view === ORDERS ? orderColumns : testColumns}
+          data={view === ORDERS ? orders : tests}
+          loading={loading}
+          pagination={pagination}
+          onPageChange={(page) => setPagination({ ...pagination, currentPage: page })}
+          emptyMessage={view === ORDERS ? 'No lab orders found' : 'No lab tests found'}
+        />
+      )}
 
       {/* Order Test Modal */}
       <Modal
-        isOpen={isModalOpen}
-        onClose={() => {
-          setIsModalOpen(false);
-          resetForm();
-        }}
-        title={selectedTest ? 'Edit Lab Test' : 'Order New Lab Test'}
+        isOpen={isOrderModalOpen}
+        onClose={() => setIsOrderModalOpen(false)}
+        title="New Lab Order"
         size="lg"
       >
-        <form onSubmit={handleSubmit} className="space-y-4">
+        <form onSubmit={handleOrderSubmit} className="space-y-4">
           <Select
             label="Patient"
             name="patientId"
-            value={formData.patientId}
-            onChange={handleChange}
+            value={orderData.patientId}
+            onChange={handleOrderChange}
             options={patients.map((p) => ({
               value: p._id,
               label: `${p.userId?.name} (${p.patientId})`
             }))}
+            placeholder="Select patient"
             required
           />
 
-          <Select
-            label="Referring Doctor"
-            name="doctorId"
-            value={formData.doctorId}
-            onChange={handleChange}
-            options={doctors.map((d) => ({
-              value: d._id,
-              label: `Dr. ${d.userId?.name} - ${d.specialization}`
-            }))}
-          />
+          {user?.role !== 'DOCTOR' && (
+            <Select
+              label="Referring Doctor"
+              name="doctorId"
+              value={orderData.doctorId}
+              onChange={handleOrderChange}
+              options={doctors.map((d) => ({
+                value: d._id,
+                label: `Dr. ${d.userId?.name} - ${d.specialization}`
+              }))}
+              placeholder="Self / walk-in"
+            />
+          )}
 
-          <Select
-            label="Test Type"
-            name="testType"
-            value={formData.testType}
-            onChange={handleChange}
-            options={testTypes.map((t) => ({ value: t, label: t }))}
-            required
-          />
+          {opdVisits.length > 0 && (
+            <Select
+              label="OPD Visit"
+              name="opdRecordId"
+              value={orderData.opdRecordId}
+              onChange={handleOrderChange}
+              options={opdVisits.map((visit) => ({
+                value: visit._id,
+                label: `${visit.recordId} - ${new Date(visit.visitDate).toLocaleDateString()}` +
+                  `${visit.doctorId?.userId?.name ? ` (Dr. ${visit.doctorId.userId.name})` : ''}`
+              }))}
+              placeholder="Not from a visit"
+            />
+          )}
+
+          {labPackages.length > 0 && (
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-2">
+                Packages
+              </label>
+              <div className="space-y-2 border border-slate-200 rounded-lg p-3">
+                {labPackages.map((labPackage) => (
+                  <label key={labPackage._id} className="flex items-start gap-2">
+                    <input
+                      type="checkbox"
+                      checked={orderData.packageIds.includes(labPackage._id)}
+                      onChange={() => toggleOrderItem('packageIds', labPackage._id)}
+                      className="mt-1 rounded border-slate-300 text-blue-600"
+                    />
+                    <span className="text-sm text-slate-600">
+                      <span className="font-medium text-slate-800">{labPackage.name}</span> - ₹{labPackage.price}
+                      <span className="block text-xs text-slate-500">
+                        {labPackage.tests.map(test => test.testName).join(', ')}
+                      </span>
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-2">
+              Tests
+            </label>
+            <div className="grid grid-cols-2 gap-2 max-h-56 overflow-y-auto border border-slate-200 rounded-lg p-3">
+              {catalogue.map((test) => (
+                <label key={test._id} className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={packagedTestIds.has(test._id) || orderData.testIds.includes(test._id)}
+                    disabled={packagedTestIds.has(test._id)}
+                    onChange={() => toggleOrderItem('testIds', test._id)}
+                    className="rounded border-slate-300 text-blue-600"
+                  />
+                  <span className={`text-sm ${packagedTestIds.has(test._id) ? 'text-slate-400' : 'text-slate-600'}`}>
+                    {test.testName} - {packagedTestIds.has(test._id) ? 'in package' : `₹${test.price}`}
+                  </span>
+                </label>
+              ))}
+            </div>
+            <p className="mt-2 text-sm font-medium text-slate-700">Total: ₹{orderTotal}</p>
+          </div>
 
           <Select
             label="Priority"
             name="priority"
-            value={formData.priority}
-            onChange={handleChange}
+            value={orderData.priority}
+            onChange={handleOrderChange}
             options={priorityOptions}
+            required
           />
 
           <div>
@@ -436,8 +1021,8 @@ const Lab = () => {
             </label>
             <textarea
               name="notes"
-              value={formData.notes}
-              onChange={handleChange}
+              value={orderData.notes}
+              onChange={handleOrderChange}
               rows={3}
               className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               placeholder="Clinical notes, special instructions..."
@@ -445,116 +1030,169 @@ const Lab = () => {
           </div>
 
           <div className="flex justify-end gap-3 pt-4">
-            <Button
-              type="button"
-              variant="outline"
-              onClick={() => {
-                setIsModalOpen(false);
-                resetForm();
-              }}
-            >
+            <Button type="button" variant="outline" onClick={() => setIsOrderModalOpen(false)}>
               Cancel
             </Button>
             <Button type="submit" loading={formLoading}>
-              {selectedTest ? 'Update' : 'Order'} Test
+              Order Test
             </Button>
           </div>
         </form>
       </Modal>
 
-      {/* Add Result Modal */}
+      {/* Enter Result Modal */}
       <Modal
         isOpen={isResultModalOpen}
         onClose={() => {
           setIsResultModalOpen(false);
-          resetResultForm();
+          setSelectedOrder(null);
         }}
-        title="Add Test Result"
+        title={resultData.amending ? 'Amend Verified Result' : 'Enter Test Result'}
         size="lg"
       >
-        <form onSubmit={handleResultSubmit} className="space-y-4">
-          {selectedTest && (
-            <div className="p-4 bg-slate-50 rounded-lg mb-4">
+        {selectedOrder && (
+          <form onSubmit={handleResultSubmit} className="space-y-4">
+            <div className="p-4 bg-slate-50 rounded-lg">
               <div className="flex justify-between">
                 <div>
                   <p className="font-medium text-slate-800">
-                    {selectedTest.patientId?.userId?.name}
+                    {selectedOrder.patientId?.userId?.name}
+                  </p>
+                  <p className="text-sm text-slate-500">
+                    {selectedOrder.orderId}
+                    {selectedOrder.patientId?.gender && ` | ${selectedOrder.patientId.gender}`}
+                    {selectedOrder.patientId?.age !== undefined && `, ${selectedOrder.patientId.age} yrs`}
                   </p>
-                  <p className="text-sm text-slate-500">{selectedTest.testId}</p>
                 </div>
-                <Badge variant="info">{selectedTest.testType}</Badge>
+                <Badge variant="info">{selectedOrder.testId?.testName}</Badge>
               </div>
             </div>
-          )}
 
-          <div>
-            <label className="block text-sm font-medium text-slate-700 mb-1">
-              Test Result
-            </label>
-            <textarea
-              name="result"
-              value={resultData.result}
-              onChange={handleResultChange}
-              rows={6}
-              className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent font-mono text-sm"
-              placeholder="Enter detailed test results..."
-              required
-            />
-          </div>
+            {resultData.amending && (
+              <div className="space-y-2">
+                <p className="text-sm text-slate-500">
+                  The released result is kept in the amendment history and the order goes back for verification.
+                </p>
+                <Input
+                  label="Reason for Amendment"
+                  value={resultData.reason}
+                  onChange={(e) => setResultData({ ...resultData, reason: e.target.value })}
+                  placeholder="e.g. transcription error, repeat analysis"
+                  required
+                />
+              </div>
+            )}
 
-          <div>
-            <label className="block text-sm font-medium text-slate-700 mb-1">
-              Remarks / Interpretation
-            </label>
-            <textarea
-              name="remarks"
-              value={resultData.remarks}
-              onChange={handleResultChange}
-              rows={3}
-              className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-              placeholder="Doctor's remarks or interpretation..."
-            />
-          </div>
+            {resultParameters.length > 0 ? (
+              <div className="space-y-3">
+                <p className="text-sm text-slate-500">
+                  Flags are worked out from the patient&apos;s age and gender when the result is saved.
+                  Leave a parameter blank if it was not done.
+                </p>
+                {resultParameters.map((parameter, index) => (
+                  <div key={parameter.code} className="grid grid-cols-3 gap-4 items-end">
+                    <Input
+                      label={`${parameter.name} (${parameter.code})`}
+                      type={parameter.resultType === 'Text' ? 'text' : 'number'}
+                      step="any"
+                      value={resultData.parameters[index]?.value || ''}
+                      onChange={(e) => updateResultParameter(index, e.target.value)}
+                      placeholder={parameter.resultType === 'Text' ? parameter.normalValue : undefined}
+                      className="col-span-2"
+                    />
+                    <p className="text-sm text-slate-500 pb-3">{parameter.unit}</p>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1">
+                    Test Result
+                  </label>
+                  <textarea
+                    value={resultData.value}
+                    onChange={(e) => setResultData({ ...resultData, value: e.target.value })}
+                    rows={5}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent font-mono text-sm"
+                    placeholder="Enter the findings..."
+                    required
+                  />
+                </div>
+                <div className="grid grid-cols-2 gap-4 items-end">
+                  <Input
+                    label="Unit"
+                    value={resultData.unit}
+                    onChange={(e) => setResultData({ ...resultData, unit: e.target.value })}
+                  />
+                  <label className="flex items-center gap-2 text-sm text-slate-700 pb-3">
+                    <input
+                      type="checkbox"
+                      checked={resultData.isAbnormal}
+                      onChange={(e) => setResultData({ ...resultData, isAbnormal: e.target.checked })}
+                    />
+                    Abnormal finding
+                  </label>
+                </div>
+              </>
+            )}
 
-          <div className="flex justify-end gap-3 pt-4">
-            <Button
-              type="button"
-              variant="outline"
-              onClick={() => {
-                setIsResultModalOpen(false);
-                resetResultForm();
-              }}
-            >
-              Cancel
-            </Button>
-            <Button type="submit" loading={formLoading}>
-              Submit Result
-            </Button>
-          </div>
-        </form>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">
+                Remarks / Interpretation
+              </label>
+              <textarea
+                value={resultData.notes}
+                onChange={(e) => setResultData({ ...resultData, notes: e.target.value })}
+                rows={3}
+                className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                placeholder="Remarks or interpretation..."
+              />
+            </div>
+
+            <div className="flex justify-end gap-3 pt-4">
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => {
+                  setIsResultModalOpen(false);
+                  setSelectedOrder(null);
+                }}
+              >
+                Cancel
+              </Button>
+              <Button type="submit" loading={formLoading}>
+                {resultData.amending ? 'Amend Result' : 'Save Result'}
+              </Button>
+            </div>
+          </form>
+        )}
       </Modal>
 
       {/* View Modal */}
       <Modal
         isOpen={isViewModalOpen}
         onClose={() => setIsViewModalOpen(false)}
-        title="Lab Test Details"
+        title="Lab Order Details"
         size="lg"
       >
-        {selectedTest && (
+        {selectedOrder && (
           <div className="space-y-6">
             {/* Header */}
             <div className="flex justify-between items-start">
               <div>
-                <span className="font-mono text-sm text-slate-500">{selectedTest.testId}</span>
+                <span className="font-mono text-sm text-slate-500">
+                  {selectedOrder.orderId}
+                  {selectedOrder.requisitionId?.requisitionId && ` - order ${selectedOrder.requisitionId.requisitionId}`}
+                </span>
                 <div className="flex gap-2 mt-2">
-                  {getStatusBadge(selectedTest.status)}
-                  {getPriorityBadge(selectedTest.priority)}
+                  {getStatusBadge(selectedOrder.status)}
+                  {getPriorityBadge(selectedOrder.priority)}
                 </div>
               </div>
-              {selectedTest.status === 'COMPLETED' && (
-                <Button variant="outline" size="sm" icon={FiDownload}>
-                  Download
+              {(selectedOrder.status === 'VERIFIED' || (selectedOrder.status === 'COMPLETED' && (canManage || canVerify))) && (
+                <Button variant="outline" size="sm" icon={FiPrinter} onClick={() => handleReportDownload(selectedOrder)}>
+                  {selectedOrder.status === 'VERIFIED' ? 'Print Report' : 'Print Provisional'}
                 </Button>
               )}
             </div>
@@ -564,96 +1202,567 @@ const Lab = () => {
               <div className="p-4 bg-blue-50 rounded-lg">
                 <p className="text-sm text-blue-600 mb-1">Patient</p>
                 <p className="font-semibold text-slate-800">
-                  {selectedTest.patientId?.userId?.name}
+                  {selectedOrder.patientId?.userId?.name}
                 </p>
-                <p className="text-sm text-slate-500">{selectedTest.patientId?.patientId}</p>
+                <p className="text-sm text-slate-500">{selectedOrder.patientId?.patientId}</p>
               </div>
               <div className="p-4 bg-green-50 rounded-lg">
                 <p className="text-sm text-green-600 mb-1">Referred By</p>
                 <p className="font-semibold text-slate-800">
-                  {selectedTest.doctorId?.userId?.name ? `Dr. ${selectedTest.doctorId.userId.name}` : 'Self'}
+                  {selectedOrder.doctorId?.userId?.name ? `Dr. ${selectedOrder.doctorId.userId.name}` : 'Self'}
                 </p>
-                <p className="text-sm text-slate-500">{selectedTest.doctorId?.specialization || '-'}</p>
+                <p className="text-sm text-slate-500">{selectedOrder.doctorId?.specialization || '-'}</p>
               </div>
             </div>
 
             {/* Test Info */}
             <div className="grid grid-cols-2 gap-4">
               <div className="p-3 bg-slate-50 rounded-lg">
-                <p className="text-sm text-slate-500">Test Type</p>
-                <p className="font-medium">{selectedTest.testType}</p>
+                <p className="text-sm text-slate-500">Test</p>
+                <p className="font-medium">{selectedOrder.testId?.testName}</p>
               </div>
               <div className="p-3 bg-slate-50 rounded-lg">
                 <p className="text-sm text-slate-500">Ordered Date</p>
-                <p className="font-medium">
-                  {new Date(selectedTest.createdAt).toLocaleString()}
-                </p>
+                <p className="font-medium">{new Date(selectedOrder.orderDate).toLocaleString()}</p>
               </div>
             </div>
 
+            {/* Samples */}
+            {selectedOrder.samples?.length > 0 && (
+              <div className="border-t pt-4">
+                <h4 className="font-medium text-slate-800 mb-2">Samples</h4>
+                <ul className="divide-y divide-slate-100">
+                  {selectedOrder.samples.map(sample => (
+                    <li key={sample._id} className="py-2 text-sm">
+                      <div className="flex items-center justify-between">
+                        <span className="font-mono text-slate-700">{sample.accessionNumber}</span>
+                        <Badge variant={sampleStatusVariants[sample.status] || 'default'} size="sm">{sample.status}</Badge>
+                      </div>
+                      <p className="text-slate-500">
+                        {[sample.specimenType, sample.container].filter(Boolean).join(' - ') || 'Specimen'}
+                        {' | collected '}{new Date(sample.collectedAt).toLocaleString()}
+                        {sample.collectedBy?.name && ` by ${sample.collectedBy.name}`}
+                        {sample.receivedAt && ` | received ${new Date(sample.receivedAt).toLocaleString()}`}
+                      </p>
+                      {sample.status === 'REJECTED' && (
+                        <p className="text-red-600">
+                          Rejected {new Date(sample.rejectedAt).toLocaleString()}
+                          {sample.rejectedBy?.name && ` by ${sample.rejectedBy.name}`}: {sample.rejectionReason}
+                          {sample.rejectionNote && ` - ${sample.rejectionNote}`}
+                        </p>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {/* Turnaround */}
+            {selectedOrder.turnaround?.dueAt && (
+              <div className="border-t pt-4">
+                <h4 className="font-medium text-slate-800 mb-2">Turnaround Time</h4>
+                <p className="text-sm text-slate-600">
+                  Target {formatMinutes(selectedOrder.turnaround.targetMinutes)} from receipt
+                  {' - due '}{new Date(selectedOrder.turnaround.dueAt).toLocaleString()}
+                </p>
+                {selectedOrder.turnaround.minutes != null ? (
+                  <p className={`text-sm ${selectedOrder.turnaround.exceeded ? 'text-red-600' : 'text-green-600'}`}>
+                    Released in {formatMinutes(selectedOrder.turnaround.minutes)}
+                    {selectedOrder.turnaround.exceeded ? ' (exceeded target)' : ' (within target)'}
+                  </p>
+                ) : new Date(selectedOrder.turnaround.dueAt) < new Date() && (
+                  <Badge variant="danger" size="sm">Overdue</Badge>
+                )}
+              </div>
+            )}
+
             {/* Notes */}
-            {selectedTest.notes && (
+            {selectedOrder.notes && (
               <div className="border-t pt-4">
                 <h4 className="font-medium text-slate-800 mb-2">Clinical Notes</h4>
-                <p className="text-slate-600">{selectedTest.notes}</p>
+                <p className="text-slate-600">{selectedOrder.notes}</p>
               </div>
             )}
 
             {/* Result */}
-            {selectedTest.result && (
+            {selectedOrder.result && ['COMPLETED', 'VERIFIED'].includes(selectedOrder.status) && (
               <div className="border-t pt-4">
                 <h4 className="font-medium text-slate-800 mb-2">Test Result</h4>
-                <div className="p-4 bg-slate-50 rounded-lg">
-                  <pre className="whitespace-pre-wrap text-sm text-slate-700 font-mono">
-                    {selectedTest.result}
-                  </pre>
-                </div>
+                {selectedOrder.analyzerRun?.receivedAt && (
+                  <p className="text-xs text-slate-500 mb-2">
+                    From {selectedOrder.analyzerRun.analyzer?.name || 'analyzer'}
+                    {' on '}{new Date(selectedOrder.analyzerRun.receivedAt).toLocaleString()}
+                  </p>
+                )}
+                {selectedOrder.result?.parameters?.length > 0 ? (
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-slate-500">
+                        <th className="py-2">Parameter</th>
+                        <th className="py-2">Result</th>
+                        <th className="py-2">Reference Range</th>
+                        <th className="py-2">Flag</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-slate-100">
+                      {selectedOrder.result.parameters.map(parameter => (
+                        <tr key={parameter.code}>
+                          <td className="py-2">{parameter.name}</td>
+                          <td className={`py-2 ${parameter.flag !== 'NORMAL' ? 'font-semibold' : ''}`}>
+                            {parameter.value} {parameter.unit}
+                          </td>
+                          <td className="py-2 text-slate-500">{parameter.referenceRange || '-'}</td>
+                          <td className="py-2">{getFlagBadge(parameter.flag)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                ) : (
+                  <div className="p-4 bg-slate-50 rounded-lg">
+                    <pre className="whitespace-pre-wrap text-sm text-slate-700 font-mono">
+                      {selectedOrder.result?.value} {selectedOrder.result?.unit}
+                    </pre>
+                    {selectedOrder.result?.isAbnormal && <Badge variant="warning" size="sm">Abnormal</Badge>}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Critical Alert */}
+            {selectedOrder.criticalAlert?.notifiedAt && (
+              <div className="border-t pt-4">
+                <h4 className="font-medium text-slate-800 mb-2">Critical Alert</h4>
+                <p className="text-sm text-slate-500">
+                  Doctors notified {new Date(selectedOrder.criticalAlert.notifiedAt).toLocaleString()}
+                  {selectedOrder.criticalAlert.escalatedAt &&
+                    ` - escalated ${new Date(selectedOrder.criticalAlert.escalatedAt).toLocaleString()}`}
+                </p>
+                {selectedOrder.criticalAlert.acknowledgements?.length > 0 ? (
+                  <ul className="mt-2 space-y-1">
+                    {selectedOrder.criticalAlert.acknowledgements.map(acknowledgement => (
+                      <li key={acknowledgement._id} className="text-sm text-slate-700">
+                        <span className="font-medium">{acknowledgement.user?.name || 'Unknown'}</span>
+                        {' acknowledged '}{new Date(acknowledgement.acknowledgedAt).toLocaleString()}
+                        {acknowledgement.note && <span className="text-slate-500"> - {acknowledgement.note}</span>}
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <Badge variant="danger" size="sm">Not yet acknowledged</Badge>
+                )}
               </div>
             )}
 
             {/* Remarks */}
-            {selectedTest.remarks && (
+            {selectedOrder.result?.notes && (
               <div className="border-t pt-4">
                 <h4 className="font-medium text-slate-800 mb-2">Remarks</h4>
-                <p className="text-slate-600">{selectedTest.remarks}</p>
+                <p className="text-slate-600">{selectedOrder.result.notes}</p>
               </div>
             )}
 
-            {/* Status Actions */}
-            {selectedTest.status !== 'COMPLETED' && selectedTest.status !== 'CANCELLED' && (
+            {/* Verification */}
+            {selectedOrder.status === 'VERIFIED' && selectedOrder.verification?.verifiedAt && (
               <div className="border-t pt-4">
-                <h4 className="font-medium text-slate-800 mb-3">Update Status</h4>
-                <div className="flex gap-2">
-                  {selectedTest.status === 'PENDING' && (
-                    <Button
-                      size="sm"
-                      variant="outline"
-                      onClick={() => {
-                        handleStatusUpdate(selectedTest, 'SAMPLE_COLLECTED');
-                        setIsViewModalOpen(false);
-                      }}
-                    >
-                      Mark Sample Collected
-                    </Button>
-                  )}
-                  {selectedTest.status === 'SAMPLE_COLLECTED' && (
-                    <Button
-                      size="sm"
-                      variant="outline"
-                      onClick={() => {
-                        handleStatusUpdate(selectedTest, 'IN_PROGRESS');
-                        setIsViewModalOpen(false);
-                      }}
-                    >
-                      Start Processing
-                    </Button>
+                <h4 className="font-medium text-slate-800 mb-2">Verification</h4>
+                <p className="text-sm text-slate-700">
+                  Verified by <span className="font-medium">{selectedOrder.verification.verifiedBy?.name || 'Unknown'}</span>
+                  {' on '}{new Date(selectedOrder.verification.verifiedAt).toLocaleString()}
+                </p>
+                {selectedOrder.verification.comments && (
+                  <p className="text-sm text-slate-600 mt-1">{selectedOrder.verification.comments}</p>
+                )}
+                <p className="text-xs text-slate-400 font-mono mt-1 break-all">
+                  {selectedOrder.verification.signatureHash}
+                </p>
+              </div>
+            )}
+
+            {/* Amendments */}
+            {selectedOrder.amendments?.length > 0 && (
+              <div className="border-t pt-4">
+                <h4 className="font-medium text-slate-800 mb-2">Amendment History</h4>
+                <ul className="space-y-2">
+                  {selectedOrder.amendments.map(amendment => (
+                    <li key={amendment._id} className="text-sm text-slate-700">
+                      <span className="font-medium">{amendment.amendedBy?.name || 'Unknown'}</span>
+                      {' amended '}{new Date(amendment.amendedAt).toLocaleString()} - {amendment.reason}
+                      <p className="text-xs text-slate-500">
+                        Previously: {amendment.previousResult?.parameters?.length > 0
+                          ? amendment.previousResult.parameters.map(parameter => `${parameter.name} ${parameter.value}`).join(', ')
+                          : amendment.previousResult?.value || '-'}
+                      </p>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {/* Attachments */}
+            {(selectedOrder.result?.attachments?.length > 0 || canManage) && (
+              <div className="border-t pt-4">
+                <div className="flex items-center justify-between mb-2">
+                  <h4 className="font-medium text-slate-800">Attachments</h4>
+                  {canManage && !['PENDING', 'VERIFIED'].includes(selectedOrder.status) && (
+                    <label className={`inline-flex items-center gap-2 text-sm text-blue-600 hover:text-blue-700 ${uploadLoading ? 'opacity-50 pointer-events-none' : 'cursor-pointer'}`}>
+                      <FiUpload className="w-4 h-4" />
+                      {uploadLoading ? 'Uploading...' : 'Upload'}
+                      <input
+                        type="file"
+                        className="hidden"
+                        accept=".jpg,.jpeg,.png,.gif,.pdf,.doc,.docx"
+                        onChange={handleAttachmentUpload}
+                        disabled={uploadLoading}
+                      />
+                    </label>
                   )}
                 </div>
+                {selectedOrder.result?.attachments?.length > 0 ? (
+                  <ul className="divide-y divide-slate-100">
+                    {selectedOrder.result.attachments.map((attachment) => (
+                      <li key={attachment._id} className="flex items-center justify-between py-2">
+                        <p className="text-sm font-medium text-slate-700">{attachment.name}</p>
+                        {attachment.fileName && (
+                          <button
+                            onClick={() => handleAttachmentDownload(attachment)}
+                            className="p-1 text-slate-500 hover:text-blue-600"
+                            title="Download"
+                          >
+                            <FiDownload className="w-4 h-4" />
+                          </button>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p className="text-sm text-slate-500">No attachments</p>
+                )}
+              </div>
+            )}
+
+            {/* Status Actions */}
+            {(isLab || canVerify) && (
+              <div className="border-t pt-4 flex gap-2">
+                {isLab && selectedOrder.status === 'PENDING' && (
+                  <Button size="sm" variant="outline" icon={FiDroplet} onClick={() => handleCollectSample(selectedOrder)}>
+                    Mark Sample Collected
+                  </Button>
+                )}
+                {isLab && selectedOrder.status === 'IN_PROGRESS' && currentSample(selectedOrder) && (
+                  <Button size="sm" variant="outline" icon={FiTag} onClick={() => handlePrintLabel(selectedOrder)}>
+                    Print Label
+                  </Button>
+                )}
+                {isLab && selectedOrder.status === 'IN_PROGRESS' && currentSample(selectedOrder)?.status === 'COLLECTED' && (
+                  <Button size="sm" icon={FiInbox} onClick={() => handleReceiveSample(selectedOrder)}>
+                    Receive Sample
+                  </Button>
+                )}
+                {isLab && selectedOrder.status === 'IN_PROGRESS' && currentSample(selectedOrder) && (
+                  <Button size="sm" variant="danger" icon={FiXCircle} onClick={() => openRejectModal(selectedOrder)}>
+                    Reject Sample
+                  </Button>
+                )}
+                {isLab && (selectedOrder.status === 'COMPLETED' ||
+                  (selectedOrder.status === 'IN_PROGRESS' && currentSample(selectedOrder)?.status !== 'COLLECTED')) && (
+                  <Button
+                    size="sm"
+                    icon={FiUpload}
+                    onClick={() => {
+                      setIsViewModalOpen(false);
+                      openResultModal(selectedOrder);
+                    }}
+                  >
+                    {selectedOrder.status === 'COMPLETED' ? 'Correct Result' : 'Enter Result'}
+                  </Button>
+                )}
+                {canVerify && selectedOrder.status === 'COMPLETED' && (
+                  <Button size="sm" icon={FiCheckCircle} onClick={() => handleVerify(selectedOrder)}>
+                    Verify &amp; Release
+                  </Button>
+                )}
+                {selectedOrder.status === 'VERIFIED' && (
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    icon={FiEdit2}
+                    onClick={() => {
+                      setIsViewModalOpen(false);
+                      openResultModal(selectedOrder);
+                    }}
+                  >
+                    Amend Result
+                  </Button>
+                )}
               </div>
             )}
           </div>
         )}
       </Modal>
+
+      {/* Reject Sample Modal */}
+      <Modal
+        isOpen={isRejectModalOpen}
+        onClose={() => {
+          setIsRejectModalOpen(false);
+          setSelectedOrder(null);
+        }}
+        title="Reject Sample"
+      >
+        {selectedOrder && (
+          <form onSubmit={handleRejectSubmit} className="space-y-4">
+            <p className="text-sm text-slate-500">
+              Sample {currentSample(selectedOrder)?.accessionNumber} for {selectedOrder.patientId?.userId?.name} will
+              be marked rejected and the order sent back for recollection.
+            </p>
+            <Select
+              label="Reason"
+              value={rejection.reason}
+              onChange={(e) => setRejection({ ...rejection, reason: e.target.value })}
+              options={rejectionReasonOptions}
+              placeholder="Select reason"
+              required
+            />
+            <Input
+              label="Note"
+              value={rejection.note}
+              onChange={(e) => setRejection({ ...rejection, note: e.target.value })}
+              placeholder={rejection.reason === 'Other' ? 'Describe the problem' : 'Optional'}
+              required={rejection.reason === 'Other'}
+            />
+            <div className="flex justify-end gap-3 pt-4">
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => {
+                  setIsRejectModalOpen(false);
+                  setSelectedOrder(null);
+                }}
+              >
+                Cancel
+              </Button>
+              <Button type="submit" variant="danger" loading={formLoading}>
+                Reject Sample
+              </Button>
+            </div>
+          </form>
+        )}
+      </Modal>
+
+      {/* Lab Test Modal */}
+      <Modal
+        isOpen={isTestModalOpen}
+        onClose={() => {
+          setIsTestModalOpen(false);
+          setSelectedTest(null);
+        }}
+        title={selectedTest ? 'Edit Lab Test' : 'New Lab Test'}
+        size="xl"
+      >
+        <form onSubmit={handleTestSubmit} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <Input label="Test Name" name="testName" value={testForm.testName} onChange={handleTestChange} required />
+            <Select
+              label="Category"
+              name="category"
+              value={testForm.category}
+              onChange={handleTestChange}
+              options={categoryOptions}
+              placeholder="Select category"
+              required
+            />
+            <Input label="Price (₹)" name="price" type="number" min="0" value={testForm.price} onChange={handleTestChange} required />
+            <Input
+              label="Turnaround Time"
+              name="turnaroundTime"
+              value={testForm.turnaroundTime}
+              onChange={handleTestChange}
+              placeholder="e.g. 4 hours, 2 days"
+            />
+            <Select
+              label="Specimen Type"
+              name="specimenType"
+              value={testForm.specimenType}
+              onChange={handleTestChange}
+              options={specimenTypeOptions}
+              placeholder="Not applicable"
+            />
+            <Select
+              label="Container"
+              name="container"
+              value={testForm.container}
+              onChange={handleTestChange}
+              options={containerOptions}
+              placeholder="Not applicable"
+            />
+            <Input
+              label="Preparation Instructions"
+              name="preparationInstructions"
+              value={testForm.preparationInstructions}
+              onChange={handleTestChange}
+              className="col-span-2"
+            />
+          </div>
+
+          <div className="border-t pt-4">
+            <div className="flex items-center justify-between mb-2">
+              <h4 className="font-medium text-slate-800">Parameters</h4>
+              <Button
+                type="button"
+                size="sm"
+                variant="outline"
+                icon={FiPlus}
+                onClick={() => setTestForm({ ...testForm, parameters: [...testForm.parameters, { ...emptyParameter }] })}
+              >
+                Add Parameter
+              </Button>
+            </div>
+
+            {testForm.parameters.length === 0 && (
+              <div className="space-y-3">
+                <p className="text-sm text-slate-500">
+                  Without parameters the result is entered as a single free-text value and flagged by the reporter.
+                </p>
+                <div className="grid grid-cols-2 gap-4">
+                  <Input label="Unit" name="unit" value={testForm.unit} onChange={handleTestChange} />
+                  <Input label="Normal Range" name="normalRange" value={testForm.normalRange} onChange={handleTestChange} />
+                </div>
+              </div>
+            )}
+
+            <div className="space-y-4">
+              {testForm.parameters.map((parameter, index) => (
+                <div key={index} className="border border-slate-200 rounded-lg p-4 space-y-3">
+                  <div className="grid grid-cols-4 gap-3 items-end">
+                    <Input label="Code" value={parameter.code} onChange={(e) => updateParameter(index, 'code', e.target.value)} required />
+                    <Input label="Name" value={parameter.name} onChange={(e) => updateParameter(index, 'name', e.target.value)} required />
+                    <Input label="Unit" value={parameter.unit} onChange={(e) => updateParameter(index, 'unit', e.target.value)} />
+                    <div className="flex items-end gap-2">
+                      <Select
+                        label="Type"
+                        value={parameter.resultType}
+                        onChange={(e) => updateParameter(index, 'resultType', e.target.value)}
+                        options={resultTypeOptions}
+                        className="flex-1"
+                        required
+                      />
+                      <button
+                        type="button"
+                        onClick={() => removeParameter(index)}
+                        className="p-2 mb-1 text-slate-500 hover:text-red-600"
+                        title="Remove Parameter"
+                      >
+                        <FiTrash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </div>
+
+                  {parameter.resultType === 'Text' ? (
+                    <Input
+                      label="Expected Value"
+                      value={parameter.normalValue}
+                      onChange={(e) => updateParameter(index, 'normalValue', e.target.value)}
+                      placeholder="e.g. Negative"
+                    />
+                  ) : (
+                    <>
+                      <div className="grid grid-cols-4 gap-3">
+                        <Input
+                          label="Critical Low"
+                          type="number"
+                          step="any"
+                          value={parameter.criticalLow}
+                          onChange={(e) => updateParameter(index, 'criticalLow', e.target.value)}
+                        />
+                        <Input
+                          label="Critical High"
+                          type="number"
+                          step="any"
+                          value={parameter.criticalHigh}
+                          onChange={(e) => updateParameter(index, 'criticalHigh', e.target.value)}
+                        />
+                      </div>
+
+                      <div>
+                        <p className="text-sm font-medium text-slate-700 mb-1">Reference Ranges</p>
+                        {parameter.referenceRanges.map((range, rangeIndex) => (
+                          <div key={rangeIndex} className="grid grid-cols-6 gap-2 items-center mb-2">
+                            <Select
+                              value={range.gender}
+                              onChange={(e) => updateRange(index, rangeIndex, 'gender', e.target.value)}
+                              options={genderOptions}
+                              placeholder="Any gender"
+                            />
+                            <Input
+                              type="number"
+                              min="0"
+                              value={range.minAge}
+                              onChange={(e) => updateRange(index, rangeIndex, 'minAge', e.target.value)}
+                              placeholder="From age"
+                            />
+                            <Input
+                              type="number"
+                              min="0"
+                              value={range.maxAge}
+                              onChange={(e) => updateRange(index, rangeIndex, 'maxAge', e.target.value)}
+                              placeholder="To age"
+                            />
+                            <Input
+                              type="number"
+                              step="any"
+                              value={range.low}
+                              onChange={(e) => updateRange(index, rangeIndex, 'low', e.target.value)}
+                              placeholder="Low"
+                            />
+                            <Input
+                              type="number"
+                              step="any"
+                              value={range.high}
+                              onChange={(e) => updateRange(index, rangeIndex, 'high', e.target.value)}
+                              placeholder="High"
+                            />
+                            <button
+                              type="button"
+                              onClick={() => removeRange(index, rangeIndex)}
+                              className="p-2 text-slate-500 hover:text-red-600 justify-self-start"
+                              title="Remove Range"
+                            >
+                              <FiTrash2 className="w-4 h-4" />
+                            </button>
+                          </div>
+                        ))}
+                        <button
+                          type="button"
+                          onClick={() => addRange(index)}
+                          className="text-sm text-blue-600 hover:text-blue-700"
+                        >
+                          + Add age / gender range
+                        </button>
+                      </div>
+                    </>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex justify-end gap-3 pt-4">
+            <Button
+              type="button"
+              variant="outline"
+              onClick={() => {
+                setIsTestModalOpen(false);
+                setSelectedTest(null);
+              }}
+            >
+              Cancel
+            </Button>
+            <Button type="submit" loading={formLoading}>
+              {selectedTest ? 'Update' : 'Create'} Test
+            </Button>
+          </div>
+        </form>
+      </Modal>
     </div>
   );
 };
@@ -0,0 +1,281 @@
+/**
+ * Lab Packages
+ * Test packages and their package prices, shown as a view of the Lab page
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { labAPI } from '../../services/api';
+import DataTable from '../../components/common/DataTable';
+import Modal from '../../components/common/Modal';
+import Input from '../../components/common/Input';
+import Button from '../../components/common/Button';
+import Badge from '../../components/common/Badge';
+import toast from 'react-hot-toast';
+import { FiPlus, FiEdit2, FiTrash2 } from 'react-icons/fi';
+
+const emptyPackageForm = {
+  name: '',
+  description: '',
+  price: '',
+  tests: []
+};
+
+const LabPackages = ({ catalogue, canManage, canDelete }) => {
+  const [loading, setLoading] = useState(true);
+  const [packages, setPackages] = useState([]);
+  const [pagination, setPagination] = useState({ currentPage: 1, pages: 1, total: 0 });
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [selectedPackage, setSelectedPackage] = useState(null);
+  const [formData, setFormData] = useState(emptyPackageForm);
+  const [formLoading, setFormLoading] = useState(false);
+
+  const fetchPackages = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await labAPI.getPackages({ page: pagination.currentPage, limit: 10 });
+      setPackages(response.data.data || []);
+      setPagination({
+        currentPage: response.data.currentPage || 1,
+        pages: response.data.pages || 1,
+        total: response.data.total || 0
+      });
+    } catch (error) {
+      console.log('Failed to fetch lab packages', error);
+      toast.error('Failed to fetch lab packages');
+    } finally {
+      setLoading(false);
+    }
+  }, [pagination.currentPage]);
+
+  useEffect(() => {
+    fetchPackages();
+  }, [fetchPackages]);
+
+  const openModal = (labPackage = null) => {
+    setSelectedPackage(labPackage);
+    setFormData(labPackage
+      ? {
+        name: labPackage.name,
+        description: labPackage.description || '',
+        price: String(labPackage.price),
+        tests: labPackage.tests.map(test => test._id)
+      }
+      : emptyPackageForm);
+    setIsModalOpen(true);
+  };
+
+  const toggleTest = (testId) => {
+    setFormData({
+      ...formData,
+      tests: formData.tests.includes(testId)
+        ? formData.tests.filter(id => id !== testId)
+        : [...formData.tests, testId]
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.tests.length === 0) {
+      toast.error('Please select the tests in the package');
+      return;
+    }
+
+    setFormLoading(true);
+    const data = { ...formData, price: Number(formData.price) };
+
+    try {
+      if (selectedPackage) {
+        await labAPI.updatePackage(selectedPackage._id, data);
+        toast.success('Lab package updated successfully');
+      } else {
+        await labAPI.createPackage(data);
+        toast.success('Lab package created successfully');
+      }
+      setIsModalOpen(false);
+      setSelectedPackage(null);
+      fetchPackages();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save lab package');
+    } finally {
+      setFormLoading(false);
+    }
+  };
+
+  const handleDelete = async (labPackage) => {
+    if (!window.confirm(`Withdraw the ${labPackage.name} package?`)) return;
+
+    try {
+      await labAPI.deletePackage(labPackage._id);
+      toast.success('Lab package deleted successfully');
+      fetchPackages();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete lab package');
+    }
+  };
+
+  const listPrice = catalogue
+    .filter(test => formData.tests.includes(test._id))
+    .reduce((sum, test) => sum + test.price, 0);
+
+  const columns = [
+    {
+      key: 'packageId',
+      header: 'Code',
+      render: (value) => <span className="font-mono text-sm">{value}</span>
+    },
+    {
+      key: 'name',
+      header: 'Package',
+      render: (value, row) => (
+        <div>
+          <p className="font-medium text-slate-800">{value}</p>
+          {row.description && <p className="text-xs text-slate-500">{row.description}</p>}
+        </div>
+      )
+    },
+    {
+      key: 'tests',
+      header: 'Tests',
+      render: (value) => value.map(test => test.testName).join(', ')
+    },
+    {
+      key: 'price',
+      header: 'Price',
+      render: (value, row) => (
+        <div>
+          <p className="font-medium">₹{value}</p>
+          {row.listPrice > value && (
+            <p className="text-xs text-slate-400 line-through">₹{row.listPrice}</p>
+          )}
+        </div>
+      )
+    },
+    {
+      key: 'actions',
+      header: 'Actions',
+      render: (_, row) => canManage && (
+        <div className="flex items-center gap-1">
+          <button
+            onClick={() => openModal(row)}
+            className="p-1 text-slate-500 hover:text-yellow-600"
+            title="Edit"
+          >
+            <FiEdit2 className="w-4 h-4" />
+          </button>
+          {canDelete && (
+            <button
+              onClick={() => handleDelete(row)}
+              className="p-1 text-slate-500 hover:text-red-600"
+              title="Delete"
+            >
+              <FiTrash2 className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+      )
+    }
+  ];
+
+  return (
+    <div className="space-y-4">
+      {canManage && (
+        <div className="flex justify-end">
+          <Button icon={FiPlus} onClick={() => openModal()}>
+            New Package
+          </Button>
+        </div>
+      )}
+
+      <DataTable
+        columns={columns}
+        data={packages}
+        loading={loading}
+        pagination={pagination}
+        onPageChange={(page) => setPagination({ ...pagination, currentPage: page })}
+        emptyMessage="No lab packages found"
+      />
+
+      <Modal
+        isOpen={isModalOpen}
+        onClose={() => {
+          setIsModalOpen(false);
+          setSelectedPackage(null);
+        }}
+        title={selectedPackage ? 'Edit Lab Package' : 'New Lab Package'}
+        size="lg"
+      >
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <Input
+            label="Package Name"
+            value={formData.name}
+            onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+            placeholder="e.g. Master Health Checkup"
+            required
+          />
+          <Input
+            label="Description"
+            value={formData.description}
+            onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+          />
+
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-2">
+              Tests
+            </label>
+            <div className="grid grid-cols-2 gap-2 max-h-64 overflow-y-auto border border-slate-200 rounded-lg p-3">
+              {catalogue.map(test => (
+                <label key={test._id} className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={formData.tests.includes(test._id)}
+                    onChange={() => toggleTest(test._id)}
+                    className="rounded border-slate-300 text-blue-600"
+                  />
+                  <span className="text-sm text-slate-600">{test.testName} (₹{test.price})</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4 items-end">
+            <Input
+              label="Package Price (₹)"
+              type="number"
+              min="0"
+              value={formData.price}
+              onChange={(e) => setFormData({ ...formData, price: e.target.value })}
+              required
+            />
+            <div className="pb-3 text-sm text-slate-500">
+              Tests separately: ₹{listPrice}
+              {formData.price !== '' && listPrice > Number(formData.price) && (
+                <Badge variant="success" size="sm" className="ml-2">
+                  Saves ₹{listPrice - Number(formData.price)}
+                </Badge>
+              )}
+            </div>
+          </div>
+
+          <div className="flex justify-end gap-3 pt-4">
+            <Button
+              type="button"
+              variant="outline"
+              onClick={() => {
+                setIsModalOpen(false);
+                setSelectedPackage(null);
+              }}
+            >
+              Cancel
+            </Button>
+            <Button type="submit" loading={formLoading}>
+              {selectedPackage ? 'Update Package' : 'Create Package'}
+            </Button>
+          </div>
+        </form>
+      </Modal>
+    </div>
+  );
+};
+
+export default LabPackages;
@@ -4,7 +4,7 @@
  */
 
 import { useState, useEffect } from 'react';
-import { opdAPI, doctorsAPI, patientsAPI } from '../../services/api';
+import { opdAPI, doctorsAPI, patientsAPI, pharmacyAPI } from '../../services/api';
 import DataTable from '../../components/common/DataTable';
 import Modal from '../../components/common/Modal';
 import Input from '../../components/common/Input';
@@ -18,27 +18,45 @@ import {
   FiEdit2,
   FiTrash2,
   FiEye,
-  FiFileText
+  FiFileText,
+  FiAlertTriangle
 } from 'react-icons/fi';
 
+const emptyPrescriptionItem = { medicine: '', medicineId: '', quantity: '', dosage: '', duration: '', instructions: '' };
+
+const dispenseStatusVariant = {
+  PENDING: 'warning',
+  PARTIAL: 'info',
+  DISPENSED: 'success'
+};
+
+const alertSeverityVariant = {
+  MINOR: 'info',
+  MODERATE: 'warning',
+  MAJOR: 'danger'
+};
+
 const OPDRecords = () => {
   const [loading, setLoading] = useState(true);
   const [records, setRecords] = useState([]);
   const [doctors, setDoctors] = useState([]);
   const [patients, setPatients] = useState([]);
+  const [medicines, setMedicines] = useState([]);
   const [pagination, setPagination] = useState({ page: 1, totalPages: 1, total: 0 });
   const [searchTerm, setSearchTerm] = useState('');
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [isViewModalOpen, setIsViewModalOpen] = useState(false);
   const [selectedRecord, setSelectedRecord] = useState(null);
   const [formLoading, setFormLoading] = useState(false);
+  const [safetyWarnings, setSafetyWarnings] = useState(null);
+  const [overrideReason, setOverrideReason] = useState('');
   const [formData, setFormData] = useState({
     patientId: '',
     doctorId: '',
     appointmentId: '',
     symptoms: '',
     diagnosis: '',
-    prescription: [{ medicine: '', dosage: '', duration: '', instructions: '' }],
+    prescription: [{ ...emptyPrescriptionItem }],
     vitals: {
       bloodPressure: '',
       temperature: '',
@@ -56,6 +74,10 @@ const OPDRecords = () => {
     fetchPatients();
   }, [pagination.page, searchTerm]);
 
+  useEffect(() => {
+    fetchMedicines();
+  }, []);
+
   const fetchRecords = async () => {
     try {
       setLoading(true);
@@ -96,6 +118,15 @@ const OPDRecords = () => {
     }
   };
 
+  const fetchMedicines = async () => {
+    try {
+      const response = await pharmacyAPI.getAll({ limit: 500 });
+      setMedicines(response.data.data || []);
+    } catch (error) {
+      console.error('Failed to fetch medicines', error);
+    }
+  };
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     if (name.includes('.')) {
@@ -115,10 +146,19 @@ const OPDRecords = () => {
     setFormData({ ...formData, prescription: updated });
   };
 
+  // Typing a catalogue name links the line to pharmacy stock so it can be dispensed
+  const handlePrescriptionMedicineChange = (index, value) => {
+    const match = medicines.find(medicine => medicine.name.toLowerCase() === value.trim().toLowerCase());
+    const updated = [...formData.prescription];
+    // A changed drug is screened again, so an earlier override no longer applies
+    updated[index] = { ...updated[index], medicine: value, medicineId: match?._id || '', overrideReason: undefined };
+    setFormData({ ...formData, prescription: updated });
+  };
+
   const addPrescriptionItem = () => {
     setFormData({
       ...formData,
-      prescription: [...formData.prescription, { medicine: '', dosage: '', duration: '', instructions: '' }]
+      prescription: [...formData.prescription, { ...emptyPrescriptionItem }]
     });
   };
 
@@ -127,8 +167,8 @@ const OPDRecords = () => {
     setFormData({ ...formData, prescription: updated });
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  // Lines the server flagged are resubmitted with the prescriber's override reason
+  const submitRecord = async (reason) => {
     setFormLoading(true);
 
     try {
@@ -137,6 +177,21 @@ const OPDRecords = () => {
       if (!submitData.appointmentId) {
         delete submitData.appointmentId;
       }
+
+      // Unlinked lines stay free text; blank links and quantities would fail to cast
+      submitData.prescription = submitData.prescription
+        .filter(item => item.medicine)
+        .map(({ medicineId, quantity, ...item }) => ({
+          ...item,
+          ...(medicineId && { medicineId }),
+          ...(quantity && { quantity: parseInt(quantity) })
+        }));
+
+      if (reason) {
+        safetyWarnings.forEach(({ index }) => {
+          submitData.prescription[index] = { ...submitData.prescription[index], overrideReason: reason };
+        });
+      }
       
       // Convert diagnosis string to object format expected by backend
       if (typeof submitData.diagnosis === 'string') {
@@ -167,15 +222,31 @@ const OPDRecords = () => {
         toast.success('OPD record created successfully');
       }
       setIsModalOpen(false);
+      setSafetyWarnings(null);
       resetForm();
       fetchRecords();
     } catch (error) {
-      toast.error(error.response?.data?.message || 'Operation failed');
+      if (error.response?.data?.warnings) {
+        setSafetyWarnings(error.response.data.warnings);
+        setOverrideReason('');
+      } else {
+        toast.error(error.response?.data?.message || 'Operation failed');
+      }
     } finally {
       setFormLoading(false);
     }
   };
 
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    submitRecord();
+  };
+
+  const handleOverride = (e) => {
+    e.preventDefault();
+    submitRecord(overrideReason.trim());
+  };
+
   const handleEdit = (record) => {
     setSelectedRecord(record);
     setFormData({
@@ -186,7 +257,7 @@ const OPDRecords = () => {
       diagnosis: record.diagnosis || '',
       prescription: record.prescription?.length > 0 
         ? record.prescription 
-        : [{ medicine: '', dosage: '', duration: '', instructions: '' }],
+        : [{ ...emptyPrescriptionItem }],
       vitals: record.vitals || { bloodPressure: '', temperature: '', pulse: '', weight: '', height: '' },
       notes: record.notes || '',
       followUpDate: record.followUpDate ? record.followUpDate.split('T')[0] : ''
@@ -219,7 +290,7 @@ const OPDRecords = () => {
       appointmentId: '',
       symptoms: '',
       diagnosis: '',
-      prescription: [{ medicine: '', dosage: '', duration: '', instructions: '' }],
+      prescription: [{ ...emptyPrescriptionItem }],
       vitals: { bloodPressure: '', temperature: '', pulse: '', weight: '', height: '' },
       notes: '',
       followUpDate: ''
@@ -461,11 +532,20 @@ const OPDRecords = () => {
               </Button>
             </div>
             {formData.prescription.map((item, index) => (
-              <div key={index} className="grid grid-cols-5 gap-2 mb-2">
+              <div key={index} className="grid grid-cols-6 gap-2 mb-2">
                 <Input
                   placeholder="Medicine"
                   value={item.medicine}
-                  onChange={(e) => handlePrescriptionChange(index, 'medicine', e.target.value)}
+                  onChange={(e) => handlePrescriptionMedicineChange(index, e.target.value)}
+                  list="pharmacy-medicines"
+                  className={item.medicineId ? 'ring-1 ring-green-300 rounded-lg' : ''}
+                />
+                <Input
+                  type="number"
+                  placeholder="Qty"
+                  value={item.quantity ?? ''}
+                  onChange={(e) => handlePrescriptionChange(index, 'quantity', e.target.value)}
+                  min="1"
                 />
                 <Input
                   placeholder="Dosage"
@@ -495,6 +575,14 @@ const OPDRecords = () => {
                 )}
               </div>
             ))}
+            <datalist id="pharmacy-medicines">
+              {medicines.map(medicine => (
+                <option key={medicine._id} value={medicine.name} />
+              ))}
+            </datalist>
+            <p className="text-xs text-slate-500">
+              Medicines picked from the pharmacy list are sent to the dispensing queue.
+            </p>
           </div>
 
           {/* Notes & Follow-up */}
@@ -633,15 +721,38 @@ const OPDRecords = () => {
                       <th className="px-4 py-2 text-left text-xs font-medium text-slate-500">Dosage</th>
                       <th className="px-4 py-2 text-left text-xs font-medium text-slate-500">Duration</th>
                       <th className="px-4 py-2 text-left text-xs font-medium text-slate-500">Instructions</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-slate-500">Pharmacy</th>
                     </tr>
                   </thead>
                   <tbody className="divide-y divide-slate-200">
                     {selectedRecord.prescription.map((item, idx) => (
                       <tr key={idx}>
-                        <td className="px-4 py-2 font-medium">{item.medicine}</td>
+                        <td className="px-4 py-2 font-medium">
+                          {item.medicine}
+                          {item.quantity ? <span className="text-slate-500 font-normal"> x {item.quantity}</span> : null}
+                          {item.safetyAlerts?.length > 0 && (
+                            <div className="mt-1 space-y-0.5 font-normal">
+                              {item.safetyAlerts.map((alert, alertIdx) => (
+                                <p key={alertIdx} className="text-xs text-red-600">{alert.message}</p>
+                              ))}
+                              {item.overrideReason && (
+                                <p className="text-xs text-slate-500">Overridden: {item.overrideReason}</p>
+                              )}
+                            </div>
+                          )}
+                        </td>
                         <td className="px-4 py-2">{item.dosage}</td>
                         <td className="px-4 py-2">{item.duration}</td>
                         <td className="px-4 py-2 text-slate-500">{item.instructions}</td>
+                        <td className="px-4 py-2">
+                          {item.dispenseStatus && (
+                            <Badge variant={dispenseStatusVariant[item.dispenseStatus]}>
+                              {item.dispenseStatus === 'PARTIAL'
+                                ? `Partial (${item.dispensedQuantity}/${item.quantity})`
+                                : item.dispenseStatus}
+                            </Badge>
+                          )}
+                        </td>
                       </tr>
                     ))}
                   </tbody>
@@ -649,6 +760,26 @@ const OPDRecords = () => {
               </div>
             )}
 
+            {/* Lab Tests */}
+            {selectedRecord.labTests?.length > 0 && (
+              <div className="border-t pt-4">
+                <h4 className="font-medium text-slate-800 mb-2">Lab Tests</h4>
+                <ul className="divide-y divide-slate-100">
+                  {selectedRecord.labTests.map((labTest) => (
+                    <li key={labTest._id} className="flex items-center justify-between py-2 text-sm">
+                      <span className="text-slate-700">
+                        {labTest.test?.testName || 'Lab test'}
+                        {labTest.order?.orderId && <span className="ml-2 font-mono text-slate-500">{labTest.order.orderId}</span>}
+                      </span>
+                      <Badge variant={labTest.status === 'Completed' ? 'success' : labTest.status === 'Cancelled' ? 'danger' : 'warning'}>
+                        {labTest.status === 'Completed' ? 'Result Ready' : labTest.status}
+                      </Badge>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
             {/* Follow-up */}
             {selectedRecord.followUpDate && (
               <div className="border-t pt-4">
@@ -674,6 +805,55 @@ const OPDRecords = () => {
           </div>
         )}
       </Modal>
+
+      {/* Drug Safety Warnings Modal */}
+      <Modal
+        isOpen={!!safetyWarnings}
+        onClose={() => setSafetyWarnings(null)}
+        title="Drug Safety Warnings"
+        size="lg"
+      >
+        {safetyWarnings && (
+          <form onSubmit={handleOverride} className="space-y-4">
+            <p className="text-sm text-slate-600">
+              The prescription was not saved. Review the warnings below against the patient&apos;s allergies and
+              active medications - go back to change the prescription, or give a reason to prescribe anyway.
+            </p>
+
+            {safetyWarnings.map(warning => (
+              <div key={warning.index} className="border border-red-200 bg-red-50 rounded-lg p-4 space-y-2">
+                <p className="font-medium text-slate-800 flex items-center gap-2">
+                  <FiAlertTriangle className="w-4 h-4 text-red-600" />
+                  {warning.medicine}
+                </p>
+                {warning.alerts.map((alert, alertIdx) => (
+                  <div key={alertIdx} className="flex items-start gap-2 text-sm">
+                    <Badge variant={alertSeverityVariant[alert.severity]} size="sm">{alert.severity}</Badge>
+                    <span className="text-slate-700">{alert.message}</span>
+                  </div>
+                ))}
+              </div>
+            ))}
+
+            <Input
+              label="Override Reason"
+              value={overrideReason}
+              onChange={(e) => setOverrideReason(e.target.value)}
+              placeholder="e.g. Tolerated previously, benefits outweigh risk"
+              required
+            />
+
+            <div className="flex justify-end gap-3 pt-4">
+              <Button type="button" variant="outline" onClick={() => setSafetyWarnings(null)}>
+                Change Prescription
+              </Button>
+              <Button type="submit" variant="danger" loading={formLoading}>
+                Prescribe Anyway
+              </Button>
+            </div>
+          </form>
+        )}
+      </Modal>
     </div>
   );
 };
@@ -12,6 +12,7 @@ import Select from '../../components/common/Select';
 import Button from '../../components/common/Button';
 import Badge from '../../components/common/Badge';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
+import { saveBlob } from '../../utils/download';
 import toast from 'react-hot-toast';
 import {
   FiPlus,
@@ -20,7 +21,9 @@ import {
   FiEye,
   FiUser,
   FiMail,
-  FiPhone
+  FiPhone,
+  FiUpload,
+  FiDownload
 } from 'react-icons/fi';
 
 const Patients = () => {
@@ -32,6 +35,7 @@ const Patients = () => {
   const [isViewModalOpen, setIsViewModalOpen] = useState(false);
   const [selectedPatient, setSelectedPatient] = useState(null);
   const [formLoading, setFormLoading] = useState(false);
+  const [uploadLoading, setUploadLoading] = useState(false);
   const [formData, setFormData] = useState({
     name: '',
     email: '',
@@ -40,6 +44,8 @@ const Patients = () => {
     dateOfBirth: '',
     gender: '',
     bloodGroup: '',
+    allergies: '',
+    currentMedications: '',
     address: {
       street: '',
       city: '',
@@ -50,6 +56,11 @@ const Patients = () => {
       name: '',
       relationship: '',
       phone: ''
+    },
+    insuranceInfo: {
+      provider: '',
+      policyNumber: '',
+      validTill: ''
     }
   });
 
@@ -115,6 +126,15 @@ const Patients = () => {
     
     setFormLoading(true);
 
+    // Comma-separated lists; dosage details already on file are kept for medications still listed
+    const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+    const medicalInfo = () => ({
+      allergies: splitList(formData.allergies),
+      currentMedications: splitList(formData.currentMedications).map(name =>
+        selectedPatient?.currentMedications?.find(medication => medication.name === name) || { name }
+      )
+    });
+
     try {
       if (selectedPatient) {
         // For update, send flat structure
@@ -129,8 +149,10 @@ const Patients = () => {
             dateOfBirth: formData.dateOfBirth,
             gender: formData.gender,
             bloodGroup: formData.bloodGroup,
+            ...medicalInfo(),
             address: formData.address,
-            emergencyContact: formData.emergencyContact
+            emergencyContact: formData.emergencyContact,
+            insuranceInfo: formData.insuranceInfo
           }
         });
         toast.success('Patient updated successfully');
@@ -147,8 +169,10 @@ const Patients = () => {
             dateOfBirth: formData.dateOfBirth,
             gender: formData.gender,
             bloodGroup: formData.bloodGroup,
+            ...medicalInfo(),
             address: formData.address,
-            emergencyContact: formData.emergencyContact
+            emergencyContact: formData.emergencyContact,
+            insuranceInfo: formData.insuranceInfo
           }
         });
         toast.success('Patient created successfully');
@@ -173,8 +197,15 @@ const Patients = () => {
       dateOfBirth: patient.dateOfBirth ? patient.dateOfBirth.split('T')[0] : '',
       gender: patient.gender || '',
       bloodGroup: patient.bloodGroup || '',
+      allergies: patient.allergies?.join(', ') || '',
+      currentMedications: patient.currentMedications?.map(medication => medication.name).join(', ') || '',
       address: patient.address || { street: '', city: '', state: '', zipCode: '' },
-      emergencyContact: patient.emergencyContact || { name: '', relationship: '', phone: '' }
+      emergencyContact: patient.emergencyContact || { name: '', relationship: '', phone: '' },
+      insuranceInfo: {
+        provider: patient.insuranceInfo?.provider || '',
+        policyNumber: patient.insuranceInfo?.policyNumber || '',
+        validTill: patient.insuranceInfo?.validTill ? patient.insuranceInfo.validTill.split('T')[0] : ''
+      }
     });
     setIsModalOpen(true);
   };
@@ -196,6 +227,40 @@ const Patients = () => {
     setIsViewModalOpen(true);
   };
 
+  const handleDocumentUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const data = new FormData();
+    data.append('file', file);
+
+    setUploadLoading(true);
+    try {
+      const response = await patientsAPI.uploadDocument(selectedPatient._id, data);
+      setSelectedPatient({
+        ...selectedPatient,
+        documents: [...(selectedPatient.documents || []), response.data.data]
+      });
+      toast.success('Document uploaded successfully');
+      fetchPatients();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to upload document');
+    } finally {
+      setUploadLoading(false);
+    }
+  };
+
+  const handleDocumentDownload = async (doc) => {
+    try {
+      const response = await patientsAPI.downloadDocument(selectedPatient._id, doc._id);
+      saveBlob(response.data, doc.name);
+    } catch (error) {
+      console.log('Failed to download document', error);
+      toast.error('Failed to download document');
+    }
+  };
+
   const resetForm = () => {
     setSelectedPatient(null);
     setFormData({
@@ -206,8 +271,11 @@ const Patients = () => {
       dateOfBirth: '',
       gender: '',
       bloodGroup: '',
+      allergies: '',
+      currentMedications: '',
       address: { street: '', city: '', state: '', zipCode: '' },
-      emergencyContact: { name: '', relationship: '', phone: '' }
+      emergencyContact: { name: '', relationship: '', phone: '' },
+      insuranceInfo: { provider: '', policyNumber: '', validTill: '' }
     });
   };
 
@@ -420,6 +488,24 @@ const Patients = () => {
             />
           </div>
 
+          {/* Medical Info */}
+          <div className="grid grid-cols-2 gap-4">
+            <Input
+              label="Allergies (comma separated)"
+              name="allergies"
+              value={formData.allergies}
+              onChange={handleChange}
+              placeholder="e.g. Penicillin, Sulfa drugs"
+            />
+            <Input
+              label="Current Medications (comma separated)"
+              name="currentMedications"
+              value={formData.currentMedications}
+              onChange={handleChange}
+              placeholder="e.g. Warfarin, Metformin"
+            />
+          </div>
+
           {/* Address */}
           <div className="border-t pt-4">
             <h3 className="font-medium text-slate-800 mb-3">Address</h3>
@@ -476,6 +562,32 @@ const Patients = () => {
             </div>
           </div>
 
+          {/* Insurance */}
+          <div className="border-t pt-4">
+            <h3 className="font-medium text-slate-800 mb-3">Insurance</h3>
+            <div className="grid grid-cols-3 gap-4">
+              <Input
+                label="Provider"
+                name="insuranceInfo.provider"
+                value={formData.insuranceInfo.provider}
+                onChange={handleChange}
+              />
+              <Input
+                label="Policy Number"
+                name="insuranceInfo.policyNumber"
+                value={formData.insuranceInfo.policyNumber}
+                onChange={handleChange}
+              />
+              <Input
+                label="Valid Till"
+                type="date"
+                name="insuranceInfo.validTill"
+                value={formData.insuranceInfo.validTill}
+                onChange={handleChange}
+              />
+            </div>
+          </div>
+
           <div className="flex justify-end gap-3 pt-4">
             <Button
               type="button"
@@ -572,6 +684,18 @@ const Patients = () => {
               </div>
             )}
 
+            {/* Insurance */}
+            {selectedPatient.insuranceInfo?.provider && (
+              <div className="border-t pt-4">
+                <h4 className="font-medium text-slate-800 mb-2">Insurance</h4>
+                <p className="text-slate-600">
+                  {selectedPatient.insuranceInfo.provider} - {selectedPatient.insuranceInfo.policyNumber}
+                  {selectedPatient.insuranceInfo.validTill &&
+                    ` (valid till ${new Date(selectedPatient.insuranceInfo.validTill).toLocaleDateString()})`}
+                </p>
+              </div>
+            )}
+
             {/* Medical Info */}
             {selectedPatient.allergies?.length > 0 && (
               <div className="border-t pt-4">
@@ -583,6 +707,50 @@ const Patients = () => {
                 </div>
               </div>
             )}
+
+            {/* Documents */}
+            <div className="border-t pt-4">
+              <div className="flex items-center justify-between mb-2">
+                <h4 className="font-medium text-slate-800">Documents</h4>
+                <label className={`inline-flex items-center gap-2 text-sm text-blue-600 hover:text-blue-700 ${uploadLoading ? 'opacity-50 pointer-events-none' : 'cursor-pointer'}`}>
+                  <FiUpload className="w-4 h-4" />
+                  {uploadLoading ? 'Uploading...' : 'Upload'}
+                  <input
+                    type="file"
+                    className="hidden"
+                    accept=".jpg,.jpeg,.png,.gif,.pdf,.doc,.docx"
+                    onChange={handleDocumentUpload}
+                    disabled={uploadLoading}
+                  />
+                </label>
+              </div>
+              {selectedPatient.documents?.length > 0 ? (
+                <ul className="divide-y divide-slate-100">
+                  {selectedPatient.documents.map((doc) => (
+                    <li key={doc._id} className="flex items-center justify-between py-2">
+                      <div>
+                        <p className="text-sm font-medium text-slate-700">{doc.name}</p>
+                        <p className="text-xs text-slate-500">
+                          {new Date(doc.uploadedAt).toLocaleDateString()}
+                          {doc.size ? ` - ${(doc.size / 1024).toFixed(1)} KB` : ''}
+                        </p>
+                      </div>
+                      {doc.fileName && (
+                        <button
+                          onClick={() => handleDocumentDownload(doc)}
+                          className="p-1 text-slate-500 hover:text-blue-600"
+                          title="Download"
+                        >
+                          <FiDownload className="w-4 h-4" />
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-sm text-slate-500">No documents uploaded</p>
+              )}
+            </div>
           </div>
         )}
       </Modal>
@@ -0,0 +1,269 @@
+/**
+ * Dispensing Page
+ * Queue of OPD prescriptions and IPD medication orders waiting at the pharmacy
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { pharmacyAPI } from '../../services/api';
+import DataTable from '../../components/common/DataTable';
+import Modal from '../../components/common/Modal';
+import Input from '../../components/common/Input';
+import Select from '../../components/common/Select';
+import Button from '../../components/common/Button';
+import Badge from '../../components/common/Badge';
+import toast from 'react-hot-toast';
+import { FiShoppingBag, FiRefreshCw } from 'react-icons/fi';
+
+const sourceOptions = [
+  { value: 'OPD', label: 'OPD Prescriptions' },
+  { value: 'IPD', label: 'IPD Medication Orders' }
+];
+
+// Units still owed on a line, or '' when the doctor did not prescribe a quantity
+const remainingQuantity = (line) => (line.quantity ? line.quantity - (line.dispensedQuantity || 0) : '');
+
+const Dispensing = () => {
+  const [loading, setLoading] = useState(true);
+  const [queue, setQueue] = useState([]);
+  const [sourceFilter, setSourceFilter] = useState('');
+  const [medicines, setMedicines] = useState([]);
+  const [selectedRecord, setSelectedRecord] = useState(null);
+  const [dispenseItems, setDispenseItems] = useState([]);
+  const [formLoading, setFormLoading] = useState(false);
+
+  const fetchQueue = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await pharmacyAPI.getDispensingQueue({ source: sourceFilter || undefined });
+      setQueue(response.data.data || []);
+    } catch (error) {
+      console.log('Failed to fetch dispensing queue', error);
+      toast.error('Failed to fetch dispensing queue');
+    } finally {
+      setLoading(false);
+    }
+  }, [sourceFilter]);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  useEffect(() => {
+    pharmacyAPI.getAll({ limit: 500 })
+      .then(response => setMedicines(response.data.data || []))
+      .catch(error => console.log('Failed to fetch medicines', error));
+  }, []);
+
+  const openDispenseModal = (record) => {
+    setSelectedRecord(record);
+    setDispenseItems(record.items.map(line => ({
+      lineId: line._id,
+      selected: Boolean(line.medicineId),
+      medicineId: line.medicineId?._id || '',
+      quantity: remainingQuantity(line).toString()
+    })));
+  };
+
+  const updateItem = (index, field, value) => {
+    const updated = [...dispenseItems];
+    updated[index] = { ...updated[index], [field]: value };
+    setDispenseItems(updated);
+  };
+
+  const handleDispense = async (e) => {
+    e.preventDefault();
+    const items = dispenseItems
+      .filter(item => item.selected)
+      .map(item => ({
+        lineId: item.lineId,
+        medicineId: item.medicineId,
+        quantity: parseInt(item.quantity) || 0
+      }));
+
+    if (items.length === 0) {
+      toast.error('Select at least one medicine to dispense');
+      return;
+    }
+
+    setFormLoading(true);
+    try {
+      const response = await pharmacyAPI.dispense(selectedRecord.source, selectedRecord._id, { items });
+      const bill = response.data.bill;
+      toast.success(bill
+        ? `Dispensed ${items.length} item(s) and billed on ${bill.invoiceId}`
+        : `Dispensed ${items.length} item(s) - billing failed, please add the charges manually`);
+      setSelectedRecord(null);
+      fetchQueue();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to dispense');
+    } finally {
+      setFormLoading(false);
+    }
+  };
+
+  const medicineOptions = medicines.map(medicine => ({
+    value: medicine._id,
+    label: `${medicine.name} (${medicine.stock} in stock)${medicine.prescriptionRequired ? ' - Rx' : ''}`
+  }));
+
+  const columns = [
+    {
+      key: 'recordId',
+      header: 'Record',
+      render: (value, row) => (
+        <div className="flex items-center gap-2">
+          <span className="font-mono text-sm">{value}</span>
+          <Badge variant={row.source === 'IPD' ? 'warning' : 'info'}>{row.source}</Badge>
+        </div>
+      )
+    },
+    {
+      key: 'patient',
+      header: 'Patient',
+      render: (value) => (
+        <div>
+          <p className="font-medium text-slate-800">{value?.userId?.name || 'N/A'}</p>
+          <p className="text-xs text-slate-500">{value?.patientId}</p>
+        </div>
+      )
+    },
+    {
+      key: 'doctor',
+      header: 'Prescribed By',
+      render: (value) => (value?.userId?.name ? `Dr. ${value.userId.name}` : '-')
+    },
+    {
+      key: 'date',
+      header: 'Date',
+      render: (value) => (value ? new Date(value).toLocaleDateString() : '-')
+    },
+    {
+      key: 'items',
+      header: 'Pending Medicines',
+      render: (value) => (
+        <div className="space-y-1">
+          {value.map(line => (
+            <p key={line._id} className="text-sm">
+              {line.medicineId?.name || line.medicine}
+              {line.quantity ? ` x ${remainingQuantity(line)}` : ''}
+              {line.dispenseStatus === 'PARTIAL' && <span className="ml-2 text-xs text-yellow-600">partly dispensed</span>}
+            </p>
+          ))}
+        </div>
+      )
+    },
+    {
+      key: 'actions',
+      header: 'Actions',
+      render: (_, row) => (
+        <Button size="sm" icon={FiShoppingBag} onClick={() => openDispenseModal(row)}>
+          Dispense
+        </Button>
+      )
+    }
+  ];
+
+  return (
+    <div className="space-y-6">
+      {/* Page Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-slate-800">Dispensing</h1>
+          <p className="text-slate-500">Prescriptions waiting to be dispensed</p>
+        </div>
+        <Button variant="outline" icon={FiRefreshCw} onClick={fetchQueue}>
+          Refresh
+        </Button>
+      </div>
+
+      {/* Filters */}
+      <div className="flex gap-4">
+        <Select
+          value={sourceFilter}
+          onChange={(e) => setSourceFilter(e.target.value)}
+          options={sourceOptions}
+          placeholder="All Prescriptions"
+          className="w-56"
+        />
+      </div>
+
+      <DataTable
+        columns={columns}
+        data={queue}
+        loading={loading}
+        emptyMessage="No prescriptions waiting"
+      />
+
+      {/* Dispense Modal */}
+      <Modal
+        isOpen={!!selectedRecord}
+        onClose={() => setSelectedRecord(null)}
+        title={`Dispense - ${selectedRecord?.recordId || ''}`}
+        size="xl"
+      >
+        {selectedRecord && (
+          <form onSubmit={handleDispense} className="space-y-4">
+            <p className="text-sm text-slate-500">
+              {selectedRecord.patient?.userId?.name} - stock is drawn from the first-expiring batches and
+              charged to the patient&apos;s {selectedRecord.source === 'IPD' ? 'IPD draft bill' : 'bill'}.
+            </p>
+
+            {selectedRecord.items.map((line, index) => (
+              <div key={line._id} className="border border-slate-200 rounded-lg p-4 space-y-3">
+                <label className="flex items-start gap-3">
+                  <input
+                    type="checkbox"
+                    className="mt-1"
+                    checked={dispenseItems[index]?.selected || false}
+                    onChange={(e) => updateItem(index, 'selected', e.target.checked)}
+                  />
+                  <div>
+                    <p className="font-medium text-slate-800">{line.medicine || line.medicineId?.name}</p>
+                    <p className="text-xs text-slate-500">
+                      {[line.dosage, line.frequency, line.duration, line.instructions].filter(Boolean).join(' | ') || 'No directions'}
+                      {line.quantity ? ` | Prescribed ${line.quantity}, dispensed ${line.dispensedQuantity || 0}` : ''}
+                    </p>
+                  </div>
+                </label>
+
+                {dispenseItems[index]?.selected && (
+                  <div className="grid grid-cols-3 gap-4">
+                    <Select
+                      label="Medicine"
+                      value={dispenseItems[index].medicineId}
+                      onChange={(e) => updateItem(index, 'medicineId', e.target.value)}
+                      options={medicineOptions}
+                      placeholder="Select stocked medicine"
+                      className="col-span-2"
+                      required
+                    />
+                    <Input
+                      label="Quantity"
+                      type="number"
+                      value={dispenseItems[index].quantity}
+                      onChange={(e) => updateItem(index, 'quantity', e.target.value)}
+                      min="1"
+                      max={line.quantity ? remainingQuantity(line) : undefined}
+                      required
+                    />
+                  </div>
+                )}
+              </div>
+            ))}
+
+            <div className="flex justify-end gap-3 pt-4">
+              <Button type="button" variant="outline" onClick={() => setSelectedRecord(null)}>
+                Cancel
+              </Button>
+              <Button type="submit" icon={FiShoppingBag} loading={formLoading}>
+                Dispense
+              </Button>
+            </div>
+          </form>
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+export default Dispensing;
@@ -4,7 +4,7 @@
  */
 
 import { useState, useEffect } from 'react';
-import { pharmacyAPI } from '../../services/api';
+import { pharmacyAPI, procurementAPI } from '../../services/api';
 import DataTable from '../../components/common/DataTable';
 import Modal from '../../components/common/Modal';
 import Input from '../../components/common/Input';
@@ -18,9 +18,40 @@ import {
   FiEdit2,
   FiTrash2,
   FiPackage,
-  FiAlertTriangle
+  FiAlertTriangle,
+  FiLayers,
+  FiClipboard,
+  FiTruck
 } from 'react-icons/fi';
 
+const emptyBatchForm = {
+  batchNumber: '',
+  manufacturingDate: '',
+  expiryDate: '',
+  quantity: '',
+  purchasePrice: '',
+  invoiceNumber: ''
+};
+
+const emptyIssueForm = {
+  quantity: '',
+  type: 'DISPENSE',
+  reason: '',
+  prescriptionNumber: ''
+};
+
+const MOVEMENT_LABELS = {
+  OPENING_BALANCE: 'Opening Balance',
+  RECEIPT: 'Receipt',
+  DISPENSE: 'Dispense',
+  RETURN: 'Return',
+  ADJUSTMENT: 'Adjustment',
+  WASTAGE: 'Wastage',
+  EXPIRY: 'Expiry Write-off'
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : '-');
+
 const Pharmacy = () => {
   const [loading, setLoading] = useState(true);
   const [medicines, setMedicines] = useState([]);
@@ -30,6 +61,22 @@ const Pharmacy = () => {
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [selectedMedicine, setSelectedMedicine] = useState(null);
   const [formLoading, setFormLoading] = useState(false);
+  const [batchMedicine, setBatchMedicine] = useState(null);
+  const [batchForm, setBatchForm] = useState(emptyBatchForm);
+  const [issueForm, setIssueForm] = useState(emptyIssueForm);
+  const [movements, setMovements] = useState([]);
+  const [stockLoading, setStockLoading] = useState(false);
+  const [expiryReport, setExpiryReport] = useState({ expired: [], expiringSoon: [] });
+  const [expiryReportType, setExpiryReportType] = useState(null);
+  const [isReconciliationOpen, setIsReconciliationOpen] = useState(false);
+  const [reconciliationFilters, setReconciliationFilters] = useState({ from: '', to: '', discrepanciesOnly: false });
+  const [reconciliation, setReconciliation] = useState([]);
+  const [reconciliationLoading, setReconciliationLoading] = useState(false);
+  const [suppliers, setSuppliers] = useState([]);
+  const [isSpendReportOpen, setIsSpendReportOpen] = useState(false);
+  const [spendFilters, setSpendFilters] = useState({ from: '', to: '' });
+  const [spendReport, setSpendReport] = useState({ data: [], totalSpend: 0 });
+  const [spendLoading, setSpendLoading] = useState(false);
   const [formData, setFormData] = useState({
     name: '',
     genericName: '',
@@ -42,6 +89,7 @@ const Pharmacy = () => {
     purchasePrice: '',
     sellingPrice: '',
     minStockLevel: '',
+    supplierId: '',
     description: ''
   });
 
@@ -49,6 +97,28 @@ const Pharmacy = () => {
     fetchMedicines();
   }, [pagination.page, searchTerm, categoryFilter]);
 
+  useEffect(() => {
+    fetchExpiryReport();
+    procurementAPI.getSuppliers()
+      .then(response => setSuppliers(response.data.data || []))
+      .catch(error => console.log('Failed to fetch suppliers', error));
+  }, []);
+
+  const fetchExpiryReport = async () => {
+    try {
+      const [expiredRes, expiringRes] = await Promise.all([
+        pharmacyAPI.getExpired(),
+        pharmacyAPI.getExpiringSoon()
+      ]);
+      setExpiryReport({
+        expired: expiredRes.data.data || [],
+        expiringSoon: expiringRes.data.data || []
+      });
+    } catch (error) {
+      console.log('Failed to fetch expiry report', error);
+    }
+  };
+
   const fetchMedicines = async () => {
     try {
       setLoading(true);
@@ -81,14 +151,26 @@ const Pharmacy = () => {
     setFormLoading(true);
 
     try {
+      const { batchNumber, manufacturingDate, expiryDate, stock, ...fields } = formData;
       const payload = {
-        ...formData,
-        stock: parseInt(formData.stock) || 0,
+        ...fields,
         purchasePrice: parseFloat(formData.purchasePrice) || 0,
         sellingPrice: parseFloat(formData.sellingPrice) || 0,
-        minStockLevel: parseInt(formData.minStockLevel) || 10
+        minStockLevel: parseInt(formData.minStockLevel) || 10,
+        supplierId: formData.supplierId || null
       };
 
+      // Stock of a new medicine comes in as its opening batch
+      if (!selectedMedicine) {
+        payload.batches = [{
+          batchNumber,
+          manufacturingDate: manufacturingDate || undefined,
+          expiryDate,
+          quantity: parseInt(stock) || 0,
+          purchasePrice: payload.purchasePrice
+        }];
+      }
+
       if (selectedMedicine) {
         await pharmacyAPI.update(selectedMedicine._id, payload);
         toast.success('Medicine updated successfully');
@@ -113,13 +195,14 @@ const Pharmacy = () => {
       genericName: medicine.genericName || '',
       category: medicine.category || '',
       manufacturer: medicine.manufacturer || '',
-      batchNumber: medicine.batchNumber || '',
-      manufacturingDate: medicine.manufacturingDate ? medicine.manufacturingDate.split('T')[0] : '',
-      expiryDate: medicine.expiryDate ? medicine.expiryDate.split('T')[0] : '',
-      stock: medicine.stock?.toString() || '',
+      batchNumber: '',
+      manufacturingDate: '',
+      expiryDate: '',
+      stock: '',
       purchasePrice: medicine.purchasePrice?.toString() || '',
       sellingPrice: medicine.sellingPrice?.toString() || '',
       minStockLevel: medicine.minStockLevel?.toString() || '',
+      supplierId: medicine.supplierId?._id || medicine.supplierId || '',
       description: medicine.description || ''
     });
     setIsModalOpen(true);
@@ -137,6 +220,146 @@ const Pharmacy = () => {
     }
   };
 
+  const fetchMovements = async (medicineId) => {
+    try {
+      const response = await pharmacyAPI.getMovements(medicineId, { limit: 10 });
+      setMovements(response.data.data || []);
+    } catch (error) {
+      console.log('Failed to fetch stock movements', error);
+    }
+  };
+
+  const openBatches = (medicine) => {
+    setBatchMedicine(medicine);
+    setBatchForm({ ...emptyBatchForm, purchasePrice: medicine.purchasePrice?.toString() || '' });
+    setIssueForm(emptyIssueForm);
+    setMovements([]);
+    fetchMovements(medicine._id);
+  };
+
+  const fetchReconciliation = async () => {
+    setReconciliationLoading(true);
+    try {
+      const response = await pharmacyAPI.getReconciliation({
+        from: reconciliationFilters.from || undefined,
+        to: reconciliationFilters.to || undefined,
+        discrepanciesOnly: reconciliationFilters.discrepanciesOnly || undefined
+      });
+      setReconciliation(response.data.data || []);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load reconciliation');
+    } finally {
+      setReconciliationLoading(false);
+    }
+  };
+
+  const fetchSpendReport = async () => {
+    setSpendLoading(true);
+    try {
+      const response = await procurementAPI.getSupplierSpend({
+        from: spendFilters.from || undefined,
+        to: spendFilters.to || undefined
+      });
+      setSpendReport({ data: response.data.data || [], totalSpend: response.data.totalSpend || 0 });
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load supplier spend');
+    } finally {
+      setSpendLoading(false);
+    }
+  };
+
+  const handleStockUpdate = async (data, successMessage) => {
+    setStockLoading(true);
+    try {
+      const response = await pharmacyAPI.updateStock(batchMedicine._id, data);
+      setBatchMedicine(response.data.data);
+      toast.success(successMessage(response.data));
+      fetchMovements(batchMedicine._id);
+      fetchMedicines();
+      fetchExpiryReport();
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update stock');
+      return false;
+    } finally {
+      setStockLoading(false);
+    }
+  };
+
+  const handleReceiveBatch = async (e) => {
+    e.preventDefault();
+    const received = await handleStockUpdate({
+      operation: 'add',
+      batchNumber: batchForm.batchNumber,
+      manufacturingDate: batchForm.manufacturingDate || undefined,
+      expiryDate: batchForm.expiryDate || undefined,
+      quantity: parseInt(batchForm.quantity) || 0,
+      purchasePrice: batchForm.purchasePrice === '' ? undefined : parseFloat(batchForm.purchasePrice),
+      reference: batchForm.invoiceNumber
+        ? { type: 'Supplier Invoice', number: batchForm.invoiceNumber }
+        : undefined
+    }, () => `Batch ${batchForm.batchNumber} received`);
+
+    if (received) {
+      setBatchForm({ ...emptyBatchForm, purchasePrice: batchForm.purchasePrice });
+    }
+  };
+
+  const handleIssueStock = async (e) => {
+    e.preventDefault();
+    const issued = await handleStockUpdate({
+      operation: 'subtract',
+      type: issueForm.type,
+      quantity: parseInt(issueForm.quantity) || 0,
+      reason: issueForm.reason || undefined,
+      reference: issueForm.prescriptionNumber
+        ? { type: 'Prescription', number: issueForm.prescriptionNumber }
+        : undefined
+    }, ({ allocations = [] }) => `Issued from ${allocations.map(a => `${a.batchNumber} (${a.quantity})`).join(', ')}`);
+
+    if (issued) {
+      setIssueForm({ ...emptyIssueForm, type: issueForm.type });
+    }
+  };
+
+  // Single-batch movements: expiry write-off, customer return and physical count correction
+  const handleBatchAction = async (batch, action) => {
+    if (action === 'writeOff') {
+      const reason = window.prompt(`Reason for writing off ${batch.quantity} units of batch ${batch.batchNumber}:`, 'Expired');
+      if (!reason) return;
+      await handleStockUpdate({
+        operation: 'subtract',
+        type: 'EXPIRY',
+        batchNumber: batch.batchNumber,
+        quantity: batch.quantity,
+        reason
+      }, () => `Batch ${batch.batchNumber} written off`);
+    } else if (action === 'return') {
+      const quantity = parseInt(window.prompt(`Quantity returned to batch ${batch.batchNumber}:`));
+      if (!quantity) return;
+      const reason = window.prompt('Reason for the return:');
+      if (!reason) return;
+      await handleStockUpdate({
+        operation: 'add',
+        type: 'RETURN',
+        batchNumber: batch.batchNumber,
+        quantity,
+        reason
+      }, () => `${quantity} units returned to batch ${batch.batchNumber}`);
+    } else {
+      const counted = window.prompt(`Counted quantity of batch ${batch.batchNumber}:`, batch.quantity);
+      if (counted === null || counted === '') return;
+      const reason = window.prompt('Reason for the adjustment:');
+      if (!reason) return;
+      await handleStockUpdate({
+        operation: 'set',
+        batchNumber: batch.batchNumber,
+        quantity: parseInt(counted) || 0,
+        reason
+      }, () => `Batch ${batch.batchNumber} adjusted`);
+    }
+  };
+
   const resetForm = () => {
     setSelectedMedicine(null);
     setFormData({
@@ -151,6 +374,7 @@ const Pharmacy = () => {
       purchasePrice: '',
       sellingPrice: '',
       minStockLevel: '',
+      supplierId: '',
       description: ''
     });
   };
@@ -178,6 +402,24 @@ const Pharmacy = () => {
     return new Date(expiryDate) < new Date();
   };
 
+  // Nearest expiry among batches still holding stock
+  const getNextExpiry = (medicine) => {
+    const expiries = (medicine.batches || [])
+      .filter(batch => batch.quantity > 0)
+      .map(batch => new Date(batch.expiryDate));
+    return expiries.length > 0 ? new Date(Math.min(...expiries)) : null;
+  };
+
+  const renderExpiry = (value) => (
+    <div className="flex items-center gap-2">
+      <span className={isExpired(value) ? 'text-red-600' : isExpiringSoon(value) ? 'text-yellow-600' : ''}>
+        {formatDate(value)}
+      </span>
+      {isExpired(value) && <Badge variant="danger">Expired</Badge>}
+      {isExpiringSoon(value) && !isExpired(value) && <Badge variant="warning">Expiring</Badge>}
+    </div>
+  );
+
   const columns = [
     {
       key: 'medicineId',
@@ -206,6 +448,9 @@ const Pharmacy = () => {
         <div className="flex items-center gap-2">
           <span className="font-medium">{value}</span>
           {value <= (row.minStockLevel || 10) && <FiAlertTriangle className="w-4 h-4 text-yellow-500" />}
+          <span className="text-xs text-slate-500">
+            {row.batches?.filter(batch => batch.quantity > 0).length || 0} batches
+          </span>
         </div>
       )
     },
@@ -215,17 +460,9 @@ const Pharmacy = () => {
       render: (value) => `₹${value}`
     },
     {
-      key: 'expiryDate',
-      label: 'Expiry',
-      render: (value) => (
-        <div className="flex items-center gap-2">
-          <span className={isExpired(value) ? 'text-red-600' : isExpiringSoon(value) ? 'text-yellow-600' : ''}>
-            {value ? new Date(value).toLocaleDateString() : '-'}
-          </span>
-          {isExpired(value) && <Badge variant="danger">Expired</Badge>}
-          {isExpiringSoon(value) && !isExpired(value) && <Badge variant="warning">Expiring</Badge>}
-        </div>
-      )
+      key: 'nextExpiry',
+      label: 'Next Expiry',
+      render: (_, row) => renderExpiry(getNextExpiry(row))
     },
     {
       key: 'status',
@@ -237,6 +474,13 @@ const Pharmacy = () => {
       label: 'Actions',
       render: (_, row) => (
         <div className="flex items-center gap-2">
+          <button
+            onClick={() => openBatches(row)}
+            className="p-1 text-slate-500 hover:text-blue-600"
+            title="Batches"
+          >
+            <FiLayers className="w-4 h-4" />
+          </button>
           <button
             onClick={() => handleEdit(row)}
             className="p-1 text-slate-500 hover:text-yellow-600"
@@ -271,7 +515,127 @@ const Pharmacy = () => {
   // Calculate stats
   const lowStockCount = medicines.filter(m => m.stock <= (m.minStockLevel || 10) && m.stock > 0).length;
   const outOfStockCount = medicines.filter(m => m.stock <= 0).length;
-  const expiringCount = medicines.filter(m => isExpiringSoon(m.expiryDate)).length;
+  const expiringCount = expiryReport.expiringSoon.length;
+  const expiredCount = expiryReport.expired.length;
+
+  const batchColumns = [
+    { key: 'batchNumber', header: 'Batch' },
+    { key: 'manufacturingDate', header: 'Mfg', render: (value) => formatDate(value) },
+    { key: 'expiryDate', header: 'Expiry', render: (value) => renderExpiry(value) },
+    { key: 'quantity', header: 'Qty', render: (value) => value },
+    { key: 'purchasePrice', header: 'Cost', render: (value) => (value != null ? `₹${value}` : '-') }
+  ];
+
+  const batchActionColumn = {
+    key: 'actions',
+    header: 'Actions',
+    render: (_, row) => (
+      <div className="flex items-center gap-2 text-xs">
+        {isExpired(row.expiryDate) && row.quantity > 0 && (
+          <button onClick={() => handleBatchAction(row, 'writeOff')} className="text-red-600 hover:underline">
+            Write off
+          </button>
+        )}
+        <button onClick={() => handleBatchAction(row, 'return')} className="text-blue-600 hover:underline">
+          Return
+        </button>
+        <button onClick={() => handleBatchAction(row, 'adjust')} className="text-slate-600 hover:underline">
+          Adjust
+        </button>
+      </div>
+    )
+  };
+
+  const movementColumns = [
+    { key: 'createdAt', header: 'Date', render: (value) => new Date(value).toLocaleString() },
+    { key: 'type', header: 'Type', render: (value) => MOVEMENT_LABELS[value] || value },
+    { key: 'batchNumber', header: 'Batch' },
+    {
+      key: 'quantity',
+      header: 'Qty',
+      render: (value) => (
+        <span className={value < 0 ? 'text-red-600' : 'text-green-600'}>{value > 0 ? `+${value}` : value}</span>
+      )
+    },
+    { key: 'balanceAfter', header: 'Balance', render: (value) => value },
+    {
+      key: 'reason',
+      header: 'Reason / Reference',
+      render: (_, row) => [row.reason, row.reference?.number && `${row.reference.type}: ${row.reference.number}`]
+        .filter(Boolean).join(' - ') || '-'
+    },
+    { key: 'performedBy', header: 'By', render: (value) => value?.name || 'System' }
+  ];
+
+  const sumMovements = (row, types) => types.reduce((sum, type) => sum + (row.movements[type] || 0), 0);
+
+  const reconciliationColumns = [
+    {
+      key: 'name',
+      header: 'Medicine',
+      render: (_, row) => (
+        <div>
+          <p className="font-medium text-slate-800">{row.name}</p>
+          <p className="text-xs text-slate-500">{row.medicineId}</p>
+        </div>
+      )
+    },
+    { key: 'opening', header: 'Opening', render: (value) => value },
+    { key: 'in', header: 'In', render: (_, row) => sumMovements(row, ['OPENING_BALANCE', 'RECEIPT', 'RETURN']) },
+    { key: 'out', header: 'Out', render: (_, row) => sumMovements(row, ['DISPENSE', 'WASTAGE', 'EXPIRY']) },
+    { key: 'adjusted', header: 'Adjusted', render: (_, row) => sumMovements(row, ['ADJUSTMENT']) },
+    { key: 'closing', header: 'Closing', render: (value) => value },
+    { key: 'stock', header: 'On Shelf', render: (value) => value },
+    {
+      key: 'variance',
+      header: 'Variance',
+      render: (value, row) => (
+        <div>
+          <span className={value !== 0 ? 'font-medium text-red-600' : ''}>{value}</span>
+          {row.discrepancies.map(batch => (
+            <p key={batch.batchNumber} className="text-xs text-red-500">
+              {batch.batchNumber}: shelf {batch.quantity}, ledger {batch.ledgerQuantity}
+            </p>
+          ))}
+        </div>
+      )
+    }
+  ];
+
+  const spendColumns = [
+    {
+      key: 'name',
+      header: 'Supplier',
+      render: (_, row) => (
+        <div>
+          <p className="font-medium text-slate-800">{row.name}</p>
+          <p className="text-xs text-slate-500">{row.supplierId}</p>
+        </div>
+      )
+    },
+    { key: 'orders', header: 'Orders', render: (value) => value },
+    { key: 'receipts', header: 'Receipts', render: (value) => value },
+    { key: 'lastReceivedAt', header: 'Last Received', render: (value) => formatDate(value) },
+    { key: 'spend', header: 'Spend', render: (value) => `₹${value.toLocaleString()}` },
+    { key: 'outstanding', header: 'Still on Order', render: (value) => `₹${value.toLocaleString()}` }
+  ];
+
+  const supplierOptions = suppliers.map(supplier => ({ value: supplier._id, label: supplier.name }));
+
+  const expiryReportColumns = [
+    {
+      key: 'name',
+      header: 'Medicine',
+      render: (_, row) => (
+        <div>
+          <p className="font-medium text-slate-800">{row.name}</p>
+          <p className="text-xs text-slate-500">{row.medicineId}</p>
+        </div>
+      )
+    },
+    ...batchColumns,
+    { key: 'stockValue', header: 'Value', render: (value) => `₹${value}` }
+  ];
 
   if (loading && medicines.length === 0) {
     return (
@@ -289,19 +653,41 @@ const Pharmacy = () => {
           <h1 className="text-2xl font-bold text-slate-800">Pharmacy</h1>
           <p className="text-slate-500">Manage medicine inventory</p>
         </div>
-        <Button
-          icon={FiPlus}
-          onClick={() => {
-            resetForm();
-            setIsModalOpen(true);
-          }}
-        >
-          Add Medicine
-        </Button>
+        <div className="flex gap-3">
+          <Button
+            variant="outline"
+            icon={FiClipboard}
+            onClick={() => {
+              setIsReconciliationOpen(true);
+              fetchReconciliation();
+            }}
+          >
+            Reconciliation
+          </Button>
+          <Button
+            variant="outline"
+            icon={FiTruck}
+            onClick={() => {
+              setIsSpendReportOpen(true);
+              fetchSpendReport();
+            }}
+          >
+            Supplier Spend
+          </Button>
+          <Button
+            icon={FiPlus}
+            onClick={() => {
+              resetForm();
+              setIsModalOpen(true);
+            }}
+          >
+            Add Medicine
+          </Button>
+        </div>
       </div>
 
       {/* Alert Cards */}
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
         {lowStockCount > 0 && (
           <div className="bg-yellow-50 border border-yellow-200 rounded-xl p-4 flex items-center gap-3">
             <FiAlertTriangle className="w-6 h-6 text-yellow-600" />
@@ -321,13 +707,30 @@ const Pharmacy = () => {
           </div>
         )}
         {expiringCount > 0 && (
-          <div className="bg-orange-50 border border-orange-200 rounded-xl p-4 flex items-center gap-3">
+          <button
+            type="button"
+            onClick={() => setExpiryReportType('expiringSoon')}
+            className="bg-orange-50 border border-orange-200 rounded-xl p-4 flex items-center gap-3 text-left"
+          >
             <FiAlertTriangle className="w-6 h-6 text-orange-600" />
             <div>
               <p className="font-medium text-orange-800">Expiring Soon</p>
-              <p className="text-sm text-orange-600">{expiringCount} items expiring in 30 days</p>
+              <p className="text-sm text-orange-600">{expiringCount} batches expiring in 30 days</p>
             </div>
-          </div>
+          </button>
+        )}
+        {expiredCount > 0 && (
+          <button
+            type="button"
+            onClick={() => setExpiryReportType('expired')}
+            className="bg-red-50 border border-red-200 rounded-xl p-4 flex items-center gap-3 text-left"
+          >
+            <FiAlertTriangle className="w-6 h-6 text-red-600" />
+            <div>
+              <p className="font-medium text-red-800">Expired Stock</p>
+              <p className="text-sm text-red-600">{expiredCount} expired batches on the shelf</p>
+            </div>
+          </button>
         )}
       </div>
 
@@ -397,43 +800,49 @@ const Pharmacy = () => {
             />
           </div>
 
-          <div className="grid grid-cols-2 gap-4">
-            <Input
-              label="Batch Number"
-              name="batchNumber"
-              value={formData.batchNumber}
-              onChange={handleChange}
-              required
-            />
-            <Input
-              label="Manufacturing Date"
-              type="date"
-              name="manufacturingDate"
-              value={formData.manufacturingDate}
-              onChange={handleChange}
-              required
-            />
-          </div>
+          {!selectedMedicine && (
+            <>
+              <p className="text-sm font-medium text-slate-700">Opening Batch</p>
+              <div className="grid grid-cols-2 gap-4">
+                <Input
+                  label="Batch Number"
+                  name="batchNumber"
+                  value={formData.batchNumber}
+                  onChange={handleChange}
+                  required
+                />
+                <Input
+                  label="Manufacturing Date"
+                  type="date"
+                  name="manufacturingDate"
+                  value={formData.manufacturingDate}
+                  onChange={handleChange}
+                />
+              </div>
 
-          <Input
-            label="Expiry Date"
-            type="date"
-            name="expiryDate"
-            value={formData.expiryDate}
-            onChange={handleChange}
-            required
-          />
+              <div className="grid grid-cols-2 gap-4">
+                <Input
+                  label="Expiry Date"
+                  type="date"
+                  name="expiryDate"
+                  value={formData.expiryDate}
+                  onChange={handleChange}
+                  required
+                />
+                <Input
+                  label="Quantity"
+                  type="number"
+                  name="stock"
+                  value={formData.stock}
+                  onChange={handleChange}
+                  min="0"
+                  required
+                />
+              </div>
+            </>
+          )}
 
-          <div className="grid grid-cols-3 gap-4">
-            <Input
-              label="Stock Quantity"
-              type="number"
-              name="stock"
-              value={formData.stock}
-              onChange={handleChange}
-              min="0"
-              required
-            />
+          <div className="grid grid-cols-2 gap-4">
             <Input
               label="Purchase Price (₹)"
               type="number"
@@ -456,15 +865,25 @@ const Pharmacy = () => {
             />
           </div>
 
-          <Input
-            label="Min Stock Level"
-            type="number"
-            name="minStockLevel"
-            value={formData.minStockLevel}
-            onChange={handleChange}
-            min="0"
-            placeholder="Minimum stock before reorder alert"
-          />
+          <div className="grid grid-cols-2 gap-4">
+            <Input
+              label="Min Stock Level"
+              type="number"
+              name="minStockLevel"
+              value={formData.minStockLevel}
+              onChange={handleChange}
+              min="0"
+              placeholder="Minimum stock before reorder alert"
+            />
+            <Select
+              label="Preferred Supplier"
+              name="supplierId"
+              value={formData.supplierId}
+              onChange={handleChange}
+              options={supplierOptions}
+              placeholder="No preferred supplier"
+            />
+          </div>
 
           <div>
             <label className="block text-sm font-medium text-slate-700 mb-1">
@@ -497,6 +916,225 @@ const Pharmacy = () => {
           </div>
         </form>
       </Modal>
+
+      {/* Batches Modal */}
+      <Modal
+        isOpen={!!batchMedicine}
+        onClose={() => setBatchMedicine(null)}
+        title={`Batches - ${batchMedicine?.name || ''}`}
+        size="lg"
+      >
+        {batchMedicine && (
+          <div className="space-y-6">
+            <DataTable
+              columns={[...batchColumns, batchActionColumn]}
+              data={[...batchMedicine.batches].sort((a, b) => new Date(a.expiryDate) - new Date(b.expiryDate))}
+              emptyMessage="No batches received yet"
+            />
+
+            <form onSubmit={handleIssueStock} className="space-y-4">
+              <p className="text-sm font-medium text-slate-700">Issue Stock (first-expiring batches first)</p>
+              <div className="grid grid-cols-3 gap-4">
+                <Select
+                  label="Movement"
+                  value={issueForm.type}
+                  onChange={(e) => setIssueForm({ ...issueForm, type: e.target.value })}
+                  options={[
+                    { value: 'DISPENSE', label: 'Dispense' },
+                    { value: 'WASTAGE', label: 'Wastage / Damage' }
+                  ]}
+                  required
+                />
+                <Input
+                  label="Quantity"
+                  type="number"
+                  value={issueForm.quantity}
+                  onChange={(e) => setIssueForm({ ...issueForm, quantity: e.target.value })}
+                  min="1"
+                  required
+                />
+                {issueForm.type === 'DISPENSE' ? (
+                  <Input
+                    label="Prescription No."
+                    value={issueForm.prescriptionNumber}
+                    onChange={(e) => setIssueForm({ ...issueForm, prescriptionNumber: e.target.value })}
+                  />
+                ) : (
+                  <Input
+                    label="Reason"
+                    value={issueForm.reason}
+                    onChange={(e) => setIssueForm({ ...issueForm, reason: e.target.value })}
+                    required
+                  />
+                )}
+              </div>
+              <div className="flex justify-end">
+                <Button type="submit" variant="outline" loading={stockLoading}>
+                  Issue Stock
+                </Button>
+              </div>
+            </form>
+
+            <form onSubmit={handleReceiveBatch} className="space-y-4">
+              <p className="text-sm font-medium text-slate-700">Receive Batch</p>
+              <div className="grid grid-cols-2 gap-4">
+                <Input
+                  label="Batch Number"
+                  value={batchForm.batchNumber}
+                  onChange={(e) => setBatchForm({ ...batchForm, batchNumber: e.target.value })}
+                  required
+                />
+                <Input
+                  label="Quantity"
+                  type="number"
+                  value={batchForm.quantity}
+                  onChange={(e) => setBatchForm({ ...batchForm, quantity: e.target.value })}
+                  min="1"
+                  required
+                />
+              </div>
+              <div className="grid grid-cols-3 gap-4">
+                <Input
+                  label="Manufacturing Date"
+                  type="date"
+                  value={batchForm.manufacturingDate}
+                  onChange={(e) => setBatchForm({ ...batchForm, manufacturingDate: e.target.value })}
+                />
+                <Input
+                  label="Expiry Date (new batch)"
+                  type="date"
+                  value={batchForm.expiryDate}
+                  onChange={(e) => setBatchForm({ ...batchForm, expiryDate: e.target.value })}
+                />
+                <Input
+                  label="Purchase Price (₹)"
+                  type="number"
+                  value={batchForm.purchasePrice}
+                  onChange={(e) => setBatchForm({ ...batchForm, purchasePrice: e.target.value })}
+                  min="0"
+                  step="0.01"
+                />
+              </div>
+              <Input
+                label="Supplier Invoice No."
+                value={batchForm.invoiceNumber}
+                onChange={(e) => setBatchForm({ ...batchForm, invoiceNumber: e.target.value })}
+              />
+              <div className="flex justify-end">
+                <Button type="submit" icon={FiPlus} loading={stockLoading}>
+                  Receive
+                </Button>
+              </div>
+            </form>
+
+            <div className="space-y-2">
+              <p className="text-sm font-medium text-slate-700">Recent Stock Movements</p>
+              <DataTable
+                columns={movementColumns}
+                data={movements}
+                emptyMessage="No stock movements recorded"
+              />
+            </div>
+          </div>
+        )}
+      </Modal>
+
+      {/* Reconciliation Modal */}
+      <Modal
+        isOpen={isReconciliationOpen}
+        onClose={() => setIsReconciliationOpen(false)}
+        title="Stock Reconciliation"
+        size="full"
+      >
+        <div className="space-y-4">
+          <div className="flex flex-wrap items-end gap-4">
+            <Input
+              label="From"
+              type="date"
+              value={reconciliationFilters.from}
+              onChange={(e) => setReconciliationFilters({ ...reconciliationFilters, from: e.target.value })}
+            />
+            <Input
+              label="To"
+              type="date"
+              value={reconciliationFilters.to}
+              onChange={(e) => setReconciliationFilters({ ...reconciliationFilters, to: e.target.value })}
+            />
+            <label className="flex items-center gap-2 text-sm text-slate-700 pb-2">
+              <input
+                type="checkbox"
+                checked={reconciliationFilters.discrepanciesOnly}
+                onChange={(e) => setReconciliationFilters({ ...reconciliationFilters, discrepanciesOnly: e.target.checked })}
+              />
+              Discrepancies only
+            </label>
+            <Button onClick={fetchReconciliation} loading={reconciliationLoading}>
+              Run
+            </Button>
+          </div>
+          <p className="text-xs text-slate-500">
+            Opening and closing balances come from the movement ledger for the period. Variance compares
+            what is on the shelf now with everything the ledger has recorded.
+          </p>
+          <DataTable
+            columns={reconciliationColumns}
+            data={reconciliation}
+            loading={reconciliationLoading}
+            emptyMessage="No medicines to reconcile"
+          />
+        </div>
+      </Modal>
+
+      {/* Supplier Spend Modal */}
+      <Modal
+        isOpen={isSpendReportOpen}
+        onClose={() => setIsSpendReportOpen(false)}
+        title="Supplier Spend"
+        size="xl"
+      >
+        <div className="space-y-4">
+          <div className="flex flex-wrap items-end gap-4">
+            <Input
+              label="From"
+              type="date"
+              value={spendFilters.from}
+              onChange={(e) => setSpendFilters({ ...spendFilters, from: e.target.value })}
+            />
+            <Input
+              label="To"
+              type="date"
+              value={spendFilters.to}
+              onChange={(e) => setSpendFilters({ ...spendFilters, to: e.target.value })}
+            />
+            <Button onClick={fetchSpendReport} loading={spendLoading}>
+              Run
+            </Button>
+          </div>
+          <p className="text-sm text-slate-600">
+            Total received: <span className="font-semibold">₹{spendReport.totalSpend.toLocaleString()}</span>
+          </p>
+          <DataTable
+            columns={spendColumns}
+            data={spendReport.data}
+            loading={spendLoading}
+            emptyMessage="No goods received in this period"
+          />
+        </div>
+      </Modal>
+
+      {/* Expiry Report Modal */}
+      <Modal
+        isOpen={!!expiryReportType}
+        onClose={() => setExpiryReportType(null)}
+        title={expiryReportType === 'expired' ? 'Expired Batches' : 'Batches Expiring in 30 Days'}
+        size="xl"
+      >
+        <DataTable
+          columns={expiryReportColumns}
+          data={expiryReportType ? expiryReport[expiryReportType] : []}
+          emptyMessage="No batches"
+        />
+      </Modal>
     </div>
   );
 };
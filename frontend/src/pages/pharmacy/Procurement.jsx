@@ -0,0 +1,965 @@
+/**
+ * Procurement Page
+ * Suppliers, purchase orders and goods receipt for the pharmacy store
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { procurementAPI, pharmacyAPI } from '../../services/api';
+import DataTable from '../../components/common/DataTable';
+import Modal from '../../components/common/Modal';
+import Input from '../../components/common/Input';
+import Select from '../../components/common/Select';
+import Button from '../../components/common/Button';
+import Badge from '../../components/common/Badge';
+import toast from 'react-hot-toast';
+import {
+  FiPlus,
+  FiEdit2,
+  FiTrash2,
+  FiEye,
+  FiSend,
+  FiX,
+  FiTruck,
+  FiTrendingDown
+} from 'react-icons/fi';
+
+const ORDERS = 'orders';
+const RECEIPTS = 'receipts';
+const SUPPLIERS = 'suppliers';
+
+const STATUS_BADGES = {
+  DRAFT: { variant: 'default', label: 'Draft' },
+  ORDERED: { variant: 'primary', label: 'Ordered' },
+  PARTIALLY_RECEIVED: { variant: 'warning', label: 'Partly Received' },
+  RECEIVED: { variant: 'success', label: 'Received' },
+  CANCELLED: { variant: 'danger', label: 'Cancelled' }
+};
+
+const statusOptions = Object.entries(STATUS_BADGES).map(([value, { label }]) => ({ value, label }));
+
+const emptySupplierForm = {
+  name: '',
+  contactPerson: '',
+  phone: '',
+  email: '',
+  address: '',
+  gstin: '',
+  drugLicenseNumber: '',
+  paymentTerms: ''
+};
+
+const emptyOrderLine = { medicineId: '', quantity: '', unitPrice: '' };
+
+const emptyOrderForm = {
+  supplierId: '',
+  expectedDate: '',
+  notes: '',
+  items: [emptyOrderLine]
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : '-');
+const formatAmount = (amount) => `₹${(amount || 0).toLocaleString()}`;
+
+const Procurement = () => {
+  const [view, setView] = useState(ORDERS);
+  const [loading, setLoading] = useState(true);
+  const [items, setItems] = useState([]);
+  const [pagination, setPagination] = useState({ currentPage: 1, pages: 1, total: 0 });
+  const [statusFilter, setStatusFilter] = useState('');
+  const [suppliers, setSuppliers] = useState([]);
+  const [medicines, setMedicines] = useState([]);
+  const [formLoading, setFormLoading] = useState(false);
+  const [isSupplierModalOpen, setIsSupplierModalOpen] = useState(false);
+  const [selectedSupplier, setSelectedSupplier] = useState(null);
+  const [supplierForm, setSupplierForm] = useState(emptySupplierForm);
+  const [isOrderModalOpen, setIsOrderModalOpen] = useState(false);
+  const [orderForm, setOrderForm] = useState(emptyOrderForm);
+  const [viewOrder, setViewOrder] = useState(null);
+  const [receiveOrder, setReceiveOrder] = useState(null);
+  const [receiptForm, setReceiptForm] = useState({ supplierInvoiceNumber: '', invoiceDate: '', items: [] });
+  const [isSuggestionsOpen, setIsSuggestionsOpen] = useState(false);
+  const [suggestions, setSuggestions] = useState([]);
+  const [fallbackSupplier, setFallbackSupplier] = useState('');
+
+  const fetchItems = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = { page: pagination.currentPage, limit: 10 };
+      let response;
+      if (view === ORDERS) {
+        response = await procurementAPI.getOrders({ ...params, status: statusFilter || undefined });
+      } else if (view === RECEIPTS) {
+        response = await procurementAPI.getGoodsReceipts(params);
+      } else {
+        response = await procurementAPI.getSuppliers(params);
+      }
+      setItems(response.data.data || []);
+      setPagination({
+        currentPage: response.data.currentPage || 1,
+        pages: response.data.pages || 1,
+        total: response.data.total || 0
+      });
+    } catch (error) {
+      console.log('Failed to fetch procurement records', error);
+      toast.error('Failed to fetch records');
+    } finally {
+      setLoading(false);
+    }
+  }, [view, statusFilter, pagination.currentPage]);
+
+  const fetchSuppliers = useCallback(async () => {
+    try {
+      const response = await procurementAPI.getSuppliers({ limit: 200 });
+      setSuppliers(response.data.data || []);
+    } catch (error) {
+      console.log('Failed to fetch suppliers', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchItems();
+  }, [fetchItems]);
+
+  useEffect(() => {
+    fetchSuppliers();
+    pharmacyAPI.getAll({ limit: 500 })
+      .then(response => setMedicines(response.data.data || []))
+      .catch(error => console.log('Failed to fetch medicines', error));
+  }, [fetchSuppliers]);
+
+  const switchView = (nextView) => {
+    setView(nextView);
+    setItems([]);
+    setPagination({ currentPage: 1, pages: 1, total: 0 });
+  };
+
+  // Suppliers
+
+  const openSupplierModal = (supplier = null) => {
+    setSelectedSupplier(supplier);
+    setSupplierForm(supplier
+      ? Object.fromEntries(Object.keys(emptySupplierForm).map(key => [key, supplier[key]?.toString() || '']))
+      : emptySupplierForm);
+    setIsSupplierModalOpen(true);
+  };
+
+  const handleSupplierSubmit = async (e) => {
+    e.preventDefault();
+    setFormLoading(true);
+    try {
+      const payload = {
+        ...supplierForm,
+        paymentTerms: supplierForm.paymentTerms === '' ? undefined : parseInt(supplierForm.paymentTerms)
+      };
+      if (selectedSupplier) {
+        await procurementAPI.updateSupplier(selectedSupplier._id, payload);
+        toast.success('Supplier updated successfully');
+      } else {
+        await procurementAPI.createSupplier(payload);
+        toast.success('Supplier added successfully');
+      }
+      setIsSupplierModalOpen(false);
+      fetchSuppliers();
+      if (view === SUPPLIERS) fetchItems();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Operation failed');
+    } finally {
+      setFormLoading(false);
+    }
+  };
+
+  const handleDeactivateSupplier = async (supplier) => {
+    if (!window.confirm(`Deactivate ${supplier.name}? Past orders are kept.`)) return;
+    try {
+      await procurementAPI.deleteSupplier(supplier._id);
+      toast.success('Supplier deactivated');
+      fetchSuppliers();
+      fetchItems();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to deactivate supplier');
+    }
+  };
+
+  // Purchase orders
+
+  const medicinePrice = (medicineId) => medicines.find(medicine => medicine._id === medicineId)?.purchasePrice;
+
+  const updateOrderLine = (index, field, value) => {
+    const lines = [...orderForm.items];
+    lines[index] = { ...lines[index], [field]: value };
+    if (field === 'medicineId' && lines[index].unitPrice === '') {
+      lines[index].unitPrice = medicinePrice(value)?.toString() || '';
+    }
+    setOrderForm({ ...orderForm, items: lines });
+  };
+
+  const handleOrderSubmit = async (e) => {
+    e.preventDefault();
+    setFormLoading(true);
+    try {
+      await procurementAPI.createOrder({
+        supplierId: orderForm.supplierId,
+        expectedDate: orderForm.expectedDate || undefined,
+        notes: orderForm.notes,
+        items: orderForm.items
+          .filter(line => line.medicineId)
+          .map(line => ({
+            medicineId: line.medicineId,
+            quantity: parseInt(line.quantity) || 0,
+            unitPrice: line.unitPrice === '' ? undefined : parseFloat(line.unitPrice)
+          }))
+      });
+      toast.success('Purchase order created');
+      setIsOrderModalOpen(false);
+      setOrderForm(emptyOrderForm);
+      fetchItems();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to create purchase order');
+    } finally {
+      setFormLoading(false);
+    }
+  };
+
+  const openViewOrder = async (order) => {
+    try {
+      const response = await procurementAPI.getOrder(order._id);
+      setViewOrder({ ...response.data.data, receipts: response.data.receipts || [] });
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load purchase order');
+    }
+  };
+
+  const handlePlaceOrder = async (order) => {
+    if (!window.confirm(`Place ${order.poNumber} with ${order.supplierId?.name}?`)) return;
+    try {
+      await procurementAPI.placeOrder(order._id);
+      toast.success(`${order.poNumber} placed`);
+      fetchItems();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to place order');
+    }
+  };
+
+  const handleCancelOrder = async (order) => {
+    const reason = window.prompt(`Reason for cancelling ${order.poNumber}:`);
+    if (reason === null) return;
+    try {
+      await procurementAPI.cancelOrder(order._id, { reason });
+      toast.success(`${order.poNumber} cancelled`);
+      fetchItems();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to cancel order');
+    }
+  };
+
+  // Goods receipt
+
+  const openReceiveOrder = (order) => {
+    setReceiveOrder(order);
+    setReceiptForm({
+      supplierInvoiceNumber: '',
+      invoiceDate: '',
+      items: order.items
+        .filter(line => line.receivedQuantity < line.quantity)
+        .map(line => ({
+          orderItemId: line._id,
+          name: line.name,
+          remaining: line.quantity - line.receivedQuantity,
+          quantity: (line.quantity - line.receivedQuantity).toString(),
+          batchNumber: '',
+          manufacturingDate: '',
+          expiryDate: '',
+          purchasePrice: line.unitPrice?.toString() || ''
+        }))
+    });
+  };
+
+  const updateReceiptLine = (index, field, value) => {
+    const lines = [...receiptForm.items];
+    lines[index] = { ...lines[index], [field]: value };
+    setReceiptForm({ ...receiptForm, items: lines });
+  };
+
+  const handleReceiveSubmit = async (e) => {
+    e.preventDefault();
+    // Lines left at zero are still outstanding with the supplier
+    const lines = receiptForm.items.filter(line => parseInt(line.quantity) > 0);
+
+    if (lines.length === 0) {
+      toast.error('Enter the quantity received for at least one medicine');
+      return;
+    }
+
+    setFormLoading(true);
+    try {
+      const response = await procurementAPI.receiveGoods(receiveOrder._id, {
+        supplierInvoiceNumber: receiptForm.supplierInvoiceNumber,
+        invoiceDate: receiptForm.invoiceDate || undefined,
+        items: lines.map(line => ({
+          orderItemId: line.orderItemId,
+          quantity: parseInt(line.quantity),
+          batchNumber: line.batchNumber,
+          manufacturingDate: line.manufacturingDate || undefined,
+          expiryDate: line.expiryDate,
+          purchasePrice: line.purchasePrice === '' ? undefined : parseFloat(line.purchasePrice)
+        }))
+      });
+      toast.success(`${response.data.data.grnNumber} recorded - stock updated`);
+      setReceiveOrder(null);
+      fetchItems();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to record goods receipt');
+    } finally {
+      setFormLoading(false);
+    }
+  };
+
+  // Reorder suggestions
+
+  const openSuggestions = async () => {
+    setIsSuggestionsOpen(true);
+    try {
+      const response = await procurementAPI.getSuggestions();
+      setSuggestions(response.data.data || []);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load reorder suggestions');
+    }
+  };
+
+  const handleGenerateOrders = async () => {
+    setFormLoading(true);
+    try {
+      const response = await procurementAPI.generateOrders({ supplierId: fallbackSupplier || undefined });
+      const { count, unassigned = [] } = response.data;
+      toast.success(`${count} draft purchase order(s) created`);
+      if (unassigned.length > 0) {
+        toast.error(`No supplier for: ${unassigned.join(', ')}`);
+      }
+      setIsSuggestionsOpen(false);
+      switchView(ORDERS);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to generate purchase orders');
+    } finally {
+      setFormLoading(false);
+    }
+  };
+
+  const supplierOptions = suppliers.map(supplier => ({ value: supplier._id, label: supplier.name }));
+  const medicineOptions = medicines.map(medicine => ({
+    value: medicine._id,
+    label: `${medicine.name} (${medicine.stock} in stock)`
+  }));
+  const orderTotal = orderForm.items.reduce(
+    (sum, line) => sum + (parseInt(line.quantity) || 0) * (parseFloat(line.unitPrice) || 0), 0
+  );
+
+  const orderColumns = [
+    {
+      key: 'poNumber',
+      header: 'PO Number',
+      render: (value, row) => (
+        <div>
+          <p className="font-mono text-sm">{value}</p>
+          <p className="text-xs text-slate-500">{formatDate(row.createdAt)}</p>
+        </div>
+      )
+    },
+    { key: 'supplierId', header: 'Supplier', render: (value) => value?.name || '-' },
+    {
+      key: 'items',
+      header: 'Items',
+      render: (value) => (
+        <div className="space-y-1">
+          {value.map(line => (
+            <p key={line._id} className="text-sm">
+              {line.name} - {line.receivedQuantity}/{line.quantity}
+            </p>
+          ))}
+        </div>
+      )
+    },
+    { key: 'totalAmount', header: 'Value', render: (value) => formatAmount(value) },
+    { key: 'expectedDate', header: 'Expected', render: (value) => formatDate(value) },
+    {
+      key: 'status',
+      header: 'Status',
+      render: (value) => <Badge variant={STATUS_BADGES[value]?.variant}>{STATUS_BADGES[value]?.label || value}</Badge>
+    },
+    {
+      key: 'actions',
+      header: 'Actions',
+      render: (_, row) => (
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => openViewOrder(row)}
+            className="p-2 text-slate-600 hover:bg-slate-100 rounded-lg"
+            title="View"
+          >
+            <FiEye className="w-4 h-4" />
+          </button>
+          {row.status === 'DRAFT' && (
+            <button
+              onClick={() => handlePlaceOrder(row)}
+              className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg"
+              title="Place order"
+            >
+              <FiSend className="w-4 h-4" />
+            </button>
+          )}
+          {['ORDERED', 'PARTIALLY_RECEIVED'].includes(row.status) && (
+            <button
+              onClick={() => openReceiveOrder(row)}
+              className="p-2 text-green-600 hover:bg-green-50 rounded-lg"
+              title="Receive goods"
+            >
+              <FiTruck className="w-4 h-4" />
+            </button>
+          )}
+          {['DRAFT', 'ORDERED', 'PARTIALLY_RECEIVED'].includes(row.status) && (
+            <button
+              onClick={() => handleCancelOrder(row)}
+              className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+              title="Cancel"
+            >
+              <FiX className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+      )
+    }
+  ];
+
+  const receiptColumns = [
+    {
+      key: 'grnNumber',
+      header: 'GRN',
+      render: (value, row) => (
+        <div>
+          <p className="font-mono text-sm">{value}</p>
+          <p className="text-xs text-slate-500">{formatDate(row.receivedAt)}</p>
+        </div>
+      )
+    },
+    { key: 'purchaseOrderId', header: 'PO Number', render: (value) => value?.poNumber || '-' },
+    { key: 'supplierId', header: 'Supplier', render: (value) => value?.name || '-' },
+    {
+      key: 'supplierInvoiceNumber',
+      header: 'Supplier Invoice',
+      render: (value, row) => `${value}${row.invoiceDate ? ` (${formatDate(row.invoiceDate)})` : ''}`
+    },
+    {
+      key: 'items',
+      header: 'Batches',
+      render: (value) => (
+        <div className="space-y-1">
+          {value.map(line => (
+            <p key={line._id} className="text-sm">
+              {line.name} - {line.batchNumber} x {line.quantity}
+            </p>
+          ))}
+        </div>
+      )
+    },
+    { key: 'totalAmount', header: 'Amount', render: (value) => formatAmount(value) },
+    { key: 'receivedBy', header: 'Received By', render: (value) => value?.name || '-' }
+  ];
+
+  const supplierColumns = [
+    {
+      key: 'name',
+      header: 'Supplier',
+      render: (value, row) => (
+        <div>
+          <p className="font-medium text-slate-800">{value}</p>
+          <p className="text-xs text-slate-500">{row.supplierId}</p>
+        </div>
+      )
+    },
+    {
+      key: 'contactPerson',
+      header: 'Contact',
+      render: (value, row) => (
+        <div>
+          <p className="text-sm">{value || '-'}</p>
+          <p className="text-xs text-slate-500">{[row.phone, row.email].filter(Boolean).join(' | ')}</p>
+        </div>
+      )
+    },
+    { key: 'gstin', header: 'GSTIN', render: (value) => value || '-' },
+    { key: 'paymentTerms', header: 'Credit', render: (value) => `${value} days` },
+    {
+      key: 'actions',
+      header: 'Actions',
+      render: (_, row) => (
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => openSupplierModal(row)}
+            className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg"
+            title="Edit"
+          >
+            <FiEdit2 className="w-4 h-4" />
+          </button>
+          <button
+            onClick={() => handleDeactivateSupplier(row)}
+            className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+            title="Deactivate"
+          >
+            <FiTrash2 className="w-4 h-4" />
+          </button>
+        </div>
+      )
+    }
+  ];
+
+  const suggestionColumns = [
+    {
+      key: 'medicine',
+      header: 'Medicine',
+      render: (value) => (
+        <div>
+          <p className="font-medium text-slate-800">{value.name}</p>
+          <p className="text-xs text-slate-500">{value.supplierId?.name || 'No preferred supplier'}</p>
+        </div>
+      )
+    },
+    { key: 'stock', header: 'Stock', render: (value, row) => `${value} / min ${row.minStockLevel}` },
+    { key: 'consumption', header: 'Used (30 days)', render: (value) => value },
+    { key: 'onOrder', header: 'On Order', render: (value) => value },
+    {
+      key: 'suggestedQuantity',
+      header: 'Suggested',
+      render: (value) => <span className="font-semibold">{value}</span>
+    }
+  ];
+
+  const columnsByView = { [ORDERS]: orderColumns, [RECEIPTS]: receiptColumns, [SUPPLIERS]: supplierColumns };
+
+  return (
+    <div className="space-y-6">
+      {/* Page Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-slate-800">Procurement</h1>
+          <p className="text-slate-500">Order medicines from suppliers and receive them into stock</p>
+        </div>
+        <div className="flex gap-3">
+          <Button variant="outline" icon={FiTrendingDown} onClick={openSuggestions}>
+            Reorder Low Stock
+          </Button>
+          {view === SUPPLIERS ? (
+            <Button icon={FiPlus} onClick={() => openSupplierModal()}>
+              Add Supplier
+            </Button>
+          ) : (
+            <Button
+              icon={FiPlus}
+              onClick={() => {
+                setOrderForm(emptyOrderForm);
+                setIsOrderModalOpen(true);
+              }}
+            >
+              New Purchase Order
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="flex gap-4">
+        <div className="flex rounded-lg border border-slate-200 overflow-hidden">
+          {[[ORDERS, 'Purchase Orders'], [RECEIPTS, 'Goods Receipts'], [SUPPLIERS, 'Suppliers']].map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => switchView(value)}
+              className={`px-4 py-2 text-sm ${view === value ? 'bg-blue-600 text-white' : 'bg-white text-slate-600 hover:bg-slate-50'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        {view === ORDERS && (
+          <Select
+            value={statusFilter}
+            onChange={(e) => {
+              setStatusFilter(e.target.value);
+              setPagination({ ...pagination, currentPage: 1 });
+            }}
+            options={statusOptions}
+            placeholder="All Status"
+            className="w-48"
+          />
+        )}
+      </div>
+
+      <DataTable
+        columns={columnsByView[view]}
+        data={items}
+        loading={loading}
+        pagination={pagination}
+        onPageChange={(page) => setPagination({ ...pagination, currentPage: page })}
+        emptyMessage="No records found"
+      />
+
+      {/* Supplier Modal */}
+      <Modal
+        isOpen={isSupplierModalOpen}
+        onClose={() => setIsSupplierModalOpen(false)}
+        title={selectedSupplier ? 'Edit Supplier' : 'Add Supplier'}
+        size="lg"
+      >
+        <form onSubmit={handleSupplierSubmit} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            {[
+              ['name', 'Supplier Name', true],
+              ['contactPerson', 'Contact Person'],
+              ['phone', 'Phone'],
+              ['email', 'Email'],
+              ['gstin', 'GSTIN'],
+              ['drugLicenseNumber', 'Drug License No.']
+            ].map(([field, label, required]) => (
+              <Input
+                key={field}
+                label={label}
+                name={field}
+                value={supplierForm[field]}
+                onChange={(e) => setSupplierForm({ ...supplierForm, [field]: e.target.value })}
+                required={required}
+              />
+            ))}
+          </div>
+          <div className="grid grid-cols-3 gap-4">
+            <Input
+              label="Address"
+              name="address"
+              value={supplierForm.address}
+              onChange={(e) => setSupplierForm({ ...supplierForm, address: e.target.value })}
+              className="col-span-2"
+            />
+            <Input
+              label="Credit Period (days)"
+              type="number"
+              name="paymentTerms"
+              value={supplierForm.paymentTerms}
+              onChange={(e) => setSupplierForm({ ...supplierForm, paymentTerms: e.target.value })}
+              min="0"
+            />
+          </div>
+          <div className="flex justify-end gap-3 pt-4">
+            <Button type="button" variant="outline" onClick={() => setIsSupplierModalOpen(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" loading={formLoading}>
+              {selectedSupplier ? 'Update' : 'Add'} Supplier
+            </Button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* New Purchase Order Modal */}
+      <Modal
+        isOpen={isOrderModalOpen}
+        onClose={() => setIsOrderModalOpen(false)}
+        title="New Purchase Order"
+        size="xl"
+      >
+        <form onSubmit={handleOrderSubmit} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <Select
+              label="Supplier"
+              value={orderForm.supplierId}
+              onChange={(e) => setOrderForm({ ...orderForm, supplierId: e.target.value })}
+              options={supplierOptions}
+              placeholder="Select supplier"
+              required
+            />
+            <Input
+              label="Expected Delivery"
+              type="date"
+              value={orderForm.expectedDate}
+              onChange={(e) => setOrderForm({ ...orderForm, expectedDate: e.target.value })}
+            />
+          </div>
+
+          <div className="space-y-3">
+            {orderForm.items.map((line, index) => (
+              <div key={index} className="grid grid-cols-12 gap-3 items-end">
+                <Select
+                  label={index === 0 ? 'Medicine' : undefined}
+                  value={line.medicineId}
+                  onChange={(e) => updateOrderLine(index, 'medicineId', e.target.value)}
+                  options={medicineOptions}
+                  placeholder="Select medicine"
+                  className="col-span-6"
+                  required
+                />
+                <Input
+                  label={index === 0 ? 'Quantity' : undefined}
+                  type="number"
+                  value={line.quantity}
+                  onChange={(e) => updateOrderLine(index, 'quantity', e.target.value)}
+                  min="1"
+                  className="col-span-2"
+                  required
+                />
+                <Input
+                  label={index === 0 ? 'Unit Price (₹)' : undefined}
+                  type="number"
+                  value={line.unitPrice}
+                  onChange={(e) => updateOrderLine(index, 'unitPrice', e.target.value)}
+                  min="0"
+                  step="0.01"
+                  className="col-span-3"
+                />
+                <button
+                  type="button"
+                  onClick={() => setOrderForm({ ...orderForm, items: orderForm.items.filter((_, i) => i !== index) })}
+                  disabled={orderForm.items.length === 1}
+                  className="col-span-1 p-2 mb-1 text-red-600 hover:bg-red-50 rounded-lg disabled:opacity-30"
+                  title="Remove"
+                >
+                  <FiTrash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              icon={FiPlus}
+              onClick={() => setOrderForm({ ...orderForm, items: [...orderForm.items, emptyOrderLine] })}
+            >
+              Add Medicine
+            </Button>
+          </div>
+
+          <Input
+            label="Notes"
+            value={orderForm.notes}
+            onChange={(e) => setOrderForm({ ...orderForm, notes: e.target.value })}
+          />
+
+          <div className="flex items-center justify-between pt-4">
+            <p className="text-sm text-slate-600">
+              Order value: <span className="font-semibold">{formatAmount(orderTotal)}</span>
+            </p>
+            <div className="flex gap-3">
+              <Button type="button" variant="outline" onClick={() => setIsOrderModalOpen(false)}>
+                Cancel
+              </Button>
+              <Button type="submit" loading={formLoading}>
+                Save Draft
+              </Button>
+            </div>
+          </div>
+        </form>
+      </Modal>
+
+      {/* View Purchase Order Modal */}
+      <Modal
+        isOpen={!!viewOrder}
+        onClose={() => setViewOrder(null)}
+        title={`Purchase Order - ${viewOrder?.poNumber || ''}`}
+        size="xl"
+      >
+        {viewOrder && (
+          <div className="space-y-4">
+            <div className="grid grid-cols-3 gap-4 text-sm">
+              <div>
+                <p className="text-slate-500">Supplier</p>
+                <p className="font-medium">{viewOrder.supplierId?.name}</p>
+                <p className="text-xs text-slate-500">{viewOrder.supplierId?.phone}</p>
+              </div>
+              <div>
+                <p className="text-slate-500">Status</p>
+                <Badge variant={STATUS_BADGES[viewOrder.status]?.variant}>{STATUS_BADGES[viewOrder.status]?.label}</Badge>
+              </div>
+              <div>
+                <p className="text-slate-500">Ordered</p>
+                <p className="font-medium">
+                  {formatDate(viewOrder.orderedAt)}{viewOrder.orderedBy?.name ? ` by ${viewOrder.orderedBy.name}` : ''}
+                </p>
+              </div>
+            </div>
+
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-slate-500 border-b border-slate-200">
+                  <th className="py-2">Medicine</th>
+                  <th className="py-2 text-right">Ordered</th>
+                  <th className="py-2 text-right">Received</th>
+                  <th className="py-2 text-right">Unit Price</th>
+                  <th className="py-2 text-right">Amount</th>
+                </tr>
+              </thead>
+              <tbody>
+                {viewOrder.items.map(line => (
+                  <tr key={line._id} className="border-b border-slate-100">
+                    <td className="py-2">{line.name}</td>
+                    <td className="py-2 text-right">{line.quantity}</td>
+                    <td className="py-2 text-right">{line.receivedQuantity}</td>
+                    <td className="py-2 text-right">{formatAmount(line.unitPrice)}</td>
+                    <td className="py-2 text-right">{formatAmount(line.quantity * line.unitPrice)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="text-right font-semibold">Total: {formatAmount(viewOrder.totalAmount)}</p>
+
+            {viewOrder.notes && <p className="text-sm text-slate-600 whitespace-pre-line">{viewOrder.notes}</p>}
+
+            <div>
+              <h3 className="font-medium text-slate-800 mb-2">Goods Receipts</h3>
+              {viewOrder.receipts.length === 0 ? (
+                <p className="text-sm text-slate-500">Nothing received yet</p>
+              ) : (
+                viewOrder.receipts.map(receipt => (
+                  <div key={receipt._id} className="border border-slate-200 rounded-lg p-3 mb-2 text-sm">
+                    <p className="font-medium">
+                      {receipt.grnNumber} - invoice {receipt.supplierInvoiceNumber} - {formatAmount(receipt.totalAmount)}
+                    </p>
+                    <p className="text-xs text-slate-500">
+                      {formatDate(receipt.receivedAt)}{receipt.receivedBy?.name ? ` by ${receipt.receivedBy.name}` : ''}
+                    </p>
+                    {receipt.items.map(line => (
+                      <p key={line._id} className="text-xs text-slate-600">
+                        {line.name}: batch {line.batchNumber} x {line.quantity} @ {formatAmount(line.purchasePrice)}, exp {formatDate(line.expiryDate)}
+                      </p>
+                    ))}
+                  </div>
+                ))
+              )}
+            </div>
+          </div>
+        )}
+      </Modal>
+
+      {/* Goods Receipt Modal */}
+      <Modal
+        isOpen={!!receiveOrder}
+        onClose={() => setReceiveOrder(null)}
+        title={`Receive Goods - ${receiveOrder?.poNumber || ''}`}
+        size="full"
+      >
+        {receiveOrder && (
+          <form onSubmit={handleReceiveSubmit} className="space-y-4">
+            <div className="grid grid-cols-2 gap-4">
+              <Input
+                label="Supplier Invoice No."
+                value={receiptForm.supplierInvoiceNumber}
+                onChange={(e) => setReceiptForm({ ...receiptForm, supplierInvoiceNumber: e.target.value })}
+                required
+              />
+              <Input
+                label="Invoice Date"
+                type="date"
+                value={receiptForm.invoiceDate}
+                onChange={(e) => setReceiptForm({ ...receiptForm, invoiceDate: e.target.value })}
+              />
+            </div>
+            <p className="text-xs text-slate-500">
+              Set the quantity to 0 for medicines that did not arrive - they stay open on the order.
+            </p>
+
+            {receiptForm.items.map((line, index) => {
+              const receiving = parseInt(line.quantity) > 0;
+              return (
+                <div key={line.orderItemId} className="border border-slate-200 rounded-lg p-4 space-y-3">
+                  <p className="font-medium text-slate-800">
+                    {line.name} <span className="text-sm font-normal text-slate-500">({line.remaining} outstanding)</span>
+                  </p>
+                  <div className="grid grid-cols-5 gap-3">
+                    <Input
+                      label="Quantity"
+                      type="number"
+                      value={line.quantity}
+                      onChange={(e) => updateReceiptLine(index, 'quantity', e.target.value)}
+                      min="0"
+                      max={line.remaining}
+                    />
+                    <Input
+                      label="Batch Number"
+                      value={line.batchNumber}
+                      onChange={(e) => updateReceiptLine(index, 'batchNumber', e.target.value)}
+                      required={receiving}
+                    />
+                    <Input
+                      label="Mfg. Date"
+                      type="date"
+                      value={line.manufacturingDate}
+                      onChange={(e) => updateReceiptLine(index, 'manufacturingDate', e.target.value)}
+                    />
+                    <Input
+                      label="Expiry Date"
+                      type="date"
+                      value={line.expiryDate}
+                      onChange={(e) => updateReceiptLine(index, 'expiryDate', e.target.value)}
+                      required={receiving}
+                    />
+                    <Input
+                      label="Purchase Price (₹)"
+                      type="number"
+                      value={line.purchasePrice}
+                      onChange={(e) => updateReceiptLine(index, 'purchasePrice', e.target.value)}
+                      min="0"
+                      step="0.01"
+                    />
+                  </div>
+                </div>
+              );
+            })}
+
+            <div className="flex justify-end gap-3 pt-4">
+              <Button type="button" variant="outline" onClick={() => setReceiveOrder(null)}>
+                Cancel
+              </Button>
+              <Button type="submit" icon={FiTruck} loading={formLoading}>
+                Record Receipt
+              </Button>
+            </div>
+          </form>
+        )}
+      </Modal>
+
+      {/* Reorder Suggestions Modal */}
+      <Modal
+        isOpen={isSuggestionsOpen}
+        onClose={() => setIsSuggestionsOpen(false)}
+        title="Reorder Low Stock"
+        size="xl"
+      >
+        <div className="space-y-4">
+          <p className="text-sm text-slate-500">
+            Suggested quantities cover twice the minimum stock level or 30 days of recent use, whichever is
+            more, less stock in hand and quantities already on order. Draft orders are grouped by each
+            medicine&apos;s preferred supplier.
+          </p>
+          <DataTable
+            columns={suggestionColumns}
+            data={suggestions}
+            emptyMessage="No medicines below their minimum stock level"
+          />
+          <div className="flex items-end justify-between gap-4 pt-4">
+            <Select
+              label="Supplier for medicines without one"
+              value={fallbackSupplier}
+              onChange={(e) => setFallbackSupplier(e.target.value)}
+              options={supplierOptions}
+              placeholder="Skip them"
+              className="w-72"
+            />
+            <Button
+              icon={FiPlus}
+              onClick={handleGenerateOrders}
+              loading={formLoading}
+              disabled={!suggestions.some(suggestion => suggestion.suggestedQuantity > 0)}
+            >
+              Create Draft Orders
+            </Button>
+          </div>
+        </div>
+      </Modal>
+    </div>
+  );
+};
+
+export default Procurement;
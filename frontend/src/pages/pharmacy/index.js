@@ -3,3 +3,5 @@
  */
 
 export { default as Pharmacy } from './Pharmacy';
+export { default as Dispensing } from './Dispensing';
+export { default as Procurement } from './Procurement';
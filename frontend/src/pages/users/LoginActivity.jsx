@@ -0,0 +1,363 @@
+/**
+ * Login Activity
+ * Suspicious login activity and the login audit trail, shown as a view of the Users page
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { usersAPI } from '../../services/api';
+import DataTable from '../../components/common/DataTable';
+import StatCard from '../../components/common/StatCard';
+import Select from '../../components/common/Select';
+import Button from '../../components/common/Button';
+import Badge from '../../components/common/Badge';
+import toast from 'react-hot-toast';
+import { FiActivity, FiAlertTriangle, FiLock, FiUnlock } from 'react-icons/fi';
+
+const REASON_LABELS = {
+  UNKNOWN_EMAIL: 'Unknown email',
+  WRONG_PASSWORD: 'Wrong password',
+  ACCOUNT_LOCKED: 'Account locked',
+  DEACTIVATED: 'Deactivated',
+  INVALID_TWO_FACTOR: 'Invalid 2FA code'
+};
+
+const METHOD_LABELS = {
+  PASSWORD: 'Password',
+  TWO_FACTOR: 'Password + 2FA',
+  RECOVERY_CODE: 'Recovery code'
+};
+
+const resultOptions = [
+  { value: 'false', label: 'Failed' },
+  { value: 'true', label: 'Successful' }
+];
+
+const periodOptions = [
+  { value: '1', label: 'Last hour' },
+  { value: '24', label: 'Last 24 hours' },
+  { value: '168', label: 'Last 7 days' }
+];
+
+const LoginActivity = ({ onUnlock }) => {
+  const [loadingSummary, setLoadingSummary] = useState(true);
+  const [summary, setSummary] = useState(null);
+  const [hours, setHours] = useState('24');
+  const [loading, setLoading] = useState(true);
+  const [attempts, setAttempts] = useState([]);
+  const [pagination, setPagination] = useState({ currentPage: 1, pages: 1, total: 0 });
+  const [resultFilter, setResultFilter] = useState('false');
+  const [filters, setFilters] = useState({});
+
+  const fetchSummary = useCallback(async () => {
+    try {
+      setLoadingSummary(true);
+      const response = await usersAPI.getSuspiciousActivity({ hours });
+      setSummary(response.data.data);
+    } catch (error) {
+      console.log('Failed to fetch suspicious activity', error);
+      toast.error('Failed to fetch suspicious activity');
+    } finally {
+      setLoadingSummary(false);
+    }
+  }, [hours]);
+
+  const fetchAttempts = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await usersAPI.getLoginAudit({
+        page: pagination.currentPage,
+        limit: 10,
+        success: resultFilter || undefined,
+        ...filters
+      });
+      setAttempts(response.data.data || []);
+      setPagination({
+        currentPage: response.data.currentPage || 1,
+        pages: response.data.pages || 1,
+        total: response.data.total || 0
+      });
+    } catch (error) {
+      console.log('Failed to fetch login attempts', error);
+      toast.error('Failed to fetch login attempts');
+    } finally {
+      setLoading(false);
+    }
+  }, [pagination.currentPage, resultFilter, filters]);
+
+  useEffect(() => {
+    fetchSummary();
+  }, [fetchSummary]);
+
+  useEffect(() => {
+    fetchAttempts();
+  }, [fetchAttempts]);
+
+  // Narrow the audit trail to one IP address or account from the summary
+  const showAttempts = (filter) => {
+    setFilters(filter);
+    setResultFilter('');
+    setPagination({ ...pagination, currentPage: 1 });
+  };
+
+  const handleUnlock = async (user) => {
+    await onUnlock(user);
+    fetchSummary();
+  };
+
+  const attemptColumns = [
+    {
+      key: 'createdAt',
+      header: 'Time',
+      render: (value) => new Date(value).toLocaleString()
+    },
+    {
+      key: 'email',
+      header: 'Account',
+      render: (value, row) => (
+        <div>
+          <p className="font-medium">{row.user?.name || value}</p>
+          {row.user && <p className="text-sm text-slate-500">{value}</p>}
+        </div>
+      )
+    },
+    {
+      key: 'ip',
+      header: 'IP Address',
+      render: (value) => value || '-'
+    },
+    {
+      key: 'success',
+      header: 'Result',
+      render: (value, row) => value
+        ? <Badge variant="success">{METHOD_LABELS[row.method] || 'Success'}</Badge>
+        : (
+          <div className="flex items-center gap-2">
+            <Badge variant="danger">{REASON_LABELS[row.reason] || 'Failed'}</Badge>
+            {row.lockedUntil && <Badge variant="warning" size="sm">Locked account</Badge>}
+          </div>
+        )
+    },
+    {
+      key: 'userAgent',
+      header: 'User Agent',
+      render: (value) => (
+        <span className="text-xs text-slate-500 line-clamp-2 max-w-xs" title={value}>{value || '-'}</span>
+      )
+    }
+  ];
+
+  const lockedColumns = [
+    {
+      key: 'name',
+      header: 'User',
+      render: (value, row) => (
+        <div>
+          <p className="font-medium">{value}</p>
+          <p className="text-sm text-slate-500">{row.email}</p>
+        </div>
+      )
+    },
+    {
+      key: 'role',
+      header: 'Role',
+      render: (value) => <Badge variant="primary">{value}</Badge>
+    },
+    {
+      key: 'lockUntil',
+      header: 'Locked Until',
+      render: (value, row) => (
+        <div>
+          <p>{new Date(value).toLocaleString()}</p>
+          <p className="text-xs text-slate-500">Lockout {row.lockoutCount} in a row</p>
+        </div>
+      )
+    },
+    {
+      key: 'actions',
+      header: 'Actions',
+      render: (_, row) => (
+        <Button variant="ghost" size="sm" icon={FiUnlock} onClick={() => handleUnlock(row)}>
+          Unlock
+        </Button>
+      )
+    }
+  ];
+
+  const ipColumns = [
+    {
+      key: '_id',
+      header: 'IP Address',
+      render: (value) => <span className="font-mono text-sm">{value || 'Unknown'}</span>
+    },
+    { key: 'failures', header: 'Failures' },
+    {
+      key: 'accounts',
+      header: 'Accounts Tried',
+      render: (value, row) => (
+        <span title={row.emails.join(', ')}>{value}</span>
+      )
+    },
+    {
+      key: 'lastAttempt',
+      header: 'Last Attempt',
+      render: (value) => new Date(value).toLocaleString()
+    },
+    {
+      key: 'actions',
+      header: 'Actions',
+      render: (_, row) => (
+        <Button variant="ghost" size="sm" onClick={() => showAttempts({ ip: row._id })}>
+          Attempts
+        </Button>
+      )
+    }
+  ];
+
+  const accountColumns = [
+    {
+      key: '_id',
+      header: 'Email',
+      render: (value, row) => (
+        <div className="flex items-center gap-2">
+          <span>{value}</span>
+          {!row.user && <Badge variant="default" size="sm">No account</Badge>}
+        </div>
+      )
+    },
+    { key: 'failures', header: 'Failures' },
+    {
+      key: 'ips',
+      header: 'From IPs',
+      render: (value) => value.length
+    },
+    {
+      key: 'reasons',
+      header: 'Reasons',
+      render: (value) => value.map(reason => REASON_LABELS[reason] || reason).join(', ')
+    },
+    {
+      key: 'lastAttempt',
+      header: 'Last Attempt',
+      render: (value) => new Date(value).toLocaleString()
+    },
+    {
+      key: 'actions',
+      header: 'Actions',
+      render: (_, row) => (
+        <Button variant="ghost" size="sm" onClick={() => showAttempts({ email: row._id })}>
+          Attempts
+        </Button>
+      )
+    }
+  ];
+
+  return (
+    <div className="space-y-6">
+      {/* Summary */}
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold text-slate-800">Suspicious Activity</h2>
+        <Select
+          value={hours}
+          onChange={(e) => setHours(e.target.value)}
+          options={periodOptions}
+          placeholder="Period"
+          className="w-48"
+        />
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        <StatCard
+          title="Login Attempts"
+          value={summary?.attempts || 0}
+          icon={FiActivity}
+          color="blue"
+        />
+        <StatCard
+          title="Failed Attempts"
+          value={summary?.failed || 0}
+          icon={FiAlertTriangle}
+          color="yellow"
+        />
+        <StatCard
+          title="Locked Accounts"
+          value={summary?.lockedAccounts.length || 0}
+          icon={FiLock}
+          color="red"
+        />
+      </div>
+
+      {summary?.lockedAccounts.length > 0 && (
+        <div className="space-y-2">
+          <h3 className="font-medium text-slate-700">Locked Accounts</h3>
+          <DataTable columns={lockedColumns} data={summary.lockedAccounts} loading={loadingSummary} />
+        </div>
+      )}
+
+      <div className="space-y-2">
+        <h3 className="font-medium text-slate-700">
+          IP Addresses with {summary?.threshold || 'repeated'} or more failures
+        </h3>
+        <DataTable
+          columns={ipColumns}
+          data={summary?.failuresByIp || []}
+          loading={loadingSummary}
+          emptyMessage="No IP address has repeated failures"
+        />
+      </div>
+
+      <div className="space-y-2">
+        <h3 className="font-medium text-slate-700">
+          Accounts with {summary?.threshold || 'repeated'} or more failures
+        </h3>
+        <DataTable
+          columns={accountColumns}
+          data={summary?.failuresByAccount || []}
+          loading={loadingSummary}
+          emptyMessage="No account has repeated failures"
+        />
+      </div>
+
+      {/* Audit trail */}
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <h3 className="font-medium text-slate-700">Login Attempts</h3>
+            {Object.entries(filters).map(([key, value]) => (
+              <Badge key={key} variant="info">
+                {key === 'ip' ? 'IP' : 'Email'}: {value}
+              </Badge>
+            ))}
+            {Object.keys(filters).length > 0 && (
+              <button
+                onClick={() => showAttempts({})}
+                className="text-sm text-blue-600 hover:underline"
+              >
+                Clear
+              </button>
+            )}
+          </div>
+          <Select
+            value={resultFilter}
+            onChange={(e) => {
+              setResultFilter(e.target.value);
+              setPagination({ ...pagination, currentPage: 1 });
+            }}
+            options={resultOptions}
+            placeholder="All Attempts"
+            className="w-48"
+          />
+        </div>
+        <DataTable
+          columns={attemptColumns}
+          data={attempts}
+          loading={loading}
+          pagination={pagination}
+          onPageChange={(page) => setPagination({ ...pagination, currentPage: page })}
+          emptyMessage="No login attempts found"
+        />
+      </div>
+    </div>
+  );
+};
+
+export default LoginActivity;
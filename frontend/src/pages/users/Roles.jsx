@@ -0,0 +1,246 @@
+/**
+ * Roles
+ * Roles and the permissions they grant, shown as a view of the Users page
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { rolesAPI } from '../../services/api';
+import DataTable from '../../components/common/DataTable';
+import Modal from '../../components/common/Modal';
+import Input from '../../components/common/Input';
+import Button from '../../components/common/Button';
+import Badge from '../../components/common/Badge';
+import toast from 'react-hot-toast';
+import { FiPlus, FiEdit2, FiTrash2 } from 'react-icons/fi';
+
+const emptyForm = {
+  name: '',
+  description: '',
+  permissions: []
+};
+
+const Roles = () => {
+  const [loading, setLoading] = useState(true);
+  const [roles, setRoles] = useState([]);
+  const [permissionGroups, setPermissionGroups] = useState([]);
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [editingRole, setEditingRole] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [formLoading, setFormLoading] = useState(false);
+
+  const fetchRoles = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [rolesRes, permissionsRes] = await Promise.all([
+        rolesAPI.getAll(),
+        rolesAPI.getPermissions()
+      ]);
+      setRoles(rolesRes.data.data || []);
+      setPermissionGroups(permissionsRes.data.data || []);
+    } catch (error) {
+      console.log('Failed to fetch roles', error);
+      toast.error('Failed to fetch roles');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRoles();
+  }, [fetchRoles]);
+
+  const openModal = (role = null) => {
+    setEditingRole(role);
+    setFormData(role
+      ? { name: role.name, description: role.description || '', permissions: role.permissions }
+      : emptyForm);
+    setIsModalOpen(true);
+  };
+
+  const togglePermission = (permission) => {
+    const { permissions } = formData;
+    setFormData({
+      ...formData,
+      permissions: permissions.includes(permission)
+        ? permissions.filter(value => value !== permission)
+        : [...permissions, permission]
+    });
+  };
+
+  // Tick or clear a whole module at once
+  const toggleGroup = (group) => {
+    const names = group.permissions.map(permission => permission.name);
+    const allSelected = names.every(name => formData.permissions.includes(name));
+    setFormData({
+      ...formData,
+      permissions: allSelected
+        ? formData.permissions.filter(name => !names.includes(name))
+        : [...new Set([...formData.permissions, ...names])]
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormLoading(true);
+
+    try {
+      if (editingRole) {
+        await rolesAPI.update(editingRole._id, {
+          description: formData.description,
+          permissions: formData.permissions
+        });
+        toast.success('Role updated');
+      } else {
+        await rolesAPI.create(formData);
+        toast.success('Role created');
+      }
+      setIsModalOpen(false);
+      fetchRoles();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save role');
+    } finally {
+      setFormLoading(false);
+    }
+  };
+
+  const handleDelete = async (role) => {
+    if (!window.confirm(`Delete the ${role.name} role?`)) return;
+
+    try {
+      await rolesAPI.delete(role._id);
+      toast.success('Role deleted');
+      fetchRoles();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete role');
+    }
+  };
+
+  const columns = [
+    {
+      key: 'name',
+      header: 'Role',
+      render: (value, row) => (
+        <div>
+          <div className="flex items-center gap-2">
+            <p className="font-medium">{value}</p>
+            {row.isSystem && <Badge variant="default" size="sm">Built-in</Badge>}
+          </div>
+          {row.description && <p className="text-sm text-slate-500">{row.description}</p>}
+        </div>
+      )
+    },
+    {
+      key: 'permissions',
+      header: 'Permissions',
+      render: (value) => (
+        <span title={value.join(', ')}>{value.length}</span>
+      )
+    },
+    { key: 'userCount', header: 'Users' },
+    {
+      key: 'actions',
+      header: 'Actions',
+      render: (_, row) => (
+        <div className="flex gap-2">
+          <Button variant="ghost" size="sm" icon={FiEdit2} onClick={() => openModal(row)}>
+            Edit
+          </Button>
+          {!row.isSystem && (
+            <Button variant="ghost" size="sm" icon={FiTrash2} onClick={() => handleDelete(row)}>
+              Delete
+            </Button>
+          )}
+        </div>
+      )
+    }
+  ];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-slate-500">
+          Users get every permission of their primary role and of any further roles they hold.
+        </p>
+        <Button icon={FiPlus} onClick={() => openModal()}>
+          New Role
+        </Button>
+      </div>
+
+      <DataTable
+        columns={columns}
+        data={roles}
+        loading={loading}
+        emptyMessage="No roles found"
+      />
+
+      {/* Role Modal */}
+      <Modal
+        isOpen={isModalOpen}
+        onClose={() => setIsModalOpen(false)}
+        title={editingRole ? `Edit ${editingRole.name}` : 'New Role'}
+        size="xl"
+      >
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <Input
+              label="Name"
+              value={formData.name}
+              onChange={(e) => setFormData({ ...formData, name: e.target.value.toUpperCase() })}
+              placeholder="e.g. WARD_MANAGER"
+              disabled={!!editingRole}
+              required
+            />
+            <Input
+              label="Description"
+              value={formData.description}
+              onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+            />
+          </div>
+
+          <div className="space-y-4 max-h-[50vh] overflow-y-auto border border-slate-200 rounded-lg p-3">
+            {permissionGroups.map(group => (
+              <div key={group.label}>
+                <label className="flex items-center gap-2 mb-2">
+                  <input
+                    type="checkbox"
+                    checked={group.permissions.every(permission => formData.permissions.includes(permission.name))}
+                    onChange={() => toggleGroup(group)}
+                    className="rounded border-slate-300 text-blue-600"
+                  />
+                  <span className="font-medium text-slate-700">{group.label}</span>
+                </label>
+                <div className="grid grid-cols-2 gap-2 pl-6">
+                  {group.permissions.map(permission => (
+                    <label key={permission.name} className="flex items-start gap-2">
+                      <input
+                        type="checkbox"
+                        checked={formData.permissions.includes(permission.name)}
+                        onChange={() => togglePermission(permission.name)}
+                        className="mt-1 rounded border-slate-300 text-blue-600"
+                      />
+                      <span className="text-sm text-slate-600">
+                        {permission.description}
+                        <span className="block font-mono text-xs text-slate-400">{permission.name}</span>
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex justify-end gap-3 pt-4">
+            <Button type="button" variant="secondary" onClick={() => setIsModalOpen(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" loading={formLoading}>
+              {editingRole ? 'Save Role' : 'Create Role'}
+            </Button>
+          </div>
+        </form>
+      </Modal>
+    </div>
+  );
+};
+
+export default Roles;
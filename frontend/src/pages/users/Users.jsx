@@ -0,0 +1,463 @@
+/**
+ * Users Page
+ * Admin view of staff and patient accounts with their roles and login security
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { usersAPI, rolesAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import DataTable from '../../components/common/DataTable';
+import Modal from '../../components/common/Modal';
+import Input from '../../components/common/Input';
+import Select from '../../components/common/Select';
+import Button from '../../components/common/Button';
+import Badge from '../../components/common/Badge';
+import LoginActivity from './LoginActivity';
+import Roles from './Roles';
+import toast from 'react-hot-toast';
+import { FiSearch, FiShield, FiRefreshCw, FiUserCheck, FiUserX, FiUnlock, FiKey } from 'react-icons/fi';
+
+const USERS = 'users';
+const ACTIVITY = 'activity';
+const ROLES_VIEW = 'roles';
+
+const ROLES = ['ADMIN', 'DOCTOR', 'NURSE', 'RECEPTIONIST', 'LAB', 'PHARMACY', 'PATIENT'];
+
+const roleOptions = ROLES.map(role => ({ value: role, label: role }));
+
+// Locked by failed logins until lockUntil
+const isLocked = (user) => !!user.lockUntil && new Date(user.lockUntil) > new Date();
+
+const emptyPolicy = {
+  twoFactorRequiredRoles: [],
+  lockoutThreshold: '',
+  lockoutBaseMinutes: '',
+  lockoutMaxMinutes: ''
+};
+
+const Users = () => {
+  const { hasPermission } = useAuth();
+  const canManageRoles = hasPermission('roles:manage');
+  const [view, setView] = useState(USERS);
+  const [loading, setLoading] = useState(true);
+  const [users, setUsers] = useState([]);
+  const [pagination, setPagination] = useState({ currentPage: 1, pages: 1, total: 0 });
+  const [searchTerm, setSearchTerm] = useState('');
+  const [roleFilter, setRoleFilter] = useState('');
+  const [isPolicyModalOpen, setIsPolicyModalOpen] = useState(false);
+  const [policy, setPolicy] = useState(emptyPolicy);
+  const [policyRoles, setPolicyRoles] = useState(ROLES);
+  const [roleUser, setRoleUser] = useState(null);
+  const [availableRoles, setAvailableRoles] = useState([]);
+  const [selectedRoles, setSelectedRoles] = useState([]);
+  const [formLoading, setFormLoading] = useState(false);
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await usersAPI.getAll({
+        page: pagination.currentPage,
+        limit: 10,
+        search: searchTerm || undefined,
+        role: roleFilter || undefined
+      });
+      setUsers(response.data.data || []);
+      setPagination({
+        currentPage: response.data.currentPage || 1,
+        pages: response.data.pages || 1,
+        total: response.data.total || 0
+      });
+    } catch (error) {
+      console.log('Failed to fetch users', error);
+      toast.error('Failed to fetch users');
+    } finally {
+      setLoading(false);
+    }
+  }, [pagination.currentPage, searchTerm, roleFilter]);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  // Custom roles can only be listed by users who manage roles
+  const openPolicyModal = async () => {
+    try {
+      const [response, rolesResponse] = await Promise.all([
+        usersAPI.getSecuritySettings(),
+        canManageRoles ? rolesAPI.getAll() : null
+      ]);
+      const settings = response.data.data;
+      const roleNames = rolesResponse ? rolesResponse.data.data.map(role => role.name) : ROLES;
+      setPolicyRoles([...new Set([...roleNames, ...(settings.twoFactorRequiredRoles || [])])]);
+      setPolicy({
+        twoFactorRequiredRoles: settings.twoFactorRequiredRoles || [],
+        lockoutThreshold: String(settings.lockoutThreshold),
+        lockoutBaseMinutes: String(settings.lockoutBaseMinutes),
+        lockoutMaxMinutes: String(settings.lockoutMaxMinutes)
+      });
+      setIsPolicyModalOpen(true);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to fetch security settings');
+    }
+  };
+
+  const toggleRequiredRole = (role) => {
+    const roles = policy.twoFactorRequiredRoles;
+    setPolicy({
+      ...policy,
+      twoFactorRequiredRoles: roles.includes(role)
+        ? roles.filter(value => value !== role)
+        : [...roles, role]
+    });
+  };
+
+  const handleSavePolicy = async (e) => {
+    e.preventDefault();
+    setFormLoading(true);
+
+    try {
+      await usersAPI.updateSecuritySettings({
+        twoFactorRequiredRoles: policy.twoFactorRequiredRoles,
+        lockoutThreshold: Number(policy.lockoutThreshold),
+        lockoutBaseMinutes: Number(policy.lockoutBaseMinutes),
+        lockoutMaxMinutes: Number(policy.lockoutMaxMinutes)
+      });
+      toast.success('Security policy saved');
+      setIsPolicyModalOpen(false);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save security policy');
+    } finally {
+      setFormLoading(false);
+    }
+  };
+
+  // Further roles are held on top of the primary role
+  const openRolesModal = async (user) => {
+    try {
+      const response = await rolesAPI.getAll();
+      setAvailableRoles((response.data.data || []).filter(role => role.name !== user.role));
+      setSelectedRoles(user.roles || []);
+      setRoleUser(user);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to fetch roles');
+    }
+  };
+
+  const toggleSelectedRole = (name) => {
+    setSelectedRoles(selectedRoles.includes(name)
+      ? selectedRoles.filter(value => value !== name)
+      : [...selectedRoles, name]);
+  };
+
+  const handleSaveRoles = async (e) => {
+    e.preventDefault();
+    setFormLoading(true);
+
+    try {
+      await usersAPI.updateRoles(roleUser._id, selectedRoles);
+      toast.success(`Roles of ${roleUser.name} saved`);
+      setRoleUser(null);
+      fetchUsers();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save roles');
+    } finally {
+      setFormLoading(false);
+    }
+  };
+
+  const handleResetTwoFactor = async (user) => {
+    if (!window.confirm(`Reset two-factor authentication for ${user.name}? They will need to set it up again.`)) return;
+
+    try {
+      await usersAPI.resetTwoFactor(user._id);
+      toast.success('Two-factor authentication reset');
+      fetchUsers();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to reset two-factor authentication');
+    }
+  };
+
+  const handleUnlock = async (user) => {
+    try {
+      await usersAPI.unlock(user._id);
+      toast.success(`${user.name} unlocked`);
+      fetchUsers();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to unlock user');
+    }
+  };
+
+  const handleToggleActive = async (user) => {
+    if (user.isActive && !window.confirm(`Deactivate ${user.name}? They will be signed out everywhere.`)) return;
+
+    try {
+      if (user.isActive) {
+        await usersAPI.delete(user._id);
+        toast.success('User deactivated');
+      } else {
+        await usersAPI.activate(user._id);
+        toast.success('User activated');
+      }
+      fetchUsers();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update user');
+    }
+  };
+
+  const columns = [
+    {
+      key: 'name',
+      header: 'User',
+      render: (value, row) => (
+        <div>
+          <p className="font-medium">{value}</p>
+          <p className="text-sm text-slate-500">{row.email}</p>
+        </div>
+      )
+    },
+    {
+      key: 'role',
+      header: 'Role',
+      render: (value, row) => (
+        <div className="flex flex-wrap gap-1">
+          <Badge variant="primary">{value}</Badge>
+          {(row.roles || []).map(role => (
+            <Badge key={role} variant="purple">{role}</Badge>
+          ))}
+        </div>
+      )
+    },
+    {
+      key: 'isActive',
+      header: 'Status',
+      render: (value, row) => (
+        <div className="flex items-center gap-2">
+          <Badge variant={value ? 'success' : 'danger'}>{value ? 'Active' : 'Inactive'}</Badge>
+          {isLocked(row) && <Badge variant="warning">Locked</Badge>}
+        </div>
+      )
+    },
+    {
+      key: 'twoFactorEnabled',
+      header: 'Two-Factor',
+      render: (value) => (
+        <Badge variant={value ? 'success' : 'default'}>{value ? 'On' : 'Off'}</Badge>
+      )
+    },
+    {
+      key: 'lastLogin',
+      header: 'Last Login',
+      render: (value) => value ? new Date(value).toLocaleString() : 'Never'
+    },
+    {
+      key: 'actions',
+      header: 'Actions',
+      render: (_, row) => (
+        <div className="flex gap-2">
+          {canManageRoles && (
+            <Button variant="ghost" size="sm" icon={FiKey} onClick={() => openRolesModal(row)}>
+              Roles
+            </Button>
+          )}
+          {isLocked(row) && (
+            <Button variant="ghost" size="sm" icon={FiUnlock} onClick={() => handleUnlock(row)}>
+              Unlock
+            </Button>
+          )}
+          {row.twoFactorEnabled && (
+            <Button variant="ghost" size="sm" icon={FiRefreshCw} onClick={() => handleResetTwoFactor(row)}>
+              Reset 2FA
+            </Button>
+          )}
+          <Button
+            variant="ghost"
+            size="sm"
+            icon={row.isActive ? FiUserX : FiUserCheck}
+            onClick={() => handleToggleActive(row)}
+          >
+            {row.isActive ? 'Deactivate' : 'Activate'}
+          </Button>
+        </div>
+      )
+    }
+  ];
+
+  return (
+    <div className="space-y-6">
+      {/* Page Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-slate-800">Users</h1>
+          <p className="text-slate-500">Accounts, roles and login security</p>
+        </div>
+        <Button icon={FiShield} onClick={openPolicyModal}>
+          Security Policy
+        </Button>
+      </div>
+
+      {/* Filters */}
+      <div className="flex gap-4">
+        <div className="flex rounded-lg border border-slate-200 overflow-hidden">
+          {[
+            [USERS, 'Users'],
+            [ACTIVITY, 'Login Activity'],
+            ...(canManageRoles ? [[ROLES_VIEW, 'Roles']] : [])
+          ].map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => setView(value)}
+              className={`px-4 py-2 text-sm ${view === value ? 'bg-blue-600 text-white' : 'bg-white text-slate-600 hover:bg-slate-50'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        {view === USERS && (
+          <>
+            <Input
+              value={searchTerm}
+              onChange={(e) => {
+                setSearchTerm(e.target.value);
+                setPagination({ ...pagination, currentPage: 1 });
+              }}
+              placeholder="Search by name or email..."
+              icon={FiSearch}
+              className="w-80"
+            />
+            <Select
+              value={roleFilter}
+              onChange={(e) => {
+                setRoleFilter(e.target.value);
+                setPagination({ ...pagination, currentPage: 1 });
+              }}
+              options={roleOptions}
+              placeholder="All Roles"
+              className="w-48"
+            />
+          </>
+        )}
+      </div>
+
+      {view === USERS ? (
+        <DataTable
+          columns={columns}
+          data={users}
+          loading={loading}
+          pagination={pagination}
+          onPageChange={(page) => setPagination({ ...pagination, currentPage: page })}
+          emptyMessage="No users found"
+        />
+      ) : view === ACTIVITY ? (
+        <LoginActivity onUnlock={handleUnlock} />
+      ) : (
+        <Roles />
+      )}
+
+      {/* Roles Modal */}
+      <Modal
+        isOpen={!!roleUser}
+        onClose={() => setRoleUser(null)}
+        title={`Roles - ${roleUser?.name || ''}`}
+        size="md"
+      >
+        <form onSubmit={handleSaveRoles} className="space-y-4">
+          <p className="text-sm text-slate-600">
+            {roleUser?.name} keeps the {roleUser?.role} role and also gets the permissions of the roles ticked here.
+          </p>
+          <div className="grid grid-cols-2 gap-2 border border-slate-200 rounded-lg p-3">
+            {availableRoles.map(role => (
+              <label key={role._id} className="flex items-center gap-2" title={role.description}>
+                <input
+                  type="checkbox"
+                  checked={selectedRoles.includes(role.name)}
+                  onChange={() => toggleSelectedRole(role.name)}
+                  className="rounded border-slate-300 text-blue-600"
+                />
+                <span className="text-sm text-slate-600">{role.name}</span>
+              </label>
+            ))}
+          </div>
+
+          <div className="flex justify-end gap-3 pt-4">
+            <Button type="button" variant="secondary" onClick={() => setRoleUser(null)}>
+              Cancel
+            </Button>
+            <Button type="submit" loading={formLoading}>
+              Save Roles
+            </Button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Security Policy Modal */}
+      <Modal
+        isOpen={isPolicyModalOpen}
+        onClose={() => setIsPolicyModalOpen(false)}
+        title="Security Policy"
+        size="md"
+      >
+        <form onSubmit={handleSavePolicy} className="space-y-4">
+          <p className="text-sm text-slate-600">
+            Users with these roles must set up two-factor authentication the next time they log in,
+            and cannot turn it off.
+          </p>
+          <div className="grid grid-cols-2 gap-2 border border-slate-200 rounded-lg p-3">
+            {policyRoles.map(role => (
+              <label key={role} className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={policy.twoFactorRequiredRoles.includes(role)}
+                  onChange={() => toggleRequiredRole(role)}
+                  className="rounded border-slate-300 text-blue-600"
+                />
+                <span className="text-sm text-slate-600">{role}</span>
+              </label>
+            ))}
+          </div>
+
+          <p className="text-sm text-slate-600">
+            Failed logins in a row lock the account. Each further lockout lasts twice as long,
+            up to the maximum.
+          </p>
+          <div className="grid grid-cols-3 gap-4">
+            <Input
+              label="Failed Attempts"
+              type="number"
+              min="1"
+              value={policy.lockoutThreshold}
+              onChange={(e) => setPolicy({ ...policy, lockoutThreshold: e.target.value })}
+              required
+            />
+            <Input
+              label="First Lockout (min)"
+              type="number"
+              min="1"
+              value={policy.lockoutBaseMinutes}
+              onChange={(e) => setPolicy({ ...policy, lockoutBaseMinutes: e.target.value })}
+              required
+            />
+            <Input
+              label="Max Lockout (min)"
+              type="number"
+              min="1"
+              value={policy.lockoutMaxMinutes}
+              onChange={(e) => setPolicy({ ...policy, lockoutMaxMinutes: e.target.value })}
+              required
+            />
+          </div>
+
+          <div className="flex justify-end gap-3 pt-4">
+            <Button type="button" variant="secondary" onClick={() => setIsPolicyModalOpen(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" loading={formLoading}>
+              Save Policy
+            </Button>
+          </div>
+        </form>
+      </Modal>
+    </div>
+  );
+};
+
+export default Users;
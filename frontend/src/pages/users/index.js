@@ -0,0 +1,5 @@
+/**
+ * Users Pages Index
+ */
+
+export { default as Users } from './Users';
@@ -7,20 +7,55 @@ import axios from 'axios';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'https://chikitsalyaprabandhan.onrender.com/api';
 
-// Create axios instance
+// Create axios instance - credentials so the refresh token cookie is sent to /auth
 const api = axios.create({
   baseURL: API_BASE_URL,
+  withCredentials: true,
   headers: {
     'Content-Type': 'application/json'
   }
 });
 
+// The access token is short-lived and only kept in memory; a page load gets a new
+// one from the refresh token cookie
+let accessToken = null;
+
+export const setAccessToken = (token) => {
+  accessToken = token;
+};
+
+// Requests that fail together while the token is expired share one refresh
+let refreshRequest = null;
+
+export const refreshAccessToken = () => {
+  if (!refreshRequest) {
+    refreshRequest = api.post('/auth/refresh')
+      .then((response) => {
+        setAccessToken(response.data.token);
+        return response.data;
+      })
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+  return refreshRequest;
+};
+
+// Auth endpoints answer 401 for bad credentials or an ended session - never retried
+const NO_REFRESH_URLS = [
+  '/auth/login',
+  '/auth/register',
+  '/auth/refresh',
+  '/auth/logout',
+  '/auth/2fa/challenge',
+  '/auth/2fa/challenge/setup'
+];
+
 // Request interceptor to add auth token
 api.interceptors.request.use(
   (config) => {
-    const token = localStorage.getItem('token');
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
+    if (accessToken) {
+      config.headers.Authorization = `Bearer ${accessToken}`;
     }
     return config;
   },
@@ -29,14 +64,24 @@ api.interceptors.request.use(
   }
 );
 
-// Response interceptor for error handling
+// Response interceptor for error handling - an expired access token is refreshed
+// and the request retried once
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      window.location.href = '/login';
+  async (error) => {
+    const { config, response } = error;
+
+    if (response?.status === 401 && config && !config._retried && !NO_REFRESH_URLS.includes(config.url)) {
+      config._retried = true;
+      try {
+        await refreshAccessToken();
+        return api(config);
+      } catch {
+        setAccessToken(null);
+        if (window.location.pathname !== '/login') {
+          window.location.href = '/login';
+        }
+      }
     }
     return Promise.reject(error);
   }
@@ -49,7 +94,19 @@ export const authAPI = {
   getMe: () => api.get('/auth/me'),
   updateDetails: (data) => api.put('/auth/updatedetails', data),
   updatePassword: (data) => api.put('/auth/updatepassword', data),
-  logout: () => api.get('/auth/logout')
+  verifyTwoFactorLogin: (data) => api.post('/auth/2fa/challenge', data),
+  setupTwoFactorLogin: (data) => api.post('/auth/2fa/challenge/setup', data),
+  getTwoFactorStatus: () => api.get('/auth/2fa'),
+  setupTwoFactor: () => api.post('/auth/2fa/setup'),
+  enableTwoFactor: (data) => api.post('/auth/2fa/enable', data),
+  disableTwoFactor: (data) => api.post('/auth/2fa/disable', data),
+  regenerateRecoveryCodes: (data) => api.post('/auth/2fa/recovery-codes', data),
+  forgotPassword: (data) => api.post('/auth/forgotpassword', data),
+  resetPassword: (token, data) => api.put(`/auth/resetpassword/${token}`, data),
+  logout: () => api.post('/auth/logout'),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (id) => api.delete(`/auth/sessions/${id}`),
+  revokeOtherSessions: () => api.delete('/auth/sessions')
 };
 
 // Dashboard API
@@ -68,7 +125,13 @@ export const patientsAPI = {
   update: (id, data) => api.put(`/patients/${id}`, data),
   delete: (id) => api.delete(`/patients/${id}`),
   addMedicalHistory: (id, data) => api.post(`/patients/${id}/medical-history`, data),
-  addAllergy: (id, data) => api.post(`/patients/${id}/allergies`, data)
+  addAllergy: (id, data) => api.post(`/patients/${id}/allergies`, data),
+  uploadDocument: (id, formData) => api.post(`/patients/${id}/documents`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  downloadDocument: (id, documentId) => api.get(`/patients/${id}/documents/${documentId}`, {
+    responseType: 'blob'
+  })
 };
 
 // Doctors API
@@ -118,6 +181,7 @@ export const ipdAPI = {
   addVitals: (id, data) => api.post(`/ipd/${id}/vitals`, data),
   addMedication: (id, data) => api.post(`/ipd/${id}/medication`, data),
   transfer: (id, data) => api.put(`/ipd/${id}/transfer`, data),
+  getBedHistory: (id) => api.get(`/ipd/${id}/bed-history`),
   getStats: () => api.get('/ipd/stats')
 };
 
@@ -141,6 +205,11 @@ export const pharmacyAPI = {
   update: (id, data) => api.put(`/pharmacy/${id}`, data),
   delete: (id) => api.delete(`/pharmacy/${id}`),
   updateStock: (id, data) => api.put(`/pharmacy/${id}/stock`, data),
+  getMovements: (id, params) => api.get(`/pharmacy/${id}/movements`, { params }),
+  getAllMovements: (params) => api.get('/pharmacy/movements', { params }),
+  getReconciliation: (params) => api.get('/pharmacy/reports/reconciliation', { params }),
+  getDispensingQueue: (params) => api.get('/pharmacy/dispensing/queue', { params }),
+  dispense: (source, recordId, data) => api.post(`/pharmacy/dispensing/${source}/${recordId}`, data),
   getLowStock: () => api.get('/pharmacy/low-stock'),
   getExpired: () => api.get('/pharmacy/expired'),
   getExpiringSoon: () => api.get('/pharmacy/expiring-soon'),
@@ -158,12 +227,40 @@ export const labAPI = {
   delete: (id) => api.delete(`/lab/tests/${id}`),
   updateResult: (id, data) => api.put(`/lab/tests/${id}/result`, data),
   updateStatus: (id, data) => api.put(`/lab/tests/${id}/status`, data),
+  // Packages
+  getPackages: (params) => api.get('/lab/packages', { params }),
+  getPackageById: (id) => api.get(`/lab/packages/${id}`),
+  createPackage: (data) => api.post('/lab/packages', data),
+  updatePackage: (id, data) => api.put(`/lab/packages/${id}`, data),
+  deletePackage: (id) => api.delete(`/lab/packages/${id}`),
+  // Analyzer interface
+  getAnalyzers: () => api.get('/lab/analyzers'),
+  createAnalyzer: (data) => api.post('/lab/analyzers', data),
+  updateAnalyzer: (id, data) => api.put(`/lab/analyzers/${id}`, data),
+  deleteAnalyzer: (id) => api.delete(`/lab/analyzers/${id}`),
+  getInterfaceMessages: (params) => api.get('/lab/interface/messages', { params }),
+  getInterfaceMessage: (id) => api.get(`/lab/interface/messages/${id}`),
+  importInterfaceMessages: (data) => api.post('/lab/interface/messages', data),
   // Orders
+  getRequisition: (id) => api.get(`/lab/requisitions/${id}`),
   getOrders: (params) => api.get('/lab/orders', { params }),
   getOrderById: (id) => api.get(`/lab/orders/${id}`),
   createOrder: (data) => api.post('/lab/orders', data),
   collectSample: (id) => api.put(`/lab/orders/${id}/collect`),
+  receiveSample: (id, data) => api.put(`/lab/orders/${id}/receive`, data),
+  rejectSample: (id, data) => api.put(`/lab/orders/${id}/reject-sample`, data),
+  getLabel: (id) => api.get(`/lab/orders/${id}/label`),
+  getLabelPdf: (id) => api.get(`/lab/orders/${id}/label.pdf`, { responseType: 'blob' }),
   addResult: (id, data) => api.put(`/lab/orders/${id}/result`, data),
+  verifyResult: (id, data) => api.put(`/lab/orders/${id}/verify`, data),
+  amendResult: (id, data) => api.put(`/lab/orders/${id}/amend`, data),
+  getReportPdf: (id) => api.get(`/lab/orders/${id}/report.pdf`, { responseType: 'blob' }),
+  uploadAttachment: (id, formData) => api.post(`/lab/orders/${id}/attachments`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  downloadAttachment: (id, attachmentId) => api.get(`/lab/orders/${id}/attachments/${attachmentId}`, {
+    responseType: 'blob'
+  }),
   getPatientHistory: (patientId) => api.get(`/lab/patient/${patientId}`),
   getStats: () => api.get('/lab/stats'),
   getCategories: () => api.get('/lab/categories')
@@ -177,9 +274,56 @@ export const billingAPI = {
   update: (id, data) => api.put(`/billing/${id}`, data),
   delete: (id) => api.delete(`/billing/${id}`),
   addPayment: (id, data) => api.post(`/billing/${id}/payment`, data),
+  refund: (id, data) => api.post(`/billing/${id}/refund`, data),
+  voidPayment: (id, paymentId, data) => api.post(`/billing/${id}/payments/${paymentId}/void`, data),
   getPatientHistory: (patientId) => api.get(`/billing/patient/${patientId}`),
   getStats: () => api.get('/billing/stats'),
-  getInvoice: (id) => api.get(`/billing/${id}/invoice`)
+  getInvoice: (id) => api.get(`/billing/${id}/invoice`),
+  getInvoicePdf: (id) => api.get(`/billing/${id}/invoice.pdf`, { responseType: 'blob' }),
+  getReceiptPdf: (id, paymentId) => api.get(`/billing/${id}/payments/${paymentId}/receipt.pdf`, {
+    responseType: 'blob'
+  }),
+  generateIPDBill: (ipdRecordId) => api.post(`/billing/ipd/${ipdRecordId}/interim`),
+  finalize: (id) => api.put(`/billing/${id}/finalize`)
+};
+
+// Insurance API
+export const insuranceAPI = {
+  getClaims: (params) => api.get('/insurance/claims', { params }),
+  submitClaim: (billId, data) => api.post(`/insurance/claims/${billId}`, data),
+  approveClaim: (billId, data) => api.put(`/insurance/claims/${billId}/approve`, data),
+  rejectClaim: (billId, data) => api.put(`/insurance/claims/${billId}/reject`, data),
+  getPreAuthorizations: (params) => api.get('/insurance/pre-auth', { params }),
+  requestPreAuthorization: (ipdRecordId, data) => api.post(`/insurance/pre-auth/${ipdRecordId}`, data),
+  approvePreAuthorization: (ipdRecordId, data) => api.put(`/insurance/pre-auth/${ipdRecordId}/approve`, data),
+  rejectPreAuthorization: (ipdRecordId, data) => api.put(`/insurance/pre-auth/${ipdRecordId}/reject`, data)
+};
+
+// Procurement API
+export const procurementAPI = {
+  getSuppliers: (params) => api.get('/procurement/suppliers', { params }),
+  createSupplier: (data) => api.post('/procurement/suppliers', data),
+  updateSupplier: (id, data) => api.put(`/procurement/suppliers/${id}`, data),
+  deleteSupplier: (id) => api.delete(`/procurement/suppliers/${id}`),
+  getSuggestions: () => api.get('/procurement/purchase-orders/suggestions'),
+  generateOrders: (data) => api.post('/procurement/purchase-orders/generate', data),
+  getOrders: (params) => api.get('/procurement/purchase-orders', { params }),
+  getOrder: (id) => api.get(`/procurement/purchase-orders/${id}`),
+  createOrder: (data) => api.post('/procurement/purchase-orders', data),
+  updateOrder: (id, data) => api.put(`/procurement/purchase-orders/${id}`, data),
+  placeOrder: (id) => api.put(`/procurement/purchase-orders/${id}/order`),
+  cancelOrder: (id, data) => api.put(`/procurement/purchase-orders/${id}/cancel`, data),
+  receiveGoods: (id, data) => api.post(`/procurement/purchase-orders/${id}/receipts`, data),
+  getGoodsReceipts: (params) => api.get('/procurement/goods-receipts', { params }),
+  getSupplierSpend: (params) => api.get('/procurement/reports/supplier-spend', { params })
+};
+
+// Notifications API
+export const notificationsAPI = {
+  getAll: (params) => api.get('/notifications', { params }),
+  markAsRead: (id) => api.put(`/notifications/${id}/read`),
+  markAllAsRead: () => api.put('/notifications/read-all'),
+  acknowledge: (id, data) => api.put(`/notifications/${id}/acknowledge`, data)
 };
 
 // Users API (Admin)
@@ -190,7 +334,23 @@ export const usersAPI = {
   update: (id, data) => api.put(`/users/${id}`, data),
   delete: (id) => api.delete(`/users/${id}`),
   activate: (id) => api.put(`/users/${id}/activate`),
+  resetTwoFactor: (id) => api.put(`/users/${id}/reset-2fa`),
+  unlock: (id) => api.put(`/users/${id}/unlock`),
+  updateRoles: (id, roles) => api.put(`/users/${id}/roles`, { roles }),
+  getLoginAudit: (params) => api.get('/users/login-audit', { params }),
+  getSuspiciousActivity: (params) => api.get('/users/suspicious-activity', { params }),
+  getSecuritySettings: () => api.get('/users/security-settings'),
+  updateSecuritySettings: (data) => api.put('/users/security-settings', data),
   getStats: () => api.get('/users/stats')
 };
 
+// Roles API
+export const rolesAPI = {
+  getAll: () => api.get('/roles'),
+  getPermissions: () => api.get('/roles/permissions'),
+  create: (data) => api.post('/roles', data),
+  update: (id, data) => api.put(`/roles/${id}`, data),
+  delete: (id) => api.delete(`/roles/${id}`)
+};
+
 export default api;
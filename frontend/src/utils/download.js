@@ -0,0 +1,24 @@
+/**
+ * Download Helpers
+ * Save files fetched through the authenticated API
+ */
+
+// Trigger a browser download for a blob response
+export const saveBlob = (blob, fileName) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
+// Open a blob response (e.g. a PDF) in a new tab for viewing or printing
+export const openBlob = (blob) => {
+  const url = window.URL.createObjectURL(blob);
+  window.open(url, '_blank');
+  // Give the new tab time to load before releasing the blob
+  setTimeout(() => window.URL.revokeObjectURL(url), 60000);
+};